@@ -0,0 +1,36 @@
+-- Approval steps: executions suspended until a person approves or rejects them
+CREATE TABLE IF NOT EXISTS execution_approvals (
+  id uuid default gen_random_uuid() primary key,
+  execution_id uuid references workflow_executions(id) on delete cascade not null,
+  workflow_id uuid references workflows(id) on delete cascade not null,
+  organization_id uuid references organizations(id) on delete cascade,
+  step_id text not null,
+  title text not null,
+  message text default '',
+  approvers text[] default '{}' not null,
+  status text default 'pending' not null
+    CHECK (status in ('pending', 'approved', 'rejected', 'cancelled')),
+  comment text,
+  form_data jsonb default '{}'::jsonb not null,
+  decided_by text references profiles(id) on delete set null,
+  decided_at timestamp,
+  timed_out boolean default false not null,
+  expires_at timestamp,
+  timeout_outcome text default 'reject' not null CHECK (timeout_outcome in ('approve', 'reject')),
+  created_at timestamp default now()
+);
+
+-- Only the service role (API server) reads and decides approvals
+ALTER TABLE execution_approvals ENABLE ROW LEVEL SECURITY;
+
+-- A step inside a revisited path can ask again, but only one request per step is open at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_execution_approvals_pending
+  ON execution_approvals (execution_id, step_id) WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_execution_approvals_expiry
+  ON execution_approvals (expires_at) WHERE status = 'pending';
+
+-- Allow the `awaiting_approval` status for suspended runs
+ALTER TABLE workflow_executions DROP CONSTRAINT IF EXISTS workflow_executions_status_check;
+ALTER TABLE workflow_executions ADD CONSTRAINT workflow_executions_status_check
+  CHECK (status in ('pending', 'running', 'completed', 'failed', 'cancelled', 'interrupted', 'awaiting_approval'));
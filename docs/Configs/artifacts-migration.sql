@@ -0,0 +1,27 @@
+-- Execution artifacts: files produced by workflow steps (screenshots, PDFs, written and downloaded files)
+CREATE TABLE IF NOT EXISTS execution_artifacts (
+  id uuid default gen_random_uuid() primary key,
+  execution_id uuid references workflow_executions(id) on delete cascade not null,
+  workflow_id uuid references workflows(id) on delete cascade not null,
+  organization_id uuid references organizations(id) on delete cascade,
+  user_id text references profiles(id) on delete set null,
+  step_id text not null,
+  name text not null,
+  mime_type text not null,
+  size bigint not null,
+  checksum text not null, -- SHA-256, hex
+  storage_backend text not null CHECK (storage_backend in ('local', 's3')),
+  storage_key text not null,
+  expires_at timestamp,
+  created_at timestamp default now()
+);
+
+-- Only the service role (API server) registers and serves artifacts
+ALTER TABLE execution_artifacts ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_execution_artifacts_execution
+  ON execution_artifacts (execution_id, created_at);
+
+-- Retention cleanup looks for expired rows
+CREATE INDEX IF NOT EXISTS idx_execution_artifacts_expiry
+  ON execution_artifacts (expires_at) WHERE expires_at IS NOT NULL;
@@ -0,0 +1,33 @@
+-- Named execution environments (e.g. dev, staging, production) per organization
+-- with variable overrides applied on top of the workflow's own variables
+CREATE TABLE IF NOT EXISTS organization_environments (
+  id uuid default gen_random_uuid() primary key,
+  organization_id uuid references organizations(id) on delete cascade not null,
+  name text not null,
+  description text default '',
+  variables jsonb default '{}'::jsonb not null,
+  created_by text references profiles(id) on delete set null,
+  created_at timestamp default now(),
+  updated_at timestamp default now(),
+  unique (organization_id, name)
+);
+
+-- Only the service role (API server) manages environments
+ALTER TABLE organization_environments ENABLE ROW LEVEL SECURITY;
+
+-- Secret overrides: rows with an environment_id replace the organization-wide secret of the same name
+ALTER TABLE organization_secrets
+  ADD COLUMN IF NOT EXISTS environment_id uuid references organization_environments(id) on delete cascade;
+
+ALTER TABLE organization_secrets DROP CONSTRAINT IF EXISTS organization_secrets_organization_id_name_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_organization_secrets_scope_name
+  ON organization_secrets (organization_id, COALESCE(environment_id, '00000000-0000-0000-0000-000000000000'::uuid), name);
+
+-- Record which environment each run targeted; the name is kept if the environment is deleted
+ALTER TABLE workflow_executions
+  ADD COLUMN IF NOT EXISTS environment_id uuid references organization_environments(id) on delete set null,
+  ADD COLUMN IF NOT EXISTS environment_name text;
+
+CREATE INDEX IF NOT EXISTS idx_workflow_executions_environment
+  ON workflow_executions (workflow_id, environment_name);
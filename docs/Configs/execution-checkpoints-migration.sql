@@ -0,0 +1,9 @@
+-- Execution checkpoints for resuming interrupted runs
+ALTER TABLE workflow_executions ADD COLUMN IF NOT EXISTS execution_data jsonb default '{}';
+ALTER TABLE workflow_executions ADD COLUMN IF NOT EXISTS checkpoint jsonb;
+ALTER TABLE workflow_executions ADD COLUMN IF NOT EXISTS updated_at timestamp default now();
+
+-- Allow the `interrupted` status for runs stopped by a restart or deploy
+ALTER TABLE workflow_executions DROP CONSTRAINT IF EXISTS workflow_executions_status_check;
+ALTER TABLE workflow_executions ADD CONSTRAINT workflow_executions_status_check
+  CHECK (status in ('pending', 'running', 'completed', 'failed', 'cancelled', 'interrupted'));
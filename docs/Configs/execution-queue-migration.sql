@@ -0,0 +1,24 @@
+-- Durable execution queue shared by all API server instances
+CREATE TABLE IF NOT EXISTS execution_queue (
+  execution_id uuid primary key references workflow_executions(id) on delete cascade,
+  workflow_id uuid references workflows(id) on delete cascade,
+  organization_id uuid references organizations(id) on delete cascade,
+  user_id text,
+  priority integer default 5 check (priority between 0 and 10),
+  status text check (status in ('queued', 'claimed')) default 'queued',
+  payload jsonb default '{}',
+  enqueued_at timestamp default now(),
+  claimed_at timestamp,
+  claimed_by text,
+  -- Renewed by the instance running the execution; a stale heartbeat means that instance is gone
+  heartbeat_at timestamp
+);
+
+ALTER TABLE execution_queue ADD COLUMN IF NOT EXISTS heartbeat_at timestamp;
+
+CREATE INDEX IF NOT EXISTS idx_execution_queue_status ON execution_queue(status);
+CREATE INDEX IF NOT EXISTS idx_execution_queue_enqueued_at ON execution_queue(enqueued_at);
+CREATE INDEX IF NOT EXISTS idx_execution_queue_priority ON execution_queue(status, priority desc, enqueued_at);
+
+-- Only the service role (API server) touches the queue
+ALTER TABLE execution_queue ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,17 @@
+-- Organization secrets for `{{secret.NAME}}`; values are AES-256-GCM encrypted by the API server
+-- (SECRETS_ENCRYPTION_KEY), the database only ever sees ciphertext
+CREATE TABLE IF NOT EXISTS organization_secrets (
+  id uuid default gen_random_uuid() primary key,
+  organization_id uuid references organizations(id) on delete cascade not null,
+  name text not null,
+  description text default '',
+  encrypted_value text not null,
+  created_by text references profiles(id) on delete set null,
+  updated_by text references profiles(id) on delete set null,
+  created_at timestamp default now(),
+  updated_at timestamp default now(),
+  unique (organization_id, name)
+);
+
+-- Only the service role (API server) reads or writes secrets
+ALTER TABLE organization_secrets ENABLE ROW LEVEL SECURITY;
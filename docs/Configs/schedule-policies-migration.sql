@@ -0,0 +1,21 @@
+-- History of scheduled runs and the catch-up/overlap decisions made for them
+CREATE TABLE IF NOT EXISTS scheduled_executions (
+  id uuid primary key default gen_random_uuid(),
+  workflow_id uuid references workflows(id) on delete cascade,
+  execution_id uuid references workflow_executions(id) on delete set null,
+  status text,
+  error_message text,
+  scheduled_at timestamp default now()
+);
+
+-- The occurrence a row is about (not when it was handled) lets restarts detect missed runs
+ALTER TABLE scheduled_executions ADD COLUMN IF NOT EXISTS scheduled_for timestamp;
+-- on_time | caught_up | missed | overlap_skipped | overlap_queued | overlap_cancelled_previous
+ALTER TABLE scheduled_executions ADD COLUMN IF NOT EXISTS decision text;
+ALTER TABLE scheduled_executions ADD COLUMN IF NOT EXISTS details jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_executions_workflow_for
+  ON scheduled_executions(workflow_id, scheduled_for desc);
+
+-- Only the service role (API server) writes schedule history
+ALTER TABLE scheduled_executions ENABLE ROW LEVEL SECURITY;
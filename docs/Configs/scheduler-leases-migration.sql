@@ -0,0 +1,36 @@
+-- Leader election for the workflow scheduler: one row per lease, held by one API instance at a time
+CREATE TABLE IF NOT EXISTS scheduler_leases (
+  name text primary key,
+  owner text not null,
+  acquired_at timestamp default now(),
+  renewed_at timestamp default now(),
+  expires_at timestamp not null
+);
+
+-- Only the service role (API server) takes leases
+ALTER TABLE scheduler_leases ENABLE ROW LEVEL SECURITY;
+
+-- Acquire or renew a lease, judging expiry by the database clock so clock skew between API
+-- instances can never let two of them lead at once. Returns the lease holder afterwards.
+CREATE OR REPLACE FUNCTION acquire_scheduler_lease(lease_name text, lease_owner text, ttl_ms integer)
+RETURNS TABLE (owner text, expires_at timestamp, acquired boolean)
+LANGUAGE sql
+AS $$
+  WITH taken AS (
+    INSERT INTO scheduler_leases AS lease (name, owner, acquired_at, renewed_at, expires_at)
+    VALUES (lease_name, lease_owner, now(), now(), now() + ttl_ms * interval '1 millisecond')
+    ON CONFLICT (name) DO UPDATE
+      SET owner = excluded.owner,
+          acquired_at = CASE WHEN lease.owner = excluded.owner THEN lease.acquired_at ELSE now() END,
+          renewed_at = now(),
+          expires_at = excluded.expires_at
+      WHERE lease.owner = excluded.owner OR lease.expires_at < now()
+    RETURNING lease.owner, lease.expires_at
+  )
+  SELECT taken.owner, taken.expires_at, true FROM taken
+  UNION ALL
+  -- Not taken: the statement's snapshot still shows the current holder
+  SELECT held.owner, held.expires_at, false
+  FROM scheduler_leases held
+  WHERE held.name = lease_name AND NOT EXISTS (SELECT 1 FROM taken)
+$$;
@@ -0,0 +1,8 @@
+-- Child executions started by call_workflow steps point at the execution that called them
+ALTER TABLE workflow_executions
+  ADD COLUMN IF NOT EXISTS parent_execution_id uuid references workflow_executions(id) on delete set null,
+  ADD COLUMN IF NOT EXISTS call_depth integer default 0 not null;
+
+CREATE INDEX IF NOT EXISTS idx_workflow_executions_parent
+  ON workflow_executions (parent_execution_id)
+  WHERE parent_execution_id IS NOT NULL;
@@ -0,0 +1,9 @@
+-- Declared inputs (typed fields checked before every run) and named outputs of a workflow
+ALTER TABLE workflows
+  ADD COLUMN IF NOT EXISTS input_schema jsonb default '[]'::jsonb,
+  ADD COLUMN IF NOT EXISTS output_schema jsonb default '[]'::jsonb;
+
+-- Published versions carry the schema they were published with
+ALTER TABLE workflow_versions
+  ADD COLUMN IF NOT EXISTS input_schema jsonb default '[]'::jsonb,
+  ADD COLUMN IF NOT EXISTS output_schema jsonb default '[]'::jsonb;
@@ -0,0 +1,25 @@
+-- Immutable published versions of a workflow; the workflows row stays the editable draft
+CREATE TABLE IF NOT EXISTS workflow_versions (
+  id uuid default gen_random_uuid() primary key,
+  workflow_id uuid references workflows(id) on delete cascade not null,
+  version integer not null check (version > 0),
+  name text not null,
+  description text,
+  steps jsonb not null default '[]',
+  variables jsonb default '{}',
+  notes text default '',
+  created_by text references profiles(id) on delete set null,
+  created_at timestamp default now(),
+  unique (workflow_id, version)
+);
+
+-- Only the service role (API server) writes versions; rows are never updated
+ALTER TABLE workflow_versions ENABLE ROW LEVEL SECURITY;
+
+-- Version that scheduled and manual runs use by default (null until the first publish)
+ALTER TABLE workflows
+  ADD COLUMN IF NOT EXISTS published_version integer,
+  ADD COLUMN IF NOT EXISTS published_at timestamp;
+
+-- Version each execution ran; null when it ran the draft
+ALTER TABLE workflow_executions ADD COLUMN IF NOT EXISTS workflow_version integer;
@@ -81,19 +81,31 @@ if (process.env.NODE_ENV !== 'test') {
 import { WorkflowEngine } from './services/workflowEngine.js'
 import { WorkflowScheduler } from './services/workflowScheduler.js'
 import { WebSocketService } from './services/websocketService.js'
+import { NotificationService } from './services/notificationService.js'
+import { SecretsVault } from './services/secretsVault.js'
+import { EnvironmentService } from './services/environmentService.js'
 
 // Import routes
 import { initializeRoutes as initializeWorkflowRoutes } from './routes/workflows.js'
 import { initializeRoutes as initializeOrganizationRoutes } from './routes/organizations.js'
-import browserSessionsRouter from './routes/browserSessions.js'
+import { initializeRoutes as initializeExecutionRoutes } from './routes/executions.js'
+import { initializeRoutes as initializeArtifactRoutes } from './routes/artifacts.js'
+import { initializeRoutes as initializeBrowserSessionRoutes } from './routes/browserSessions.js'
 
 // Initialize services
-const workflowEngine = new WorkflowEngine(supabase)
+const secretsVault = new SecretsVault(supabase)
+const environmentService = new EnvironmentService(supabase)
+const workflowEngine = new WorkflowEngine(supabase, { secretsVault, environmentService })
 const workflowScheduler = new WorkflowScheduler(supabase, workflowEngine)
 
 // Start scheduler
 workflowScheduler.start()
 
+// Pick up executions left running by a previous process (resumed when RESUME_INTERRUPTED_EXECUTIONS=true)
+workflowEngine.recoverInterruptedExecutions().catch(error => {
+  console.error('❌ Failed to recover interrupted executions:', error)
+})
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   const engineStatus = workflowEngine.getQueueStatus()
@@ -113,7 +125,11 @@ app.get('/health', (req, res) => {
       },
       scheduler: {
         isRunning: schedulerStatus.isRunning,
-        scheduledJobs: schedulerStatus.scheduledJobsCount
+        scheduledJobs: schedulerStatus.scheduledJobsCount,
+        isLeader: schedulerStatus.lease.isLeader,
+        leader: schedulerStatus.lease.owner,
+        instanceId: schedulerStatus.lease.instanceId,
+        leaseExpiresAt: schedulerStatus.lease.expiresAt
       },
       websocket: {
         connectedClients: websocketStatus.connectedClients,
@@ -126,8 +142,10 @@ app.get('/health', (req, res) => {
 
 // API Routes
 app.use('/api/workflows', initializeWorkflowRoutes(supabase, workflowEngine, workflowScheduler))
-app.use('/api/organizations', initializeOrganizationRoutes(supabase))
-app.use('/api/browser-sessions', browserSessionsRouter)
+app.use('/api/organizations', initializeOrganizationRoutes(supabase, secretsVault, environmentService))
+app.use('/api/executions', initializeExecutionRoutes(supabase, workflowEngine))
+app.use('/api/artifacts', initializeArtifactRoutes(supabase, workflowEngine.artifactService))
+app.use('/api/browser-sessions', initializeBrowserSessionRoutes(workflowEngine.artifactService))
 
 // Serve static files from the dist directory in production
 if (process.env.NODE_ENV === 'production') {
@@ -156,13 +174,23 @@ const server = app.listen(port, () => {
   
   // Store reference for shutdown
   app.websocketService = websocketService
+
+  // Missed, skipped, queued and superseded scheduled runs reach users as schedule-missed notifications
+  const notificationService = new NotificationService(supabase, websocketService)
+  workflowScheduler.on('scheduleMissed', event => {
+    notificationService.emit('workflow.schedule.missed', event)
+  })
+  workflowEngine.on('approvalRequested', event => {
+    notificationService.emit('workflow.approval.requested', event)
+  })
   
   console.log(`🚀 API server running on port ${port}`)
   console.log(`📋 API endpoints: http://localhost:${port}/api`)
   console.log(`🔌 WebSocket endpoint: ws://localhost:${port}/ws`)
   console.log(`💓 Health check: http://localhost:${port}/health`)
   console.log(`⚙️ Workflow engine: ${workflowEngine.maxConcurrentExecutions} max concurrent executions`)
-  console.log(`📅 Scheduler: ${workflowScheduler.getStatus().isRunning ? 'Running' : 'Stopped'}`)
+  const schedulerStatus = workflowScheduler.getStatus()
+  console.log(`📅 Scheduler: ${schedulerStatus.isRunning ? 'Running' : 'Stopped'} (${schedulerStatus.lease.isLeader ? 'leader' : `following ${schedulerStatus.lease.owner || 'no leader yet'}`})`)
 })
 
 // Graceful shutdown
@@ -6,6 +6,7 @@
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { redactSecrets } from '../utils/secretRedaction.js'
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url))
 
@@ -23,7 +24,10 @@ export class Logger {
     this.logFile = path.join(logsDir, `app-${new Date().toISOString().split('T')[0]}.log`)
   }
 
-  log(level, message, meta = {}) {
+  log(level, rawMessage, rawMeta = {}) {
+    // Secret values loaded for executions never reach the console or log files
+    const message = redactSecrets(rawMessage)
+    const meta = redactSecrets(rawMeta)
     const timestamp = new Date().toISOString()
     const logEntry = {
       timestamp,
@@ -0,0 +1,99 @@
+/**
+ * 📦 Artifact API Routes
+ * Downloads of execution artifacts, by signed link or as an authenticated user
+ */
+
+import express from 'express'
+import { contentDisposition } from '../services/artifactStorage.js'
+
+const router = express.Router()
+
+let supabase
+let artifactService
+
+export function initializeRoutes(supabaseClient, service) {
+  supabase = supabaseClient
+  artifactService = service
+  return router
+}
+
+// Import authentication middleware
+import {
+  authenticateUser,
+  validateResourceAccess
+} from '../middleware/auth.js'
+
+// Error handler
+const handleError = (error, req, res) => {
+  console.error('Artifact API Error:', error)
+
+  if (error.code === 'PGRST301') {
+    return res.status(404).json({ error: 'Artifact not found' })
+  }
+
+  if (error.code === 'PGRST116') {
+    return res.status(403).json({ error: 'Access denied' })
+  }
+
+  return res.status(500).json({
+    error: 'Internal server error',
+    message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+  })
+}
+
+/**
+ * A valid `expires` + `signature` pair grants access on its own; otherwise the request needs
+ * a user who can see the artifact
+ */
+const signedOrAuthenticated = (req, res, next) => {
+  const { expires, signature } = req.query
+
+  if (signature === undefined) {
+    return authenticateUser(req, res, () => validateResourceAccess('execution_artifacts')(req, res, next))
+  }
+
+  if (!artifactService.verifySignature(req.params.id, expires, signature)) {
+    return res.status(403).json({
+      error: 'Invalid link',
+      message: 'This download link is invalid or has expired'
+    })
+  }
+
+  next()
+}
+
+/**
+ * GET /api/artifacts/:id/download
+ * Stream the artifact, or redirect to its storage backend's presigned URL
+ */
+router.get('/:id/download', signedOrAuthenticated, async (req, res) => {
+  try {
+    const artifact = await artifactService.getArtifact(req.params.id)
+
+    if (!artifact) {
+      return res.status(404).json({ error: 'Artifact not found' })
+    }
+
+    const download = await artifactService.getDownload(artifact)
+
+    if (download.url) {
+      return res.redirect(download.url)
+    }
+
+    res.setHeader('Content-Type', artifact.mime_type)
+    res.setHeader('Content-Disposition', contentDisposition(artifact.name))
+    res.sendFile(download.filepath, error => {
+      if (!error || res.headersSent) return
+
+      if (error.code === 'ENOENT') {
+        return res.status(404).json({
+          error: 'Artifact content not found',
+          message: 'The stored file is missing'
+        })
+      }
+      handleError(error, req, res)
+    })
+  } catch (error) {
+    handleError(error, req, res)
+  }
+})
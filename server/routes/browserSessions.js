@@ -6,8 +6,70 @@
 import express from 'express'
 import { browserSessionManager } from '../services/browserSessionManager.js'
 import { logger } from '../middleware/errorHandler.js'
+import { convertFieldValue, normalizeFields } from '../utils/tableExtraction.js'
+import { WorkspaceService } from '../services/workspaceService.js'
+import { authenticateUser } from '../middleware/auth.js'
 
 const router = express.Router()
+const workspace = new WorkspaceService()
+
+let artifactService
+
+/**
+ * Give the routes the artifact service, for uploading artifacts into a session
+ */
+export function initializeRoutes(service) {
+  artifactService = service
+  return router
+}
+
+/**
+ * Uploads read the caller's workspace files and artifacts, so they need to know who is asking
+ */
+const authenticateUploads = (req, res, next) => {
+  if (req.body?.action !== 'upload_file') {
+    return next()
+  }
+  authenticateUser(req, res, next)
+}
+
+/**
+ * Local paths of the workspace files (`path`) and artifacts (`artifactId`) a user uploads;
+ * `release()` removes temporary copies of remote artifacts
+ */
+async function resolveUploadFiles(config, user) {
+  const owner = { organizationId: user.currentOrgId, userId: user.id }
+  const paths = config.path !== undefined && config.path !== '' ? [].concat(config.path) : []
+  const artifactIds = config.artifactId !== undefined && config.artifactId !== '' ? [].concat(config.artifactId) : []
+  if (paths.length === 0 && artifactIds.length === 0) {
+    throw new Error('A workspace path or artifact id to upload is required')
+  }
+
+  const scope = workspace.getScope(owner)
+  const filepaths = []
+  const releases = []
+  const release = () => Promise.all(releases.map(releaseFile => releaseFile()))
+
+  try {
+    for (const filePath of paths) {
+      filepaths.push(await workspace.getFilePath(scope, filePath))
+    }
+    for (const artifactId of artifactIds) {
+      const artifact = artifactService && await artifactService.getOwnedArtifact(artifactId, owner)
+      if (!artifact) {
+        throw new Error(`Artifact not found: ${artifactId}`)
+      }
+      const file = await artifactService.getLocalFile(artifact)
+      releases.push(file.release)
+      filepaths.push(file.filepath)
+    }
+  } catch (error) {
+    await release()
+    throw error
+  }
+
+  return { filepaths, release }
+}
 
 /**
  * Get all active browser sessions
@@ -152,13 +214,17 @@ router.post('/:sessionId/screenshot', async (req, res) => {
 /**
  * Execute browser action in session
  */
-router.post('/:sessionId/action', async (req, res) => {
+router.post('/:sessionId/action', authenticateUploads, async (req, res) => {
   try {
     const { sessionId } = req.params
     const { action, config = {} } = req.body
     
     // Validate action type
-    const allowedActions = ['click', 'type', 'scroll', 'extract_text', 'navigate']
+    const allowedActions = [
+      'click', 'type', 'scroll', 'extract_text', 'extract_table', 'navigate',
+      'select_option', 'hover', 'press_keys', 'upload_file', 'drag_and_drop', 'switch_frame',
+      'open_tab', 'switch_tab', 'close_tab'
+    ]
     if (!allowedActions.includes(action)) {
       return res.status(400).json({
         success: false,
@@ -195,6 +261,81 @@ router.post('/:sessionId/action', async (req, res) => {
       case 'navigate':
         result = await browserService.navigate(sessionId, config.url, config.pageId || 'default', config.options || {})
         break
+      case 'extract_table': {
+        // Reads the current page only, for trying out a field map before running the step
+        let fields
+        try {
+          fields = normalizeFields(config.fields)
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            error: error.message
+          })
+        }
+
+        result = await browserService.extractTable(sessionId, config.rowSelector, fields, config.pageId || 'default')
+        if (result.success) {
+          result.data = result.data.map(values => Object.fromEntries(
+            fields.map(field => [field.name, convertFieldValue(values[field.name], field, result.url)])
+          ))
+        }
+        break
+      }
+      case 'select_option': {
+        const values = [].concat(config.values ?? config.value ?? config.label ?? []).map(String)
+        result = await browserService.selectOption(sessionId, config.selector, values, config.pageId || 'default', {
+          by: config.by || (config.label !== undefined ? 'label' : 'value'),
+          ...(config.options || {})
+        })
+        break
+      }
+      case 'hover':
+        result = await browserService.hover(sessionId, config.selector, config.pageId || 'default', config.options || {})
+        break
+      case 'press_keys':
+        result = await browserService.pressKeys(sessionId, config.keys, config.pageId || 'default', {
+          selector: config.selector,
+          delay: config.delay,
+          ...(config.options || {})
+        })
+        break
+      case 'upload_file': {
+        let files
+        try {
+          files = await resolveUploadFiles(config, req.user)
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            error: error.message
+          })
+        }
+
+        try {
+          result = await browserService.uploadFile(sessionId, config.selector, files.filepaths, config.pageId || 'default', config.options || {})
+        } finally {
+          await files.release()
+        }
+        break
+      }
+      case 'drag_and_drop':
+        result = await browserService.dragAndDrop(sessionId, config.source, config.target, config.pageId || 'default', config.options || {})
+        break
+      case 'switch_frame':
+        result = await browserService.switchFrame(sessionId, config.selector, config.pageId || 'default', config.options || {})
+        break
+      case 'open_tab':
+        result = await browserService.openTab(sessionId, config.pageId, { url: config.url, ...(config.options || {}) })
+        break
+      case 'switch_tab': {
+        const match = Object.fromEntries(
+          ['pageId', 'index', 'url', 'title', 'as'].filter(key => config[key] !== undefined).map(key => [key, config[key]])
+        )
+        result = await browserService.switchTab(sessionId, match, config.options || {})
+        break
+      }
+      case 'close_tab':
+        result = await browserService.closeTab(sessionId, config.pageId || 'default')
+        break
     }
     
     if (!result.success) {
@@ -0,0 +1,239 @@
+/**
+ * ⏯️ Execution API Routes
+ * Endpoints that act on a single execution: deciding the approvals it waits on, debugging it
+ * and listing the artifacts it produced
+ */
+
+import express from 'express'
+import { getApprovalDecisionError } from '../services/approvalService.js'
+import { getBreakpointsError } from '../services/executionDebugger.js'
+
+const router = express.Router()
+
+let supabase
+let workflowEngine
+
+export function initializeRoutes(supabaseClient, engine) {
+  supabase = supabaseClient
+  workflowEngine = engine
+  return router
+}
+
+// Import authentication middleware
+import {
+  authenticateUser,
+  validateResourceAccess
+} from '../middleware/auth.js'
+
+// Error handler
+const handleError = (error, req, res) => {
+  console.error('Execution API Error:', error)
+
+  if (error.code === 'PGRST301') {
+    return res.status(404).json({ error: 'Execution not found' })
+  }
+
+  if (error.code === 'PGRST116') {
+    return res.status(403).json({ error: 'Access denied' })
+  }
+
+  return res.status(500).json({
+    error: 'Internal server error',
+    message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+  })
+}
+
+// ============================================================================
+// APPROVAL ENDPOINTS
+// ============================================================================
+
+/**
+ * GET /api/executions/:id/approvals
+ * Approval requests of an execution, oldest first
+ */
+router.get('/:id/approvals', authenticateUser, validateResourceAccess('workflow_executions'), async (req, res) => {
+  try {
+    const approvals = await workflowEngine.approvalService.listApprovals(req.params.id)
+    res.json({ approvals })
+  } catch (error) {
+    handleError(error, req, res)
+  }
+})
+
+/**
+ * POST /api/executions/:id/approvals/:stepId
+ * Approve or reject the step an execution is waiting on; `formData` is merged into its variables
+ */
+router.post('/:id/approvals/:stepId', authenticateUser, async (req, res) => {
+  try {
+    const { decision, comment, formData } = req.body
+    const validationError = getApprovalDecisionError({ decision, comment, formData })
+
+    if (validationError) {
+      return res.status(400).json({ error: 'Validation error', message: validationError })
+    }
+
+    const approval = await workflowEngine.approvalService.getPendingApproval(req.params.id, req.params.stepId)
+
+    if (!approval) {
+      return res.status(404).json({
+        error: 'Approval not found',
+        message: 'This execution is not waiting for an approval at that step'
+      })
+    }
+
+    // Named approvers may sit outside the workflow's organization, so the list is the access check
+    if (!approval.approvers?.includes(req.user.id)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You are not an approver for this step'
+      })
+    }
+
+    if (workflowEngine.activeExecutions.has(approval.execution_id)) {
+      return res.status(409).json({
+        error: 'Execution busy',
+        message: 'The execution is still suspending, please retry shortly'
+      })
+    }
+
+    const decided = await workflowEngine.decideApproval(approval, {
+      decision,
+      comment: comment || null,
+      formData: formData || {},
+      userId: req.user.id
+    })
+
+    if (!decided) {
+      return res.status(409).json({
+        error: 'Approval already decided',
+        message: 'Someone else decided this approval or it timed out'
+      })
+    }
+
+    res.json({
+      message: `Step ${decided.status}, execution resumed`,
+      approval: decided
+    })
+  } catch (error) {
+    handleError(error, req, res)
+  }
+})
+
+// ============================================================================
+// ARTIFACT ENDPOINTS
+// ============================================================================
+
+/**
+ * GET /api/executions/:id/artifacts
+ * Files the execution's steps produced, each with a signed download link
+ */
+router.get('/:id/artifacts', authenticateUser, validateResourceAccess('workflow_executions'), async (req, res) => {
+  try {
+    const artifacts = await workflowEngine.artifactService.listArtifacts(req.params.id)
+
+    res.json({
+      artifacts: artifacts.map(({ storage_key, ...artifact }) => {
+        const { url, expiresAt } = workflowEngine.artifactService.createSignedUrl(artifact.id)
+        return { ...artifact, download_url: url, download_url_expires_at: expiresAt }
+      })
+    })
+  } catch (error) {
+    handleError(error, req, res)
+  }
+})
+
+// ============================================================================
+// DEBUG ENDPOINTS
+// ============================================================================
+
+/**
+ * Debugging acts on in-memory state, so it needs the instance that runs (or queued) the execution
+ */
+const requireLocalExecution = (req, res, next) => {
+  if (!workflowEngine.getDebugState(req.params.id)) {
+    return res.status(409).json({
+      error: 'Execution not running',
+      message: 'The execution is not running or queued on this server'
+    })
+  }
+  next()
+}
+
+const debugRoute = [authenticateUser, validateResourceAccess('workflow_executions'), requireLocalExecution]
+
+/**
+ * GET /api/executions/:id/debug
+ * Pause state, breakpoints and the variables at the paused step
+ */
+router.get('/:id/debug', ...debugRoute, (req, res) => {
+  res.json({ debug: workflowEngine.getDebugState(req.params.id) })
+})
+
+/**
+ * POST /api/executions/:id/debug/pause
+ * Pause before the next step
+ */
+router.post('/:id/debug/pause', ...debugRoute, (req, res) => {
+  workflowEngine.debugger.pause(req.params.id)
+  res.json({ message: 'Execution will pause before its next step', debug: workflowEngine.getDebugState(req.params.id) })
+})
+
+/**
+ * POST /api/executions/:id/debug/resume
+ * Run until the next breakpoint
+ */
+router.post('/:id/debug/resume', ...debugRoute, (req, res) => {
+  if (!workflowEngine.debugger.resume(req.params.id)) {
+    return res.status(409).json({ error: 'Execution not paused' })
+  }
+  res.json({ message: 'Execution resumed', debug: workflowEngine.getDebugState(req.params.id) })
+})
+
+/**
+ * POST /api/executions/:id/debug/step-over
+ * Run the paused step (with everything nested in it) and pause before the next one
+ */
+router.post('/:id/debug/step-over', ...debugRoute, (req, res) => {
+  if (!workflowEngine.debugger.stepOver(req.params.id)) {
+    return res.status(409).json({ error: 'Execution not paused' })
+  }
+  res.json({ message: 'Stepping over', debug: workflowEngine.getDebugState(req.params.id) })
+})
+
+/**
+ * PUT /api/executions/:id/debug/breakpoints
+ * Replace the step ids the execution pauses before
+ */
+router.put('/:id/debug/breakpoints', ...debugRoute, (req, res) => {
+  const { breakpoints } = req.body
+  const validationError = getBreakpointsError(breakpoints)
+
+  if (validationError) {
+    return res.status(400).json({ error: 'Validation error', message: validationError })
+  }
+
+  workflowEngine.debugger.setBreakpoints(req.params.id, breakpoints)
+  res.json({ debug: workflowEngine.getDebugState(req.params.id) })
+})
+
+/**
+ * POST /api/executions/:id/debug/screenshot
+ * Capture the page the execution is on
+ */
+router.post('/:id/debug/screenshot', ...debugRoute, async (req, res) => {
+  try {
+    const screenshot = await workflowEngine.captureDebugScreenshot(req.params.id)
+
+    if (!screenshot) {
+      return res.status(404).json({
+        error: 'No browser session',
+        message: 'The execution has not opened a browser page yet'
+      })
+    }
+
+    res.json({ screenshot })
+  } catch (error) {
+    handleError(error, req, res)
+  }
+})
@@ -4,13 +4,19 @@
  */
 
 import express from 'express'
+import { getSecretNameError, getSecretValueError } from '../services/secretsVault.js'
+import { getEnvironmentNameError, getEnvironmentVariablesError } from '../services/environmentService.js'
 
 const router = express.Router()
 
 let supabase
+let secretsVault
+let environmentService
 
-export function initializeRoutes(supabaseClient) {
+export function initializeRoutes(supabaseClient, vault, environments) {
   supabase = supabaseClient
+  secretsVault = vault
+  environmentService = environments
   return router
 }
 
@@ -33,6 +39,10 @@ const handleError = (error, req, res) => {
   if (error.code === 'PGRST116') {
     return res.status(403).json({ error: 'Access denied' })
   }
+
+  if (error.code === '23505') {
+    return res.status(409).json({ error: 'Conflict', message: 'A resource with this name already exists' })
+  }
   
   return res.status(500).json({ 
     error: 'Internal server error',
@@ -397,4 +407,264 @@ router.delete('/:id/members/:userId', authenticateUser, async (req, res) => {
   }
 })
 
+// ============================================================================
+// ORGANIZATION SECRET ENDPOINTS
+// ============================================================================
+
+/**
+ * Secret routes need the vault and its encryption key
+ */
+const requireSecretsVault = (req, res, next) => {
+  if (!secretsVault?.isConfigured) {
+    return res.status(503).json({
+      error: 'Secrets unavailable',
+      message: 'The secrets vault is not configured on this server (SECRETS_ENCRYPTION_KEY)'
+    })
+  }
+  next()
+}
+
+/**
+ * Environment secret overrides share the secret routes below; this resolves
+ * `:environment` to `req.environment` (organization-wide secrets leave it unset)
+ */
+const loadSecretEnvironment = async (req, res, next) => {
+  if (!req.params.environment) {
+    return next()
+  }
+
+  try {
+    req.environment = await environmentService.getEnvironment(req.params.id, req.params.environment)
+
+    if (!req.environment) {
+      return res.status(404).json({ error: 'Environment not found' })
+    }
+
+    next()
+  } catch (error) {
+    handleError(error, req, res)
+  }
+}
+
+const SECRET_PATHS = ['/:id/secrets', '/:id/environments/:environment/secrets']
+const SECRET_ITEM_PATHS = ['/:id/secrets/:name', '/:id/environments/:environment/secrets/:name']
+
+/**
+ * GET /api/organizations/:id/secrets
+ * GET /api/organizations/:id/environments/:environment/secrets
+ * List secret names and metadata (values are never returned)
+ */
+router.get(SECRET_PATHS, authenticateUser, requireOrganizationRole(['admin', 'member']), requireSecretsVault, loadSecretEnvironment, async (req, res) => {
+  try {
+    const secrets = await secretsVault.listSecrets(req.params.id, { environmentId: req.environment?.id })
+    res.json({ secrets })
+  } catch (error) {
+    handleError(error, req, res)
+  }
+})
+
+/**
+ * POST /api/organizations/:id/secrets
+ * POST /api/organizations/:id/environments/:environment/secrets
+ * Create a secret or an environment override of one (admin only)
+ */
+router.post(SECRET_PATHS, authenticateUser, requireOrganizationRole(['admin']), requireSecretsVault, loadSecretEnvironment, async (req, res) => {
+  try {
+    const { name, value, description = '' } = req.body
+    const validationError = getSecretNameError(name) || getSecretValueError(value)
+
+    if (validationError) {
+      return res.status(400).json({ 
+        error: 'Validation error', 
+        message: validationError 
+      })
+    }
+
+    const secret = await secretsVault.createSecret(req.params.id, {
+      name,
+      value,
+      description: String(description),
+      environmentId: req.environment?.id
+    }, req.user.id)
+    res.status(201).json({ secret })
+  } catch (error) {
+    handleError(error, req, res)
+  }
+})
+
+/**
+ * PUT /api/organizations/:id/secrets/:name
+ * PUT /api/organizations/:id/environments/:environment/secrets/:name
+ * Replace a secret's value and/or description (admin only)
+ */
+router.put(SECRET_ITEM_PATHS, authenticateUser, requireOrganizationRole(['admin']), requireSecretsVault, loadSecretEnvironment, async (req, res) => {
+  try {
+    const { value, description } = req.body
+
+    if (value === undefined && description === undefined) {
+      return res.status(400).json({ 
+        error: 'Validation error', 
+        message: 'Provide a new value and/or description' 
+      })
+    }
+
+    const validationError = value !== undefined ? getSecretValueError(value) : null
+    if (validationError) {
+      return res.status(400).json({ 
+        error: 'Validation error', 
+        message: validationError 
+      })
+    }
+
+    const secret = await secretsVault.updateSecret(req.params.id, req.params.name, {
+      value,
+      description: description !== undefined ? String(description) : undefined,
+      environmentId: req.environment?.id
+    }, req.user.id)
+
+    if (!secret) {
+      return res.status(404).json({ error: 'Secret not found' })
+    }
+
+    res.json({ secret })
+  } catch (error) {
+    handleError(error, req, res)
+  }
+})
+
+/**
+ * DELETE /api/organizations/:id/secrets/:name
+ * DELETE /api/organizations/:id/environments/:environment/secrets/:name
+ * Delete a secret (admin only)
+ */
+router.delete(SECRET_ITEM_PATHS, authenticateUser, requireOrganizationRole(['admin']), requireSecretsVault, loadSecretEnvironment, async (req, res) => {
+  try {
+    const deleted = await secretsVault.deleteSecret(req.params.id, req.params.name, req.user.id, {
+      environmentId: req.environment?.id
+    })
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Secret not found' })
+    }
+
+    res.status(204).send()
+  } catch (error) {
+    handleError(error, req, res)
+  }
+})
+
+// ============================================================================
+// ORGANIZATION ENVIRONMENT ENDPOINTS
+// ============================================================================
+
+/**
+ * GET /api/organizations/:id/environments
+ * List the organization's execution environments
+ */
+router.get('/:id/environments', authenticateUser, requireOrganizationRole(['admin', 'member']), async (req, res) => {
+  try {
+    const environments = await environmentService.listEnvironments(req.params.id)
+    res.json({ environments })
+  } catch (error) {
+    handleError(error, req, res)
+  }
+})
+
+/**
+ * GET /api/organizations/:id/environments/:name
+ * Get one environment with its variable overrides
+ */
+router.get('/:id/environments/:name', authenticateUser, requireOrganizationRole(['admin', 'member']), async (req, res) => {
+  try {
+    const environment = await environmentService.getEnvironment(req.params.id, req.params.name)
+
+    if (!environment) {
+      return res.status(404).json({ error: 'Environment not found' })
+    }
+
+    res.json({ environment })
+  } catch (error) {
+    handleError(error, req, res)
+  }
+})
+
+/**
+ * POST /api/organizations/:id/environments
+ * Create an environment (admin only)
+ */
+router.post('/:id/environments', authenticateUser, requireOrganizationRole(['admin']), async (req, res) => {
+  try {
+    const { name, description = '', variables = {} } = req.body
+    const validationError = getEnvironmentNameError(name) || getEnvironmentVariablesError(variables)
+
+    if (validationError) {
+      return res.status(400).json({ 
+        error: 'Validation error', 
+        message: validationError 
+      })
+    }
+
+    const environment = await environmentService.createEnvironment(req.params.id, {
+      name,
+      description: String(description),
+      variables
+    }, req.user.id)
+
+    res.status(201).json({ environment })
+  } catch (error) {
+    handleError(error, req, res)
+  }
+})
+
+/**
+ * PUT /api/organizations/:id/environments/:name
+ * Rename an environment or replace its description or variables (admin only)
+ */
+router.put('/:id/environments/:name', authenticateUser, requireOrganizationRole(['admin']), async (req, res) => {
+  try {
+    const { name, description, variables } = req.body
+    const validationError = (name !== undefined ? getEnvironmentNameError(name) : null) ||
+      (variables !== undefined ? getEnvironmentVariablesError(variables) : null)
+
+    if (validationError) {
+      return res.status(400).json({ 
+        error: 'Validation error', 
+        message: validationError 
+      })
+    }
+
+    const environment = await environmentService.updateEnvironment(req.params.id, req.params.name, {
+      name,
+      description: description !== undefined ? String(description) : undefined,
+      variables
+    }, req.user.id)
+
+    if (!environment) {
+      return res.status(404).json({ error: 'Environment not found' })
+    }
+
+    res.json({ environment })
+  } catch (error) {
+    handleError(error, req, res)
+  }
+})
+
+/**
+ * DELETE /api/organizations/:id/environments/:name
+ * Delete an environment and its secret overrides (admin only)
+ */
+router.delete('/:id/environments/:name', authenticateUser, requireOrganizationRole(['admin']), async (req, res) => {
+  try {
+    const deleted = await environmentService.deleteEnvironment(req.params.id, req.params.name, req.user.id)
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Environment not found' })
+    }
+
+    res.status(204).send()
+  } catch (error) {
+    handleError(error, req, res)
+  }
+})
+
 export default router
\ No newline at end of file
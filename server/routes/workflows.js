@@ -6,6 +6,13 @@
 import express from 'express'
 import { createClient } from '@supabase/supabase-js'
 import { AIWorkflowGenerator } from '../services/aiWorkflowGenerator.js'
+import { MAX_PREVIEW_RUNS } from '../services/workflowScheduler.js'
+import { getEnvironmentNameError } from '../services/environmentService.js'
+import { parseVersionReference } from '../services/workflowVersionService.js'
+import { diffWorkflows } from '../utils/workflowDiff.js'
+import { InputValidationError, getInputSchemaErrors, getOutputSchemaErrors, validateInputs } from '../utils/inputSchema.js'
+import { getBreakpointsError } from '../services/executionDebugger.js'
+import { VariableResolver } from '../utils/variableResolver.js'
 
 const router = express.Router()
 
@@ -31,6 +38,10 @@ import {
 // Error handler
 const handleError = (error, req, res) => {
   console.error('API Error:', error)
+
+  if (error instanceof InputValidationError) {
+    return res.status(400).json({ error: 'Validation error', message: error.message, details: error.errors })
+  }
   
   if (error.code === 'PGRST301') {
     return res.status(404).json({ error: 'Resource not found' })
@@ -39,6 +50,10 @@ const handleError = (error, req, res) => {
   if (error.code === 'PGRST116') {
     return res.status(403).json({ error: 'Access denied' })
   }
+
+  if (error.code === '23505') {
+    return res.status(409).json({ error: 'Conflict', message: 'The resource was changed concurrently, please retry' })
+  }
   
   return res.status(500).json({ 
     error: 'Internal server error',
@@ -46,6 +61,32 @@ const handleError = (error, req, res) => {
   })
 }
 
+/**
+ * Why a workflow cannot run in the named environment (null when it can)
+ */
+const getEnvironmentError = async (organizationId, name) => {
+  const nameError = getEnvironmentNameError(name)
+  if (nameError) return nameError
+
+  if (!organizationId) {
+    return 'Environments are only available to organization workflows'
+  }
+
+  const environment = await workflowEngine.environmentService.getEnvironment(organizationId, name)
+  return environment ? null : `Environment not found: ${name}`
+}
+
+const variableResolver = new VariableResolver()
+
+/**
+ * Problems with the step expressions and input/output schemas in a create or update body
+ */
+const getDefinitionErrors = ({ steps, input_schema, output_schema }) => [
+  ...variableResolver.getStepExpressionErrors(steps),
+  ...getInputSchemaErrors(input_schema),
+  ...getOutputSchemaErrors(output_schema)
+]
+
 // ============================================================================
 // WORKFLOW ENDPOINTS
 // ============================================================================
@@ -144,7 +185,7 @@ router.get('/:id', authenticateUser, validateResourceAccess('workflows'), async
  */
 router.post('/', authenticateUser, async (req, res) => {
   try {
-    const { name, description, steps = [], variables = {}, organization_id } = req.body
+    const { name, description, steps = [], variables = {}, input_schema = [], output_schema = [], organization_id } = req.body
 
     // Validation
     if (!name || name.trim().length === 0) {
@@ -161,11 +202,22 @@ router.post('/', authenticateUser, async (req, res) => {
       })
     }
 
+    const definitionErrors = getDefinitionErrors(req.body)
+    if (definitionErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: definitionErrors.join('; '),
+        details: definitionErrors
+      })
+    }
+
     const workflowData = {
       name: name.trim(),
       description: description?.trim() || '',
       steps,
       variables,
+      input_schema,
+      output_schema,
       user_id: req.user.id,
       status: 'draft'
     }
@@ -197,7 +249,7 @@ router.post('/', authenticateUser, async (req, res) => {
  */
 router.put('/:id', authenticateUser, validateResourceAccess('workflows'), async (req, res) => {
   try {
-    const { name, description, steps, variables, status } = req.body
+    const { name, description, steps, variables, input_schema, output_schema, status } = req.body
 
     const updates = {
       updated_at: new Date().toISOString()
@@ -226,6 +278,23 @@ router.put('/:id', authenticateUser, validateResourceAccess('workflows'), async
       updates.variables = variables
     }
 
+    const definitionErrors = getDefinitionErrors(req.body)
+    if (definitionErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: definitionErrors.join('; '),
+        details: definitionErrors
+      })
+    }
+
+    if (input_schema !== undefined) {
+      updates.input_schema = input_schema
+    }
+
+    if (output_schema !== undefined) {
+      updates.output_schema = output_schema
+    }
+
     if (status !== undefined) {
       if (!['draft', 'active', 'paused', 'archived'].includes(status)) {
         return res.status(400).json({ 
@@ -236,6 +305,22 @@ router.put('/:id', authenticateUser, validateResourceAccess('workflows'), async
       updates.status = status
     }
 
+    // Edits only touch the draft; an active workflow that was never published keeps running
+    // its current definition as version 1
+    if ([name, description, steps, variables, input_schema, output_schema].some(value => value !== undefined)) {
+      const { data: current, error: currentError } = await supabase
+        .from('workflows')
+        .select('*')
+        .eq('id', req.params.id)
+        .single()
+
+      if (currentError) {
+        return handleError(currentError, req, res)
+      }
+
+      await workflowEngine.versionService.ensureBaseline(current, req.user.id)
+    }
+
     const { data: workflow, error } = await supabase
       .from('workflows')
       .update(updates)
@@ -363,6 +448,152 @@ router.post('/:id/duplicate', authenticateUser, validateResourceAccess('workflow
   }
 })
 
+// ============================================================================
+// WORKFLOW VERSION ENDPOINTS
+// ============================================================================
+
+/**
+ * Load the full workflow row (the draft) for version operations
+ */
+const loadWorkflow = async (workflowId) => {
+  const { data, error } = await supabase
+    .from('workflows')
+    .select('*')
+    .eq('id', workflowId)
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+/**
+ * GET /api/workflows/:id/versions
+ * List published versions, newest first, and whether the draft has unpublished changes
+ */
+router.get('/:id/versions', authenticateUser, validateResourceAccess('workflows'), async (req, res) => {
+  try {
+    const workflow = await loadWorkflow(req.params.id)
+    const versions = await workflowEngine.versionService.listVersions(req.params.id)
+
+    res.json({
+      versions,
+      published_version: workflow.published_version || null,
+      has_unpublished_changes: await workflowEngine.versionService.hasUnpublishedChanges(workflow)
+    })
+  } catch (error) {
+    handleError(error, req, res)
+  }
+})
+
+/**
+ * GET /api/workflows/:id/versions/:version
+ * Get a version's definition (`draft` for the working copy)
+ */
+router.get('/:id/versions/:version', authenticateUser, validateResourceAccess('workflows'), async (req, res) => {
+  try {
+    const reference = parseVersionReference(req.params.version)
+    if (!reference) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Version must be a positive integer or "draft"'
+      })
+    }
+
+    const workflow = await loadWorkflow(req.params.id)
+    const version = await workflowEngine.versionService.getDefinition(workflow, reference)
+
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' })
+    }
+
+    res.json({ version })
+  } catch (error) {
+    handleError(error, req, res)
+  }
+})
+
+/**
+ * GET /api/workflows/:id/versions/:a/diff/:b
+ * Step-level structural diff from version `a` to version `b` (either may be `draft`)
+ */
+router.get('/:id/versions/:a/diff/:b', authenticateUser, validateResourceAccess('workflows'), async (req, res) => {
+  try {
+    const from = parseVersionReference(req.params.a)
+    const to = parseVersionReference(req.params.b)
+
+    if (!from || !to) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Versions must be positive integers or "draft"'
+      })
+    }
+
+    const workflow = await loadWorkflow(req.params.id)
+    const [before, after] = await Promise.all([
+      workflowEngine.versionService.getDefinition(workflow, from),
+      workflowEngine.versionService.getDefinition(workflow, to)
+    ])
+
+    if (!before || !after) {
+      return res.status(404).json({ error: 'Version not found' })
+    }
+
+    res.json({ from, to, diff: diffWorkflows(before, after) })
+  } catch (error) {
+    handleError(error, req, res)
+  }
+})
+
+/**
+ * POST /api/workflows/:id/publish
+ * Publish the draft as a new immutable version
+ */
+router.post('/:id/publish', authenticateUser, validateResourceAccess('workflows'), async (req, res) => {
+  try {
+    const { notes = '' } = req.body
+    const workflow = await loadWorkflow(req.params.id)
+
+    if (!(await workflowEngine.versionService.hasUnpublishedChanges(workflow))) {
+      return res.status(409).json({
+        error: 'Nothing to publish',
+        message: `The draft matches published version ${workflow.published_version}`
+      })
+    }
+
+    const version = await workflowEngine.versionService.publish(workflow, req.user.id, String(notes))
+    res.status(201).json({ version })
+  } catch (error) {
+    handleError(error, req, res)
+  }
+})
+
+/**
+ * POST /api/workflows/:id/versions/:version/rollback
+ * Republish an earlier version as the newest one and reset the draft to it
+ */
+router.post('/:id/versions/:version/rollback', authenticateUser, validateResourceAccess('workflows'), async (req, res) => {
+  try {
+    const reference = parseVersionReference(req.params.version)
+    if (!reference || reference === 'draft') {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Version must be a positive integer'
+      })
+    }
+
+    const workflow = await loadWorkflow(req.params.id)
+    const result = await workflowEngine.versionService.rollback(workflow, reference, req.user.id)
+
+    if (!result) {
+      return res.status(404).json({ error: 'Version not found' })
+    }
+
+    res.json(result)
+  } catch (error) {
+    handleError(error, req, res)
+  }
+})
+
 // ============================================================================
 // WORKFLOW EXECUTION ENDPOINTS
 // ============================================================================
@@ -394,6 +625,48 @@ router.post('/:id/execute', authenticateUser, validateResourceAccess('workflows'
       })
     }
 
+    const { environment } = req.body
+    if (environment !== undefined) {
+      const environmentError = await getEnvironmentError(workflowDetails.organization_id, environment)
+      if (environmentError) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: environmentError
+        })
+      }
+    }
+
+    // Published version by default; `version` picks another one or 'draft' to test unpublished edits
+    const version = req.body.version !== undefined ? parseVersionReference(req.body.version) : undefined
+    if (version === null) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Version must be a positive integer or "draft"'
+      })
+    }
+
+    if (typeof version === 'number' && !(await workflowEngine.versionService.getVersion(req.params.id, version))) {
+      return res.status(404).json({ error: 'Version not found' })
+    }
+
+    // Debug runs pause before any of these step ids
+    const { breakpoints } = req.body
+    if (breakpoints !== undefined && getBreakpointsError(breakpoints)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: getBreakpointsError(breakpoints)
+      })
+    }
+
+    // Seconds the run may take before it is stopped and failed; overrides EXECUTION_TIMEOUT_SECONDS
+    const { timeout } = req.body
+    if (timeout !== undefined && !(typeof timeout === 'number' && timeout > 0)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Timeout must be a positive number of seconds'
+      })
+    }
+
     // Execute workflow using the workflow engine
     const execution = await workflowEngine.execute(
       req.params.id,
@@ -402,7 +675,12 @@ router.post('/:id/execute', authenticateUser, validateResourceAccess('workflows'
       {
         trigger: 'manual',
         triggeredBy: req.user.id,
-        variables: req.body.variables || {}
+        variables: req.body.variables || {},
+        priority: req.body.priority,
+        environment,
+        version,
+        breakpoints,
+        timeout
       }
     )
 
@@ -424,7 +702,7 @@ router.get('/:id/executions', authenticateUser, validateResourceAccess('workflow
   try {
     const { page, limit, offset } = req.pagination
 
-    const { data: executions, error, count } = await supabase
+    let query = supabase
       .from('workflow_executions')
       .select(`
         id,
@@ -432,9 +710,19 @@ router.get('/:id/executions', authenticateUser, validateResourceAccess('workflow
         started_at,
         completed_at,
         error_message,
+        environment_name,
+        workflow_version,
+        parent_execution_id,
         created_at
       `, { count: 'exact' })
       .eq('workflow_id', req.params.id)
+
+    // Compare runs of one environment: ?environment=staging
+    if (req.query.environment) {
+      query = query.eq('environment_name', req.query.environment)
+    }
+
+    const { data: executions, error, count } = await query
       .order('created_at', { ascending: false })
       .range(offset, offset + limit - 1)
 
@@ -456,10 +744,99 @@ router.get('/:id/executions', authenticateUser, validateResourceAccess('workflow
   }
 })
 
+/**
+ * POST /api/workflows/:id/executions/:executionId/resume
+ * Resume an interrupted or failed execution from its last checkpoint
+ */
+router.post('/:id/executions/:executionId/resume', authenticateUser, validateResourceAccess('workflows'), async (req, res) => {
+  try {
+    const { data: execution, error } = await supabase
+      .from('workflow_executions')
+      .select('id, status, checkpoint')
+      .eq('id', req.params.executionId)
+      .eq('workflow_id', req.params.id)
+      .single()
+
+    if (error || !execution) {
+      return res.status(404).json({
+        error: 'Execution not found',
+        message: 'The specified execution does not belong to this workflow'
+      })
+    }
+
+    if (!['interrupted', 'failed'].includes(execution.status)) {
+      return res.status(409).json({
+        error: 'Execution not resumable',
+        message: `Only interrupted or failed executions can be resumed (current status: ${execution.status})`
+      })
+    }
+
+    await workflowEngine.resumeExecution(execution.id, { userId: req.user.id })
+
+    res.json({
+      message: 'Workflow execution resumed',
+      executionId: execution.id,
+      resumedFromStep: execution.checkpoint?.currentStepId || null
+    })
+  } catch (error) {
+    handleError(error, req, res)
+  }
+})
+
 // ============================================================================
 // WORKFLOW SCHEDULING ENDPOINTS  
 // ============================================================================
 
+/**
+ * POST /api/workflows/schedules/preview
+ * Next fire times of a schedule config (in its time zone) and warnings, without saving anything
+ */
+router.post('/schedules/preview', authenticateUser, async (req, res) => {
+  try {
+    const { scheduleConfig, count = 5, from } = req.body
+
+    if (!scheduleConfig) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Schedule configuration is required'
+      })
+    }
+
+    const validationErrors = workflowScheduler.getScheduleConfigErrors(scheduleConfig)
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: validationErrors.join('; ')
+      })
+    }
+
+    if (!Number.isInteger(count) || count < 1 || count > MAX_PREVIEW_RUNS) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `Count must be a whole number between 1 and ${MAX_PREVIEW_RUNS}`
+      })
+    }
+
+    const fromDate = from ? new Date(from) : new Date()
+    if (isNaN(fromDate.getTime())) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'From must be a valid date'
+      })
+    }
+
+    const preview = workflowScheduler.previewSchedule(scheduleConfig, { count, from: fromDate })
+
+    res.json({
+      ...preview,
+      from: fromDate.toISOString()
+    })
+
+  } catch (error) {
+    handleError(error, req, res)
+  }
+})
+
 /**
  * POST /api/workflows/:id/schedule
  * Schedule a workflow for automatic execution
@@ -475,6 +852,37 @@ router.post('/:id/schedule', authenticateUser, validateResourceAccess('workflows
       })
     }
 
+    const validationErrors = workflowScheduler.getScheduleConfigErrors(scheduleConfig)
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: validationErrors.join('; ')
+      })
+    }
+
+    if (scheduleConfig.environment) {
+      const environmentError = await getEnvironmentError(req.resource.organization_id, scheduleConfig.environment)
+      if (environmentError) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: environmentError
+        })
+      }
+    }
+
+    // Scheduled runs pass `variables` as inputs; check them now rather than at the first run
+    const workflow = await loadWorkflow(req.params.id)
+    const { workflow: definition } = await workflowEngine.versionService.resolveForExecution(workflow)
+    const { errors: inputErrors } = validateInputs(definition.input_schema, scheduleConfig.variables)
+
+    if (inputErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: inputErrors.join('; '),
+        details: inputErrors
+      })
+    }
+
     // Schedule the workflow
     await workflowScheduler.scheduleWorkflow(
       req.params.id,
@@ -592,15 +1000,18 @@ router.get('/engine/status', authenticateUser, async (req, res) => {
   try {
     const queueStatus = workflowEngine.getQueueStatus()
     const activeExecutions = workflowEngine.getActiveExecutions()
+    const queuedExecutions = workflowEngine.getQueuedExecutions()
     const schedulerStatus = workflowScheduler.getStatus()
+    const isVisible = exec =>
+      exec.userId === req.user.id ||
+      req.userOrganizations?.includes(exec.organizationId)
 
     res.json({
       engine: queueStatus,
       scheduler: schedulerStatus,
-      activeExecutions: activeExecutions.filter(exec => 
-        exec.userId === req.user.id || 
-        req.userOrganizations?.includes(exec.organizationId)
-      )
+      activeExecutions: activeExecutions.filter(isVisible),
+      // Position is global dispatch order, so it reflects executions from other tenants too
+      queuedExecutions: queuedExecutions.filter(isVisible)
     })
 
   } catch (error) {
@@ -0,0 +1,153 @@
+/**
+ * ✋ Approval Service
+ * Human approvals that suspended executions wait on: requests, decisions and timeouts
+ */
+
+import { logger } from '../middleware/errorHandler.js'
+
+export const APPROVAL_DECISIONS = ['approve', 'reject']
+
+/**
+ * Check an approval decision body: `{ decision, comment, formData }`
+ */
+export function getApprovalDecisionError({ decision, comment, formData } = {}) {
+  if (!APPROVAL_DECISIONS.includes(decision)) {
+    return `Decision must be one of ${APPROVAL_DECISIONS.join(', ')}`
+  }
+  if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+    return 'Comment must be a string'
+  }
+  if (formData !== undefined && formData !== null && (typeof formData !== 'object' || Array.isArray(formData))) {
+    return 'Form data must be an object'
+  }
+  if (formData && Object.prototype.hasOwnProperty.call(formData, 'secret')) {
+    return '"secret" is reserved for {{secret.NAME}} references'
+  }
+  return null
+}
+
+export class ApprovalService {
+  constructor(supabase, options = {}) {
+    this.supabase = supabase
+    this.table = options.table || 'execution_approvals'
+  }
+
+  /**
+   * Record that an execution is waiting on an approval step
+   */
+  async requestApproval({ executionId, workflowId, organizationId, stepId, title, message, approvers, expiresAt, timeoutOutcome }) {
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .insert([{
+        execution_id: executionId,
+        workflow_id: workflowId,
+        organization_id: organizationId,
+        step_id: stepId,
+        title,
+        message,
+        approvers,
+        expires_at: expiresAt,
+        timeout_outcome: timeoutOutcome,
+        status: 'pending'
+      }])
+      .select()
+      .single()
+
+    if (error) throw error
+
+    logger.info('Approval requested', { executionId, stepId, approvers: approvers.length })
+    return data
+  }
+
+  async listApprovals(executionId) {
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('execution_id', executionId)
+      .order('created_at', { ascending: true })
+
+    if (error) throw error
+    return data || []
+  }
+
+  /**
+   * The open approval for a step, or null when it has none (already decided or never reached)
+   */
+  async getPendingApproval(executionId, stepId) {
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('execution_id', executionId)
+      .eq('step_id', stepId)
+      .eq('status', 'pending')
+      .maybeSingle()
+
+    if (error) throw error
+    return data
+  }
+
+  /**
+   * Decide a pending approval; null when it was decided, expired or cancelled in the meantime
+   */
+  async decide(approvalId, { decision, comment = null, formData = {}, userId }) {
+    return this.closeApproval(approvalId, {
+      status: decision === 'approve' ? 'approved' : 'rejected',
+      comment,
+      form_data: formData || {},
+      decided_by: userId
+    })
+  }
+
+  /**
+   * Close pending approvals past their deadline with their configured timeout outcome
+   */
+  async expireApprovals(now = new Date()) {
+    const { data: expired, error } = await this.supabase
+      .from(this.table)
+      .select('id, timeout_outcome')
+      .eq('status', 'pending')
+      .lte('expires_at', now.toISOString())
+
+    if (error) throw error
+
+    const closed = []
+    for (const approval of expired || []) {
+      const row = await this.closeApproval(approval.id, {
+        status: approval.timeout_outcome === 'approve' ? 'approved' : 'rejected',
+        timed_out: true
+      })
+      if (row) closed.push(row)
+    }
+
+    return closed
+  }
+
+  /**
+   * Cancel an execution's open approvals so a late decision cannot revive it
+   */
+  async cancelPending(executionId) {
+    const { error } = await this.supabase
+      .from(this.table)
+      .update({ status: 'cancelled', decided_at: new Date().toISOString() })
+      .eq('execution_id', executionId)
+      .eq('status', 'pending')
+
+    if (error) throw error
+  }
+
+  /**
+   * Only a still-pending row is updated, so concurrent deciders (or instances) cannot both win
+   */
+  async closeApproval(approvalId, changes) {
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .update({ ...changes, decided_at: new Date().toISOString() })
+      .eq('id', approvalId)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle()
+
+    if (error) throw error
+    return data
+  }
+}
@@ -0,0 +1,214 @@
+/**
+ * 📦 Artifact Service
+ * Files produced by workflow steps, registered against their execution: stored through a
+ * pluggable backend, downloadable through signed URLs and removed after their retention period
+ */
+
+import crypto from 'crypto'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import { logger } from '../middleware/errorHandler.js'
+import { createArtifactBackend } from './artifactStorage.js'
+import { getMimeType } from '../utils/mimeTypes.js'
+
+const DEFAULT_RETENTION_DAYS = 30
+const DEFAULT_URL_TTL_SECONDS = 60 * 60
+const DAY = 24 * 60 * 60 * 1000
+
+// Expired artifacts removed per cleanup pass
+const CLEANUP_BATCH_SIZE = 100
+
+export class ArtifactService {
+  constructor(supabase, options = {}) {
+    this.supabase = supabase
+    this.table = options.table || 'execution_artifacts'
+    this.backend = options.backend || createArtifactBackend()
+    const retentionDays = parseInt(process.env.ARTIFACT_RETENTION_DAYS)
+    this.retentionDays = options.retentionDays ?? (Number.isNaN(retentionDays) ? DEFAULT_RETENTION_DAYS : retentionDays)
+    this.urlTtlSeconds = options.urlTtlSeconds ?? (parseInt(process.env.ARTIFACT_URL_TTL_SECONDS) || DEFAULT_URL_TTL_SECONDS)
+    this.signingSecret = options.signingSecret || process.env.ARTIFACT_URL_SECRET
+
+    // Links signed with a per-process secret stop working after a restart and on other instances
+    if (!this.signingSecret) {
+      this.signingSecret = crypto.randomBytes(32).toString('hex')
+      logger.warn('ARTIFACT_URL_SECRET is not set; artifact download links only work on this server until it restarts')
+    }
+  }
+
+  /**
+   * Store a file a step produced and record it against the execution; `move` removes the
+   * source file afterwards (captures that only exist to become artifacts)
+   */
+  async register({ executionId, workflowId, organizationId, userId, stepId, filepath, name, mimeType, move = false, retentionDays }) {
+    const data = await fs.readFile(filepath)
+    const id = crypto.randomUUID()
+    const filename = name || filepath.split(/[\\/]/).pop()
+    const key = `${organizationId || `user_${userId}`}/${executionId}/${id}/${filename.replace(/[\\/]/g, '_')}`
+    const resolvedMimeType = mimeType || getMimeType(filename)
+    const days = retentionDays ?? this.retentionDays
+
+    await this.backend.put(key, data, { mimeType: resolvedMimeType })
+
+    const { data: artifact, error } = await this.supabase
+      .from(this.table)
+      .insert([{
+        id,
+        execution_id: executionId,
+        workflow_id: workflowId,
+        organization_id: organizationId || null,
+        user_id: userId,
+        step_id: stepId,
+        name: filename,
+        mime_type: resolvedMimeType,
+        size: data.length,
+        checksum: crypto.createHash('sha256').update(data).digest('hex'),
+        storage_backend: this.backend.name,
+        storage_key: key,
+        expires_at: days > 0 ? new Date(Date.now() + days * DAY).toISOString() : null
+      }])
+      .select()
+      .single()
+
+    if (error) {
+      await this.backend.delete(key).catch(() => {})
+      throw error
+    }
+
+    if (move) {
+      await fs.rm(filepath, { force: true })
+    }
+
+    logger.info('Artifact registered', { executionId, stepId, artifactId: id, name: filename, size: data.length })
+    return artifact
+  }
+
+  async listArtifacts(executionId) {
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('execution_id', executionId)
+      .order('created_at', { ascending: true })
+
+    if (error) throw error
+    return data || []
+  }
+
+  async getArtifact(artifactId) {
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('id', artifactId)
+      .maybeSingle()
+
+    if (error) throw error
+    return data
+  }
+
+  /**
+   * An artifact if it belongs to the organization (or, without one, to the user)
+   */
+  async getOwnedArtifact(artifactId, { organizationId, userId }) {
+    const artifact = await this.getArtifact(artifactId)
+    const owned = artifact && (organizationId
+      ? artifact.organization_id === organizationId
+      : !artifact.organization_id && artifact.user_id === userId)
+
+    return owned ? artifact : null
+  }
+
+  /**
+   * The artifact as a file on this server, for steps that hand files to the browser: the stored
+   * file itself, or a temporary copy from remote storage that `release()` deletes
+   */
+  async getLocalFile(artifact) {
+    const download = await this.getDownload(artifact)
+    if (download.filepath) {
+      return { filepath: download.filepath, release: async () => {} }
+    }
+
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'artifact-'))
+    const filepath = path.join(directory, artifact.name.replace(/[\\/]/g, '_'))
+    await fs.writeFile(filepath, await this.backend.get(artifact.storage_key))
+
+    return { filepath, release: () => fs.rm(directory, { recursive: true, force: true }) }
+  }
+
+  /**
+   * Path of the download endpoint; without a signature it needs an authenticated request
+   */
+  getDownloadPath(artifactId) {
+    return `/api/artifacts/${artifactId}/download`
+  }
+
+  /**
+   * Download link that works without authentication until it expires
+   */
+  createSignedUrl(artifactId, ttlSeconds = this.urlTtlSeconds) {
+    const expires = Math.floor(Date.now() / 1000) + ttlSeconds
+    return {
+      url: `${this.getDownloadPath(artifactId)}?expires=${expires}&signature=${this.sign(artifactId, expires)}`,
+      expiresAt: new Date(expires * 1000).toISOString()
+    }
+  }
+
+  verifySignature(artifactId, expires, signature) {
+    if (typeof signature !== 'string' || !/^\d+$/.test(String(expires)) || Number(expires) * 1000 < Date.now()) {
+      return false
+    }
+
+    const expected = Buffer.from(this.sign(artifactId, expires))
+    const given = Buffer.from(signature)
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given)
+  }
+
+  sign(artifactId, expires) {
+    return crypto.createHmac('sha256', this.signingSecret).update(`${artifactId}:${expires}`).digest('hex')
+  }
+
+  /**
+   * Where to fetch the artifact's bytes: `{ filepath }` to stream, or `{ url }` to redirect to
+   */
+  async getDownload(artifact) {
+    return this.backend.getDownload(artifact.storage_key, {
+      filename: artifact.name,
+      mimeType: artifact.mime_type,
+      expiresIn: this.urlTtlSeconds
+    })
+  }
+
+  /**
+   * Delete artifacts past their retention period, from storage and from the registry
+   */
+  async deleteExpired(now = new Date()) {
+    const { data: expired, error } = await this.supabase
+      .from(this.table)
+      .select('id, storage_key')
+      .lte('expires_at', now.toISOString())
+      .limit(CLEANUP_BATCH_SIZE)
+
+    if (error) throw error
+
+    let deleted = 0
+    for (const artifact of expired || []) {
+      try {
+        await this.backend.delete(artifact.storage_key)
+
+        const { error: deleteError } = await this.supabase
+          .from(this.table)
+          .delete()
+          .eq('id', artifact.id)
+
+        if (deleteError) throw deleteError
+        deleted++
+      } catch (error) {
+        logger.error('Failed to delete expired artifact', { artifactId: artifact.id, error: error.message })
+      }
+    }
+
+    if (deleted > 0) {
+      logger.info('Expired artifacts deleted', { count: deleted })
+    }
+    return deleted
+  }
+}
@@ -0,0 +1,135 @@
+// @vitest-environment node
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import { ArtifactService } from './artifactService.js'
+import { LocalArtifactBackend, S3ArtifactBackend, contentDisposition, createArtifactBackend } from './artifactStorage.js'
+import { createFakeSupabase } from '../tests/fakeSupabase.js'
+
+describe('ArtifactService', () => {
+  let root
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'artifact-test-'))
+  })
+
+  afterEach(async () => {
+    vi.useRealTimers()
+    await fs.rm(root, { recursive: true, force: true })
+  })
+
+  const createService = (options = {}) => new ArtifactService(createFakeSupabase({ execution_artifacts: [] }), {
+    backend: new LocalArtifactBackend({ root: path.join(root, 'store') }),
+    signingSecret: 'secret',
+    ...options
+  })
+
+  const writeCapture = async (name, content) => {
+    const filepath = path.join(root, name)
+    await fs.writeFile(filepath, content)
+    return filepath
+  }
+
+  test('stores a step\'s file under its owner and execution and records it', async () => {
+    const service = createService({ retentionDays: 7 })
+    const filepath = await writeCapture('report.csv', 'id\n1\n')
+
+    const artifact = await service.register({ executionId: 'exec', workflowId: 'wf', organizationId: 'org', userId: 'u', stepId: 'export', filepath, move: true })
+
+    expect(artifact).toMatchObject({ name: 'report.csv', mime_type: 'text/csv', size: 5, storage_backend: 'local', organization_id: 'org' })
+    expect(artifact.storage_key).toBe(`org/exec/${artifact.id}/report.csv`)
+    expect(new Date(artifact.expires_at) - Date.now()).toBeGreaterThan(6.9 * 24 * 60 * 60 * 1000)
+    await expect(fs.access(filepath)).rejects.toThrow()
+
+    const { filepath: stored } = await service.getDownload(artifact)
+    expect(await fs.readFile(stored, 'utf8')).toBe('id\n1\n')
+    expect(await service.listArtifacts('exec')).toHaveLength(1)
+  })
+
+  test('signs download links that stop working when they expire or are altered', () => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    const service = createService({ urlTtlSeconds: 60 })
+
+    const { url } = service.createSignedUrl('art')
+    const query = new URL(url, 'http://localhost').searchParams
+
+    expect(url.startsWith('/api/artifacts/art/download?')).toBe(true)
+    expect(service.verifySignature('art', query.get('expires'), query.get('signature'))).toBe(true)
+    expect(service.verifySignature('other', query.get('expires'), query.get('signature'))).toBe(false)
+    expect(createService({ signingSecret: 'rotated' }).verifySignature('art', query.get('expires'), query.get('signature'))).toBe(false)
+
+    vi.setSystemTime(Date.now() + 61000)
+    expect(service.verifySignature('art', query.get('expires'), query.get('signature'))).toBe(false)
+  })
+
+  test('shows artifacts only to the organization, or the user without one, that owns them', async () => {
+    const service = createService()
+    const shared = await service.register({ executionId: 'e1', organizationId: 'org', userId: 'u', filepath: await writeCapture('a.txt', 'a') })
+    const personal = await service.register({ executionId: 'e2', userId: 'u', filepath: await writeCapture('b.txt', 'b') })
+
+    expect(await service.getOwnedArtifact(shared.id, { organizationId: 'org', userId: 'someone' })).toMatchObject({ id: shared.id })
+    expect(await service.getOwnedArtifact(shared.id, { organizationId: 'other', userId: 'u' })).toBeNull()
+    expect(await service.getOwnedArtifact(shared.id, { userId: 'u' })).toBeNull()
+    expect(await service.getOwnedArtifact(personal.id, { userId: 'u' })).toMatchObject({ storage_key: expect.stringMatching(/^user_u\/e2\//) })
+  })
+
+  test('hands out stored files directly and remote ones as temporary copies', async () => {
+    const local = createService()
+    const artifact = await local.register({ executionId: 'exec', userId: 'u', filepath: await writeCapture('a.txt', 'local') })
+    const remote = createService({
+      backend: { name: 'memory', getDownload: async key => ({ url: `https://storage.test/${key}` }), get: async () => Buffer.from('remote') }
+    })
+
+    const stored = await local.getLocalFile(artifact)
+    const copy = await remote.getLocalFile({ ...artifact, name: 'dir/b.txt' })
+
+    expect(stored.filepath).toBe(path.join(root, 'store', artifact.storage_key))
+    expect(path.basename(copy.filepath)).toBe('dir_b.txt')
+    expect(await fs.readFile(copy.filepath, 'utf8')).toBe('remote')
+    await copy.release()
+    await expect(fs.access(copy.filepath)).rejects.toThrow()
+  })
+
+  test('deletes artifacts past their retention period and keeps the rest', async () => {
+    const service = createService({ retentionDays: 1 })
+    const old = await service.register({ executionId: 'exec', userId: 'u', filepath: await writeCapture('old.txt', 'old') })
+    const kept = await service.register({ executionId: 'exec', userId: 'u', filepath: await writeCapture('kept.txt', 'kept'), retentionDays: 0 })
+
+    expect(await service.deleteExpired(new Date(Date.now() + 2 * 24 * 60 * 60 * 1000))).toBe(1)
+
+    expect((await service.listArtifacts('exec')).map(artifact => artifact.id)).toEqual([kept.id])
+    await expect(fs.access(path.join(root, 'store', old.storage_key))).rejects.toThrow()
+  })
+})
+
+describe('artifact storage', () => {
+  test('keeps local keys inside the storage root', () => {
+    const backend = new LocalArtifactBackend({ root: '/srv/artifacts' })
+
+    expect(backend.resolve('org/exec/a.txt')).toBe('/srv/artifacts/org/exec/a.txt')
+    expect(() => backend.resolve('../etc/passwd')).toThrow('Invalid artifact key: ../etc/passwd')
+  })
+
+  test('presigns S3 downloads for the object, naming the file', () => {
+    vi.useFakeTimers({ toFake: ['Date'], now: new Date('2026-01-02T03:04:05Z') })
+    const backend = new S3ArtifactBackend({ endpoint: 'https://minio.local:9000/', bucket: 'runs', accessKeyId: 'AKID', secretAccessKey: 'secret' })
+
+    const url = new URL(backend.presign('GET', 'org/exec/report (1).csv', 300, 'report (1).csv'))
+    vi.useRealTimers()
+
+    expect(url.origin + url.pathname).toBe('https://minio.local:9000/runs/org/exec/report%20%281%29.csv')
+    expect(Object.fromEntries(url.searchParams)).toMatchObject({
+      'X-Amz-Credential': 'AKID/20260102/us-east-1/s3/aws4_request',
+      'X-Amz-Date': '20260102T030405Z',
+      'X-Amz-Expires': '300',
+      'response-content-disposition': 'attachment; filename="report (1).csv"; filename*=UTF-8\'\'report%20%281%29.csv',
+      'X-Amz-Signature': expect.stringMatching(/^[0-9a-f]{64}$/)
+    })
+  })
+
+  test('names the settings a backend is missing', () => {
+    expect(() => createArtifactBackend('gcs')).toThrow('Unknown artifact storage "gcs", expected one of local, s3')
+    expect(() => createArtifactBackend('s3', { bucket: 'runs' })).toThrow('S3 artifact storage needs ARTIFACT_S3_BUCKET')
+    expect(contentDisposition('Übersicht "Q1".pdf')).toBe('attachment; filename="_bersicht _Q1_.pdf"; filename*=UTF-8\'\'%C3%9Cbersicht%20%22Q1%22.pdf')
+  })
+})
@@ -0,0 +1,220 @@
+/**
+ * 🗄️ Artifact Storage
+ * Backends holding execution artifact bytes: the local filesystem, or any S3-compatible
+ * object store (AWS S3, MinIO, R2, ...) signed with AWS Signature Version 4
+ */
+
+import crypto from 'crypto'
+import fs from 'fs/promises'
+import path from 'path'
+
+export const ARTIFACT_BACKENDS = ['local', 's3']
+
+/**
+ * Files under a local directory; downloads are streamed by the API
+ */
+export class LocalArtifactBackend {
+  constructor(options = {}) {
+    this.name = 'local'
+    this.root = path.resolve(options.root || process.env.ARTIFACT_LOCAL_DIR || path.join(process.cwd(), 'server', 'artifacts'))
+  }
+
+  resolve(key) {
+    const target = path.resolve(this.root, key)
+    if (!target.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid artifact key: ${key}`)
+    }
+    return target
+  }
+
+  async put(key, data) {
+    const target = this.resolve(key)
+    await fs.mkdir(path.dirname(target), { recursive: true })
+    await fs.writeFile(target, data)
+  }
+
+  async get(key) {
+    return fs.readFile(this.resolve(key))
+  }
+
+  async delete(key) {
+    await fs.rm(this.resolve(key), { force: true })
+  }
+
+  /**
+   * Where the API reads the artifact from when serving a download
+   */
+  async getDownload(key) {
+    return { filepath: this.resolve(key) }
+  }
+}
+
+/**
+ * Objects in an S3-compatible bucket, addressed path-style (`endpoint/bucket/key`);
+ * downloads redirect to a presigned URL
+ */
+export class S3ArtifactBackend {
+  constructor(options = {}) {
+    this.name = 's3'
+    this.endpoint = (options.endpoint || process.env.ARTIFACT_S3_ENDPOINT || 'https://s3.amazonaws.com').replace(/\/+$/, '')
+    this.bucket = options.bucket || process.env.ARTIFACT_S3_BUCKET
+    this.region = options.region || process.env.ARTIFACT_S3_REGION || 'us-east-1'
+    this.accessKeyId = options.accessKeyId || process.env.ARTIFACT_S3_ACCESS_KEY_ID
+    this.secretAccessKey = options.secretAccessKey || process.env.ARTIFACT_S3_SECRET_ACCESS_KEY
+
+    if (!this.bucket || !this.accessKeyId || !this.secretAccessKey) {
+      throw new Error('S3 artifact storage needs ARTIFACT_S3_BUCKET, ARTIFACT_S3_ACCESS_KEY_ID and ARTIFACT_S3_SECRET_ACCESS_KEY')
+    }
+  }
+
+  async put(key, data, { mimeType } = {}) {
+    await this.request('PUT', key, {
+      body: data,
+      headers: { 'content-type': mimeType || 'application/octet-stream' }
+    })
+  }
+
+  async get(key) {
+    const response = await this.request('GET', key)
+    return Buffer.from(await response.arrayBuffer())
+  }
+
+  async delete(key) {
+    await this.request('DELETE', key)
+  }
+
+  async getDownload(key, { filename, expiresIn = 3600 } = {}) {
+    return { url: this.presign('GET', key, expiresIn, filename) }
+  }
+
+  // ==========================================================================
+  // SIGNATURE VERSION 4
+  // ==========================================================================
+
+  objectUrl(key) {
+    return new URL(`${this.endpoint}/${encodePath(this.bucket)}/${encodePath(key)}`)
+  }
+
+  scope(date) {
+    return `${date}/${this.region}/s3/aws4_request`
+  }
+
+  signature(date, stringToSign) {
+    let signingKey = hmac(`AWS4${this.secretAccessKey}`, date)
+    for (const part of [this.region, 's3', 'aws4_request']) {
+      signingKey = hmac(signingKey, part)
+    }
+    return hmac(signingKey, stringToSign).toString('hex')
+  }
+
+  async request(method, key, { body, headers = {} } = {}) {
+    const url = this.objectUrl(key)
+    const { amzDate, date } = timestamps()
+    const payloadHash = sha256(body || '')
+
+    const signedHeaders = {
+      ...headers,
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    }
+    const headerNames = Object.keys(signedHeaders).map(name => name.toLowerCase()).sort()
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      '',
+      headerNames.map(name => `${name}:${String(signedHeaders[name]).trim()}\n`).join(''),
+      headerNames.join(';'),
+      payloadHash
+    ].join('\n')
+
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, this.scope(date), sha256(canonicalRequest)].join('\n')
+    const authorization = `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${this.scope(date)}, ` +
+      `SignedHeaders=${headerNames.join(';')}, Signature=${this.signature(date, stringToSign)}`
+
+    const { host, ...requestHeaders } = signedHeaders
+    const response = await fetch(url, {
+      method,
+      body,
+      headers: { ...requestHeaders, authorization }
+    })
+
+    if (!response.ok && !(method === 'DELETE' && response.status === 404)) {
+      throw new Error(`S3 ${method} ${key} failed: HTTP ${response.status} ${await response.text()}`)
+    }
+    return response
+  }
+
+  /**
+   * Presigned URL anyone can use until it expires
+   */
+  presign(method, key, expiresIn, filename) {
+    const url = this.objectUrl(key)
+    const { amzDate, date } = timestamps()
+
+    const query = {
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': `${this.accessKeyId}/${this.scope(date)}`,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': String(expiresIn),
+      'X-Amz-SignedHeaders': 'host'
+    }
+    if (filename) {
+      query['response-content-disposition'] = contentDisposition(filename)
+    }
+
+    const canonicalQuery = Object.keys(query).sort()
+      .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+      .join('&')
+    const canonicalRequest = [method, url.pathname, canonicalQuery, `host:${url.host}\n`, 'host', 'UNSIGNED-PAYLOAD'].join('\n')
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, this.scope(date), sha256(canonicalRequest)].join('\n')
+
+    return `${url.origin}${url.pathname}?${canonicalQuery}&X-Amz-Signature=${this.signature(date, stringToSign)}`
+  }
+}
+
+/**
+ * Backend named by `ARTIFACT_STORAGE` (default local)
+ */
+export function createArtifactBackend(name = process.env.ARTIFACT_STORAGE || 'local', options = {}) {
+  if (name === 's3') {
+    return new S3ArtifactBackend(options)
+  }
+  if (name !== 'local') {
+    throw new Error(`Unknown artifact storage "${name}", expected one of ${ARTIFACT_BACKENDS.join(', ')}`)
+  }
+  return new LocalArtifactBackend(options)
+}
+
+/**
+ * Content-Disposition value for a download, with a UTF-8 fallback for non-ASCII names
+ */
+export function contentDisposition(filename) {
+  const ascii = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_')
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encodeRfc3986(filename)}`
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex')
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest()
+}
+
+function timestamps() {
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '')
+  return { amzDate, date: amzDate.slice(0, 8) }
+}
+
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)
+}
+
+function encodePath(key) {
+  return key.split('/').map(encodeRfc3986).join('/')
+}
@@ -6,12 +6,82 @@
 import puppeteer from 'puppeteer-extra'
 import StealthPlugin from 'puppeteer-extra-plugin-stealth'
 import { logger } from '../middleware/errorHandler.js'
+import { abortable, sleep, throwIfAborted } from '../utils/abort.js'
 import fs from 'fs/promises'
 import path from 'path'
 
 // Add stealth plugin to avoid detection
 puppeteer.use(StealthPlugin())
 
+/**
+ * Runs in the page: raw field values of every row not already marked with `mark`, marking them
+ * so the next pass (after a "next page" or "load more" click) only reads new rows. Without a
+ * mark every row is read.
+ */
+function readTableRows(rows, fields, mark) {
+  const read = (element, attribute) => {
+    if (!element) return null
+    if (attribute === 'text') return element.textContent.replace(/\s+/g, ' ').trim()
+    if (attribute === 'html') return element.innerHTML.trim()
+    return element.getAttribute(attribute)
+  }
+
+  return rows
+    .filter(row => !mark || row.getAttribute('data-rpa-extracted') !== mark)
+    .map(row => {
+      if (mark) row.setAttribute('data-rpa-extracted', mark)
+      return Object.fromEntries(fields.map(({ name, selector, attribute, multiple }) => {
+        if (multiple) {
+          const elements = selector ? Array.from(row.querySelectorAll(selector)) : [row]
+          return [name, elements.map(element => read(element, attribute))]
+        }
+        return [name, read(selector ? row.querySelector(selector) : row, attribute)]
+      }))
+    })
+}
+
+// Friendlier names for Puppeteer's key names
+const KEY_ALIASES = {
+  ctrl: 'Control',
+  control: 'Control',
+  cmd: 'Meta',
+  command: 'Meta',
+  meta: 'Meta',
+  alt: 'Alt',
+  option: 'Alt',
+  shift: 'Shift',
+  esc: 'Escape',
+  return: 'Enter',
+  del: 'Delete',
+  space: ' ',
+  up: 'ArrowUp',
+  down: 'ArrowDown',
+  left: 'ArrowLeft',
+  right: 'ArrowRight',
+  pgup: 'PageUp',
+  pgdn: 'PageDown'
+}
+
+/**
+ * Key combinations to press in order: "Control+A", or an array of them for a sequence
+ * (["Tab", "Tab", "Enter"]); each becomes its keys, modifiers first
+ */
+export function parseKeys(keys) {
+  const combos = Array.isArray(keys) ? keys : [keys]
+  if (combos.length === 0 || combos.some(combo => typeof combo !== 'string' || combo === '')) {
+    throw new Error('Keys must be a key combination such as "Control+A", or an array of them')
+  }
+
+  return combos.map(combo => (combo === '+' ? ['+'] : combo.split(/(?<!^)\+(?!$)/))
+    .map(key => KEY_ALIASES[key.toLowerCase()] || (key.length === 1 ? key : key[0].toUpperCase() + key.slice(1))))
+}
+
+function nextTabId(session) {
+  let number = session.pages.size + 1
+  while (session.pages.has(`tab_${number}`)) number++
+  return `tab_${number}`
+}
+
 export class BrowserAutomationService {
   constructor() {
     this.activeBrowsers = new Map()
@@ -68,6 +138,10 @@ export class BrowserAutomationService {
       this.activeBrowsers.set(sessionId, {
         browser,
         pages: new Map(),
+        // Frame element actions run in, per page, after switch_frame
+        frames: new Map(),
+        // The blank tab the browser starts with is not one of the session's tabs
+        launchPages: new Set(await browser.pages()),
         createdAt: new Date(),
         lastActivity: new Date()
       })
@@ -86,7 +160,7 @@ export class BrowserAutomationService {
    */
   async getBrowser(sessionId) {
     const session = this.activeBrowsers.get(sessionId)
-    if (session && !session.browser.isClosed()) {
+    if (session && session.browser.connected) {
       session.lastActivity = new Date()
       return session.browser
     }
@@ -101,35 +175,60 @@ export class BrowserAutomationService {
   async createPage(sessionId, pageId) {
     try {
       const browser = await this.getBrowser(sessionId)
-      const page = await browser.newPage()
-
-      // Set viewport
-      await page.setViewport({ width: 1366, height: 768 })
+      return await this.registerPage(sessionId, pageId, await browser.newPage())
 
-      // Set user agent
-      await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36')
-
-      // Set default timeout
-      page.setDefaultTimeout(this.defaultTimeout)
+    } catch (error) {
+      logger.error('Failed to create page', { sessionId, pageId, error: error.message })
+      throw error
+    }
+  }
 
-      // Configure downloads
-      await page._client.send('Page.setDownloadBehavior', {
-        behavior: 'allow',
-        downloadPath: this.downloadDir
-      })
+  /**
+   * Set up a page and keep it under `pageId`; also used for tabs the site opens itself
+   */
+  async registerPage(sessionId, pageId, page) {
+    // Set viewport
+    await page.setViewport({ width: 1366, height: 768 })
+
+    // Set user agent
+    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36')
+
+    // Set default timeout
+    page.setDefaultTimeout(this.defaultTimeout)
+
+    // Downloads land in a folder of their own per session, where download steps pick them up
+    const downloadPath = this.getDownloadDir(sessionId)
+    await fs.mkdir(downloadPath, { recursive: true })
+    const client = await page.createCDPSession()
+    await client.send('Page.setDownloadBehavior', {
+      behavior: 'allow',
+      downloadPath
+    })
+
+    // Store page reference
+    const session = this.activeBrowsers.get(sessionId)
+    session.pages.set(pageId, page)
+    session.lastActivity = new Date()
 
-      // Store page reference
-      const session = this.activeBrowsers.get(sessionId)
-      session.pages.set(pageId, page)
-      session.lastActivity = new Date()
+    logger.debug('Page created', { sessionId, pageId })
+    return page
+  }
 
-      logger.debug('Page created', { sessionId, pageId })
-      return page
+  /**
+   * The page, or the frame switch_frame selected in it; element actions run against this
+   */
+  async getTarget(sessionId, pageId = 'default') {
+    const page = await this.getPage(sessionId, pageId)
+    const frames = this.activeBrowsers.get(sessionId)?.frames
+    const frame = frames?.get(pageId)
 
-    } catch (error) {
-      logger.error('Failed to create page', { sessionId, pageId, error: error.message })
-      throw error
+    if (frame && !frame.detached) {
+      return frame
     }
+
+    // Navigating away detaches the frame, which puts actions back in the page
+    frames?.delete(pageId)
+    return page
   }
 
   /**
@@ -155,15 +254,16 @@ export class BrowserAutomationService {
   async navigate(sessionId, url, pageId = 'default', options = {}) {
     try {
       const page = await this.getPage(sessionId, pageId)
+      const { signal, ...gotoOptions } = options
       
       const navigateOptions = {
         waitUntil: 'networkidle2',
         timeout: this.defaultTimeout,
-        ...options
+        ...gotoOptions
       }
 
       logger.info('Navigating to URL', { sessionId, url })
-      const response = await page.goto(url, navigateOptions)
+      const response = await abortable(page.goto(url, navigateOptions), signal)
 
       return {
         success: true,
@@ -186,10 +286,11 @@ export class BrowserAutomationService {
    */
   async click(sessionId, selector, pageId = 'default', options = {}) {
     try {
-      const page = await this.getPage(sessionId, pageId)
+      const page = await this.getTarget(sessionId, pageId)
+      const { signal, ...clickOptions } = options
       
-      await page.waitForSelector(selector, { timeout: options.timeout || this.defaultTimeout })
-      await page.click(selector, options)
+      await page.waitForSelector(selector, { timeout: options.timeout || this.defaultTimeout, signal })
+      await abortable(page.click(selector, clickOptions), signal)
 
       logger.debug('Element clicked', { sessionId, selector })
       return { success: true }
@@ -208,15 +309,15 @@ export class BrowserAutomationService {
    */
   async type(sessionId, selector, text, pageId = 'default', options = {}) {
     try {
-      const page = await this.getPage(sessionId, pageId)
+      const page = await this.getTarget(sessionId, pageId)
       
-      await page.waitForSelector(selector, { timeout: options.timeout || this.defaultTimeout })
+      await page.waitForSelector(selector, { timeout: options.timeout || this.defaultTimeout, signal: options.signal })
       
       if (options.clear) {
-        await page.click(selector, { clickCount: 3 }) // Select all
+        await abortable(page.click(selector, { clickCount: 3 }), options.signal) // Select all
       }
       
-      await page.type(selector, text, { delay: options.delay || 100 })
+      await abortable(page.type(selector, text, { delay: options.delay || 100 }), options.signal)
 
       logger.debug('Text typed', { sessionId, selector, textLength: text.length })
       return { success: true }
@@ -235,11 +336,12 @@ export class BrowserAutomationService {
    */
   async waitForElement(sessionId, selector, pageId = 'default', options = {}) {
     try {
-      const page = await this.getPage(sessionId, pageId)
+      const page = await this.getTarget(sessionId, pageId)
       
       await page.waitForSelector(selector, {
         timeout: options.timeout || this.defaultTimeout,
-        visible: options.visible !== false
+        visible: options.visible !== false,
+        signal: options.signal
       })
 
       logger.debug('Element found', { sessionId, selector })
@@ -259,7 +361,7 @@ export class BrowserAutomationService {
    */
   async extractText(sessionId, selector, pageId = 'default', options = {}) {
     try {
-      const page = await this.getPage(sessionId, pageId)
+      const page = await this.getTarget(sessionId, pageId)
       
       if (options.multiple) {
         const texts = await page.$$eval(selector, elements => 
@@ -267,7 +369,7 @@ export class BrowserAutomationService {
         )
         return { success: true, data: texts }
       } else {
-        await page.waitForSelector(selector, { timeout: options.timeout || this.defaultTimeout })
+        await page.waitForSelector(selector, { timeout: options.timeout || this.defaultTimeout, signal: options.signal })
         const text = await page.$eval(selector, el => el.textContent.trim())
         return { success: true, data: text }
       }
@@ -286,7 +388,7 @@ export class BrowserAutomationService {
    */
   async extractAttribute(sessionId, selector, attribute, pageId = 'default', options = {}) {
     try {
-      const page = await this.getPage(sessionId, pageId)
+      const page = await this.getTarget(sessionId, pageId)
       
       if (options.multiple) {
         const attributes = await page.$$eval(selector, (elements, attr) => 
@@ -294,7 +396,7 @@ export class BrowserAutomationService {
         )
         return { success: true, data: attributes }
       } else {
-        await page.waitForSelector(selector, { timeout: options.timeout || this.defaultTimeout })
+        await page.waitForSelector(selector, { timeout: options.timeout || this.defaultTimeout, signal: options.signal })
         const value = await page.$eval(selector, (el, attr) => el.getAttribute(attr), attribute)
         return { success: true, data: value }
       }
@@ -308,6 +410,72 @@ export class BrowserAutomationService {
     }
   }
 
+  /**
+   * Read `fields` ({ name, selector, attribute, multiple }) from each element matching
+   * `rowSelector`; with a `mark`, rows read before under the same mark are skipped
+   */
+  async extractTable(sessionId, rowSelector, fields, pageId = 'default', options = {}) {
+    try {
+      const page = await this.getTarget(sessionId, pageId)
+      const fieldSources = fields.map(({ name, selector, attribute, multiple }) => ({ name, selector, attribute, multiple }))
+
+      const rows = await abortable(page.$$eval(rowSelector, readTableRows, fieldSources, options.mark || null), options.signal)
+      return { success: true, data: rows, url: page.url() }
+
+    } catch (error) {
+      logger.error('Table extraction failed', { sessionId, rowSelector, error: error.message })
+      return {
+        success: false,
+        error: error.message
+      }
+    }
+  }
+
+  /**
+   * Follow a "next page" control. Missing or disabled controls, and clicks that bring no rows
+   * unread under `mark` before the timeout, end the pagination (`hasNext: false`).
+   */
+  async nextPage(sessionId, nextSelector, rowSelector, mark, pageId = 'default', options = {}) {
+    try {
+      const page = await this.getTarget(sessionId, pageId)
+      const enabled = await page.$eval(nextSelector, element =>
+        !element.disabled &&
+        element.getAttribute('aria-disabled') !== 'true' &&
+        !element.classList.contains('disabled')
+      ).catch(() => false)
+
+      if (!enabled) {
+        return { success: true, hasNext: false }
+      }
+
+      await abortable(page.click(nextSelector), options.signal)
+
+      try {
+        await page.waitForFunction(
+          (selector, rowMark) => Array.from(document.querySelectorAll(selector))
+            .some(row => row.getAttribute('data-rpa-extracted') !== rowMark),
+          { timeout: options.timeout || this.defaultTimeout, signal: options.signal },
+          rowSelector,
+          mark
+        )
+      } catch (error) {
+        if (error.name !== 'TimeoutError') throw error
+        logger.warn('No new rows after next page click', { sessionId, nextSelector })
+        return { success: true, hasNext: false }
+      }
+
+      logger.debug('Next page loaded', { sessionId, nextSelector })
+      return { success: true, hasNext: true }
+
+    } catch (error) {
+      logger.error('Next page failed', { sessionId, nextSelector, error: error.message })
+      return {
+        success: false,
+        error: error.message
+      }
+    }
+  }
+
   /**
    * Take a screenshot
    */
@@ -382,12 +550,60 @@ export class BrowserAutomationService {
     }
   }
 
+  /**
+   * Folder the session's browser-triggered downloads are saved to
+   */
+  getDownloadDir(sessionId) {
+    return path.join(this.downloadDir, String(sessionId).replace(/[^\w-]/g, '_'))
+  }
+
+  /**
+   * Wait for a download started at or after `since` to finish (Chrome drops the .crdownload suffix)
+   */
+  async waitForDownload(sessionId, options = {}) {
+    const directory = this.getDownloadDir(sessionId)
+    const timeout = options.timeout || this.defaultTimeout
+    const deadline = Date.now() + timeout
+    const since = options.since || 0
+
+    try {
+      while (Date.now() < deadline) {
+        const filenames = await fs.readdir(directory).catch(() => [])
+
+        for (const filename of filenames) {
+          if (filename.endsWith('.crdownload')) continue
+
+          const filepath = path.join(directory, filename)
+          const stats = await fs.stat(filepath)
+          if (stats.isFile() && stats.mtimeMs >= since) {
+            logger.info('Download finished', { sessionId, filename, size: stats.size })
+            return { success: true, filepath, filename, size: stats.size }
+          }
+        }
+
+        await sleep(250, options.signal)
+      }
+
+      return {
+        success: false,
+        error: `No download finished within ${timeout}ms`
+      }
+
+    } catch (error) {
+      logger.error('Waiting for download failed', { sessionId, error: error.message })
+      return {
+        success: false,
+        error: error.message
+      }
+    }
+  }
+
   /**
    * Scroll the page
    */
   async scroll(sessionId, direction = 'down', amount = 500, pageId = 'default') {
     try {
-      const page = await this.getPage(sessionId, pageId)
+      const page = await this.getTarget(sessionId, pageId)
       
       const scrollScript = `
         window.scrollBy(0, ${direction === 'down' ? amount : -amount});
@@ -412,7 +628,7 @@ export class BrowserAutomationService {
    */
   async executeScript(sessionId, script, pageId = 'default') {
     try {
-      const page = await this.getPage(sessionId, pageId)
+      const page = await this.getTarget(sessionId, pageId)
       const result = await page.evaluate(script)
 
       logger.debug('Script executed', { sessionId, scriptLength: script.length })
@@ -430,6 +646,340 @@ export class BrowserAutomationService {
     }
   }
 
+  /**
+   * Choose options of a <select> by value, or by visible text with `by: 'label'`
+   */
+  async selectOption(sessionId, selector, values, pageId = 'default', options = {}) {
+    try {
+      const target = await this.getTarget(sessionId, pageId)
+      await target.waitForSelector(selector, { timeout: options.timeout || this.defaultTimeout, signal: options.signal })
+
+      let optionValues = values
+      if (options.by === 'label') {
+        optionValues = await target.$eval(selector, (select, labels) => labels.map(label => {
+          const option = Array.from(select.options || []).find(item => item.label.trim() === label || item.textContent.trim() === label)
+          return option ? option.value : null
+        }), values)
+
+        const missing = values.filter((_, index) => optionValues[index] === null)
+        if (missing.length > 0) {
+          throw new Error(`No option labelled ${missing.map(label => `"${label}"`).join(', ')}`)
+        }
+      }
+
+      const selected = await abortable(target.select(selector, ...optionValues), options.signal)
+      if (selected.length === 0 && optionValues.length > 0) {
+        throw new Error(`No option with value ${optionValues.map(value => `"${value}"`).join(', ')}`)
+      }
+
+      logger.debug('Option selected', { sessionId, selector, selected })
+      return { success: true, selected }
+
+    } catch (error) {
+      logger.error('Select option failed', { sessionId, selector, error: error.message })
+      return {
+        success: false,
+        error: error.message
+      }
+    }
+  }
+
+  /**
+   * Move the mouse over an element (menus, tooltips)
+   */
+  async hover(sessionId, selector, pageId = 'default', options = {}) {
+    try {
+      const target = await this.getTarget(sessionId, pageId)
+
+      await target.waitForSelector(selector, { timeout: options.timeout || this.defaultTimeout, signal: options.signal })
+      await abortable(target.hover(selector), options.signal)
+
+      logger.debug('Element hovered', { sessionId, selector })
+      return { success: true }
+
+    } catch (error) {
+      logger.error('Hover failed', { sessionId, selector, error: error.message })
+      return {
+        success: false,
+        error: error.message
+      }
+    }
+  }
+
+  /**
+   * Press key combinations in order (see parseKeys), after focusing `selector` if given
+   */
+  async pressKeys(sessionId, keys, pageId = 'default', options = {}) {
+    try {
+      const combos = parseKeys(keys)
+      const page = await this.getPage(sessionId, pageId)
+
+      if (options.selector) {
+        const target = await this.getTarget(sessionId, pageId)
+        await target.waitForSelector(options.selector, { timeout: options.timeout || this.defaultTimeout, signal: options.signal })
+        await target.focus(options.selector)
+      }
+
+      for (const [index, combo] of combos.entries()) {
+        throwIfAborted(options.signal)
+        const modifiers = combo.slice(0, -1)
+
+        for (const key of modifiers) {
+          await page.keyboard.down(key)
+        }
+        await page.keyboard.press(combo[combo.length - 1])
+        for (const key of [...modifiers].reverse()) {
+          await page.keyboard.up(key)
+        }
+
+        if (options.delay && index < combos.length - 1) {
+          await sleep(options.delay, options.signal)
+        }
+      }
+
+      logger.debug('Keys pressed', { sessionId, count: combos.length })
+      return { success: true, keys: combos.map(combo => combo.join('+')) }
+
+    } catch (error) {
+      logger.error('Press keys failed', { sessionId, error: error.message })
+      return {
+        success: false,
+        error: error.message
+      }
+    }
+  }
+
+  /**
+   * Put files in a file input, or in the file chooser that clicking `selector` opens
+   */
+  async uploadFile(sessionId, selector, filepaths, pageId = 'default', options = {}) {
+    try {
+      const page = await this.getPage(sessionId, pageId)
+      const target = await this.getTarget(sessionId, pageId)
+      const timeout = options.timeout || this.defaultTimeout
+
+      const element = await target.waitForSelector(selector, { timeout, signal: options.signal })
+      const isFileInput = await element.evaluate(node => node.tagName === 'INPUT' && node.type === 'file')
+
+      if (isFileInput) {
+        await abortable(element.uploadFile(...filepaths), options.signal)
+      } else {
+        const [chooser] = await abortable(Promise.all([
+          page.waitForFileChooser({ timeout, signal: options.signal }),
+          element.click()
+        ]), options.signal)
+        await abortable(chooser.accept(filepaths), options.signal)
+      }
+      await element.dispose()
+
+      logger.debug('Files uploaded', { sessionId, selector, count: filepaths.length })
+      return { success: true, files: filepaths.map(filepath => path.basename(filepath)) }
+
+    } catch (error) {
+      logger.error('Upload failed', { sessionId, selector, error: error.message })
+      return {
+        success: false,
+        error: error.message
+      }
+    }
+  }
+
+  /**
+   * Drag an element with the mouse and drop it on another
+   */
+  async dragAndDrop(sessionId, sourceSelector, targetSelector, pageId = 'default', options = {}) {
+    try {
+      const target = await this.getTarget(sessionId, pageId)
+      const waitOptions = { timeout: options.timeout || this.defaultTimeout, signal: options.signal }
+
+      const source = await target.waitForSelector(sourceSelector, waitOptions)
+      const destination = await target.waitForSelector(targetSelector, waitOptions)
+      await abortable(destination.drop(source), options.signal)
+      await Promise.all([source.dispose(), destination.dispose()])
+
+      logger.debug('Element dragged', { sessionId, sourceSelector, targetSelector })
+      return { success: true }
+
+    } catch (error) {
+      logger.error('Drag and drop failed', { sessionId, sourceSelector, targetSelector, error: error.message })
+      return {
+        success: false,
+        error: error.message
+      }
+    }
+  }
+
+  /**
+   * Make element actions on a page run inside the iframe matching `selector` (looked up in the
+   * current frame, so nested frames are entered one at a time); 'parent' leaves the current
+   * frame and an empty selector or 'main' returns to the page itself
+   */
+  async switchFrame(sessionId, selector, pageId = 'default', options = {}) {
+    try {
+      const page = await this.getPage(sessionId, pageId)
+      const current = await this.getTarget(sessionId, pageId)
+      let frame = null
+
+      if (selector === 'parent') {
+        frame = current === page ? null : current.parentFrame()
+      } else if (selector && selector !== 'main') {
+        const element = await current.waitForSelector(selector, { timeout: options.timeout || this.defaultTimeout, signal: options.signal })
+        frame = await element.contentFrame()
+        await element.dispose()
+
+        if (!frame) {
+          throw new Error(`${selector} is not a frame`)
+        }
+      }
+
+      const { frames } = this.activeBrowsers.get(sessionId)
+      if (!frame || frame === page.mainFrame()) {
+        frames.delete(pageId)
+        frame = null
+      } else {
+        frames.set(pageId, frame)
+      }
+
+      logger.debug('Frame switched', { sessionId, pageId, selector })
+      return { success: true, frameUrl: frame ? frame.url() : null }
+
+    } catch (error) {
+      logger.error('Switch frame failed', { sessionId, selector, error: error.message })
+      return {
+        success: false,
+        error: error.message
+      }
+    }
+  }
+
+  /**
+   * Open a new tab under `pageId` (the next free `tab_<n>` by default), loading `options.url`
+   * if given
+   */
+  async openTab(sessionId, requestedPageId, options = {}) {
+    const session = this.activeBrowsers.get(sessionId)
+    const pageId = requestedPageId || (session ? nextTabId(session) : 'tab_1')
+
+    try {
+      const existing = session?.pages.get(pageId)
+      if (existing && !existing.isClosed()) {
+        throw new Error(`Tab "${pageId}" is already open`)
+      }
+
+      const page = await this.createPage(sessionId, pageId)
+      await page.bringToFront()
+
+      if (options.url) {
+        const { signal, url, ...gotoOptions } = options
+        await abortable(page.goto(url, { waitUntil: 'networkidle2', timeout: this.defaultTimeout, ...gotoOptions }), signal)
+      }
+
+      logger.debug('Tab opened', { sessionId, pageId })
+      return { success: true, pageId, url: page.url() }
+
+    } catch (error) {
+      logger.error('Open tab failed', { sessionId, pageId, error: error.message })
+      return {
+        success: false,
+        error: error.message
+      }
+    }
+  }
+
+  /**
+   * Bring a tab to the front, found by `pageId`, by position (`index`, 0 for the first tab) or
+   * by part of its `url` or `title`. Tabs the site opened (links with target="_blank", popups)
+   * are registered under `as` or the next free `tab_<n>` id. Waits up to `timeout` ms for a
+   * matching tab to appear.
+   */
+  async switchTab(sessionId, match = {}, options = {}) {
+    try {
+      if (['pageId', 'index', 'url', 'title'].every(key => match[key] === undefined)) {
+        throw new Error('A tab pageId, index, url or title is required')
+      }
+
+      const session = this.activeBrowsers.get(sessionId)
+      if (!session) {
+        throw new Error('Browser session not found')
+      }
+
+      const deadline = Date.now() + (options.timeout || this.defaultTimeout)
+      let found = await this.findTab(session, match)
+      while (!found) {
+        if (Date.now() >= deadline) {
+          throw new Error(`No tab matches ${JSON.stringify(match)}`)
+        }
+        await sleep(250, options.signal)
+        found = await this.findTab(session, match)
+      }
+
+      let pageId = found.pageId
+      if (!pageId) {
+        pageId = match.as || nextTabId(session)
+        await this.registerPage(sessionId, pageId, found.page)
+      }
+      await found.page.bringToFront()
+
+      logger.debug('Tab switched', { sessionId, pageId })
+      return { success: true, pageId, url: found.page.url(), title: await found.page.title() }
+
+    } catch (error) {
+      logger.error('Switch tab failed', { sessionId, error: error.message })
+      return {
+        success: false,
+        error: error.message
+      }
+    }
+  }
+
+  async findTab(session, { pageId, index, url, title }) {
+    if (pageId !== undefined) {
+      const page = session.pages.get(pageId)
+      return page && !page.isClosed() ? { page, pageId } : null
+    }
+
+    const registered = new Map(Array.from(session.pages, ([id, page]) => [page, id]))
+    const tabs = (await session.browser.pages())
+      .filter(page => !page.isClosed() && (registered.has(page) || !session.launchPages.has(page)))
+
+    let page
+    if (index !== undefined) {
+      page = tabs[Number(index)]
+    } else {
+      for (const tab of tabs) {
+        if ((url === undefined || tab.url().includes(url)) && (title === undefined || (await tab.title()).includes(title))) {
+          page = tab
+          break
+        }
+      }
+    }
+
+    return page ? { page, pageId: registered.get(page) } : null
+  }
+
+  /**
+   * Close a tab; returns the ids of the session's tabs still open
+   */
+  async closeTab(sessionId, pageId) {
+    const page = this.activeBrowsers.get(sessionId)?.pages.get(pageId)
+    if (!page || page.isClosed()) {
+      return { success: false, error: `Tab "${pageId}" is not open` }
+    }
+
+    await this.closePage(sessionId, pageId)
+    return { success: true, pageIds: this.getPageIds(sessionId) }
+  }
+
+  /**
+   * Ids of a session's open tabs, oldest first
+   */
+  getPageIds(sessionId) {
+    const session = this.activeBrowsers.get(sessionId)
+    return session
+      ? Array.from(session.pages).filter(([, page]) => !page.isClosed()).map(([pageId]) => pageId)
+      : []
+  }
+
   /**
    * Close a specific page
    */
@@ -442,6 +992,7 @@ export class BrowserAutomationService {
           await page.close()
         }
         session.pages.delete(pageId)
+        session.frames.delete(pageId)
         logger.debug('Page closed', { sessionId, pageId })
       }
     } catch (error) {
@@ -464,11 +1015,12 @@ export class BrowserAutomationService {
         }
         
         // Close browser
-        if (!session.browser.isClosed()) {
+        if (session.browser.connected) {
           await session.browser.close()
         }
         
         this.activeBrowsers.delete(sessionId)
+        await fs.rm(this.getDownloadDir(sessionId), { recursive: true, force: true })
         logger.info('Browser closed', { sessionId, remainingCount: this.activeBrowsers.size })
       }
     } catch (error) {
@@ -487,7 +1039,7 @@ export class BrowserAutomationService {
 
     return {
       exists: true,
-      isOpen: !session.browser.isClosed(),
+      isOpen: session.browser.connected,
       pageCount: session.pages.size,
       createdAt: session.createdAt,
       lastActivity: session.lastActivity
@@ -501,7 +1053,7 @@ export class BrowserAutomationService {
     const sessions = {}
     for (const [sessionId, session] of this.activeBrowsers) {
       sessions[sessionId] = {
-        isOpen: !session.browser.isClosed(),
+        isOpen: session.browser.connected,
         pageCount: session.pages.size,
         createdAt: session.createdAt,
         lastActivity: session.lastActivity
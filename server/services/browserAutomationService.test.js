@@ -0,0 +1,52 @@
+// @vitest-environment node
+import { BrowserAutomationService, parseKeys } from './browserAutomationService.js'
+
+describe('parseKeys', () => {
+  test('splits combinations into their keys and expands friendly names', () => {
+    expect(parseKeys('ctrl+a')).toEqual([['Control', 'a']])
+    expect(parseKeys(['Tab', 'shift+tab', 'return'])).toEqual([['Tab'], ['Shift', 'Tab'], ['Enter']])
+    expect(parseKeys(['Control++', '+', 'cmd+space'])).toEqual([['Control', '+'], ['+'], ['Meta', ' ']])
+  })
+
+  test('rejects empty or non-string keys', () => {
+    for (const keys of ['', [], ['Tab', 3]]) {
+      expect(() => parseKeys(keys)).toThrow('Keys must be a key combination such as "Control+A", or an array of them')
+    }
+  })
+})
+
+describe('BrowserAutomationService aborts', () => {
+  // Puppeteer calls that never settle, as on a page that stopped responding
+  const hang = () => new Promise(() => {})
+
+  const createService = page => {
+    const service = new BrowserAutomationService()
+    service.getTarget = async () => page
+    service.getPage = async () => page
+    return service
+  }
+
+  test('stops typing while the click that selects the old text hangs', async () => {
+    const controller = new AbortController()
+    const service = createService({ waitForSelector: async () => {}, click: hang, type: hang })
+
+    const typed = service.type('session', '#name', 'Ada', 'default', { clear: true, signal: controller.signal })
+    controller.abort(new Error('Execution cancelled'))
+
+    expect(await typed).toEqual({ success: false, error: 'Execution cancelled' })
+  })
+
+  test('stops an upload waiting on the file chooser or on accepting the files', async () => {
+    const element = { evaluate: async () => false, click: async () => {}, dispose: async () => {} }
+    const waiting = createService({ waitForSelector: async () => element, waitForFileChooser: hang })
+    const accepting = createService({ waitForSelector: async () => element, waitForFileChooser: async () => ({ accept: hang }) })
+
+    for (const service of [waiting, accepting]) {
+      const controller = new AbortController()
+      const uploaded = service.uploadFile('session', '#attach', ['/tmp/a.txt'], 'default', { signal: controller.signal })
+      setTimeout(() => controller.abort(new Error('Step timed out after 1s')), 10)
+
+      expect(await uploaded).toEqual({ success: false, error: 'Step timed out after 1s' })
+    }
+  })
+})
@@ -0,0 +1,156 @@
+/**
+ * 🌱 Environment Service
+ * Named execution environments (dev/staging/prod) per organization with variable overrides;
+ * secret overrides live in the secrets vault under the environment's id
+ */
+
+import { logger } from '../middleware/errorHandler.js'
+
+const ENVIRONMENT_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,49}$/
+
+/**
+ * Check an environment name (used in URLs and on execution records)
+ */
+export function getEnvironmentNameError(name) {
+  if (typeof name !== 'string' || !ENVIRONMENT_NAME_PATTERN.test(name)) {
+    return 'Environment name must start with a letter or digit and contain only letters, digits, "-" and "_" (max 50 characters)'
+  }
+  return null
+}
+
+/**
+ * Check environment variable overrides: a plain object of name → value
+ */
+export function getEnvironmentVariablesError(variables) {
+  if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+    return 'Environment variables must be an object'
+  }
+  if (Object.prototype.hasOwnProperty.call(variables, 'secret')) {
+    return '"secret" is reserved for {{secret.NAME}} references'
+  }
+  return null
+}
+
+export class EnvironmentService {
+  constructor(supabase, options = {}) {
+    this.supabase = supabase
+    this.table = options.table || 'organization_environments'
+  }
+
+  async listEnvironments(organizationId) {
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('organization_id', organizationId)
+      .order('name', { ascending: true })
+
+    if (error) throw error
+    return data || []
+  }
+
+  /**
+   * Find an environment by name; null when the organization has none by that name
+   */
+  async getEnvironment(organizationId, name) {
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('organization_id', organizationId)
+      .eq('name', name)
+      .maybeSingle()
+
+    if (error) throw error
+    return data
+  }
+
+  async getEnvironmentById(environmentId) {
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('id', environmentId)
+      .maybeSingle()
+
+    if (error) throw error
+    return data
+  }
+
+  /**
+   * Look up the environment an execution targets, failing when it does not exist
+   */
+  async resolveEnvironment(organizationId, name) {
+    if (!organizationId) {
+      throw new Error('Environments are only available to organization workflows')
+    }
+
+    const environment = await this.getEnvironment(organizationId, name)
+    if (!environment) {
+      throw new Error(`Environment not found: ${name}`)
+    }
+
+    return environment
+  }
+
+  async createEnvironment(organizationId, { name, description = '', variables = {} }, userId) {
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .insert([{
+        organization_id: organizationId,
+        name,
+        description,
+        variables,
+        created_by: userId
+      }])
+      .select()
+      .single()
+
+    if (error) throw error
+
+    logger.info('Environment created', { organizationId, name, userId })
+    return data
+  }
+
+  /**
+   * Update an environment's name, description or variables; returns null when it does not exist
+   */
+  async updateEnvironment(organizationId, name, updates, userId) {
+    const changes = { updated_at: new Date().toISOString() }
+
+    for (const key of ['name', 'description', 'variables']) {
+      if (updates[key] !== undefined) changes[key] = updates[key]
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .update(changes)
+      .eq('organization_id', organizationId)
+      .eq('name', name)
+      .select()
+      .maybeSingle()
+
+    if (error) throw error
+
+    if (data) {
+      logger.info('Environment updated', { organizationId, name, userId })
+    }
+    return data
+  }
+
+  /**
+   * Delete an environment and (by cascade) its secret overrides; returns false when it does not exist
+   */
+  async deleteEnvironment(organizationId, name, userId) {
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .delete()
+      .eq('organization_id', organizationId)
+      .eq('name', name)
+      .select('id')
+
+    if (error) throw error
+
+    if (data?.length > 0) {
+      logger.info('Environment deleted', { organizationId, name, userId })
+    }
+    return data?.length > 0
+  }
+}
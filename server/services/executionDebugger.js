@@ -0,0 +1,168 @@
+/**
+ * 🐞 Execution Debugger
+ * Pause, resume, breakpoints and step-over for executions running on this server
+ */
+
+import { EventEmitter } from 'events'
+import { logger } from '../middleware/errorHandler.js'
+
+export const DEBUG_COMMANDS = ['pause', 'resume', 'step_over', 'set_breakpoints', 'inspect']
+
+/**
+ * Check a breakpoint list: step ids as strings
+ */
+export function getBreakpointsError(breakpoints) {
+  if (!Array.isArray(breakpoints) || breakpoints.some(id => typeof id !== 'string' || id === '')) {
+    return 'Breakpoints must be an array of step ids'
+  }
+  return null
+}
+
+export class ExecutionDebugger extends EventEmitter {
+  constructor() {
+    super()
+    this.sessions = new Map()
+  }
+
+  /**
+   * Debug state of an execution, created on first use
+   */
+  getSession(executionId) {
+    if (!this.sessions.has(executionId)) {
+      this.sessions.set(executionId, {
+        breakpoints: new Set(),
+        pauseRequested: false,
+        paused: null,
+        release: null,
+        stepOver: null
+      })
+    }
+    return this.sessions.get(executionId)
+  }
+
+  setBreakpoints(executionId, breakpoints) {
+    const session = this.getSession(executionId)
+    session.breakpoints = new Set(breakpoints)
+    return Array.from(session.breakpoints)
+  }
+
+  /**
+   * Ask a running execution to pause before its next step
+   */
+  pause(executionId) {
+    const session = this.getSession(executionId)
+    if (!session.paused) {
+      session.pauseRequested = true
+    }
+    return session
+  }
+
+  /**
+   * Let a paused execution run until the next breakpoint
+   */
+  resume(executionId) {
+    return this.release(executionId, 'resume')
+  }
+
+  /**
+   * Run the paused step, including anything nested in it, then pause before the next one
+   */
+  stepOver(executionId) {
+    return this.release(executionId, 'step_over')
+  }
+
+  release(executionId, command) {
+    const session = this.sessions.get(executionId)
+    if (!session?.paused) {
+      return false
+    }
+
+    const { stepId, context } = session.paused
+    session.stepOver = command === 'step_over' ? session.paused.token : null
+    session.paused = null
+    session.pauseRequested = false
+    session.release()
+
+    this.emit('continued', { context, stepId, command })
+    return true
+  }
+
+  /**
+   * Called before every step; waits while the execution is paused. Returns a token for `afterStep`.
+   */
+  async beforeStep(context, step, nodeId) {
+    const session = this.sessions.get(context.id)
+    const token = { nodeId }
+
+    if (!session) {
+      return token
+    }
+
+    const reason = session.pauseRequested ? 'pause' : session.breakpoints.has(nodeId) ? 'breakpoint' : null
+    if (!reason && !session.paused) {
+      return token
+    }
+
+    // Parallel branches reaching a step while the execution is paused wait for the same release
+    if (!session.paused) {
+      const released = new Promise(resolve => {
+        session.release = resolve
+      })
+      session.paused = { stepId: nodeId, stepType: step.type, reason, pausedAt: new Date().toISOString(), context, token, released }
+      session.pauseRequested = false
+      session.stepOver = null
+
+      logger.info('Execution paused', { executionId: context.id, stepId: nodeId, reason })
+      this.emit('paused', { context, stepId: nodeId, stepType: step.type, reason })
+    }
+
+    await session.paused.released
+    return token
+  }
+
+  /**
+   * Called after every step; a finished step-over pauses before whatever runs next
+   */
+  afterStep(context, token) {
+    const session = this.sessions.get(context.id)
+    if (session && session.stepOver === token) {
+      session.stepOver = null
+      session.pauseRequested = true
+    }
+  }
+
+  /**
+   * The (branch or called-workflow) context an execution is paused in, null when it is not paused
+   */
+  getPausedContext(executionId) {
+    return this.sessions.get(executionId)?.paused?.context || null
+  }
+
+  /**
+   * Inspection view of an execution's debug state
+   */
+  getState(executionId) {
+    const session = this.sessions.get(executionId)
+
+    return {
+      paused: Boolean(session?.paused),
+      stepId: session?.paused?.stepId || null,
+      stepType: session?.paused?.stepType || null,
+      reason: session?.paused?.reason || null,
+      pausedAt: session?.paused?.pausedAt || null,
+      pauseRequested: session?.pauseRequested || false,
+      breakpoints: session ? Array.from(session.breakpoints) : []
+    }
+  }
+
+  /**
+   * Forget an execution, releasing it first if it is paused (finished, cancelled or shut down)
+   */
+  clear(executionId) {
+    const session = this.sessions.get(executionId)
+    if (session?.paused) {
+      session.release()
+    }
+    this.sessions.delete(executionId)
+  }
+}
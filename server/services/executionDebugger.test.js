@@ -0,0 +1,42 @@
+// @vitest-environment node
+import { ExecutionDebugger, getBreakpointsError } from './executionDebugger.js'
+
+const context = { id: 'exec' }
+const step = { type: 'click' }
+
+describe('ExecutionDebugger', () => {
+  test('runs steps straight through until asked to pause', async () => {
+    const debug = new ExecutionDebugger()
+
+    await debug.beforeStep(context, step, 'a')
+    debug.pause('exec')
+    const waiting = debug.beforeStep(context, step, 'b')
+
+    expect(debug.getState('exec')).toMatchObject({ paused: true, stepId: 'b', reason: 'pause', pauseRequested: false })
+    expect(debug.resume('exec')).toBe(true)
+    await waiting
+    expect(debug.resume('exec')).toBe(false)
+  })
+
+  test('holds parallel branches on the same pause and releases them together', async () => {
+    const debug = new ExecutionDebugger()
+    debug.setBreakpoints('exec', ['left'])
+    const reached = []
+
+    const left = debug.beforeStep(context, step, 'left').then(() => reached.push('left'))
+    const right = debug.beforeStep(context, step, 'right').then(() => reached.push('right'))
+    await Promise.resolve()
+    expect(reached).toEqual([])
+
+    debug.clear('exec')
+    await Promise.all([left, right])
+    expect(reached).toEqual(['left', 'right'])
+    expect(debug.getState('exec')).toMatchObject({ paused: false, breakpoints: [] })
+  })
+
+  test('accepts only lists of step ids as breakpoints', () => {
+    expect(getBreakpointsError(['a', 'b'])).toBeNull()
+    expect(getBreakpointsError('a')).toBe('Breakpoints must be an array of step ids')
+    expect(getBreakpointsError(['a', ''])).toBe('Breakpoints must be an array of step ids')
+  })
+})
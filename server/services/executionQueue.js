@@ -0,0 +1,462 @@
+/**
+ * 🚦 Execution Queue
+ * Persistent, prioritized execution queue with per-organization and per-workflow concurrency caps
+ */
+
+import { randomBytes } from 'crypto'
+import { hostname } from 'os'
+import { logger } from '../middleware/errorHandler.js'
+
+export const QUEUE_PRIORITIES = {
+  low: 1,
+  normal: 5,
+  high: 8,
+  critical: 10
+}
+
+// A claim whose heartbeat is older than this belongs to an instance that has died
+const DEFAULT_CLAIM_TTL_MS = 60000
+
+// Most queued entries considered per dispatch, oldest first: ordering the scan by priority would let
+// one tenant's stream of high-priority runs keep every other tenant's runs out of it
+const DEFAULT_SCAN_LIMIT = 500
+
+// ============================================================================
+// QUEUE STORES
+// ============================================================================
+
+/**
+ * In-memory stand-in for local development; entries do not survive a restart
+ */
+export class MemoryQueueStore {
+  constructor() {
+    this.entries = new Map()
+    this.durable = false
+  }
+
+  async add(entry) {
+    this.entries.set(entry.execution_id, { ...entry })
+  }
+
+  async listQueued(limit) {
+    return Array.from(this.entries.values())
+      .filter(entry => entry.status === 'queued')
+      .sort((a, b) => a.enqueued_at.localeCompare(b.enqueued_at))
+      .slice(0, limit)
+      .map(entry => ({ ...entry }))
+  }
+
+  async listClaimed() {
+    return Array.from(this.entries.values())
+      .filter(entry => entry.status === 'claimed')
+      .map(entry => ({ ...entry }))
+  }
+
+  async claim(executionId, instanceId) {
+    const entry = this.entries.get(executionId)
+    if (!entry || entry.status !== 'queued') {
+      return null
+    }
+
+    const now = new Date().toISOString()
+    entry.status = 'claimed'
+    entry.claimed_at = now
+    entry.claimed_by = instanceId
+    entry.heartbeat_at = now
+    return { ...entry }
+  }
+
+  async heartbeat(executionIds, instanceId) {
+    const now = new Date().toISOString()
+    for (const executionId of executionIds) {
+      const entry = this.entries.get(executionId)
+      if (entry?.status === 'claimed' && entry.claimed_by === instanceId) {
+        entry.heartbeat_at = now
+      }
+    }
+  }
+
+  async takeOver(executionId, instanceId, staleBefore) {
+    const entry = this.entries.get(executionId)
+    if (!entry || entry.status !== 'claimed' ||
+        (entry.claimed_by !== instanceId && entry.heartbeat_at >= staleBefore)) {
+      return null
+    }
+
+    entry.claimed_by = instanceId
+    entry.heartbeat_at = new Date().toISOString()
+    return { ...entry }
+  }
+
+  async remove(executionId) {
+    this.entries.delete(executionId)
+  }
+}
+
+/**
+ * Supabase-backed store (`execution_queue` table) shared by every server instance
+ */
+export class SupabaseQueueStore {
+  constructor(supabase, table = 'execution_queue') {
+    this.supabase = supabase
+    this.table = table
+    this.durable = true
+  }
+
+  async add(entry) {
+    const { error } = await this.supabase
+      .from(this.table)
+      .insert([entry])
+
+    if (error) {
+      throw new Error(`Failed to enqueue execution: ${error.message}`)
+    }
+  }
+
+  async listQueued(limit) {
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('status', 'queued')
+      .order('enqueued_at', { ascending: true })
+      .limit(limit)
+
+    if (error) {
+      throw new Error(`Failed to load execution queue: ${error.message}`)
+    }
+
+    return data || []
+  }
+
+  /**
+   * Claimed entries without their payloads: just enough to count running executions per tenant
+   */
+  async listClaimed() {
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('execution_id, workflow_id, organization_id, user_id, priority, status, enqueued_at, claimed_at, claimed_by, heartbeat_at')
+      .eq('status', 'claimed')
+
+    if (error) {
+      throw new Error(`Failed to load claimed executions: ${error.message}`)
+    }
+
+    return data || []
+  }
+
+  async claim(executionId, instanceId) {
+    const now = new Date().toISOString()
+
+    // Only succeeds if no other instance claimed the entry first
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .update({
+        status: 'claimed',
+        claimed_at: now,
+        claimed_by: instanceId,
+        heartbeat_at: now
+      })
+      .eq('execution_id', executionId)
+      .eq('status', 'queued')
+      .select()
+
+    if (error) {
+      throw new Error(`Failed to claim queued execution: ${error.message}`)
+    }
+
+    return data?.[0] || null
+  }
+
+  async heartbeat(executionIds, instanceId) {
+    const { error } = await this.supabase
+      .from(this.table)
+      .update({ heartbeat_at: new Date().toISOString() })
+      .in('execution_id', executionIds)
+      .eq('claimed_by', instanceId)
+
+    if (error) {
+      throw new Error(`Failed to renew execution claims: ${error.message}`)
+    }
+  }
+
+  async takeOver(executionId, instanceId, staleBefore) {
+    // Our own claim, or one whose owner stopped renewing it; a live instance's claim is left alone
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .update({ claimed_by: instanceId, heartbeat_at: new Date().toISOString() })
+      .eq('execution_id', executionId)
+      .eq('status', 'claimed')
+      .or(`claimed_by.eq."${instanceId}",heartbeat_at.lt."${staleBefore}"`)
+      .select()
+
+    if (error) {
+      throw new Error(`Failed to take over execution claim: ${error.message}`)
+    }
+
+    return data?.[0] || null
+  }
+
+  async remove(executionId) {
+    const { error } = await this.supabase
+      .from(this.table)
+      .delete()
+      .eq('execution_id', executionId)
+
+    if (error) {
+      logger.error('Failed to remove queue entry', { executionId, error: error.message })
+    }
+  }
+}
+
+// ============================================================================
+// EXECUTION QUEUE
+// ============================================================================
+
+export class ExecutionQueue {
+  constructor(store, limits = {}) {
+    this.store = store
+    // Hostname and pid alone repeat across containers (every one is pid 1 on its own host name)
+    this.instanceId = limits.instanceId || `${hostname()}:${process.pid}:${randomBytes(4).toString('hex')}`
+    this.claimTtlMs = limits.claimTtlMs ?? (parseInt(process.env.QUEUE_CLAIM_TTL_MS) || DEFAULT_CLAIM_TTL_MS)
+    this.heartbeatIntervalMs = limits.heartbeatIntervalMs ?? Math.floor(this.claimTtlMs / 3)
+    this.scanLimit = limits.scanLimit ?? DEFAULT_SCAN_LIMIT
+    this.maxPerOrganization = limits.maxPerOrganization ?? (parseInt(process.env.QUEUE_MAX_PER_ORGANIZATION) || 3)
+    this.maxPerWorkflow = limits.maxPerWorkflow ?? (parseInt(process.env.QUEUE_MAX_PER_WORKFLOW) || 2)
+    this.entries = []
+    this.lastServed = new Map()
+    this.serveCounter = 0
+  }
+
+  /**
+   * Create a queue backed by the configured store (`EXECUTION_QUEUE_STORE=memory|supabase`)
+   */
+  static create(supabase, limits = {}) {
+    const storeType = process.env.EXECUTION_QUEUE_STORE || (supabase ? 'supabase' : 'memory')
+    const store = storeType === 'memory' ? new MemoryQueueStore() : new SupabaseQueueStore(supabase)
+    return new ExecutionQueue(store, limits)
+  }
+
+  static normalizePriority(priority) {
+    if (typeof priority === 'string' && QUEUE_PRIORITIES[priority] !== undefined) {
+      return QUEUE_PRIORITIES[priority]
+    }
+
+    const value = parseInt(priority)
+    return Number.isFinite(value) ? Math.min(Math.max(value, 0), 10) : QUEUE_PRIORITIES.normal
+  }
+
+  /**
+   * Tenant used for fairness: the organization, or the user for personal workflows
+   */
+  getTenant(entry) {
+    return entry.organization_id || `user:${entry.user_id}`
+  }
+
+  /**
+   * Add an execution to the queue
+   */
+  async enqueue({ executionId, workflowId, organizationId, userId, priority, payload = {} }) {
+    const entry = {
+      execution_id: executionId,
+      workflow_id: workflowId,
+      organization_id: organizationId || null,
+      user_id: userId || null,
+      priority: ExecutionQueue.normalizePriority(priority),
+      status: 'queued',
+      payload,
+      enqueued_at: new Date().toISOString(),
+      claimed_at: null,
+      claimed_by: null,
+      heartbeat_at: null
+    }
+
+    await this.store.add(entry)
+    this.entries.push(entry)
+
+    logger.info('Execution queued', { executionId, priority: entry.priority, organizationId })
+    return entry
+  }
+
+  /**
+   * Reload the queued entries and the claims from the store
+   */
+  async refresh() {
+    const [queued, claimed] = await Promise.all([
+      this.store.listQueued(this.scanLimit),
+      this.store.listClaimed()
+    ])
+    this.entries = [...queued, ...claimed]
+    return this.entries
+  }
+
+  /**
+   * Oldest heartbeat a live claim can have
+   */
+  getStaleBefore(now = Date.now()) {
+    return new Date(now - this.claimTtlMs).toISOString()
+  }
+
+  /**
+   * Whether a claim's owner stopped renewing it (crashed or lost its database connection)
+   */
+  isStale(entry, now = Date.now()) {
+    const lastSeen = Date.parse(entry.heartbeat_at || entry.claimed_at)
+    return !Number.isFinite(lastSeen) || lastSeen < now - this.claimTtlMs
+  }
+
+  /**
+   * Claims whose owner has gone away, as of the last refresh
+   */
+  getStaleClaims() {
+    const now = Date.now()
+    return this.entries.filter(entry => entry.status === 'claimed' && this.isStale(entry, now))
+  }
+
+  /**
+   * Order queued entries round-robin across tenants, then by priority and FIFO within a tenant;
+   * priority never lets one tenant's runs jump ahead of another's
+   */
+  orderQueued(entries = this.entries) {
+    const groups = new Map()
+
+    for (const entry of entries.filter(entry => entry.status === 'queued')) {
+      const tenant = this.getTenant(entry)
+      if (!groups.has(tenant)) {
+        groups.set(tenant, [])
+      }
+      groups.get(tenant).push(entry)
+    }
+
+    for (const group of groups.values()) {
+      group.sort((a, b) => b.priority - a.priority || a.enqueued_at.localeCompare(b.enqueued_at))
+    }
+
+    const served = new Map(this.lastServed)
+    let counter = this.serveCounter
+    const ordered = []
+
+    while (groups.size > 0) {
+      let best = null
+
+      for (const [tenant, group] of groups) {
+        const head = group[0]
+        const candidate = { tenant, head, lastServed: served.get(tenant) ?? -1 }
+
+        if (!best ||
+            candidate.lastServed < best.lastServed ||
+            (candidate.lastServed === best.lastServed && head.enqueued_at < best.head.enqueued_at)) {
+          best = candidate
+        }
+      }
+
+      ordered.push(best.head)
+      served.set(best.tenant, ++counter)
+
+      const group = groups.get(best.tenant)
+      group.shift()
+      if (group.length === 0) {
+        groups.delete(best.tenant)
+      }
+    }
+
+    return ordered
+  }
+
+  /**
+   * Claim the next entry that fits under the organization and workflow caps
+   */
+  async claimNext() {
+    await this.refresh()
+
+    // Stale claims no longer hold a slot; recovering their executions is up to the engine
+    const now = Date.now()
+    const claimed = this.entries.filter(entry => entry.status === 'claimed' && !this.isStale(entry, now))
+    const runningByTenant = this.countBy(claimed, entry => this.getTenant(entry))
+    const runningByWorkflow = this.countBy(claimed, entry => entry.workflow_id)
+
+    for (const entry of this.orderQueued()) {
+      if ((runningByTenant.get(this.getTenant(entry)) || 0) >= this.maxPerOrganization) continue
+      if ((runningByWorkflow.get(entry.workflow_id) || 0) >= this.maxPerWorkflow) continue
+
+      const claimedEntry = await this.store.claim(entry.execution_id, this.instanceId)
+      if (!claimedEntry) {
+        // Another instance got there first
+        continue
+      }
+
+      this.lastServed.set(this.getTenant(entry), ++this.serveCounter)
+      Object.assign(entry, claimedEntry)
+      return claimedEntry
+    }
+
+    return null
+  }
+
+  /**
+   * Keep this instance's claims alive while their executions run
+   */
+  async heartbeat(executionIds) {
+    if (executionIds.length === 0) {
+      return
+    }
+    await this.store.heartbeat(executionIds, this.instanceId)
+  }
+
+  /**
+   * Take over a claim that is this instance's own or has gone stale; null while another
+   * instance still renews it
+   */
+  async takeOver(executionId) {
+    return this.store.takeOver(executionId, this.instanceId, this.getStaleBefore())
+  }
+
+  /**
+   * Remove a finished (or abandoned) execution from the queue
+   */
+  async complete(executionId) {
+    this.entries = this.entries.filter(entry => entry.execution_id !== executionId)
+    await this.store.remove(executionId)
+  }
+
+  countBy(entries, keyFn) {
+    const counts = new Map()
+    for (const entry of entries) {
+      const key = keyFn(entry)
+      counts.set(key, (counts.get(key) || 0) + 1)
+    }
+    return counts
+  }
+
+  /**
+   * Queued entries with their current position (1-based) in dispatch order
+   */
+  getPositions() {
+    return this.orderQueued().map((entry, index) => ({
+      executionId: entry.execution_id,
+      workflowId: entry.workflow_id,
+      organizationId: entry.organization_id,
+      userId: entry.user_id,
+      priority: entry.priority,
+      enqueuedAt: entry.enqueued_at,
+      position: index + 1
+    }))
+  }
+
+  getStatus() {
+    const queued = this.entries.filter(entry => entry.status === 'queued')
+    const claimed = this.entries.filter(entry => entry.status === 'claimed')
+    const stale = this.getStaleClaims()
+
+    return {
+      queued: queued.length,
+      running: claimed.length - stale.length,
+      stale: stale.length,
+      instanceId: this.instanceId,
+      durable: this.store.durable,
+      limits: {
+        maxPerOrganization: this.maxPerOrganization,
+        maxPerWorkflow: this.maxPerWorkflow
+      }
+    }
+  }
+}
@@ -0,0 +1,162 @@
+// @vitest-environment node
+import { ExecutionQueue, MemoryQueueStore, SupabaseQueueStore } from './executionQueue.js'
+import { createFakeSupabase } from '../tests/fakeSupabase.js'
+
+const enqueueAll = async (queue, entries) => {
+  for (const [index, entry] of entries.entries()) {
+    vi.setSystemTime(new Date(Date.UTC(2026, 0, 1, 0, 0, index)))
+    await queue.enqueue({ userId: 'u', ...entry })
+  }
+}
+
+const claimAll = async queue => {
+  const claimed = []
+  let entry
+  while ((entry = await queue.claimNext())) {
+    claimed.push(entry.execution_id)
+  }
+  return claimed
+}
+
+describe('ExecutionQueue', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  test('normalizes named and numeric priorities', () => {
+    expect(ExecutionQueue.normalizePriority('high')).toBe(8)
+    expect(ExecutionQueue.normalizePriority('42')).toBe(10)
+    expect(ExecutionQueue.normalizePriority(-3)).toBe(0)
+    expect(ExecutionQueue.normalizePriority(undefined)).toBe(5)
+  })
+
+  test('dispatches round-robin across organizations, then by priority and FIFO within one', () => {
+    const queue = new ExecutionQueue(new MemoryQueueStore(), { maxPerOrganization: 10, maxPerWorkflow: 10 })
+    queue.entries = [
+      { execution_id: 'a1', organization_id: 'A', priority: 5, status: 'queued', enqueued_at: '1' },
+      { execution_id: 'a2', organization_id: 'A', priority: 5, status: 'queued', enqueued_at: '2' },
+      { execution_id: 'a3', organization_id: 'A', priority: 8, status: 'queued', enqueued_at: '3' },
+      { execution_id: 'b1', organization_id: 'B', priority: 5, status: 'queued', enqueued_at: '4' },
+      { execution_id: 'c1', organization_id: 'C', priority: 8, status: 'queued', enqueued_at: '5' }
+    ]
+
+    expect(queue.orderQueued().map(entry => entry.execution_id)).toEqual(['a3', 'b1', 'c1', 'a1', 'a2'])
+    expect(queue.getPositions().map(entry => entry.position)).toEqual([1, 2, 3, 4, 5])
+  })
+
+  test('a flood of high-priority runs from one organization does not hold back another\'s', async () => {
+    const queue = new ExecutionQueue(new MemoryQueueStore(), { maxPerOrganization: 3, maxPerWorkflow: 10, scanLimit: 4 })
+    await enqueueAll(queue, [
+      { executionId: 'b1', workflowId: 'w2', organizationId: 'B', priority: 'low' },
+      ...['a1', 'a2', 'a3', 'a4', 'a5', 'a6'].map(executionId => ({ executionId, workflowId: 'w1', organizationId: 'A', priority: 'critical' }))
+    ])
+
+    expect(await claimAll(queue)).toEqual(['b1', 'a1', 'a2', 'a3'])
+  })
+
+  test('holds back executions over the organization and workflow caps', async () => {
+    const queue = new ExecutionQueue(new MemoryQueueStore(), { maxPerOrganization: 2, maxPerWorkflow: 1 })
+    await enqueueAll(queue, [
+      { executionId: 'a1', workflowId: 'w1', organizationId: 'A' },
+      { executionId: 'a2', workflowId: 'w1', organizationId: 'A' },
+      { executionId: 'a3', workflowId: 'w2', organizationId: 'A' },
+      { executionId: 'a4', workflowId: 'w3', organizationId: 'A' },
+      { executionId: 'b1', workflowId: 'w4', organizationId: 'B' }
+    ])
+
+    expect(await claimAll(queue)).toEqual(['a1', 'b1', 'a3'])
+
+    await queue.complete('a1')
+    expect(await claimAll(queue)).toEqual(['a2'])
+  })
+
+  test('names instances by host, pid and a random suffix', () => {
+    const first = new ExecutionQueue(new MemoryQueueStore())
+    const second = new ExecutionQueue(new MemoryQueueStore())
+
+    expect(first.instanceId).toMatch(new RegExp(`:${process.pid}:[0-9a-f]{8}$`))
+    expect(first.instanceId).not.toBe(second.instanceId)
+  })
+
+  test('stale claims stop counting against the caps and can be taken over', async () => {
+    const store = new MemoryQueueStore()
+    const crashed = new ExecutionQueue(store, { instanceId: 'crashed', maxPerOrganization: 1, claimTtlMs: 60000 })
+    const live = new ExecutionQueue(store, { instanceId: 'live', maxPerOrganization: 1, claimTtlMs: 60000 })
+    await enqueueAll(crashed, [
+      { executionId: 'a1', workflowId: 'w1', organizationId: 'A' },
+      { executionId: 'a2', workflowId: 'w2', organizationId: 'A' }
+    ])
+
+    expect((await crashed.claimNext()).execution_id).toBe('a1')
+    expect(await live.claimNext()).toBeNull()
+    expect(await live.takeOver('a1')).toBeNull()
+
+    vi.setSystemTime(Date.now() + 61000)
+    expect((await live.claimNext()).execution_id).toBe('a2')
+    expect(live.getStaleClaims().map(entry => entry.execution_id)).toEqual(['a1'])
+    expect(live.getStatus()).toMatchObject({ running: 1, stale: 1 })
+
+    expect(await live.takeOver('a1')).toMatchObject({ claimed_by: 'live' })
+    expect(await crashed.takeOver('a1')).toBeNull()
+  })
+
+  test('heartbeats keep an instance\'s own claims alive', async () => {
+    const store = new MemoryQueueStore()
+    const owner = new ExecutionQueue(store, { instanceId: 'owner', claimTtlMs: 60000 })
+    const other = new ExecutionQueue(store, { instanceId: 'other', claimTtlMs: 60000 })
+    await enqueueAll(owner, [{ executionId: 'a1', workflowId: 'w1', organizationId: 'A' }])
+    await owner.claimNext()
+
+    vi.setSystemTime(Date.now() + 50000)
+    await owner.heartbeat(['a1'])
+    await other.heartbeat(['a1'])
+    vi.setSystemTime(Date.now() + 50000)
+
+    await other.refresh()
+    expect(other.getStaleClaims()).toEqual([])
+    expect(await other.takeOver('a1')).toBeNull()
+  })
+})
+
+describe('SupabaseQueueStore', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  test('loads only queued rows and payload-free claims', async () => {
+    const supabase = createFakeSupabase()
+    const queue = new ExecutionQueue(new SupabaseQueueStore(supabase), { instanceId: 'one' })
+    await enqueueAll(queue, [
+      { executionId: 'a1', workflowId: 'w1', organizationId: 'A', payload: { resume: true } },
+      { executionId: 'a2', workflowId: 'w1', organizationId: 'A' }
+    ])
+    await queue.claimNext()
+
+    const entries = await queue.refresh()
+    expect(entries.find(entry => entry.execution_id === 'a2')).toMatchObject({ status: 'queued' })
+    expect(entries.find(entry => entry.execution_id === 'a1')).not.toHaveProperty('payload')
+  })
+
+  test('only one instance takes over a stale claim', async () => {
+    const supabase = createFakeSupabase()
+    const crashed = new ExecutionQueue(new SupabaseQueueStore(supabase), { instanceId: 'host:1:aa' })
+    const first = new ExecutionQueue(new SupabaseQueueStore(supabase), { instanceId: 'host:1:bb' })
+    const second = new ExecutionQueue(new SupabaseQueueStore(supabase), { instanceId: 'host:1:cc' })
+    await enqueueAll(crashed, [{ executionId: 'a1', workflowId: 'w1', organizationId: 'A' }])
+    await crashed.claimNext()
+
+    expect(await first.takeOver('a1')).toBeNull()
+
+    vi.setSystemTime(Date.now() + 120000)
+    expect(await first.takeOver('a1')).toMatchObject({ claimed_by: 'host:1:bb' })
+    expect(await second.takeOver('a1')).toBeNull()
+  })
+})
@@ -83,6 +83,7 @@ export class NotificationService extends EventEmitter {
     this.on('workflow.execution.cancelled', this.handleExecutionCancelled.bind(this))
     this.on('workflow.scheduled', this.handleWorkflowScheduled.bind(this))
     this.on('workflow.schedule.missed', this.handleScheduleMissed.bind(this))
+    this.on('workflow.approval.requested', this.handleApprovalRequested.bind(this))
     this.on('system.maintenance', this.handleSystemMaintenance.bind(this))
   }
 
@@ -115,11 +116,11 @@ export class NotificationService extends EventEmitter {
         channels: {
           'in-app': {
             enabled: true,
-            events: ['all'] // all, execution-start, execution-complete, execution-failed, schedule-missed
+            events: ['all'] // all, execution-start, execution-complete, execution-failed, schedule-missed, approval-requested
           },
           email: {
             enabled: true,
-            events: ['execution-failed', 'schedule-missed'],
+            events: ['execution-failed', 'schedule-missed', 'approval-requested'],
             frequency: 'immediate' // immediate, hourly, daily
           },
           sms: {
@@ -129,7 +130,7 @@ export class NotificationService extends EventEmitter {
           },
           push: {
             enabled: true,
-            events: ['execution-complete', 'execution-failed'],
+            events: ['execution-complete', 'execution-failed', 'approval-requested'],
             frequency: 'immediate'
           },
           slack: {
@@ -405,14 +406,37 @@ export class NotificationService extends EventEmitter {
     })
   }
 
-  async handleScheduleMissed({ workflowId, userId, reason }) {
+  async handleScheduleMissed({ workflowId, workflowName, userId, reason, decision, scheduledFor }) {
     await this.sendNotification(userId, {
       type: 'schedule-missed',
       title: '⏰ Scheduled Workflow Missed',
-      message: `A scheduled workflow execution was missed: ${reason}`,
+      message: workflowName
+        ? `A scheduled run of "${workflowName}" was not run as planned: ${reason}`
+        : `A scheduled workflow execution was missed: ${reason}`,
       data: {
         workflowId,
-        reason
+        reason,
+        decision,
+        scheduledFor
+      },
+      priority: 'high'
+    })
+  }
+
+  async handleApprovalRequested({ context, approval }) {
+    await this.sendBulkNotification(approval.approvers, {
+      type: 'approval-requested',
+      title: '✋ Approval Needed',
+      message: approval.message
+        ? `${approval.title}: ${approval.message}`
+        : `${approval.title} ("${context.workflow.name}" is waiting for your decision)`,
+      data: {
+        workflowId: context.workflowId,
+        executionId: context.id,
+        workflowName: context.workflow.name,
+        stepId: approval.step_id,
+        expiresAt: approval.expires_at,
+        timeoutOutcome: approval.timeout_outcome
       },
       priority: 'high'
     })
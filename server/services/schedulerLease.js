@@ -0,0 +1,203 @@
+/**
+ * 👑 Scheduler Lease
+ * Lease-based leader election so only one API instance fires scheduled workflows
+ */
+
+import { EventEmitter } from 'events'
+import { hostname } from 'os'
+import { logger } from '../middleware/errorHandler.js'
+
+const DEFAULT_LEASE_NAME = 'workflow-scheduler'
+const DEFAULT_TTL_MS = 30000
+
+const sharedMemoryLeases = new Map()
+
+// ============================================================================
+// LEASE STORES
+// ============================================================================
+
+/**
+ * In-process stand-in; schedulers in the same process share one set of leases
+ */
+export class MemoryLeaseStore {
+  constructor(leases = sharedMemoryLeases) {
+    this.leases = leases
+    this.durable = false
+  }
+
+  async acquire(name, owner, ttlMs) {
+    const now = Date.now()
+    const lease = this.leases.get(name)
+
+    if (lease && lease.owner !== owner && lease.expiresAt > now) {
+      return { acquired: false, owner: lease.owner, expiresAt: new Date(lease.expiresAt) }
+    }
+
+    const acquiredAt = lease?.owner === owner ? lease.acquiredAt : now
+    this.leases.set(name, { owner, acquiredAt, expiresAt: now + ttlMs })
+    return { acquired: true, owner, expiresAt: new Date(now + ttlMs) }
+  }
+
+  async release(name, owner) {
+    if (this.leases.get(name)?.owner === owner) {
+      this.leases.delete(name)
+    }
+  }
+}
+
+/**
+ * Supabase-backed store (`scheduler_leases` table) shared by every server instance
+ *
+ * Leases are taken through the `acquire_scheduler_lease` database function, so expiry is always
+ * judged by the database clock and clock skew between instances cannot produce two leaders.
+ */
+export class SupabaseLeaseStore {
+  constructor(supabase, table = 'scheduler_leases') {
+    this.supabase = supabase
+    this.table = table
+    this.durable = true
+  }
+
+  async acquire(name, owner, ttlMs) {
+    // Renews our own lease or takes over an expired one; never someone else's live lease
+    const { data, error } = await this.supabase.rpc('acquire_scheduler_lease', {
+      lease_name: name,
+      lease_owner: owner,
+      ttl_ms: ttlMs
+    })
+
+    if (error) {
+      throw new Error(`Failed to acquire scheduler lease: ${error.message}`)
+    }
+
+    const lease = Array.isArray(data) ? data[0] : data
+    if (!lease) {
+      throw new Error('Failed to acquire scheduler lease: acquire_scheduler_lease returned no row')
+    }
+
+    return { acquired: lease.acquired === true, owner: lease.owner, expiresAt: new Date(lease.expires_at) }
+  }
+
+  async release(name, owner) {
+    // Long past on any clock, so followers can take over straight away
+    const { error } = await this.supabase
+      .from(this.table)
+      .update({ expires_at: new Date(0).toISOString() })
+      .eq('name', name)
+      .eq('owner', owner)
+
+    if (error) {
+      logger.error('Failed to release scheduler lease', { name, error: error.message })
+    }
+  }
+}
+
+// ============================================================================
+// SCHEDULER LEASE
+// ============================================================================
+
+export class SchedulerLease extends EventEmitter {
+  constructor(store, options = {}) {
+    super()
+    this.store = store
+    this.name = options.name || DEFAULT_LEASE_NAME
+    this.instanceId = options.instanceId || `${hostname()}:${process.pid}`
+    this.ttlMs = options.ttlMs ?? (parseInt(process.env.SCHEDULER_LEASE_TTL_MS) || DEFAULT_TTL_MS)
+    this.renewIntervalMs = options.renewIntervalMs ?? Math.floor(this.ttlMs / 3)
+    this.leader = false
+    this.owner = null
+    this.expiresAt = null
+    this.renewInterval = null
+  }
+
+  /**
+   * Create a lease backed by the configured store (`SCHEDULER_LEASE_STORE=memory|supabase`)
+   */
+  static create(supabase, options = {}) {
+    const storeType = process.env.SCHEDULER_LEASE_STORE || (supabase ? 'supabase' : 'memory')
+    const store = storeType === 'memory' ? new MemoryLeaseStore() : new SupabaseLeaseStore(supabase)
+    return new SchedulerLease(store, options)
+  }
+
+  /**
+   * Whether this instance holds an unexpired lease
+   */
+  get isLeader() {
+    return this.leader && this.expiresAt > new Date()
+  }
+
+  /**
+   * Try to take the lease now and keep trying/renewing in the background
+   */
+  async start() {
+    await this.tryAcquire()
+
+    this.renewInterval = setInterval(() => {
+      this.tryAcquire()
+    }, this.renewIntervalMs)
+  }
+
+  /**
+   * Stop renewing and hand the lease over straight away
+   */
+  async stop() {
+    if (this.renewInterval) {
+      clearInterval(this.renewInterval)
+      this.renewInterval = null
+    }
+
+    if (this.leader) {
+      await this.store.release(this.name, this.instanceId)
+      this.setLeader(false, { owner: null, expiresAt: null })
+    }
+  }
+
+  /**
+   * Acquire or renew the lease; followers learn who the current owner is
+   */
+  async tryAcquire() {
+    try {
+      const requestedAt = Date.now()
+      const result = await this.store.acquire(this.name, this.instanceId, this.ttlMs)
+
+      // Leadership is timed on this instance's clock from when the request was sent: that never
+      // outlasts the lease the store granted, whatever the skew between the two clocks
+      this.setLeader(result.acquired, result.acquired ? { ...result, expiresAt: new Date(requestedAt + this.ttlMs) } : result)
+    } catch (error) {
+      logger.error('Scheduler lease check failed', { instanceId: this.instanceId, error: error.message })
+
+      // Without a confirmed renewal we stay leader only until the current lease runs out
+      if (this.leader && !this.isLeader) {
+        this.setLeader(false, { owner: null, expiresAt: null })
+      }
+    }
+
+    return this.isLeader
+  }
+
+  setLeader(leader, { owner, expiresAt }) {
+    const wasLeader = this.leader
+    this.leader = leader
+    this.owner = owner
+    this.expiresAt = expiresAt
+
+    if (leader && !wasLeader) {
+      logger.info('Acquired scheduler lease', { instanceId: this.instanceId, lease: this.name })
+      this.emit('acquired')
+    } else if (!leader && wasLeader) {
+      logger.warn('Lost scheduler lease', { instanceId: this.instanceId, owner })
+      this.emit('lost')
+    }
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      instanceId: this.instanceId,
+      isLeader: this.isLeader,
+      owner: this.owner,
+      expiresAt: this.expiresAt ? this.expiresAt.toISOString() : null,
+      durable: this.store.durable
+    }
+  }
+}
@@ -0,0 +1,88 @@
+// @vitest-environment node
+import { MemoryLeaseStore, SchedulerLease, SupabaseLeaseStore } from './schedulerLease.js'
+import { createFakeSupabase } from '../tests/fakeSupabase.js'
+
+/**
+ * Fake Supabase whose `acquire_scheduler_lease` judges expiry by its own clock (`db.now`),
+ * like the database function does
+ */
+const createLeaseDatabase = () => {
+  const supabase = createFakeSupabase({ scheduler_leases: [] })
+  const { db } = supabase
+  db.now = Date.now()
+
+  db.rpcs.acquire_scheduler_lease = ({ lease_name, lease_owner, ttl_ms }) => {
+    const leases = db.tables.scheduler_leases
+    const lease = leases.find(row => row.name === lease_name)
+
+    if (lease && lease.owner !== lease_owner && new Date(lease.expires_at).getTime() >= db.now) {
+      return { data: [{ owner: lease.owner, expires_at: lease.expires_at, acquired: false }], error: null }
+    }
+
+    const taken = { name: lease_name, owner: lease_owner, expires_at: new Date(db.now + ttl_ms).toISOString() }
+    db.tables.scheduler_leases = [...leases.filter(row => row !== lease), taken]
+    return { data: [{ owner: taken.owner, expires_at: taken.expires_at, acquired: true }], error: null }
+  }
+
+  return supabase
+}
+
+describe('SchedulerLease', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  test('elects one leader and hands over on release', async () => {
+    const store = new MemoryLeaseStore(new Map())
+    const first = new SchedulerLease(store, { instanceId: 'a', ttlMs: 1000 })
+    const second = new SchedulerLease(store, { instanceId: 'b', ttlMs: 1000 })
+
+    expect(await first.tryAcquire()).toBe(true)
+    expect(await second.tryAcquire()).toBe(false)
+    expect(second.getStatus()).toMatchObject({ isLeader: false, owner: 'a' })
+
+    await first.stop()
+    expect(await second.tryAcquire()).toBe(true)
+  })
+
+  test('takes over only once the database clock says the lease expired', async () => {
+    const supabase = createLeaseDatabase()
+    const leader = new SchedulerLease(new SupabaseLeaseStore(supabase), { instanceId: 'leader', ttlMs: 30000 })
+    const follower = new SchedulerLease(new SupabaseLeaseStore(supabase), { instanceId: 'follower', ttlMs: 30000 })
+
+    expect(await leader.tryAcquire()).toBe(true)
+
+    // The follower's own clock running minutes ahead does not matter
+    vi.useFakeTimers({ toFake: ['Date'] })
+    vi.setSystemTime(Date.now() + 5 * 60000)
+    expect(await follower.tryAcquire()).toBe(false)
+
+    supabase.db.now += 31000
+    expect(await follower.tryAcquire()).toBe(true)
+    expect(await leader.tryAcquire()).toBe(false)
+  })
+
+  test('times leadership from when the renewal was sent, not the expiry the store reports', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    const supabase = createLeaseDatabase()
+    supabase.db.now += 10 * 60000
+    const lease = new SchedulerLease(new SupabaseLeaseStore(supabase), { instanceId: 'leader', ttlMs: 30000 })
+
+    await lease.tryAcquire()
+    expect(lease.expiresAt.getTime()).toBe(Date.now() + 30000)
+
+    vi.setSystemTime(Date.now() + 30001)
+    expect(lease.isLeader).toBe(false)
+  })
+
+  test('releasing expires the lease on any clock', async () => {
+    const supabase = createLeaseDatabase()
+    const store = new SupabaseLeaseStore(supabase)
+    await store.acquire('workflow-scheduler', 'leader', 30000)
+
+    await store.release('workflow-scheduler', 'leader')
+
+    expect(supabase.db.tables.scheduler_leases[0].expires_at).toBe(new Date(0).toISOString())
+    expect((await store.acquire('workflow-scheduler', 'follower', 30000)).acquired).toBe(true)
+  })
+})
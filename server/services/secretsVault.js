@@ -0,0 +1,249 @@
+/**
+ * 🔐 Secrets Vault
+ * Organization-scoped secrets, encrypted at rest with AES-256-GCM under SECRETS_ENCRYPTION_KEY
+ */
+
+import { createCipheriv, createDecipheriv, randomBytes } from 'crypto'
+import { logger } from '../middleware/errorHandler.js'
+import { getRedactionScope, registerSecretValues } from '../utils/secretRedaction.js'
+
+const ALGORITHM = 'aes-256-gcm'
+const KEY_VERSION = 'v1'
+const SECRET_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,99}$/
+const MAX_SECRET_LENGTH = 64 * 1024
+const METADATA_COLUMNS = 'id, organization_id, environment_id, name, description, created_by, updated_by, created_at, updated_at'
+
+/**
+ * Check a secret name; names are used as `{{secret.NAME}}` so they must be identifiers
+ */
+export function getSecretNameError(name) {
+  if (typeof name !== 'string' || !SECRET_NAME_PATTERN.test(name)) {
+    return 'Secret name must start with a letter or underscore and contain only letters, digits and underscores (max 100 characters)'
+  }
+  return null
+}
+
+/**
+ * Check a secret value before it is encrypted
+ */
+export function getSecretValueError(value) {
+  if (typeof value !== 'string' || value.length === 0) {
+    return 'Secret value must be a non-empty string'
+  }
+  if (value.length > MAX_SECRET_LENGTH) {
+    return `Secret value must be at most ${MAX_SECRET_LENGTH} characters`
+  }
+  return null
+}
+
+/**
+ * Decode the server key: 32 bytes given as base64 or hex
+ */
+function parseEncryptionKey(rawKey) {
+  if (!rawKey) {
+    return null
+  }
+
+  const key = /^[0-9a-fA-F]{64}$/.test(rawKey) ? Buffer.from(rawKey, 'hex') : Buffer.from(rawKey, 'base64')
+
+  if (key.length !== 32) {
+    throw new Error('SECRETS_ENCRYPTION_KEY must be 32 bytes, base64 or hex encoded (e.g. `openssl rand -base64 32`)')
+  }
+
+  return key
+}
+
+export class SecretsVault {
+  constructor(supabase, options = {}) {
+    this.supabase = supabase
+    this.table = options.table || 'organization_secrets'
+    this.key = null
+
+    try {
+      this.key = parseEncryptionKey(options.key ?? process.env.SECRETS_ENCRYPTION_KEY)
+    } catch (error) {
+      logger.error('Secrets vault disabled', { error: error.message })
+    }
+  }
+
+  get isConfigured() {
+    return this.key !== null
+  }
+
+  requireKey() {
+    if (!this.key) {
+      throw new Error('Secrets vault is not configured: set SECRETS_ENCRYPTION_KEY')
+    }
+    return this.key
+  }
+
+  // ============================================================================
+  // ENCRYPTION
+  // ============================================================================
+
+  /**
+   * Encrypt a value as `v1:<iv>:<auth tag>:<ciphertext>` (base64 parts)
+   */
+  encrypt(value) {
+    const iv = randomBytes(12)
+    const cipher = createCipheriv(ALGORITHM, this.requireKey(), iv)
+    const ciphertext = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()])
+
+    return [KEY_VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':')
+  }
+
+  decrypt(payload) {
+    const [version, iv, tag, ciphertext] = String(payload).split(':')
+
+    if (version !== KEY_VERSION || !iv || !tag || ciphertext === undefined) {
+      throw new Error('Unrecognized secret format')
+    }
+
+    const decipher = createDecipheriv(ALGORITHM, this.requireKey(), Buffer.from(iv, 'base64'))
+    decipher.setAuthTag(Buffer.from(tag, 'base64'))
+
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8')
+  }
+
+  // ============================================================================
+  // SECRET MANAGEMENT
+  // ============================================================================
+
+  /**
+   * Limit a query to organization-wide secrets or to one environment's overrides
+   */
+  scope(query, environmentId) {
+    return environmentId ? query.eq('environment_id', environmentId) : query.is('environment_id', null)
+  }
+
+  /**
+   * List an organization's (or an environment's) secrets: names and metadata only, never values
+   */
+  async listSecrets(organizationId, { environmentId = null } = {}) {
+    const query = this.supabase
+      .from(this.table)
+      .select(METADATA_COLUMNS)
+      .eq('organization_id', organizationId)
+
+    const { data, error } = await this.scope(query, environmentId).order('name', { ascending: true })
+
+    if (error) throw error
+    return data || []
+  }
+
+  async createSecret(organizationId, { name, value, description = '', environmentId = null }, userId) {
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .insert([{
+        organization_id: organizationId,
+        environment_id: environmentId,
+        name,
+        description,
+        encrypted_value: this.encrypt(value),
+        created_by: userId,
+        updated_by: userId
+      }])
+      .select(METADATA_COLUMNS)
+      .single()
+
+    if (error) throw error
+
+    logger.info('Secret created', { organizationId, environmentId, name, userId })
+    return data
+  }
+
+  /**
+   * Update a secret's value and/or description; returns null when it does not exist
+   */
+  async updateSecret(organizationId, name, { value, description, environmentId = null }, userId) {
+    const updates = {
+      updated_by: userId,
+      updated_at: new Date().toISOString()
+    }
+
+    if (value !== undefined) updates.encrypted_value = this.encrypt(value)
+    if (description !== undefined) updates.description = description
+
+    const query = this.supabase
+      .from(this.table)
+      .update(updates)
+      .eq('organization_id', organizationId)
+      .eq('name', name)
+
+    const { data, error } = await this.scope(query, environmentId).select(METADATA_COLUMNS).maybeSingle()
+
+    if (error) throw error
+
+    if (data) {
+      logger.info('Secret updated', { organizationId, environmentId, name, userId, valueChanged: value !== undefined })
+    }
+    return data
+  }
+
+  /**
+   * Delete a secret; returns false when it does not exist
+   */
+  async deleteSecret(organizationId, name, userId, { environmentId = null } = {}) {
+    const query = this.supabase
+      .from(this.table)
+      .delete()
+      .eq('organization_id', organizationId)
+      .eq('name', name)
+
+    const { data, error } = await this.scope(query, environmentId).select('id')
+
+    if (error) throw error
+
+    if (data?.length > 0) {
+      logger.info('Secret deleted', { organizationId, environmentId, name, userId })
+    }
+    return data?.length > 0
+  }
+
+  // ============================================================================
+  // EXECUTION ACCESS
+  // ============================================================================
+
+  /**
+   * Decrypt every secret of an organization as `{ NAME: value }` for `{{secret.NAME}}`,
+   * with the environment's overrides replacing organization-wide values of the same name
+   *
+   * Loaded values are registered for redaction in the organization's output before they are
+   * handed out.
+   */
+  async getSecretValues(organizationId, { environmentId = null } = {}) {
+    if (!organizationId) {
+      return {}
+    }
+
+    let query = this.supabase
+      .from(this.table)
+      .select('name, encrypted_value, environment_id')
+      .eq('organization_id', organizationId)
+
+    query = environmentId
+      ? query.or(`environment_id.is.null,environment_id.eq.${environmentId}`)
+      : query.is('environment_id', null)
+
+    const { data, error } = await query
+
+    if (error) {
+      throw new Error(`Failed to load secrets: ${error.message}`)
+    }
+
+    // Organization-wide rows first so overrides win
+    const rows = [...(data || [])].sort((a, b) => Number(Boolean(a.environment_id)) - Number(Boolean(b.environment_id)))
+
+    const secrets = {}
+    for (const row of rows) {
+      try {
+        secrets[row.name] = this.decrypt(row.encrypted_value)
+      } catch (decryptError) {
+        logger.error('Failed to decrypt secret', { organizationId, name: row.name, error: decryptError.message })
+      }
+    }
+
+    registerSecretValues(getRedactionScope({ organizationId }), Object.values(secrets))
+    return secrets
+  }
+}
@@ -3,9 +3,97 @@
  * Handles execution of individual workflow steps
  */
 
+import crypto from 'crypto'
 import { logger } from '../middleware/errorHandler.js'
 import { VariableResolver } from '../utils/variableResolver.js'
+import { classifyStepError, getRetryDelay, normalizeRetryPolicy } from '../utils/retryPolicy.js'
 import { browserSessionManager } from './browserSessionManager.js'
+import { abortable, sleep, throwIfAborted, timeoutSignal } from '../utils/abort.js'
+import { FILE_ENCODINGS, WorkspaceService } from './workspaceService.js'
+import { parseCsvRows, resolveDelimiter, stringifyCsv } from '../utils/csv.js'
+import { decodeText, encodeText, toRecords, toRows } from '../utils/spreadsheet.js'
+import { readXlsx, writeXlsx } from '../utils/xlsx.js'
+import { convertFieldValue, getRowKey, normalizeFields } from '../utils/tableExtraction.js'
+
+// Config keys holding child steps; they are resolved when each child runs, not up front
+const NESTED_STEP_KEYS = ['steps', 'branches', 'catchSteps', 'finallySteps']
+
+// Loops stop with an error once they pass this many iterations
+const DEFAULT_MAX_ITERATIONS = 1000
+const MAX_LOOP_ITERATIONS = 10000
+
+// `{{secret.NAME}}` references inside an expression
+const SECRET_REFERENCE_PATTERN = /\bsecret\s*\??\.\s*([A-Za-z_]\w*)/g
+
+// Branch defaults, matching the builder's branch node
+const DEFAULT_BRANCH_TIMEOUT = 300
+const MAX_GRAPH_BRANCHES = 4
+
+// How deep call_workflow steps may nest (a step can lower, not raise, the hard limit)
+const DEFAULT_CALL_DEPTH = 5
+const MAX_CALL_DEPTH = 10
+const CALL_MODES = ['inline', 'child']
+
+// What an approval step does when nobody decides before its timeout
+const APPROVAL_TIMEOUT_OUTCOMES = ['approve', 'reject']
+
+// Pages an extract_table step follows at most
+const MAX_TABLE_PAGES = 100
+
+// Where download_file steps get their file from
+const DOWNLOAD_SOURCES = ['url', 'browser']
+
+function checkFileEncoding(encoding) {
+  if (encoding !== undefined && encoding !== '' && !FILE_ENCODINGS.includes(encoding)) {
+    throw new Error(`File encoding must be one of ${FILE_ENCODINGS.join(', ')}`)
+  }
+}
+
+/**
+ * File name a download is saved under: Content-Disposition, then the URL's last path segment
+ */
+function getResponseFilename(response, url) {
+  const disposition = response.headers.get('content-disposition') || ''
+  const encoded = disposition.match(/filename\*\s*=\s*(?:UTF-8'')?([^;]+)/i)
+  const plain = disposition.match(/filename\s*=\s*"?([^";]+)"?/i)
+
+  let filename = ''
+  try {
+    filename = encoded ? decodeURIComponent(encoded[1].trim().replace(/^"|"$/g, '')) : plain?.[1].trim()
+    filename = filename || decodeURIComponent(new URL(url).pathname.split('/').pop())
+  } catch {
+    // Malformed encoding falls back to a generated name
+  }
+
+  // Only the last segment, so a server cannot pick the directory
+  const safe = (filename || '').split(/[\\/]/).pop().replace(/[^\w.\- ]/g, '_').trim()
+  return safe && !/^\.+$/.test(safe) ? safe : `download_${Date.now()}`
+}
+
+/**
+ * Header options shared by the CSV and Excel steps
+ */
+function getTableOptions(config) {
+  if (config.columns !== undefined && !Array.isArray(config.columns)) {
+    throw new Error('Columns must be an array of column names')
+  }
+  if (config.headerMap !== undefined && (typeof config.headerMap !== 'object' || config.headerMap === null || Array.isArray(config.headerMap))) {
+    throw new Error('Header map must be an object of header → key names')
+  }
+
+  return {
+    header: config.header !== false,
+    columns: config.columns,
+    headerMap: config.headerMap || {}
+  }
+}
+
+function getRowsToWrite(rows) {
+  if (!Array.isArray(rows)) {
+    throw new Error('Rows must be an array of row objects or arrays')
+  }
+  return rows
+}
 
 export class StepProcessor {
   constructor() {
@@ -13,9 +101,18 @@ export class StepProcessor {
     this.stepHandlers = new Map()
     this.sessionManager = browserSessionManager
     this.browserService = browserSessionManager.getBrowserService()
+    this.workspace = new WorkspaceService()
+    this.executor = null
     this.setupStepHandlers()
   }
 
+  /**
+   * Attach the engine used to run nested step bodies
+   */
+  setExecutor(executor) {
+    this.executor = executor
+  }
+
   /**
    * Setup step handlers for different step types
    */
@@ -30,19 +127,38 @@ export class StepProcessor {
     this.stepHandlers.set('scroll', this.handleScroll.bind(this))
     this.stepHandlers.set('generate_pdf', this.handleGeneratePDF.bind(this))
     this.stepHandlers.set('execute_script', this.handleExecuteScript.bind(this))
+    this.stepHandlers.set('select_option', this.handleSelectOption.bind(this))
+    this.stepHandlers.set('hover', this.handleHover.bind(this))
+    this.stepHandlers.set('press_keys', this.handlePressKeys.bind(this))
+    this.stepHandlers.set('upload_file', this.handleUploadFile.bind(this))
+    this.stepHandlers.set('drag_and_drop', this.handleDragAndDrop.bind(this))
+    this.stepHandlers.set('switch_frame', this.handleSwitchFrame.bind(this))
+
+    // Tab steps; the current tab is the execution's `pageId`
+    this.stepHandlers.set('open_tab', this.handleOpenTab.bind(this))
+    this.stepHandlers.set('switch_tab', this.handleSwitchTab.bind(this))
+    this.stepHandlers.set('close_tab', this.handleCloseTab.bind(this))
 
     // Data manipulation steps
     this.stepHandlers.set('extract_text', this.handleExtractText.bind(this))
     this.stepHandlers.set('extract_data', this.handleExtractData.bind(this))
     this.stepHandlers.set('extract_attribute', this.handleExtractAttribute.bind(this))
+    this.stepHandlers.set('extract_table', this.handleExtractTable.bind(this))
     this.stepHandlers.set('set_variable', this.handleSetVariable.bind(this))
     this.stepHandlers.set('transform_data', this.handleTransformData.bind(this))
 
     // Logic and control flow steps
+    this.stepHandlers.set('start', this.handleStart.bind(this))
+    this.stepHandlers.set('schedule', this.handleScheduleTrigger.bind(this))
+    this.stepHandlers.set('end', this.handleEnd.bind(this))
     this.stepHandlers.set('condition', this.handleCondition.bind(this))
     this.stepHandlers.set('loop', this.handleLoop.bind(this))
+    this.stepHandlers.set('branch', this.handleBranch.bind(this))
+    this.stepHandlers.set('try_catch', this.handleTryCatch.bind(this))
     this.stepHandlers.set('break', this.handleBreak.bind(this))
     this.stepHandlers.set('continue', this.handleContinue.bind(this))
+    this.stepHandlers.set('call_workflow', this.handleCallWorkflow.bind(this))
+    this.stepHandlers.set('approval', this.handleApproval.bind(this))
 
     // External integration steps
     this.stepHandlers.set('http_request', this.handleHttpRequest.bind(this))
@@ -53,13 +169,28 @@ export class StepProcessor {
     this.stepHandlers.set('read_file', this.handleReadFile.bind(this))
     this.stepHandlers.set('write_file', this.handleWriteFile.bind(this))
     this.stepHandlers.set('download_file', this.handleDownloadFile.bind(this))
+
+    // Spreadsheet steps
+    this.stepHandlers.set('parse_csv', this.handleParseCsv.bind(this))
+    this.stepHandlers.set('write_csv', this.handleWriteCsv.bind(this))
+    this.stepHandlers.set('read_xlsx', this.handleReadXlsx.bind(this))
+    this.stepHandlers.set('write_xlsx', this.handleWriteXlsx.bind(this))
   }
 
   /**
    * Process a workflow step
+   * `meta` carries the graph position ({ graph, nodeId }) for control flow handlers, and handlers
+   * get the step's abort `signal` (execution cancel/timeout, or `stepTimeout` seconds) in it
    */
-  async processStep(step, context) {
+  async processStep(step, context, meta = {}) {
     const startTime = Date.now()
+    const executionSignal = context.abortController?.signal
+    throwIfAborted(executionSignal)
+
+    const stepTimeout = parseFloat(step.config?.stepTimeout)
+    const { signal, clear } = stepTimeout > 0
+      ? timeoutSignal(executionSignal, stepTimeout * 1000, `Step ${step.id || step.type} timed out after ${stepTimeout}s`)
+      : { signal: executionSignal, clear: () => {} }
 
     try {
       logger.debug('Processing step', { 
@@ -68,8 +199,12 @@ export class StepProcessor {
         executionId: context.id
       })
 
-      // Resolve variables in step configuration
-      const resolvedConfig = this.variableResolver.resolveVariables(step.config, context.variables)
+      // Resolve variables in step configuration; secrets are only added for this resolution
+      const secretNames = this.getSecretReferences(step.config)
+      const variables = secretNames.length > 0
+        ? { ...context.variables, secret: await this.loadSecrets(context, secretNames) }
+        : context.variables
+      const resolvedConfig = this.resolveStepConfig(step.config, variables)
 
       // Get step handler
       const handler = this.stepHandlers.get(step.type)
@@ -77,8 +212,8 @@ export class StepProcessor {
         throw new Error(`Unknown step type: ${step.type}`)
       }
 
-      // Execute step
-      const result = await handler(resolvedConfig, context)
+      // Execute step; an abort ends the wait at once even if the handler is still busy
+      const result = await abortable(handler(resolvedConfig, context, { step, ...meta, signal }), signal)
 
       const executionTime = Date.now() - startTime
 
@@ -91,6 +226,11 @@ export class StepProcessor {
       }
 
     } catch (error) {
+      // Cancellation and execution timeouts end the run; they are not a step failure to retry or route
+      if (executionSignal?.aborted) {
+        throw executionSignal.reason
+      }
+
       const executionTime = Date.now() - startTime
 
       logger.error('Step processing failed', {
@@ -106,7 +246,69 @@ export class StepProcessor {
         executionTime,
         timestamp: new Date().toISOString()
       }
+    } finally {
+      clear()
+    }
+  }
+
+  /**
+   * Resolve a step's config, leaving nested child steps untouched
+   */
+  resolveStepConfig(config = {}, variables = {}) {
+    const resolved = {}
+
+    for (const [key, value] of Object.entries(config || {})) {
+      resolved[key] = NESTED_STEP_KEYS.includes(key)
+        ? value
+        : this.variableResolver.resolveVariables(value, variables)
+    }
+
+    return resolved
+  }
+
+  /**
+   * Names of the secrets a step's own config references (child steps resolve their own)
+   */
+  getSecretReferences(config = {}) {
+    const names = new Set()
+
+    const visit = (value) => {
+      if (typeof value === 'string') {
+        for (const expression of this.variableResolver.getVariableReferences(value)) {
+          for (const match of expression.matchAll(SECRET_REFERENCE_PATTERN)) {
+            names.add(match[1])
+          }
+        }
+      } else if (Array.isArray(value)) {
+        value.forEach(visit)
+      } else if (value && typeof value === 'object') {
+        Object.values(value).forEach(visit)
+      }
+    }
+
+    for (const [key, value] of Object.entries(config || {})) {
+      if (!NESTED_STEP_KEYS.includes(key)) visit(value)
+    }
+
+    return [...names]
+  }
+
+  /**
+   * Fetch the organization's secrets, failing the step if a referenced one does not exist
+   */
+  async loadSecrets(context, names) {
+    if (!this.executor?.getSecrets) {
+      throw new Error('Secrets are not available outside a workflow execution')
+    }
+
+    const secrets = await this.executor.getSecrets(context)
+    const missing = names.filter(name => !Object.prototype.hasOwnProperty.call(secrets, name))
+
+    if (missing.length > 0) {
+      throw new Error(`Unknown secret${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`)
     }
+
+    return secrets
   }
 
   // ============================================================================
@@ -143,6 +345,13 @@ export class StepProcessor {
     }
   }
 
+  /**
+   * Page a browser step acts on; parallel branches each get their own
+   */
+  getPageId(config, context) {
+    return config.pageId || context.pageId || 'default'
+  }
+
   /**
    * Close browser session for workflow execution
    */
@@ -165,7 +374,7 @@ export class StepProcessor {
   // BROWSER AUTOMATION HANDLERS
   // ============================================================================
 
-  async handleClick(config, context) {
+  async handleClick(config, context, meta = {}) {
     logger.info('Executing click step', { selector: config.selector })
     
     try {
@@ -176,16 +385,17 @@ export class StepProcessor {
       const result = await this.browserService.click(
         sessionId, 
         config.selector, 
-        config.pageId || 'default',
+        this.getPageId(config, context),
         {
           timeout: config.timeout,
           clickCount: config.clickCount,
-          delay: config.delay
+          delay: config.delay,
+          signal: meta.signal
         }
       )
 
       if (config.waitAfter) {
-        await this.delay(config.waitAfter)
+        await this.delay(config.waitAfter, meta.signal)
       }
 
       return {
@@ -206,7 +416,7 @@ export class StepProcessor {
     }
   }
 
-  async handleType(config, context) {
+  async handleType(config, context, meta = {}) {
     logger.info('Executing type step', { selector: config.selector, text: config.text?.substring(0, 50) })
     
     try {
@@ -215,16 +425,17 @@ export class StepProcessor {
         sessionId,
         config.selector,
         config.text,
-        config.pageId || 'default',
+        this.getPageId(config, context),
         {
           timeout: config.timeout,
           delay: config.typeDelay,
-          clear: config.clearFirst
+          clear: config.clearFirst,
+          signal: meta.signal
         }
       )
 
       if (config.waitAfter) {
-        await this.delay(config.waitAfter)
+        await this.delay(config.waitAfter, meta.signal)
       }
 
       return {
@@ -247,11 +458,11 @@ export class StepProcessor {
     }
   }
 
-  async handleWait(config, context) {
+  async handleWait(config, context, meta = {}) {
     const duration = parseInt(config.duration) || 1000
     logger.info('Executing wait step', { duration })
     
-    await this.delay(duration)
+    await this.delay(duration, meta.signal)
     
     return {
       action: 'wait',
@@ -261,7 +472,7 @@ export class StepProcessor {
     }
   }
 
-  async handleWaitForElement(config, context) {
+  async handleWaitForElement(config, context, meta = {}) {
     logger.info('Executing wait for element step', { selector: config.selector })
     
     try {
@@ -269,10 +480,11 @@ export class StepProcessor {
       const result = await this.browserService.waitForElement(
         sessionId,
         config.selector,
-        'default',
+        this.getPageId(config, context),
         { 
           timeout: config.timeout || 30000,
-          visible: config.visible !== false
+          visible: config.visible !== false,
+          signal: meta.signal
         }
       )
       
@@ -291,7 +503,7 @@ export class StepProcessor {
     }
   }
 
-  async handleNavigate(config, context) {
+  async handleNavigate(config, context, meta = {}) {
     logger.info('Executing navigate step', { url: config.url })
     
     try {
@@ -302,15 +514,16 @@ export class StepProcessor {
       const result = await this.browserService.navigate(
         sessionId,
         config.url,
-        config.pageId || 'default',
+        this.getPageId(config, context),
         {
           waitUntil: config.waitUntil || 'networkidle2',
-          timeout: config.timeout
+          timeout: config.timeout,
+          signal: meta.signal
         }
       )
 
       if (config.waitAfter) {
-        await this.delay(config.waitAfter)
+        await this.delay(config.waitAfter, meta.signal)
       }
 
       return {
@@ -345,7 +558,7 @@ export class StepProcessor {
       const sessionId = context.sessionId || context.id
       const result = await this.browserService.screenshot(
         sessionId,
-        config.pageId || 'default',
+        this.getPageId(config, context),
         {
           fullPage: config.fullPage,
           quality: config.quality,
@@ -353,17 +566,21 @@ export class StepProcessor {
         }
       )
 
+      // The capture moves into the artifact store, which fills in `screenshot_url`
       return {
         action: 'screenshot',
         filename: result.filename,
-        filepath: result.filepath,
-        url: result.url,
         success: result.success,
         message: result.success ? 'Screenshot captured' : result.error,
         error: result.error,
+        artifact: result.success ? {
+          filepath: result.filepath,
+          name: result.filename,
+          move: true,
+          urlVariable: 'screenshot_url'
+        } : undefined,
         variables: result.success ? {
-          last_screenshot: result.filename,
-          screenshot_url: result.url
+          last_screenshot: result.filename
         } : undefined
       }
     } catch (error) {
@@ -403,11 +620,322 @@ export class StepProcessor {
     }
   }
 
+  async handleSelectOption(config, context, meta = {}) {
+    logger.info('Executing select option step', { selector: config.selector })
+
+    const values = [].concat(config.values ?? config.value ?? config.label ?? []).map(String)
+    if (values.length === 0) {
+      throw new Error('An option value or label is required')
+    }
+
+    await this.ensureBrowserSession(context)
+
+    const sessionId = context.sessionId || context.id
+    const result = await this.browserService.selectOption(sessionId, config.selector, values, this.getPageId(config, context), {
+      by: config.by || (config.label !== undefined ? 'label' : 'value'),
+      timeout: config.timeout,
+      signal: meta.signal
+    })
+    if (!result.success) {
+      throw new Error(`Select option failed: ${result.error}`)
+    }
+
+    const variableName = config.variableName || 'selected_option'
+
+    return {
+      action: 'select_option',
+      selector: config.selector,
+      selected: result.selected,
+      success: true,
+      message: `Selected ${result.selected.join(', ')} in: ${config.selector}`,
+      variables: {
+        [variableName]: result.selected.length === 1 ? result.selected[0] : result.selected
+      }
+    }
+  }
+
+  async handleHover(config, context, meta = {}) {
+    logger.info('Executing hover step', { selector: config.selector })
+
+    await this.ensureBrowserSession(context)
+
+    const sessionId = context.sessionId || context.id
+    const result = await this.browserService.hover(sessionId, config.selector, this.getPageId(config, context), {
+      timeout: config.timeout,
+      signal: meta.signal
+    })
+    if (!result.success) {
+      throw new Error(`Hover failed: ${result.error}`)
+    }
+
+    if (config.waitAfter) {
+      await this.delay(config.waitAfter, meta.signal)
+    }
+
+    return {
+      action: 'hover',
+      selector: config.selector,
+      success: true,
+      message: `Hovered over: ${config.selector}`
+    }
+  }
+
+  /**
+   * Press a key combination ("Control+A") or a sequence of them (["Tab", "Enter"]), in the
+   * element matching `selector` when given, otherwise wherever the focus is
+   */
+  async handlePressKeys(config, context, meta = {}) {
+    logger.info('Executing press keys step', { keys: config.keys })
+
+    await this.ensureBrowserSession(context)
+
+    const sessionId = context.sessionId || context.id
+    const result = await this.browserService.pressKeys(sessionId, config.keys, this.getPageId(config, context), {
+      selector: config.selector,
+      delay: config.delay,
+      timeout: config.timeout,
+      signal: meta.signal
+    })
+    if (!result.success) {
+      throw new Error(`Press keys failed: ${result.error}`)
+    }
+
+    if (config.waitAfter) {
+      await this.delay(config.waitAfter, meta.signal)
+    }
+
+    return {
+      action: 'press_keys',
+      keys: result.keys,
+      success: true,
+      message: `Pressed ${result.keys.join(', ')}`
+    }
+  }
+
+  /**
+   * Upload workspace files (`path`) and/or artifacts of the organization (`artifactId`), each
+   * one or an array, through the file input or file picker at `selector`
+   */
+  async handleUploadFile(config, context, meta = {}) {
+    logger.info('Executing upload file step', { selector: config.selector, path: config.path, artifactId: config.artifactId })
+
+    const paths = config.path !== undefined && config.path !== '' ? [].concat(config.path) : []
+    const artifactIds = config.artifactId !== undefined && config.artifactId !== '' ? [].concat(config.artifactId) : []
+    if (paths.length === 0 && artifactIds.length === 0) {
+      throw new Error('A workspace path or artifact id to upload is required')
+    }
+    if (artifactIds.length > 0 && !this.executor?.getArtifactFile) {
+      throw new Error('Artifacts are not available outside a workflow execution')
+    }
+
+    const scope = this.workspace.getScope(context)
+    const filepaths = []
+    const releases = []
+
+    try {
+      for (const filePath of paths) {
+        filepaths.push(await this.workspace.getFilePath(scope, filePath))
+      }
+      for (const artifactId of artifactIds) {
+        const file = await this.executor.getArtifactFile(context, artifactId)
+        releases.push(file.release)
+        filepaths.push(file.filepath)
+      }
+
+      await this.ensureBrowserSession(context)
+
+      const sessionId = context.sessionId || context.id
+      const result = await this.browserService.uploadFile(sessionId, config.selector, filepaths, this.getPageId(config, context), {
+        timeout: config.timeout,
+        signal: meta.signal
+      })
+      if (!result.success) {
+        throw new Error(`Upload failed: ${result.error}`)
+      }
+
+      return {
+        action: 'upload_file',
+        selector: config.selector,
+        files: result.files,
+        success: true,
+        message: `Uploaded ${result.files.join(', ')} to: ${config.selector}`
+      }
+    } finally {
+      await Promise.all(releases.map(release => release()))
+    }
+  }
+
+  async handleDragAndDrop(config, context, meta = {}) {
+    logger.info('Executing drag and drop step', { source: config.source, target: config.target })
+
+    if (!config.source || !config.target) {
+      throw new Error('Source and target selectors are required')
+    }
+
+    await this.ensureBrowserSession(context)
+
+    const sessionId = context.sessionId || context.id
+    const result = await this.browserService.dragAndDrop(sessionId, config.source, config.target, this.getPageId(config, context), {
+      timeout: config.timeout,
+      signal: meta.signal
+    })
+    if (!result.success) {
+      throw new Error(`Drag and drop failed: ${result.error}`)
+    }
+
+    return {
+      action: 'drag_and_drop',
+      source: config.source,
+      target: config.target,
+      success: true,
+      message: `Dragged ${config.source} to ${config.target}`
+    }
+  }
+
+  /**
+   * Run the following element steps inside an iframe (`selector`), its parent frame
+   * (`'parent'`) or the page itself (`'main'`, or no selector)
+   */
+  async handleSwitchFrame(config, context, meta = {}) {
+    logger.info('Executing switch frame step', { selector: config.selector })
+
+    await this.ensureBrowserSession(context)
+
+    const sessionId = context.sessionId || context.id
+    const result = await this.browserService.switchFrame(sessionId, config.selector, this.getPageId(config, context), {
+      timeout: config.timeout,
+      signal: meta.signal
+    })
+    if (!result.success) {
+      throw new Error(`Switch frame failed: ${result.error}`)
+    }
+
+    return {
+      action: 'switch_frame',
+      selector: config.selector || 'main',
+      frameUrl: result.frameUrl,
+      success: true,
+      message: result.frameUrl ? `Switched to frame: ${config.selector}` : 'Switched to the main frame'
+    }
+  }
+
+  // ============================================================================
+  // TAB HANDLERS
+  // ============================================================================
+
+  /**
+   * Open a tab (optionally at `url`) and make it the current one unless `switch: false`
+   */
+  async handleOpenTab(config, context, meta = {}) {
+    logger.info('Executing open tab step', { pageId: config.pageId, url: config.url })
+
+    await this.ensureBrowserSession(context)
+
+    const sessionId = context.sessionId || context.id
+    const result = await this.browserService.openTab(sessionId, config.pageId, {
+      url: config.url,
+      timeout: config.timeout,
+      signal: meta.signal
+    })
+    if (!result.success) {
+      throw new Error(`Open tab failed: ${result.error}`)
+    }
+
+    if (config.switch !== false) {
+      context.pageId = result.pageId
+    }
+
+    return {
+      action: 'open_tab',
+      pageId: result.pageId,
+      url: result.url,
+      success: true,
+      message: `Opened tab: ${result.pageId}`,
+      variables: {
+        [config.variableName || 'current_tab']: context.pageId || 'default'
+      }
+    }
+  }
+
+  /**
+   * Make another tab the current one: by `pageId`, position (`index`) or part of its `url` or
+   * `title`; tabs the site opened are picked up too and named `as`
+   */
+  async handleSwitchTab(config, context, meta = {}) {
+    logger.info('Executing switch tab step', { pageId: config.pageId, index: config.index, url: config.url, title: config.title })
+
+    const match = Object.fromEntries(
+      ['pageId', 'index', 'url', 'title', 'as']
+        .filter(key => config[key] !== undefined && config[key] !== '')
+        .map(key => [key, config[key]])
+    )
+
+    await this.ensureBrowserSession(context)
+
+    const sessionId = context.sessionId || context.id
+    const result = await this.browserService.switchTab(sessionId, match, {
+      timeout: config.timeout,
+      signal: meta.signal
+    })
+    if (!result.success) {
+      throw new Error(`Switch tab failed: ${result.error}`)
+    }
+
+    context.pageId = result.pageId
+
+    return {
+      action: 'switch_tab',
+      pageId: result.pageId,
+      url: result.url,
+      title: result.title,
+      success: true,
+      message: `Switched to tab: ${result.pageId}`,
+      variables: {
+        [config.variableName || 'current_tab']: result.pageId
+      }
+    }
+  }
+
+  /**
+   * Close a tab (the current one by default); closing the current tab makes the most recently
+   * opened remaining tab current
+   */
+  async handleCloseTab(config, context) {
+    const currentPageId = context.pageId || 'default'
+    const pageId = config.pageId || currentPageId
+    logger.info('Executing close tab step', { pageId })
+
+    const sessionId = context.sessionId || context.id
+    const result = await this.browserService.closeTab(sessionId, pageId)
+    if (!result.success) {
+      throw new Error(`Close tab failed: ${result.error}`)
+    }
+
+    if (pageId === currentPageId) {
+      const remaining = result.pageIds[result.pageIds.length - 1]
+      if (remaining) {
+        context.pageId = remaining
+      } else {
+        delete context.pageId
+      }
+    }
+
+    return {
+      action: 'close_tab',
+      pageId,
+      success: true,
+      message: `Closed tab: ${pageId}`,
+      variables: {
+        [config.variableName || 'current_tab']: context.pageId || 'default'
+      }
+    }
+  }
+
   // ============================================================================
   // DATA MANIPULATION HANDLERS
   // ============================================================================
 
-  async handleExtractText(config, context) {
+  async handleExtractText(config, context, meta = {}) {
     logger.info('Executing extract text step', { selector: config.selector })
     
     try {
@@ -415,8 +943,8 @@ export class StepProcessor {
       const result = await this.browserService.extractText(
         sessionId, 
         config.selector, 
-        'default',
-        { multiple: config.multiple || false }
+        this.getPageId(config, context),
+        { multiple: config.multiple || false, signal: meta.signal }
       )
       
       if (!result.success) {
@@ -451,7 +979,7 @@ export class StepProcessor {
         const result = await this.browserService.extractText(
           sessionId, 
           selector, 
-          'default',
+          this.getPageId(config, context),
           { multiple: false }
         )
         
@@ -475,7 +1003,7 @@ export class StepProcessor {
     }
   }
 
-  async handleExtractAttribute(config, context) {
+  async handleExtractAttribute(config, context, meta = {}) {
     logger.info('Executing extract attribute step', { selector: config.selector, attribute: config.attribute })
     
     try {
@@ -484,8 +1012,8 @@ export class StepProcessor {
         sessionId,
         config.selector,
         config.attribute,
-        'default',
-        { multiple: config.multiple || false }
+        this.getPageId(config, context),
+        { multiple: config.multiple || false, signal: meta.signal }
       )
       
       if (!result.success) {
@@ -510,6 +1038,99 @@ export class StepProcessor {
     }
   }
 
+  /**
+   * Extract an array of row objects: `fields` are read from each `rowSelector` element,
+   * following `nextSelector` for up to `maxPages` pages (or until it is gone) and dropping
+   * rows whose `key` fields repeat an earlier row's
+   */
+  async handleExtractTable(config, context, meta = {}) {
+    logger.info('Executing extract table step', { rowSelector: config.rowSelector, nextSelector: config.nextSelector })
+
+    if (!config.rowSelector) {
+      throw new Error('Row selector is required')
+    }
+
+    const fields = normalizeFields(config.fields)
+    const keyFields = config.key ? [].concat(config.key) : []
+    const unknownKey = keyFields.find(name => !fields.some(field => field.name === name))
+    if (unknownKey) {
+      throw new Error(`Key field "${unknownKey}" is not one of the extracted fields`)
+    }
+
+    const maxPages = config.nextSelector
+      ? Math.min(parseInt(config.maxPages) || MAX_TABLE_PAGES, MAX_TABLE_PAGES)
+      : 1
+    const maxRows = parseInt(config.maxRows) || Infinity
+
+    await this.ensureBrowserSession(context)
+
+    const sessionId = context.sessionId || context.id
+    const pageId = this.getPageId(config, context)
+    // Marks the rows this step has read, so paging only reads the rows that are new
+    const mark = crypto.randomUUID()
+    const seen = new Set()
+    const rows = []
+    let pages = 0
+    let duplicates = 0
+
+    while (true) {
+      throwIfAborted(meta.signal)
+
+      const result = await this.browserService.extractTable(sessionId, config.rowSelector, fields, pageId, {
+        mark,
+        signal: meta.signal
+      })
+      if (!result.success) {
+        throw new Error(`Table extraction failed: ${result.error}`)
+      }
+      pages++
+
+      for (const values of result.data) {
+        const row = Object.fromEntries(fields.map(field => [field.name, convertFieldValue(values[field.name], field, result.url)]))
+
+        const key = keyFields.length > 0 ? getRowKey(row, keyFields) : null
+        if (key !== null && seen.has(key)) {
+          duplicates++
+          continue
+        }
+        if (key !== null) seen.add(key)
+
+        rows.push(row)
+        if (rows.length >= maxRows) break
+      }
+
+      if (pages >= maxPages || rows.length >= maxRows) break
+
+      const next = await this.browserService.nextPage(sessionId, config.nextSelector, config.rowSelector, mark, pageId, {
+        timeout: config.timeout,
+        signal: meta.signal
+      })
+      if (!next.success) {
+        throw new Error(`Next page failed: ${next.error}`)
+      }
+      if (!next.hasNext) break
+
+      if (config.pageDelay) {
+        await this.delay(config.pageDelay, meta.signal)
+      }
+    }
+
+    const variableName = config.variableName || 'extracted_rows'
+
+    return {
+      action: 'extract_table',
+      rowSelector: config.rowSelector,
+      rowCount: rows.length,
+      pages,
+      duplicates,
+      success: true,
+      message: `Extracted ${rows.length} rows from ${pages} page${pages === 1 ? '' : 's'}`,
+      variables: {
+        [variableName]: rows
+      }
+    }
+  }
+
   async handleGeneratePDF(config, context) {
     logger.info('Executing generate PDF step', { options: config.options })
     
@@ -517,7 +1138,7 @@ export class StepProcessor {
       const sessionId = context.sessionId || context.id
       const result = await this.browserService.generatePDF(
         sessionId,
-        'default',
+        this.getPageId(config, context),
         config.options || {}
       )
       
@@ -530,14 +1151,16 @@ export class StepProcessor {
       return {
         action: 'generate_pdf',
         filename: result.filename,
-        filepath: result.filepath,
-        url: result.url,
         success: true,
         message: `PDF generated: ${result.filename}`,
+        artifact: {
+          filepath: result.filepath,
+          name: result.filename,
+          move: true,
+          urlVariable: `${variableName}_url`
+        },
         variables: {
-          [variableName]: result.filename,
-          [`${variableName}_url`]: result.url,
-          [`${variableName}_path`]: result.filepath
+          [variableName]: result.filename
         }
       }
     } catch (error) {
@@ -553,7 +1176,7 @@ export class StepProcessor {
       const result = await this.browserService.executeScript(
         sessionId,
         config.script,
-        'default'
+        this.getPageId(config, context)
       )
       
       if (!result.success) {
@@ -639,21 +1262,48 @@ export class StepProcessor {
   // LOGIC AND CONTROL FLOW HANDLERS
   // ============================================================================
 
-  async handleCondition(config, context) {
+  async handleStart(config, context) {
+    return {
+      action: 'start',
+      success: true,
+      message: 'Workflow started'
+    }
+  }
+
+  async handleScheduleTrigger(config, context) {
+    // The scheduler does the triggering; in the graph this node just marks the entry point
+    return {
+      action: 'schedule',
+      success: true,
+      message: context.options?.scheduledFor
+        ? `Triggered by schedule for ${context.options.scheduledFor}`
+        : 'Workflow started'
+    }
+  }
+
+  async handleEnd(config, context) {
+    logger.info('Reached end step', { executionId: context.id })
+
+    return {
+      action: 'end',
+      success: true,
+      message: config.message || 'Workflow ended'
+    }
+  }
+
+  async handleCondition(config, context, meta = {}) {
     logger.info('Executing condition step', { condition: config.condition })
     
-    const result = this.evaluateCondition(config.condition, context.variables)
+    // Evaluate the unresolved condition so `{{ }}` references keep their types
+    const result = this.variableResolver.evaluateCondition(meta.step?.config?.condition ?? config.condition, context.variables)
     
     let nextAction = {}
-    
-    if (result) {
-      if (config.onTrue?.action === 'skip_to_step') {
-        nextAction.skipToStep = config.onTrue.stepIndex
-      }
-    } else {
-      if (config.onFalse?.action === 'skip_to_step') {
-        nextAction.skipToStep = config.onFalse.stepIndex
-      }
+    const branch = result ? config.onTrue : config.onFalse
+
+    if (branch?.action === 'skip_to_step') {
+      nextAction.skipToStep = branch.stepIndex
+    } else if ((branch?.action === 'break' || branch?.action === 'continue') && context.loopDepth > 0) {
+      nextAction.loopSignal = branch.action
     }
     
     return {
@@ -666,23 +1316,485 @@ export class StepProcessor {
     }
   }
 
-  async handleLoop(config, context) {
-    logger.info('Executing loop step', { type: config.type })
-    
-    // For now, just simulate loop processing
-    await this.delay(100)
-    
+  async handleLoop(config, context, meta = {}) {
+    const loopType = this.getLoopType(config)
+    const maxIterations = Math.min(parseInt(config.maxIterations) || DEFAULT_MAX_ITERATIONS, MAX_LOOP_ITERATIONS)
+
+    logger.info('Executing loop step', { type: loopType, executionId: context.id })
+
+    if (!this.executor) {
+      throw new Error('Loop steps require a workflow executor')
+    }
+
+    const items = loopType === 'for_each' ? this.getLoopItems(config, context) : null
+    const total = loopType === 'count' ? parseInt(config.iterations ?? config.count) : items?.length
+
+    if (loopType === 'count' && (!Number.isFinite(total) || total < 0)) {
+      throw new Error(`Invalid loop count: ${config.iterations ?? config.count}`)
+    }
+
+    if (total !== undefined && total > maxIterations) {
+      throw new Error(`Loop would run ${total} iterations, exceeding the maximum of ${maxIterations}`)
+    }
+
+    const itemVariable = config.itemVariable || 'item'
+    const indexVariable = config.indexVariable || 'index'
+    const loopVariables = [itemVariable, indexVariable, 'current_item']
+    const previousValues = Object.fromEntries(loopVariables.map(name => [name, context.variables[name]]))
+
+    // The while condition is re-evaluated against the variables of every iteration
+    const rawCondition = meta.step?.config?.condition ?? config.condition
+    const runBody = this.createLoopBody(config, context, meta)
+
+    let iterations = 0
+    let stoppedBy = null
+
+    context.loopDepth = (context.loopDepth || 0) + 1
+
+    try {
+      while (true) {
+        if (total !== undefined && iterations >= total) break
+        if (loopType === 'while' && !this.variableResolver.evaluateCondition(rawCondition, context.variables)) break
+
+        if (iterations >= maxIterations) {
+          throw new Error(`Loop exceeded the maximum of ${maxIterations} iterations`)
+        }
+
+        if (context.status === 'cancelled') {
+          throw new Error('Execution cancelled')
+        }
+
+        context.variables = {
+          ...context.variables,
+          [indexVariable]: iterations,
+          ...(items ? { [itemVariable]: items[iterations], current_item: items[iterations] } : {})
+        }
+
+        const outcome = await runBody()
+        iterations++
+
+        if (outcome.loopSignal === 'break') {
+          stoppedBy = 'break'
+          break
+        }
+
+        // A break outside any loop stops the whole workflow, not just this loop
+        if (outcome.stop && !outcome.loopSignal) {
+          stoppedBy = 'workflow'
+          break
+        }
+      }
+    } finally {
+      context.loopDepth--
+
+      for (const [name, value] of Object.entries(previousValues)) {
+        if (value === undefined) {
+          delete context.variables[name]
+        } else {
+          context.variables[name] = value
+        }
+      }
+    }
+
     return {
       action: 'loop',
-      type: config.type,
+      type: loopType,
+      iterations,
+      success: true,
+      message: `Loop completed after ${iterations} iteration(s)${stoppedBy === 'break' ? ' (break)' : ''}`,
+      outputPort: 'complete',
+      breakExecution: stoppedBy === 'workflow'
+    }
+  }
+
+  /**
+   * Normalize loop type names used by templates and the builder
+   */
+  getLoopType(config) {
+    const type = config.type || config.loopType || 'count'
+
+    switch (type) {
+      case 'count':
+      case 'times':
+        return 'count'
+      case 'while':
+      case 'condition':
+        return 'while'
+      case 'infinite':
+        return 'infinite'
+      case 'for_each':
+      case 'forEach':
+      case 'each':
+        return 'for_each'
+      default:
+        throw new Error(`Unknown loop type: ${type}`)
+    }
+  }
+
+  /**
+   * Resolve the array a for-each loop iterates over
+   */
+  getLoopItems(config, context) {
+    let items = config.array ?? config.items
+
+    if (items === undefined && config.variable) {
+      items = this.variableResolver.getNestedValue(context.variables, config.variable)
+    }
+
+    if (typeof items === 'string') {
+      try {
+        items = JSON.parse(items)
+      } catch (error) {
+        // Not JSON; fall through to the type check below
+      }
+    }
+
+    if (!Array.isArray(items)) {
+      throw new Error('For-each loop requires an array to iterate over')
+    }
+
+    return items
+  }
+
+  /**
+   * Build the function that runs one iteration of a loop body
+   */
+  createLoopBody(config, context, meta) {
+    const childSteps = meta.step?.config?.steps
+
+    // Inline child steps (templates, API-created workflows)
+    if (Array.isArray(childSteps) && childSteps.length > 0) {
+      return () => this.executor.runSteps(context, childSteps)
+    }
+
+    // Builder graphs: the body hangs off the loop's iteration port and flows back into it
+    if (meta.graph && meta.nodeId) {
+      const entryNodeIds = meta.graph.getNextNodeIds(meta.nodeId, 'iteration')
+      return () => this.executor.runGraph(context, meta.graph, entryNodeIds, { stopAt: meta.nodeId })
+    }
+
+    return async () => ({ stop: false })
+  }
+
+  async handleBranch(config, context, meta = {}) {
+    if (!this.executor) {
+      throw new Error('Branch steps require a workflow executor')
+    }
+
+    const { branches, joinNodeId } = this.getBranches(config, meta)
+    const waitForAll = config.waitForAll === true
+    const failOnError = config.failOnError !== false
+    const timeoutMs = (parseInt(config.timeout) || DEFAULT_BRANCH_TIMEOUT) * 1000
+    const sessionId = context.sessionId || context.id
+
+    logger.info('Executing branch step', {
+      executionId: context.id,
+      branches: branches.length,
+      waitForAll
+    })
+
+    if (branches.length === 0) {
+      throw new Error('Branch step has no branches to run')
+    }
+
+    const runs = branches.map((branch, index) => {
+      // Each branch reads the parent's state but writes to its own variables and page
+      const branchContext = Object.create(context)
+      branchContext.variables = { ...context.variables }
+      branchContext.pageId = `branch_${meta.nodeId || 'inline'}_${index + 1}`
+      branchContext.loopDepth = 0
+      branchContext.abandoned = false
+
+      // Aborts with the branch step (cancel, execution or step timeout) or on the branch's own timeout,
+      // so the branch's in-flight step stops too
+      const { signal, clear } = timeoutSignal(meta.signal, timeoutMs, `Branch ${index + 1} timed out after ${timeoutMs / 1000}s`)
+      branchContext.abortController = { signal }
+
+      const startTime = Date.now()
+      const execution = branch.run(branchContext)
+
+      const promise = abortable(execution, signal)
+        .then(outcome => ({ index, success: true, outcome, context: branchContext }))
+        .catch(error => {
+          branchContext.abandoned = true
+          return { index, success: false, error: error.message, context: branchContext }
+        })
+        .then(result => {
+          clear()
+          return { ...result, duration: Date.now() - startTime }
+        })
+
+      // Pages are released once the branch has really stopped, even if it lost a race
+      execution
+        .catch(() => {})
+        .finally(() => this.browserService.closePage(sessionId, branchContext.pageId))
+
+      return { branchContext, promise }
+    })
+
+    const settled = waitForAll
+      ? await Promise.all(runs.map(run => run.promise))
+      : [await this.firstSuccessfulBranch(runs.map(run => run.promise))]
+
+    // Branches that lost the race stop before their next step
+    if (!waitForAll) {
+      runs.forEach(run => { run.branchContext.abandoned = true })
+    }
+
+    const failures = settled.filter(result => !result.success)
+
+    if (failOnError && failures.length > 0) {
+      throw new Error(failures.map(result => `Branch ${result.index + 1} failed: ${result.error}`).join('; '))
+    }
+
+    // Join: apply what each successful branch set or deleted, in branch order
+    const variables = {}
+    const deletedVariables = new Set()
+    for (const result of settled.filter(result => result.success)) {
+      const branchVariables = result.context.variables
+
+      for (const [key, value] of Object.entries(branchVariables)) {
+        if (value !== context.variables[key] || !Object.prototype.hasOwnProperty.call(context.variables, key)) {
+          variables[key] = value
+          deletedVariables.delete(key)
+        }
+      }
+
+      for (const key of Object.keys(context.variables)) {
+        if (!Object.prototype.hasOwnProperty.call(branchVariables, key)) {
+          delete variables[key]
+          deletedVariables.add(key)
+        }
+      }
+    }
+
+    return {
+      action: 'branch',
       success: true,
-      message: `Loop step processed`
+      message: `${settled.length - failures.length}/${settled.length} branch(es) completed`,
+      branches: settled.map(result => ({
+        branch: result.index + 1,
+        success: result.success,
+        error: result.error,
+        duration: result.duration
+      })),
+      variables,
+      deletedVariables: [...deletedVariables],
+      // Drawn paths continue at their join node (or nowhere); inline branches carry on normally
+      ...(joinNodeId !== undefined ? { nextNodeIds: joinNodeId ? [joinNodeId] : [] } : {}),
+      breakExecution: settled.some(result => result.outcome?.stop && !result.outcome.loopSignal)
+    }
+  }
+
+  /**
+   * Collect the branches to run, either inline or from the node's path ports
+   */
+  getBranches(config, meta) {
+    const inlineBranches = meta.step?.config?.branches
+
+    if (Array.isArray(inlineBranches) && inlineBranches.length > 0) {
+      return {
+        branches: inlineBranches.map(branch => {
+          const steps = Array.isArray(branch) ? branch : branch.steps || []
+          return { run: branchContext => this.executor.runSteps(branchContext, steps) }
+        })
+      }
+    }
+
+    if (!meta.graph || !meta.nodeId) {
+      return { branches: [] }
+    }
+
+    const branchCount = parseInt(config.branchCount) || MAX_GRAPH_BRANCHES
+    const entryGroups = []
+
+    for (let i = 1; i <= Math.min(branchCount, MAX_GRAPH_BRANCHES); i++) {
+      const entryNodeIds = meta.graph.getNextNodeIds(meta.nodeId, `path${i}`)
+      if (entryNodeIds.length > 0) {
+        entryGroups.push(entryNodeIds)
+      }
+    }
+
+    // Paths run up to the node where they meet again; execution continues from there
+    const joinNodeId = config.joinNodeId || meta.graph.findJoinNodeId(entryGroups)
+
+    return {
+      joinNodeId,
+      branches: entryGroups.map(entryNodeIds => ({
+        run: branchContext => this.executor.runGraph(branchContext, meta.graph, entryNodeIds, {
+          stopAt: joinNodeId
+        })
+      }))
+    }
+  }
+
+  /**
+   * Resolve with the first branch to succeed, or the last failure if none do
+   */
+  firstSuccessfulBranch(promises) {
+    return new Promise(resolve => {
+      let remaining = promises.length
+
+      for (const promise of promises) {
+        promise.then(result => {
+          remaining--
+          if (result.success || remaining === 0) {
+            resolve(result)
+          }
+        })
+      }
+    })
+  }
+
+  async handleTryCatch(config, context, meta = {}) {
+    if (!this.executor) {
+      throw new Error('Try/catch steps require a workflow executor')
+    }
+
+    const blocks = this.getTryCatchBlocks(config, context, meta)
+    const errorVariable = config.errorVariable || 'error'
+    const retryPolicy = normalizeRetryPolicy({
+      retries: config.maxRetries,
+      delay: (parseFloat(config.retryDelay) || 0) * 1000,
+      backoff: config.backoff,
+      jitter: config.jitter,
+      retryOn: config.retryOn || ['all']
+    })
+
+    logger.info('Executing try/catch step', { executionId: context.id, stepId: meta.nodeId })
+
+    let outcome = { stop: false }
+    let caughtError = null
+    let attempts = 0
+
+    try {
+      // Try block, retried as a whole
+      while (true) {
+        attempts++
+
+        try {
+          outcome = await blocks.try()
+          caughtError = null
+          break
+        } catch (error) {
+          // A cancelled or timed-out execution is not an error the catch block can handle
+          throwIfAborted(context.abortController?.signal)
+
+          caughtError = error
+
+          if (!retryPolicy || attempts >= retryPolicy.maxAttempts ||
+              !(retryPolicy.retryOn.includes('all') || retryPolicy.retryOn.includes(classifyStepError(error)))) {
+            break
+          }
+
+          logger.warn('Try block failed, retrying', { executionId: context.id, attempt: attempts, error: error.message })
+          await this.delay(getRetryDelay(retryPolicy, attempts), meta.signal)
+        }
+      }
+
+      if (caughtError) {
+        if (config.logErrors !== false) {
+          logger.error('Try block failed', { executionId: context.id, attempts, error: caughtError.message })
+        }
+
+        context.variables = {
+          ...context.variables,
+          [errorVariable]: {
+            message: caughtError.message,
+            errorClass: classifyStepError(caughtError),
+            stepId: context.currentStepId,
+            attempts
+          }
+        }
+
+        if (blocks.catch) {
+          outcome = await blocks.catch()
+        } else if (config.continueOnError !== true) {
+          throw new Error(config.errorMessage || caughtError.message)
+        }
+      }
+    } finally {
+      // Finally runs whether the try/catch blocks passed or threw
+      if (blocks.finally) {
+        const finallyOutcome = await blocks.finally()
+        if (finallyOutcome.stop) {
+          outcome = finallyOutcome
+        }
+      }
+    }
+
+    return {
+      action: 'try_catch',
+      success: true,
+      attempts,
+      caught: Boolean(caughtError),
+      message: caughtError ? `Caught error: ${caughtError.message}` : 'Try block completed',
+      ...(outcome.loopSignal ? { loopSignal: outcome.loopSignal } : {}),
+      breakExecution: Boolean(outcome.stop && !outcome.loopSignal),
+      // Drawn try/catch/finally paths ran up to their join; execution continues from there
+      ...(blocks.graph ? { nextNodeIds: blocks.joinNodeId ? [blocks.joinNodeId] : [] } : {})
+    }
+  }
+
+  /**
+   * Collect try/catch/finally bodies, either inline or from the node's ports
+   *
+   * Drawn blocks end at the first node the try path and the error path (or, without one, the
+   * finally path) both reach, or at `joinNodeId`; that node and what follows run after the block.
+   */
+  getTryCatchBlocks(config, context, meta) {
+    const stepConfig = meta.step?.config || {}
+    const skip = async () => ({ stop: false })
+
+    if (Array.isArray(stepConfig.steps)) {
+      const runInline = steps => Array.isArray(steps) && steps.length > 0
+        ? () => this.executor.runSteps(context, steps)
+        : null
+
+      return {
+        try: runInline(stepConfig.steps) || skip,
+        catch: runInline(stepConfig.catchSteps),
+        finally: runInline(stepConfig.finallySteps)
+      }
+    }
+
+    if (meta.graph && meta.nodeId) {
+      const [tryEntries, catchEntries, finallyEntries] = ['success', 'error', 'finally']
+        .map(port => meta.graph.getNextNodeIds(meta.nodeId, port))
+
+      const joinNodeId = config.joinNodeId || meta.graph.findJoinNodeId(
+        [tryEntries, catchEntries.length > 0 ? catchEntries : finallyEntries].filter(entries => entries.length > 0)
+      )
+
+      const runPath = entryNodeIds => entryNodeIds.length > 0
+        ? () => this.executor.runGraph(context, meta.graph, entryNodeIds, { stopAt: joinNodeId })
+        : null
+
+      return {
+        graph: true,
+        joinNodeId,
+        try: runPath(tryEntries) || skip,
+        catch: runPath(catchEntries),
+        finally: runPath(finallyEntries)
+      }
     }
+
+    return { try: skip }
   }
 
   async handleBreak(config, context) {
     logger.info('Executing break step')
-    
+
+    // Inside a loop, break only leaves the innermost loop
+    if (context.loopDepth > 0) {
+      return {
+        action: 'break',
+        success: true,
+        message: 'Break out of loop',
+        loopSignal: 'break'
+      }
+    }
+
     return {
       action: 'break',
       success: true,
@@ -697,7 +1809,149 @@ export class StepProcessor {
     return {
       action: 'continue',
       success: true,
-      message: 'Continue to next iteration'
+      message: 'Continue to next iteration',
+      ...(context.loopDepth > 0 ? { loopSignal: 'continue' } : {})
+    }
+  }
+
+  /**
+   * Run another workflow, passing it the declared `inputs` ({ calleeVariable: value }) and copying
+   * the declared `outputs` ({ callerVariable: 'calleeVariable.path' }) back
+   */
+  async handleCallWorkflow(config, context) {
+    if (!this.executor) {
+      throw new Error('Call workflow steps require a workflow executor')
+    }
+
+    const { workflowId, inputs = {}, outputs = {} } = config
+    const mode = config.mode || 'inline'
+    const maxDepth = Math.min(parseInt(config.maxDepth) || DEFAULT_CALL_DEPTH, MAX_CALL_DEPTH)
+    const depth = (context.callDepth || 0) + 1
+
+    if (!workflowId) {
+      throw new Error('Call workflow step requires a workflowId')
+    }
+
+    if (!CALL_MODES.includes(mode)) {
+      throw new Error(`Unknown call mode: ${mode} (expected ${CALL_MODES.join(' or ')})`)
+    }
+
+    for (const [name, value] of Object.entries({ inputs, outputs })) {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error(`Call workflow ${name} must be an object`)
+      }
+    }
+
+    if (depth > maxDepth) {
+      throw new Error(`Workflow call depth limit of ${maxDepth} reached calling ${workflowId}`)
+    }
+
+    logger.info('Executing call workflow step', { executionId: context.id, workflowId, mode, depth })
+
+    const callOptions = { inputs, outputs, version: config.version, depth }
+    const call = mode === 'child'
+      ? await this.executor.runChildWorkflow(context, workflowId, callOptions)
+      : await this.executor.runInlineWorkflow(context, workflowId, callOptions)
+
+    const variables = {}
+    for (const [target, source] of Object.entries(outputs)) {
+      const value = this.variableResolver.getNestedValue(call.variables, String(source))
+
+      if (value === undefined) {
+        throw new Error(`Called workflow ${call.workflow.name} did not set output "${source}"`)
+      }
+
+      variables[target] = value
+    }
+
+    return {
+      action: 'call_workflow',
+      success: true,
+      message: `Workflow ${call.workflow.name} completed (${mode})`,
+      workflowId,
+      workflowName: call.workflow.name,
+      version: call.version,
+      childExecutionId: call.executionId,
+      outputs: Object.keys(variables),
+      variables
+    }
+  }
+
+  /**
+   * Suspend the execution until a person approves or rejects it. The first run asks the engine to
+   * suspend; once decided, the execution resumes at this step with the decision on the context.
+   */
+  async handleApproval(config, context, meta = {}) {
+    const { nodeId, graph } = meta
+    const decision = context.approvalDecision
+
+    // Only the top-level walk is checkpointed, so that is the only place a run can stop and resume
+    const topLevel = Object.prototype.hasOwnProperty.call(context, 'graph') && graph === context.graph
+    if (!topLevel || context.loopDepth > 0 || context.parentExecutionId) {
+      throw new Error('Approval steps can only run at the top level of a workflow (not in loops, branches, try/catch or called workflows)')
+    }
+
+    if (decision && decision.stepId === nodeId) {
+      context.approvalDecision = null
+
+      logger.info('Approval step decided', { executionId: context.id, stepId: nodeId, approved: decision.approved })
+
+      const variableName = config.variableName || 'approval'
+      const approval = {
+        approved: decision.approved,
+        comment: decision.comment || null,
+        decidedBy: decision.decidedBy || null,
+        timedOut: decision.timedOut === true
+      }
+
+      // Linear workflows and graphs without a "rejected" path stop on rejection
+      const hasPort = port => !graph.isLinear && graph.getNextNodeIds(nodeId, port).length > 0
+      if (!approval.approved && !hasPort('rejected')) {
+        throw new Error(approval.timedOut
+          ? 'Approval timed out and was rejected'
+          : `Approval rejected${approval.comment ? `: ${approval.comment}` : ''}`)
+      }
+
+      return {
+        action: 'approval',
+        success: true,
+        message: approval.approved ? 'Approved' : 'Rejected',
+        ...approval,
+        // An approval wired only through its plain success port continues there when approved
+        outputPort: approval.approved ? (hasPort('approved') ? 'approved' : 'success') : 'rejected',
+        variables: { ...decision.formData, [variableName]: approval }
+      }
+    }
+
+    const approvers = Array.isArray(config.approvers)
+      ? config.approvers.filter(Boolean).map(String)
+      : String(config.approvers || '').split(',').map(approver => approver.trim()).filter(Boolean)
+    const timeoutOutcome = config.timeoutOutcome || 'reject'
+    const timeoutMinutes = parseFloat(config.timeoutMinutes)
+
+    if (!APPROVAL_TIMEOUT_OUTCOMES.includes(timeoutOutcome)) {
+      throw new Error(`Unknown approval timeout outcome: ${timeoutOutcome} (expected ${APPROVAL_TIMEOUT_OUTCOMES.join(' or ')})`)
+    }
+
+    if (config.timeoutMinutes !== undefined && config.timeoutMinutes !== '' && !(timeoutMinutes > 0)) {
+      throw new Error('Approval timeout must be a positive number of minutes')
+    }
+
+    logger.info('Executing approval step', { executionId: context.id, stepId: nodeId })
+
+    return {
+      action: 'approval',
+      success: true,
+      message: 'Waiting for approval',
+      suspend: {
+        stepId: nodeId,
+        title: config.title || `Approval needed: ${context.workflow.name}`,
+        message: config.message || '',
+        // Without named approvers the person who started the run decides
+        approvers: approvers.length > 0 ? approvers : [context.userId].filter(Boolean),
+        expiresAt: timeoutMinutes > 0 ? new Date(Date.now() + timeoutMinutes * 60 * 1000).toISOString() : null,
+        timeoutOutcome
+      }
     }
   }
 
@@ -705,14 +1959,15 @@ export class StepProcessor {
   // EXTERNAL INTEGRATION HANDLERS
   // ============================================================================
 
-  async handleHttpRequest(config, context) {
+  async handleHttpRequest(config, context, meta = {}) {
     logger.info('Executing HTTP request step', { method: config.method, url: config.url })
     
     try {
       const response = await fetch(config.url, {
         method: config.method || 'GET',
         headers: config.headers || {},
-        body: config.body ? JSON.stringify(config.body) : undefined
+        body: config.body ? JSON.stringify(config.body) : undefined,
+        signal: meta.signal
       })
       
       const responseData = await response.text()
@@ -732,6 +1987,7 @@ export class StepProcessor {
         url: config.url,
         status: response.status,
         success: response.ok,
+        error: response.ok ? undefined : `HTTP ${response.status} ${response.statusText}`,
         message: `HTTP ${config.method} to ${config.url} - Status: ${response.status}`,
         variables: {
           [variableName]: parsedData,
@@ -739,15 +1995,18 @@ export class StepProcessor {
         }
       }
     } catch (error) {
+      if (meta.signal?.aborted) {
+        throw meta.signal.reason
+      }
       throw new Error(`HTTP request failed: ${error.message}`)
     }
   }
 
-  async handleSendEmail(config, context) {
+  async handleSendEmail(config, context, meta = {}) {
     logger.info('Executing send email step', { to: config.to, subject: config.subject })
     
     // Simulate email sending
-    await this.delay(2000)
+    await this.delay(2000, meta.signal)
     
     return {
       action: 'send_email',
@@ -758,7 +2017,7 @@ export class StepProcessor {
     }
   }
 
-  async handleWebhook(config, context) {
+  async handleWebhook(config, context, meta = {}) {
     logger.info('Executing webhook step', { url: config.url })
     
     const payload = {
@@ -774,7 +2033,7 @@ export class StepProcessor {
       headers: { 'Content-Type': 'application/json' },
       body: payload,
       responseVariable: 'webhook_response'
-    }, context)
+    }, context, meta)
   }
 
   // ============================================================================
@@ -783,108 +2042,290 @@ export class StepProcessor {
 
   async handleReadFile(config, context) {
     logger.info('Executing read file step', { path: config.path })
-    
-    await this.delay(500)
-    
-    // Simulate file reading
-    const content = `Sample file content from ${config.path}`
+
+    checkFileEncoding(config.encoding)
+
+    const file = await this.workspace.readFile(this.workspace.getScope(context), config.path, {
+      encoding: config.encoding,
+      delimiter: config.delimiter
+    })
     const variableName = config.variableName || 'file_content'
-    
+
     return {
       action: 'read_file',
-      path: config.path,
+      path: file.path,
+      encoding: file.encoding,
+      size: file.size,
       success: true,
-      message: `Read file: ${config.path}`,
+      message: `Read file: ${file.path} (${file.size} bytes)`,
       variables: {
-        [variableName]: content
+        [variableName]: file.content
       }
     }
   }
 
   async handleWriteFile(config, context) {
     logger.info('Executing write file step', { path: config.path })
-    
-    await this.delay(800)
-    
+
+    checkFileEncoding(config.encoding)
+
+    const { encoding, filepath, ...file } = await this.workspace.writeFile(this.workspace.getScope(context), config.path, config.content, {
+      encoding: config.encoding,
+      append: config.append === true,
+      overwrite: config.overwrite !== false,
+      delimiter: config.delimiter
+    })
+
     return {
       action: 'write_file',
-      path: config.path,
-      content: config.content,
+      path: file.path,
+      encoding,
+      size: file.size,
       success: true,
-      message: `Written file: ${config.path}`
+      message: `Written file: ${file.path} (${file.size} bytes)`,
+      artifact: { ...file, filepath },
+      variables: {
+        [config.variableName || 'written_file']: file.path
+      }
     }
   }
 
-  async handleDownloadFile(config, context) {
-    logger.info('Executing download file step', { url: config.url })
-    
-    await this.delay(3000)
-    
-    const filename = config.filename || `download_${Date.now()}.file`
-    
+  /**
+   * Download a URL, or (`source: 'browser'`) the file the page downloads after clicking
+   * `selector`, into the workspace
+   */
+  async handleDownloadFile(config, context, meta = {}) {
+    const source = config.source || (config.url ? 'url' : 'browser')
+    logger.info('Executing download file step', { source, url: config.url })
+
+    if (!DOWNLOAD_SOURCES.includes(source)) {
+      throw new Error(`Download source must be one of ${DOWNLOAD_SOURCES.join(', ')}`)
+    }
+
+    const scope = this.workspace.getScope(context)
+    const overwrite = config.overwrite !== false
+    let file
+
+    if (source === 'url') {
+      if (!config.url) {
+        throw new Error('Download URL is required')
+      }
+
+      const response = await fetch(config.url, {
+        headers: config.headers || {},
+        signal: meta.signal
+      })
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} ${response.statusText}`)
+      }
+
+      const filename = config.filename || getResponseFilename(response, config.url)
+      file = await this.workspace.saveResponse(scope, config.path || `downloads/${filename}`, response, { overwrite })
+    } else {
+      await this.ensureBrowserSession(context)
+
+      const sessionId = context.sessionId || context.id
+      const since = Date.now()
+
+      if (config.selector) {
+        const click = await this.browserService.click(sessionId, config.selector, this.getPageId(config, context), {
+          timeout: config.timeout,
+          signal: meta.signal
+        })
+        if (!click.success) {
+          throw new Error(click.error)
+        }
+      }
+
+      const download = await this.browserService.waitForDownload(sessionId, {
+        since,
+        timeout: config.timeout,
+        signal: meta.signal
+      })
+      if (!download.success) {
+        throw new Error(download.error)
+      }
+
+      const filename = config.filename || download.filename
+      file = await this.workspace.importFile(scope, download.filepath, config.path || `downloads/${filename}`, { overwrite })
+    }
+
+    const variableName = config.variableName || 'downloaded_file'
+
     return {
       action: 'download_file',
+      source,
       url: config.url,
-      filename,
+      path: file.path,
+      size: file.size,
       success: true,
-      message: `Downloaded file: ${filename}`,
+      message: `Downloaded file: ${file.path} (${file.size} bytes)`,
+      artifact: file,
       variables: {
-        downloaded_file: filename
+        [variableName]: file.path
       }
     }
   }
 
   // ============================================================================
-  // UTILITY METHODS
+  // SPREADSHEET HANDLERS
   // ============================================================================
 
   /**
-   * Evaluate conditional expressions
+   * Parse a workspace CSV file (or `content`) into row objects keyed by its header row
    */
-  evaluateCondition(condition, variables) {
-    try {
-      // Simple condition evaluation
-      // In production, use a more secure expression evaluator
-      const resolvedCondition = this.variableResolver.resolveVariables(condition, variables)
-      
-      // Basic comparisons
-      if (resolvedCondition.includes('==')) {
-        const [left, right] = resolvedCondition.split('==').map(s => s.trim())
-        return left === right
+  async handleParseCsv(config, context) {
+    logger.info('Executing parse CSV step', { path: config.path })
+
+    const options = getTableOptions(config)
+    let text
+    let file
+
+    if (config.path) {
+      file = await this.workspace.readBuffer(this.workspace.getScope(context), config.path)
+      text = decodeText(file.data, config.encoding)
+    } else if (config.content !== undefined) {
+      text = String(config.content ?? '')
+    } else {
+      throw new Error('A file path or CSV content is required')
+    }
+
+    const delimiter = resolveDelimiter(config.delimiter, text)
+    const rows = toRecords(parseCsvRows(text, { delimiter }), {
+      ...options,
+      inferTypes: config.inferTypes !== false
+    })
+    const variableName = config.variableName || 'rows'
+
+    return {
+      action: 'parse_csv',
+      path: file?.path,
+      delimiter,
+      rowCount: rows.length,
+      columns: Object.keys(rows[0] || {}),
+      success: true,
+      message: `Parsed ${rows.length} CSV rows${file ? ` from ${file.path}` : ''}`,
+      variables: {
+        [variableName]: rows
       }
-      
-      if (resolvedCondition.includes('!=')) {
-        const [left, right] = resolvedCondition.split('!=').map(s => s.trim())
-        return left !== right
+    }
+  }
+
+  /**
+   * Write row objects (or arrays) to a workspace CSV file; appending to a file that has content
+   * leaves out the header row and byte order mark
+   */
+  async handleWriteCsv(config, context) {
+    logger.info('Executing write CSV step', { path: config.path })
+
+    const options = getTableOptions(config)
+    const rows = getRowsToWrite(config.rows)
+    const scope = this.workspace.getScope(context)
+    const append = config.append === true
+    const appending = append && (await this.workspace.getFileSize(scope, config.path)) > 0
+
+    const text = stringifyCsv(toRows(rows, { ...options, header: options.header && !appending }), {
+      delimiter: resolveDelimiter(config.delimiter)
+    })
+    const data = encodeText(text, config.encoding, { bom: config.bom === true && !appending })
+
+    const { encoding, filepath, ...file } = await this.workspace.writeFile(scope, config.path, data, {
+      encoding: 'binary',
+      append,
+      overwrite: config.overwrite !== false
+    })
+
+    return {
+      action: 'write_csv',
+      path: file.path,
+      rowCount: rows.length,
+      size: file.size,
+      success: true,
+      message: `Written ${rows.length} CSV rows to ${file.path}`,
+      artifact: { ...file, filepath },
+      variables: {
+        [config.variableName || 'written_file']: file.path
       }
-      
-      if (resolvedCondition.includes('>')) {
-        const [left, right] = resolvedCondition.split('>').map(s => s.trim())
-        return parseFloat(left) > parseFloat(right)
+    }
+  }
+
+  /**
+   * Read one sheet of a workspace Excel file into row objects; `sheet` is a name or 1-based
+   * position. Cells keep their types, so inference is off unless `inferTypes` is set.
+   */
+  async handleReadXlsx(config, context) {
+    logger.info('Executing read Excel step', { path: config.path, sheet: config.sheet })
+
+    const options = getTableOptions(config)
+    const file = await this.workspace.readBuffer(this.workspace.getScope(context), config.path)
+    const { sheetNames, sheetName, rows: cells } = readXlsx(file.data, { sheet: config.sheet })
+
+    const rows = toRecords(cells, { ...options, inferTypes: config.inferTypes === true })
+    const variableName = config.variableName || 'rows'
+
+    return {
+      action: 'read_xlsx',
+      path: file.path,
+      sheet: sheetName,
+      sheets: sheetNames,
+      rowCount: rows.length,
+      columns: Object.keys(rows[0] || {}),
+      success: true,
+      message: `Read ${rows.length} rows from ${file.path} (${sheetName})`,
+      variables: {
+        [variableName]: rows
       }
-      
-      if (resolvedCondition.includes('<')) {
-        const [left, right] = resolvedCondition.split('<').map(s => s.trim())
-        return parseFloat(left) < parseFloat(right)
+    }
+  }
+
+  /**
+   * Write rows to a workspace Excel file: `rows` into one sheet named `sheet`, or a
+   * `sheets` object of sheet name → rows
+   */
+  async handleWriteXlsx(config, context) {
+    logger.info('Executing write Excel step', { path: config.path })
+
+    const options = getTableOptions(config)
+    const sheetRows = config.sheets !== undefined ? config.sheets : { [config.sheet || 'Sheet1']: config.rows }
+    if (typeof sheetRows !== 'object' || sheetRows === null || Array.isArray(sheetRows)) {
+      throw new Error('Sheets must be an object of sheet name → rows')
+    }
+
+    const sheets = Object.entries(sheetRows).map(([name, rows]) => {
+      const records = getRowsToWrite(rows)
+      const table = toRows(records, options)
+      return { name, rows: table, header: table.length > records.length }
+    })
+
+    const { encoding, filepath, ...file } = await this.workspace.writeFile(this.workspace.getScope(context), config.path, writeXlsx(sheets), {
+      encoding: 'binary',
+      overwrite: config.overwrite !== false
+    })
+    const rowCount = sheets.reduce((total, sheet) => total + sheet.rows.length - (sheet.header ? 1 : 0), 0)
+
+    return {
+      action: 'write_xlsx',
+      path: file.path,
+      sheets: sheets.map(({ name }) => name),
+      rowCount,
+      size: file.size,
+      success: true,
+      message: `Written ${rowCount} rows to ${file.path}`,
+      artifact: { ...file, filepath },
+      variables: {
+        [config.variableName || 'written_file']: file.path
       }
-      
-      // Check boolean values
-      if (resolvedCondition === 'true') return true
-      if (resolvedCondition === 'false') return false
-      
-      // Check if variable exists and is truthy
-      return Boolean(resolvedCondition)
-      
-    } catch (error) {
-      logger.error('Condition evaluation failed', { condition, error: error.message })
-      return false
     }
   }
 
+  // ============================================================================
+  // UTILITY METHODS
+  // ============================================================================
+
   /**
-   * Simple delay utility
+   * Simple delay utility; ends early when the step's signal aborts
    */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms))
+  delay(ms, signal) {
+    return sleep(ms, signal)
   }
 }
\ No newline at end of file
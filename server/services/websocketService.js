@@ -5,6 +5,8 @@
 
 import { WebSocketServer } from 'ws'
 import { logger } from '../middleware/errorHandler.js'
+import { getRedactionScope, redactSecrets } from '../utils/secretRedaction.js'
+import { DEBUG_COMMANDS, getBreakpointsError } from './executionDebugger.js'
 
 export class WebSocketService {
   constructor(server, workflowEngine, workflowScheduler) {
@@ -111,6 +113,13 @@ export class WebSocketService {
           this.sendToClient(clientId, { type: 'pong', timestamp: Date.now() })
           break
 
+        case 'debug':
+          this.handleDebugCommand(clientId, message).catch(error => {
+            logger.error('Error handling debug command', { clientId, error: error.message })
+            this.sendToClient(clientId, { type: 'error', message: 'Debug command failed' })
+          })
+          break
+
         default:
           logger.warn('Unknown WebSocket message type', { clientId, type: message.type })
       }
@@ -151,6 +160,81 @@ export class WebSocketService {
     })
   }
 
+  /**
+   * Handle debug commands for an execution running on this server:
+   * `{ type: 'debug', command, executionId, breakpoints }`
+   */
+  async handleDebugCommand(clientId, message) {
+    const client = this.clients.get(clientId)
+    if (!client || !client.userId) {
+      this.sendToClient(clientId, { type: 'error', message: 'Authentication required' })
+      return
+    }
+
+    const { command, executionId, breakpoints } = message
+    const context = this.workflowEngine.activeExecutions.get(executionId) || this.workflowEngine.pendingContexts.get(executionId)
+
+    if (!DEBUG_COMMANDS.includes(command)) {
+      this.sendToClient(clientId, { type: 'error', message: `Unknown debug command: ${command}` })
+      return
+    }
+
+    // Only the owner or members of the execution's organization may debug it
+    if (!context || (context.userId !== client.userId && (!context.organizationId || context.organizationId !== client.organizationId))) {
+      this.sendToClient(clientId, { type: 'error', message: 'Execution not found', executionId })
+      return
+    }
+
+    const executionDebugger = this.workflowEngine.debugger
+    let accepted = true
+
+    switch (command) {
+      case 'pause':
+        executionDebugger.pause(executionId)
+        break
+
+      case 'resume':
+        accepted = executionDebugger.resume(executionId)
+        break
+
+      case 'step_over':
+        accepted = executionDebugger.stepOver(executionId)
+        break
+
+      case 'set_breakpoints': {
+        const breakpointsError = getBreakpointsError(breakpoints)
+        if (breakpointsError) {
+          this.sendToClient(clientId, { type: 'error', message: breakpointsError, executionId })
+          return
+        }
+        executionDebugger.setBreakpoints(executionId, breakpoints)
+        break
+      }
+    }
+
+    if (!accepted) {
+      this.sendToClient(clientId, { type: 'error', message: 'Execution not paused', executionId })
+      return
+    }
+
+    const state = {
+      type: 'debug-state',
+      command,
+      debug: this.workflowEngine.getDebugState(executionId),
+      timestamp: new Date().toISOString()
+    }
+
+    // Inspecting a paused execution includes what its page looks like
+    if (command === 'inspect' && state.debug.paused) {
+      state.screenshot = await this.workflowEngine.captureDebugScreenshot(executionId).catch(error => {
+        logger.warn('Debug screenshot failed', { executionId, error: error.message })
+        return null
+      })
+    }
+
+    this.sendToClient(clientId, state)
+  }
+
   /**
    * Handle subscription requests
    */
@@ -264,18 +348,19 @@ export class WebSocketService {
   setupEngineEventListeners() {
     // Execution lifecycle events
     this.workflowEngine.on('executionStarted', (context) => {
-      this.broadcastToRoom(`workflow-execution:${context.workflowId}`, {
+      this.broadcastExecutionEvent(context, {
         type: 'execution-started',
         executionId: context.id,
         workflowId: context.workflowId,
         workflowName: context.workflow.name,
         userId: context.userId,
+        environment: context.environment?.name || null,
         timestamp: new Date().toISOString()
       })
     })
 
     this.workflowEngine.on('executionCompleted', (context) => {
-      this.broadcastToRoom(`workflow-execution:${context.workflowId}`, {
+      this.broadcastExecutionEvent(context, {
         type: 'execution-completed',
         executionId: context.id,
         workflowId: context.workflowId,
@@ -286,7 +371,7 @@ export class WebSocketService {
     })
 
     this.workflowEngine.on('executionFailed', ({ context, error }) => {
-      this.broadcastToRoom(`workflow-execution:${context.workflowId}`, {
+      this.broadcastExecutionEvent(context, {
         type: 'execution-failed',
         executionId: context.id,
         workflowId: context.workflowId,
@@ -297,7 +382,7 @@ export class WebSocketService {
     })
 
     this.workflowEngine.on('executionCancelled', ({ context, reason }) => {
-      this.broadcastToRoom(`workflow-execution:${context.workflowId}`, {
+      this.broadcastExecutionEvent(context, {
         type: 'execution-cancelled',
         executionId: context.id,
         workflowId: context.workflowId,
@@ -306,9 +391,78 @@ export class WebSocketService {
       })
     })
 
+    this.workflowEngine.on('executionInterrupted', ({ context, reason }) => {
+      this.broadcastExecutionEvent(context, {
+        type: 'execution-interrupted',
+        executionId: context.id,
+        workflowId: context.workflowId,
+        stepId: context.currentStepId,
+        reason,
+        timestamp: new Date().toISOString()
+      })
+    })
+
+    this.workflowEngine.on('executionResumed', (context) => {
+      this.broadcastExecutionEvent(context, {
+        type: 'execution-resumed',
+        executionId: context.id,
+        workflowId: context.workflowId,
+        fromStepId: context.checkpoint?.currentStepId || null,
+        timestamp: new Date().toISOString()
+      })
+    })
+
+    this.workflowEngine.on('approvalRequested', ({ context, approval }) => {
+      this.broadcastExecutionEvent(context, {
+        type: 'execution-awaiting-approval',
+        executionId: context.id,
+        workflowId: context.workflowId,
+        stepId: approval.step_id,
+        expiresAt: approval.expires_at,
+        timestamp: new Date().toISOString()
+      })
+    })
+
+    this.workflowEngine.on('executionPaused', ({ context, stepId, stepType, reason }) => {
+      this.broadcastExecutionEvent(context, {
+        type: 'execution-paused',
+        executionId: context.id,
+        workflowId: context.workflowId,
+        stepId,
+        stepType,
+        reason,
+        timestamp: new Date().toISOString()
+      })
+    })
+
+    this.workflowEngine.on('executionContinued', ({ context, stepId, command }) => {
+      this.broadcastExecutionEvent(context, {
+        type: 'execution-continued',
+        executionId: context.id,
+        workflowId: context.workflowId,
+        stepId,
+        command,
+        timestamp: new Date().toISOString()
+      })
+    })
+
+    this.workflowEngine.on('artifactCreated', ({ context, artifact }) => {
+      this.broadcastExecutionEvent(context, {
+        type: 'execution-artifact-created',
+        executionId: context.id,
+        workflowId: context.workflowId,
+        stepId: artifact.step_id,
+        artifactId: artifact.id,
+        name: artifact.name,
+        mimeType: artifact.mime_type,
+        size: artifact.size,
+        timestamp: new Date().toISOString()
+      })
+    })
+
     // Step-level events
     this.workflowEngine.on('stepStarted', ({ context, step, stepIndex }) => {
-      this.broadcastToRoom(`workflow-execution:${context.workflowId}`, {
+      this.broadcastExecutionEvent(context, {
         type: 'step-started',
         executionId: context.id,
         stepIndex,
@@ -319,7 +473,7 @@ export class WebSocketService {
     })
 
     this.workflowEngine.on('stepCompleted', ({ context, step, stepIndex, result }) => {
-      this.broadcastToRoom(`workflow-execution:${context.workflowId}`, {
+      this.broadcastExecutionEvent(context, {
         type: 'step-completed',
         executionId: context.id,
         stepIndex,
@@ -331,7 +485,7 @@ export class WebSocketService {
     })
 
     this.workflowEngine.on('stepFailed', ({ context, step, stepIndex, error }) => {
-      this.broadcastToRoom(`workflow-execution:${context.workflowId}`, {
+      this.broadcastExecutionEvent(context, {
         type: 'step-failed',
         executionId: context.id,
         stepIndex,
@@ -342,6 +496,20 @@ export class WebSocketService {
       })
     })
 
+    this.workflowEngine.on('stepRetrying', ({ context, step, stepIndex, attempt, delay, error }) => {
+      this.broadcastExecutionEvent(context, {
+        type: 'step-retrying',
+        executionId: context.id,
+        stepIndex,
+        stepId: step.id,
+        stepType: step.type,
+        attempt,
+        delay,
+        error,
+        timestamp: new Date().toISOString()
+      })
+    })
+
     // Scheduler events
     this.workflowScheduler.on('jobExecuted', ({ job, execution }) => {
       this.broadcastToRoom(`workflow-status:${job.id}`, {
@@ -352,6 +520,17 @@ export class WebSocketService {
       })
     })
 
+    this.workflowScheduler.on('scheduleMissed', ({ workflowId, decision, reason, scheduledFor }) => {
+      this.broadcastToRoom(`workflow-status:${workflowId}`, {
+        type: 'schedule-missed',
+        workflowId,
+        decision,
+        reason,
+        scheduledFor,
+        timestamp: new Date().toISOString()
+      })
+    })
+
     logger.info('WebSocket event listeners configured')
   }
 
@@ -396,19 +575,30 @@ export class WebSocketService {
   }
 
   /**
-   * Broadcast message to all clients in a room
+   * Broadcast an execution's event to the clients watching its workflow, masking the secrets
+   * of the execution's tenant
    */
-  broadcastToRoom(roomName, message) {
+  broadcastExecutionEvent(context, message) {
+    this.broadcastToRoom(`workflow-execution:${context.workflowId}`, message, getRedactionScope(context))
+  }
+
+  /**
+   * Broadcast message to all clients in a room; without a redaction scope every known secret
+   * is masked
+   */
+  broadcastToRoom(roomName, message, redactionScope) {
     const room = this.rooms.get(roomName)
     if (!room) return
 
+    const payload = JSON.stringify(redactSecrets(message, redactionScope))
+
     const deadClients = []
 
     for (const clientId of room) {
       const client = this.clients.get(clientId)
       if (client && client.ws.readyState === 1) { // WebSocket.OPEN
         try {
-          client.ws.send(JSON.stringify(message))
+          client.ws.send(payload)
         } catch (error) {
           logger.error('Error sending to WebSocket client', { clientId, error: error.message })
           deadClients.push(clientId)
@@ -431,7 +621,7 @@ export class WebSocketService {
     const client = this.clients.get(clientId)
     if (client && client.ws.readyState === 1) {
       try {
-        client.ws.send(JSON.stringify(message))
+        client.ws.send(JSON.stringify(redactSecrets(message)))
       } catch (error) {
         logger.error('Error sending to WebSocket client', { clientId, error: error.message })
         this.handleDisconnection(clientId)
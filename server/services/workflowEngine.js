@@ -6,16 +6,75 @@
 import { EventEmitter } from 'events'
 import { logger } from '../middleware/errorHandler.js'
 import { StepProcessor } from './stepProcessor.js'
+import { ExecutionQueue } from './executionQueue.js'
+import { SecretsVault } from './secretsVault.js'
+import { EnvironmentService } from './environmentService.js'
+import { ApprovalService } from './approvalService.js'
+import { ArtifactService } from './artifactService.js'
+import { ExecutionDebugger } from './executionDebugger.js'
+import { WorkflowVersionService, parseVersionReference } from './workflowVersionService.js'
+import { WorkflowGraph } from '../utils/workflowGraph.js'
+import { classifyStepError, getRetryDelay, normalizeRetryPolicy, shouldRetry } from '../utils/retryPolicy.js'
+import { getRedactionScope, redactSecrets, registerSecretValues } from '../utils/secretRedaction.js'
+import { ExecutionAbortedError, throwIfAborted } from '../utils/abort.js'
+import { InputValidationError, collectOutputs, getSecretInputNames, validateInputs } from '../utils/inputSchema.js'
+
+// Executions that can be picked up again from their last checkpoint
+const RESUMABLE_STATUSES = ['interrupted', 'failed']
+
+// How often pending approvals are checked for an expired timeout
+const APPROVAL_TIMEOUT_CHECK_INTERVAL = 60 * 1000
+
+// How often artifacts past their retention period are deleted
+const ARTIFACT_CLEANUP_INTERVAL = 60 * 60 * 1000
+
+/**
+ * Copy of a value with the secrets of the execution's tenant masked, for output people see
+ */
+function redactForExecution(context, value) {
+  return redactSecrets(value, getRedactionScope(context))
+}
+
+/**
+ * Files the execution's steps produced (written or downloaded to the workspace); a file
+ * written more than once is listed as it was last written
+ */
+function collectArtifacts(stepResults) {
+  const artifacts = new Map()
+  for (const result of stepResults) {
+    const artifact = result.success && result.result?.artifact
+    if (artifact) {
+      const key = artifact.path || artifact.id || artifact.name
+      artifacts.delete(key)
+      artifacts.set(key, { ...artifact, stepId: result.stepId })
+    }
+  }
+  return Array.from(artifacts.values())
+}
 
 export class WorkflowEngine extends EventEmitter {
-  constructor(supabase) {
+  constructor(supabase, options = {}) {
     super()
     this.supabase = supabase
     this.stepProcessor = new StepProcessor()
+    this.stepProcessor.setExecutor(this)
     this.activeExecutions = new Map()
-    this.executionQueue = []
-    this.maxConcurrentExecutions = 5
+    this.queue = options.queue || ExecutionQueue.create(supabase)
+    this.secretsVault = options.secretsVault || new SecretsVault(supabase)
+    this.environmentService = options.environmentService || new EnvironmentService(supabase)
+    this.versionService = options.versionService || new WorkflowVersionService(supabase)
+    this.approvalService = options.approvalService || new ApprovalService(supabase)
+    this.artifactService = options.artifactService || new ArtifactService(supabase)
+    this.debugger = options.debugger || new ExecutionDebugger()
+    this.pendingContexts = new Map()
+    this.maxConcurrentExecutions = options.maxConcurrentExecutions || parseInt(process.env.MAX_CONCURRENT_EXECUTIONS) || 5
+    // Default limit on an execution's running time in seconds (0 = none); `options.timeout` overrides it per run
+    this.executionTimeout = options.executionTimeout ?? (parseInt(process.env.EXECUTION_TIMEOUT_SECONDS) || 0)
     this.processingQueue = false
+    this.shuttingDown = false
+
+    this.debugger.on('paused', event => this.emit('executionPaused', event))
+    this.debugger.on('continued', event => this.emit('executionContinued', event))
 
     // Bind methods to preserve context
     this.execute = this.execute.bind(this)
@@ -23,6 +82,9 @@ export class WorkflowEngine extends EventEmitter {
     
     // Start queue processing
     this.startQueueProcessor()
+    this.startClaimHeartbeat()
+    this.startApprovalTimeoutChecker()
+    this.startArtifactCleanup()
   }
 
   /**
@@ -30,22 +92,40 @@ export class WorkflowEngine extends EventEmitter {
    */
   async execute(workflowId, userId, organizationId = null, options = {}) {
     try {
-      logger.info('Starting workflow execution', { workflowId, userId, organizationId })
+      logger.info('Starting workflow execution', { workflowId, userId, organizationId, environment: options.environment })
 
       // Get workflow details
-      const { data: workflow, error: workflowError } = await this.supabase
+      const { data: workflowRow, error: workflowError } = await this.supabase
         .from('workflows')
         .select('*')
         .eq('id', workflowId)
         .single()
 
-      if (workflowError || !workflow) {
+      if (workflowError || !workflowRow) {
         throw new Error(`Workflow not found: ${workflowId}`)
       }
 
-      if (workflow.status !== 'active') {
-        throw new Error(`Workflow is not active: ${workflow.status}`)
+      if (workflowRow.status !== 'active') {
+        throw new Error(`Workflow is not active: ${workflowRow.status}`)
+      }
+
+      // Pin the run to one version so later edits and publishes cannot change it mid-flight
+      const { workflow, version } = await this.versionService.resolveForExecution(workflowRow, options.version)
+
+      // Inputs are checked against the schema of the version that actually runs
+      const { values, errors } = validateInputs(workflow.input_schema, options.variables, {
+        redactionScope: getRedactionScope({ organizationId, userId })
+      })
+      if (errors.length > 0) {
+        throw new InputValidationError(errors)
       }
+      options = { ...options, variables: values }
+
+      const environment = options.environment
+        ? await this.environmentService.resolveEnvironment(organizationId, options.environment)
+        : null
+
+      const storedOptions = this.sealOptions(options, workflow.input_schema)
 
       // Create execution record
       const { data: execution, error: executionError } = await this.supabase
@@ -54,12 +134,15 @@ export class WorkflowEngine extends EventEmitter {
           workflow_id: workflowId,
           user_id: userId,
           organization_id: organizationId,
+          environment_id: environment?.id || null,
+          environment_name: environment?.name || null,
+          workflow_version: version,
           status: 'pending',
           started_at: new Date().toISOString(),
           execution_data: {
             workflow_name: workflow.name,
             total_steps: workflow.steps?.length || 0,
-            options
+            options: storedOptions
           }
         }])
         .select()
@@ -70,29 +153,10 @@ export class WorkflowEngine extends EventEmitter {
       }
 
       // Create execution context
-      const executionContext = {
-        id: execution.id,
-        workflowId,
-        userId,
-        organizationId,
-        workflow,
-        execution,
-        options,
-        variables: { ...workflow.variables, ...options.variables },
-        currentStepIndex: 0,
-        stepResults: [],
-        errors: [],
-        startTime: Date.now(),
-        status: 'running'
-      }
-
-      // Add to queue or execute immediately
-      if (this.activeExecutions.size >= this.maxConcurrentExecutions) {
-        this.executionQueue.push(executionContext)
-        logger.info('Execution queued', { executionId: execution.id })
-      } else {
-        await this.executeWorkflow(executionContext)
-      }
+      const executionContext = this.createExecutionContext(execution, workflow, options, null, environment)
+
+      // Every run goes through the queue so priorities and concurrency caps apply
+      await this.enqueueExecution(executionContext, options.priority ?? workflow.settings?.priority)
 
       return execution
 
@@ -106,10 +170,176 @@ export class WorkflowEngine extends EventEmitter {
     }
   }
 
+  /**
+   * Build the in-memory context an execution runs with
+   */
+  createExecutionContext(execution, workflow, options = {}, checkpoint = null, environment = null) {
+    return {
+      id: execution.id,
+      workflowId: execution.workflow_id || workflow.id,
+      userId: execution.user_id,
+      organizationId: execution.organization_id,
+      environment: environment ? { id: environment.id, name: environment.name, variables: environment.variables || {} } : null,
+      workflowVersion: execution.workflow_version ?? null,
+      parentExecutionId: execution.parent_execution_id || null,
+      callDepth: execution.call_depth || 0,
+      workflow,
+      execution,
+      options,
+      // Without a checkpoint the run starts with its original inputs; run variables beat environment ones
+      variables: checkpoint?.variables || { ...workflow.variables, ...environment?.variables, ...options.variables },
+      checkpoint,
+      // Set when an execution resumes at an approval step that has been decided
+      approvalDecision: checkpoint?.approvalDecision || null,
+      currentStepIndex: 0,
+      loopDepth: 0,
+      stepResults: checkpoint?.stepResults || [],
+      errors: checkpoint?.errors || [],
+      startTime: Date.now(),
+      status: 'running',
+      // Aborted on cancel or timeout; steps, waits, fetches and browser calls listen to its signal
+      abortController: new AbortController()
+    }
+  }
+
+  /**
+   * Load an execution and its workflow from the database into a runnable context
+   */
+  async loadExecutionContext(executionId, { resume = false } = {}) {
+    const { data: execution, error: executionError } = await this.supabase
+      .from('workflow_executions')
+      .select('*')
+      .eq('id', executionId)
+      .single()
+
+    if (executionError || !execution) {
+      throw new Error(`Execution not found: ${executionId}`)
+    }
+
+    return this.buildContextFromExecution(execution, { resume })
+  }
+
+  /**
+   * Build a runnable context for an execution record, loading its workflow
+   */
+  async buildContextFromExecution(execution, { resume = false } = {}) {
+    const { data: workflowRow, error: workflowError } = await this.supabase
+      .from('workflows')
+      .select('*')
+      .eq('id', execution.workflow_id)
+      .single()
+
+    if (workflowError || !workflowRow) {
+      throw new Error(`Workflow not found: ${execution.workflow_id}`)
+    }
+
+    // Executions that ran the draft (null version) keep running the current draft
+    const { workflow } = execution.workflow_version
+      ? await this.versionService.resolveForExecution(workflowRow, execution.workflow_version)
+      : { workflow: workflowRow }
+
+    const checkpoint = resume && execution.checkpoint ? this.openCheckpoint(execution.checkpoint) : null
+    const environment = execution.environment_id ? await this.loadExecutionEnvironment(execution) : null
+
+    const options = this.openOptions(execution.execution_data?.options || {}, getRedactionScope({
+      organizationId: execution.organization_id,
+      userId: execution.user_id
+    }))
+
+    return this.createExecutionContext(execution, workflow, options, checkpoint, environment)
+  }
+
+  /**
+   * Run options as stored on the execution record. They are what a resumed run starts from, so
+   * values of `secret` inputs are encrypted under the vault key rather than masked
+   */
+  sealOptions(options, inputSchema) {
+    const names = getSecretInputNames(inputSchema).filter(name => options.variables?.[name] !== undefined)
+    if (names.length === 0) {
+      return options
+    }
+
+    if (!this.secretsVault.isConfigured) {
+      throw new Error(`Secret inputs (${names.join(', ')}) need SECRETS_ENCRYPTION_KEY so they can be stored encrypted`)
+    }
+
+    const variables = { ...options.variables }
+    const sealedInputs = {}
+    for (const name of names) {
+      sealedInputs[name] = this.secretsVault.encrypt(String(variables[name]))
+      delete variables[name]
+    }
+
+    return { ...options, variables, sealedInputs }
+  }
+
+  /**
+   * Stored run options with their secret inputs decrypted and registered for redaction again
+   */
+  openOptions(options, redactionScope) {
+    if (!options.sealedInputs) {
+      return options
+    }
+
+    const { sealedInputs, ...rest } = options
+    const inputs = {}
+    for (const [name, sealed] of Object.entries(sealedInputs)) {
+      try {
+        inputs[name] = this.secretsVault.decrypt(sealed)
+      } catch (error) {
+        throw new Error(`Secret input "${name}" cannot be decrypted (was SECRETS_ENCRYPTION_KEY changed?): ${error.message}`)
+      }
+    }
+
+    registerSecretValues(redactionScope, Object.values(inputs))
+    return { ...rest, variables: { ...rest.variables, ...inputs } }
+  }
+
+  /**
+   * Environment recorded on an execution; a since-deleted one keeps its name but has no overrides
+   */
+  async loadExecutionEnvironment(execution) {
+    const environment = await this.environmentService.getEnvironmentById(execution.environment_id).catch(error => {
+      logger.error('Failed to load execution environment', { executionId: execution.id, error: error.message })
+      return null
+    })
+
+    return environment || { id: execution.environment_id, name: execution.environment_name, variables: {} }
+  }
+
+  /**
+   * Put an execution on the queue and try to dispatch it straight away
+   */
+  async enqueueExecution(context, priority) {
+    this.pendingContexts.set(context.id, context)
+
+    try {
+      await this.queue.enqueue({
+        executionId: context.id,
+        workflowId: context.workflowId,
+        organizationId: context.organizationId,
+        userId: context.userId,
+        priority,
+        payload: { resume: Boolean(context.checkpoint) }
+      })
+    } catch (error) {
+      this.pendingContexts.delete(context.id)
+      await this.updateExecutionStatus(context.id, 'failed', {
+        completed_at: new Date().toISOString(),
+        error_message: error.message
+      })
+      throw error
+    }
+
+    this.processQueue()
+  }
+
   /**
    * Execute workflow with steps
    */
   async executeWorkflow(context) {
+    let timeoutTimer = null
+
     try {
       this.activeExecutions.set(context.id, context)
       
@@ -119,109 +349,76 @@ export class WorkflowEngine extends EventEmitter {
         totalSteps: context.workflow.steps?.length || 0
       })
 
-      // Update execution status
-      await this.updateExecutionStatus(context.id, 'running', {
+      // Update execution status (resumed runs keep their original start time)
+      await this.updateExecutionStatus(context.id, 'running', context.checkpoint ? {} : {
         started_at: new Date().toISOString()
       })
 
       this.emit('executionStarted', context)
 
-      // Execute each step
-      const steps = context.workflow.steps || []
-      
-      for (let i = 0; i < steps.length; i++) {
-        const step = steps[i]
-        context.currentStepIndex = i
-
-        logger.debug('Executing step', { 
-          executionId: context.id,
-          stepIndex: i,
-          stepType: step.type,
-          stepId: step.id
-        })
-
-        this.emit('stepStarted', { context, step, stepIndex: i })
-
-        try {
-          // Process step
-          const stepResult = await this.stepProcessor.processStep(step, context)
-          
-          context.stepResults.push({
-            stepIndex: i,
-            stepId: step.id,
-            stepType: step.type,
-            success: true,
-            result: stepResult,
-            timestamp: new Date().toISOString(),
-            executionTime: stepResult.executionTime || 0
-          })
-
-          // Update variables if step returned new values
-          if (stepResult.variables) {
-            context.variables = { ...context.variables, ...stepResult.variables }
-          }
+      const timeoutSeconds = parseFloat(context.options?.timeout) || this.executionTimeout
+      if (timeoutSeconds > 0) {
+        timeoutTimer = setTimeout(() => {
+          this.abortExecution(context, new ExecutionAbortedError(`Execution timed out after ${timeoutSeconds}s`, 'timeout'))
+        }, timeoutSeconds * 1000)
+      }
 
-          this.emit('stepCompleted', { context, step, stepIndex: i, result: stepResult })
+      // Breakpoints given at start; ones set since (while queued or before a resume) take precedence
+      if (context.options.breakpoints?.length > 0 && !this.debugger.sessions.has(context.id)) {
+        this.debugger.setBreakpoints(context.id, context.options.breakpoints)
+      }
 
-          // Check for conditional logic
-          if (stepResult.skipToStep !== undefined) {
-            i = stepResult.skipToStep - 1 // -1 because loop will increment
-            continue
-          }
+      // Build the executable graph from the saved steps and their connections
+      const graph = new WorkflowGraph(context.workflow.steps || [])
+      const validation = graph.validate()
 
-          if (stepResult.breakExecution) {
-            logger.info('Workflow execution stopped by step', { executionId: context.id, stepIndex: i })
-            break
-          }
+      if (!validation.isValid) {
+        throw new Error(`Invalid workflow graph: ${validation.errors.join('; ')}`)
+      }
 
-        } catch (stepError) {
-          logger.error('Step execution failed', { 
-            executionId: context.id,
-            stepIndex: i,
-            stepType: step.type,
-            error: stepError.message
-          })
+      context.graph = graph
 
-          context.errors.push({
-            stepIndex: i,
-            stepId: step.id,
-            stepType: step.type,
-            error: stepError.message,
-            timestamp: new Date().toISOString()
-          })
+      // Resumed executions pick up at the nodes that were pending when the checkpoint was taken
+      const checkpoint = context.checkpoint
+      const entryNodeIds = checkpoint ? checkpoint.pendingNodeIds || [] : graph.getStartNodeIds()
 
-          context.stepResults.push({
-            stepIndex: i,
-            stepId: step.id,
-            stepType: step.type,
-            success: false,
-            error: stepError.message,
-            timestamp: new Date().toISOString()
-          })
+      await this.runGraph(context, graph, entryNodeIds, {
+        checkpoint: true,
+        executed: new Set(checkpoint?.executedNodeIds || [])
+      })
 
-          this.emit('stepFailed', { context, step, stepIndex: i, error: stepError })
+      // Interrupted by shutdown; the checkpoint is left for a later resume
+      if (context.status === 'interrupted') {
+        logger.info('Workflow execution interrupted', { executionId: context.id, stepId: context.currentStepId })
+        return
+      }
 
-          // Handle error based on step configuration
-          if (step.config?.continueOnError !== true) {
-            throw stepError
-          }
-        }
+      // Waiting on a person; returning frees the concurrency slot until the approval is decided
+      if (context.status === 'awaiting_approval') {
+        await this.suspendForApproval(context)
+        return
       }
 
+      // Cancelled or timed out after the last step finished
+      throwIfAborted(context.abortController?.signal)
+
       // Execution completed successfully
       context.status = 'completed'
       context.endTime = Date.now()
       context.duration = context.endTime - context.startTime
+      context.outputs = collectOutputs(context.workflow.output_schema, context.variables)
 
       await this.updateExecutionStatus(context.id, 'completed', {
         completed_at: new Date().toISOString(),
         execution_data: {
           ...context.execution.execution_data,
+          outputs: redactForExecution(context, context.outputs),
           duration: context.duration,
           steps_completed: context.stepResults.filter(r => r.success).length,
           steps_failed: context.stepResults.filter(r => !r.success).length,
           step_results: context.stepResults,
-          variables: context.variables,
+          artifacts: collectArtifacts(context.stepResults),
+          variables: redactForExecution(context, context.variables),
           errors: context.errors
         }
       })
@@ -236,23 +433,36 @@ export class WorkflowEngine extends EventEmitter {
       this.emit('executionCompleted', context)
 
     } catch (error) {
+      if (context.status === 'interrupted') {
+        return
+      }
+
+      if (error instanceof ExecutionAbortedError && error.reason === 'cancelled') {
+        await this.finishCancelledExecution(context, error)
+        return
+      }
+
       // Execution failed
       context.status = 'failed'
       context.endTime = Date.now()
       context.duration = context.endTime - context.startTime
 
+      const failureReason = redactForExecution(context, error.message)
+      context.failureReason = failureReason
+
       await this.updateExecutionStatus(context.id, 'failed', {
         completed_at: new Date().toISOString(),
-        error_message: error.message,
+        error_message: failureReason,
         execution_data: {
           ...context.execution.execution_data,
           duration: context.duration,
           steps_completed: context.stepResults.filter(r => r.success).length,
           steps_failed: context.stepResults.filter(r => !r.success).length,
           step_results: context.stepResults,
-          variables: context.variables,
+          artifacts: collectArtifacts(context.stepResults),
+          variables: redactForExecution(context, context.variables),
           errors: context.errors,
-          failure_reason: error.message
+          failure_reason: failureReason
         }
       })
 
@@ -265,8 +475,14 @@ export class WorkflowEngine extends EventEmitter {
       this.emit('executionFailed', { context, error })
 
     } finally {
+      clearTimeout(timeoutTimer)
+
       // Clean up
       this.activeExecutions.delete(context.id)
+      this.debugger.clear(context.id)
+      await this.queue.complete(context.id).catch(error => {
+        logger.error('Failed to release queue entry', { executionId: context.id, error: error.message })
+      })
       
       // Process next item in queue
       if (!this.processingQueue) {
@@ -276,161 +492,1150 @@ export class WorkflowEngine extends EventEmitter {
   }
 
   /**
-   * Update execution status in database
+   * Walk a workflow graph from the given entry nodes, following the port each step leaves through
    */
-  async updateExecutionStatus(executionId, status, updates = {}) {
+  async runGraph(context, graph, entryNodeIds, options = {}) {
+    const queue = [...entryNodeIds]
+    const executed = options.executed || new Set()
+
+    while (queue.length > 0) {
+      const nodeId = queue.shift()
+
+      throwIfAborted(context.abortController?.signal)
+
+      if (options.stopAt && nodeId === options.stopAt) {
+        continue
+      }
+
+      // Parallel branches that lost a race stop before their next step
+      if (context.abandoned) {
+        return { stop: true, abandoned: true }
+      }
+
+      if (context.status === 'interrupted') {
+        return { stop: true, interrupted: true }
+      }
+
+      // A node reached from several paths only runs once; linear jumps may revisit steps
+      if (!graph.isLinear && executed.has(nodeId)) {
+        continue
+      }
+
+      const step = graph.getNode(nodeId)
+
+      // Waits here while the execution is paused or sits on a breakpoint
+      const debugToken = await this.debugger.beforeStep(context, step, nodeId)
+
+      // Shut down while paused; the last checkpoint still lists this step as pending
+      if (context.status === 'interrupted') {
+        return { stop: true, interrupted: true }
+      }
+
+      throwIfAborted(context.abortController?.signal)
+
+      executed.add(nodeId)
+
+      let outcome
+      try {
+        outcome = await this.executeStep(context, step, nodeId, graph)
+      } finally {
+        this.debugger.afterStep(context, debugToken)
+      }
+
+      // A suspended step runs again when the execution resumes
+      if (outcome.suspended) {
+        executed.delete(nodeId)
+      }
+
+      // Only the top-level walk is checkpointed; nested bodies are covered by their parent step
+      if (options.checkpoint) {
+        const pending = outcome.suspended ? [nodeId, ...queue] : outcome.stop ? [] : [...queue, ...outcome.next]
+        await this.saveCheckpoint(context, executed, pending)
+      }
+
+      if (outcome.stop) {
+        return outcome
+      }
+
+      queue.push(...outcome.next)
+    }
+
+    return { stop: false }
+  }
+
+  /**
+   * Persist where an execution is so it can be resumed after a restart
+   */
+  async saveCheckpoint(context, executedNodeIds, pendingNodeIds) {
+    context.checkpoint = {
+      executedNodeIds: Array.from(executedNodeIds),
+      pendingNodeIds,
+      currentStepId: context.currentStepId,
+      stepResults: context.stepResults,
+      errors: context.errors,
+      savedAt: new Date().toISOString()
+    }
+
     try {
       const { error } = await this.supabase
         .from('workflow_executions')
         .update({
-          status,
-          updated_at: new Date().toISOString(),
-          ...updates
+          checkpoint: { ...context.checkpoint, ...this.sealCheckpointVariables(context.variables) },
+          updated_at: new Date().toISOString()
         })
-        .eq('id', executionId)
+        .eq('id', context.id)
 
       if (error) {
-        logger.error('Failed to update execution status', { executionId, error: error.message })
+        logger.error('Failed to save execution checkpoint', { executionId: context.id, error: error.message })
       }
     } catch (error) {
-      logger.error('Error updating execution status', { executionId, error: error.message })
+      logger.error('Error saving execution checkpoint', { executionId: context.id, error: error.message })
     }
   }
 
   /**
-   * Start queue processor
+   * A resumed run continues with exactly the variables it had, secrets and values derived from
+   * them included, so they are stored whole: encrypted under the vault key when there is one
    */
-  startQueueProcessor() {
-    setInterval(() => {
-      if (!this.processingQueue) {
-        this.processQueue()
-      }
-    }, 1000) // Check every second
+  sealCheckpointVariables(variables) {
+    return this.secretsVault.isConfigured
+      ? { sealedVariables: this.secretsVault.encrypt(JSON.stringify(variables)) }
+      : { variables }
   }
 
   /**
-   * Process execution queue
+   * Stored checkpoint with its variables decrypted
    */
-  async processQueue() {
-    if (this.processingQueue || this.executionQueue.length === 0) {
-      return
-    }
-
-    if (this.activeExecutions.size >= this.maxConcurrentExecutions) {
-      return
+  openCheckpoint(checkpoint) {
+    if (!checkpoint.sealedVariables) {
+      return checkpoint
     }
 
-    this.processingQueue = true
-
+    const { sealedVariables, ...rest } = checkpoint
     try {
-      while (this.executionQueue.length > 0 && this.activeExecutions.size < this.maxConcurrentExecutions) {
-        const context = this.executionQueue.shift()
-        
-        if (context) {
-          // Execute without awaiting to allow concurrent execution
-          this.executeWorkflow(context).catch(error => {
-            logger.error('Queue execution failed', { executionId: context.id, error: error.message })
-          })
-        }
-      }
-    } finally {
-      this.processingQueue = false
+      return { ...rest, variables: JSON.parse(this.secretsVault.decrypt(sealedVariables)) }
+    } catch (error) {
+      throw new Error(`Checkpoint variables cannot be decrypted (was SECRETS_ENCRYPTION_KEY changed?): ${error.message}`)
     }
   }
 
   /**
-   * Cancel execution
+   * Resume an interrupted or failed execution from its last checkpoint
    */
-  async cancelExecution(executionId, reason = 'Cancelled by user') {
-    try {
-      const context = this.activeExecutions.get(executionId)
-      
-      if (context) {
-        context.status = 'cancelled'
-        this.emit('executionCancelled', { context, reason })
-      }
-
-      await this.updateExecutionStatus(executionId, 'cancelled', {
-        completed_at: new Date().toISOString(),
-        error_message: reason
-      })
+  async resumeExecution(executionId, options = {}) {
+    if (this.activeExecutions.has(executionId)) {
+      throw new Error(`Execution is already running: ${executionId}`)
+    }
 
-      this.activeExecutions.delete(executionId)
+    const { data: execution, error: executionError } = await this.supabase
+      .from('workflow_executions')
+      .select('*')
+      .eq('id', executionId)
+      .single()
 
-      logger.info('Execution cancelled', { executionId, reason })
-      return true
+    if (executionError || !execution) {
+      throw new Error(`Execution not found: ${executionId}`)
+    }
 
-    } catch (error) {
-      logger.error('Failed to cancel execution', { executionId, error: error.message })
-      return false
+    if (!RESUMABLE_STATUSES.includes(execution.status)) {
+      throw new Error(`Execution cannot be resumed from status: ${execution.status}`)
     }
+
+    const executionContext = await this.buildContextFromExecution(execution, { resume: true })
+    const checkpoint = executionContext.checkpoint
+    executionContext.resumedBy = options.userId || null
+
+    logger.info('Resuming workflow execution', {
+      executionId,
+      fromStep: checkpoint?.currentStepId || null,
+      resumedBy: options.userId
+    })
+
+    this.emit('executionResumed', executionContext)
+
+    await this.updateExecutionStatus(executionId, 'pending', { error_message: null })
+    await this.enqueueExecution(executionContext, options.priority ?? executionContext.options.priority)
+
+    return execution
   }
 
   /**
-   * Get execution status
+   * Handle executions whose server went away: mark them interrupted and optionally resume them.
+   * Other instances share the queue, so an execution is only recovered once its claim is this
+   * instance's own or has gone stale; runs another live instance holds are left alone
    */
-  getExecutionStatus(executionId) {
-    const context = this.activeExecutions.get(executionId)
-    if (!context) {
-      return null
+  async recoverInterruptedExecutions(options = {}) {
+    const autoResume = options.autoResume ?? process.env.RESUME_INTERRUPTED_EXECUTIONS === 'true'
+
+    const { data: executions, error } = await this.supabase
+      .from('workflow_executions')
+      .select('id, status, started_at, parent_execution_id')
+      .in('status', ['pending', 'running'])
+
+    if (error) {
+      logger.error('Failed to load interrupted executions', { error: error.message })
+      return { interrupted: 0, resumed: 0 }
     }
 
-    return {
-      id: context.id,
-      status: context.status,
-      currentStep: context.currentStepIndex,
-      totalSteps: context.workflow.steps?.length || 0,
-      duration: context.endTime ? context.endTime - context.startTime : Date.now() - context.startTime,
-      stepsCompleted: context.stepResults.filter(r => r.success).length,
-      stepsFailed: context.stepResults.filter(r => !r.success).length
+    const queueEntries = await this.queue.refresh().catch(() => [])
+    const entries = new Map(queueEntries.map(entry => [entry.execution_id, entry]))
+    const staleBefore = Date.parse(this.queue.getStaleBefore())
+    const recovered = new Set()
+    const counts = { interrupted: 0, resumed: 0 }
+
+    for (const execution of executions || []) {
+      const entry = entries.get(execution.id)
+
+      // Queued executions are dispatched as usual; children run under their parent's claim
+      if (this.activeExecutions.has(execution.id) || entry?.status === 'queued' || execution.parent_execution_id) {
+        continue
+      }
+
+      if (!entry) {
+        // Without a queue entry there is no owner to ask: only give up on runs started well before
+        // now, so one that is between its record being written and being queued is not touched
+        const startedAt = Date.parse(execution.started_at)
+        if (this.queue.store.durable && !(startedAt < staleBefore)) {
+          continue
+        }
+      } else if (!await this.queue.takeOver(execution.id)) {
+        continue
+      }
+
+      await this.recoverExecution(execution.id, { autoResume, counts, reason: 'Execution interrupted: its server stopped' })
+      recovered.add(execution.id)
     }
-  }
 
-  /**
-   * Get all active executions
-   */
-  getActiveExecutions() {
-    return Array.from(this.activeExecutions.values()).map(context => ({
-      id: context.id,
-      workflowId: context.workflowId,
-      workflowName: context.workflow.name,
-      userId: context.userId,
-      status: context.status,
-      currentStep: context.currentStepIndex,
-      totalSteps: context.workflow.steps?.length || 0,
-      startTime: context.startTime
-    }))
+    // Child executions of a recovered run died with it; resuming the parent starts new ones
+    for (const execution of executions || []) {
+      if (recovered.has(execution.parent_execution_id) && !this.activeExecutions.has(execution.id)) {
+        await this.updateExecutionStatus(execution.id, 'interrupted', {
+          error_message: 'Execution interrupted: its parent execution stopped'
+        })
+      }
+    }
+
+    logger.info('Recovered interrupted executions', counts)
+
+    return counts
   }
 
   /**
-   * Get queue status
+   * Recover executions whose claims stopped being renewed since the last queue refresh, e.g.
+   * because the instance running them crashed
    */
-  getQueueStatus() {
-    return {
-      activeExecutions: this.activeExecutions.size,
-      queuedExecutions: this.executionQueue.length,
-      maxConcurrent: this.maxConcurrentExecutions
+  async recoverStaleClaims(options = {}) {
+    const autoResume = options.autoResume ?? process.env.RESUME_INTERRUPTED_EXECUTIONS === 'true'
+    const counts = { interrupted: 0, resumed: 0 }
+
+    for (const entry of this.queue.getStaleClaims()) {
+      if (this.activeExecutions.has(entry.execution_id) || !await this.queue.takeOver(entry.execution_id)) {
+        continue
+      }
+
+      logger.warn('Recovering execution with a stale queue claim', {
+        executionId: entry.execution_id,
+        claimedBy: entry.claimed_by,
+        heartbeatAt: entry.heartbeat_at
+      })
+
+      await this.recoverExecution(entry.execution_id, {
+        autoResume,
+        counts,
+        reason: 'Execution interrupted: its server stopped responding'
+      })
     }
+
+    return counts
   }
 
   /**
-   * Shutdown engine gracefully
+   * Mark an execution this instance has taken over as interrupted, release its queue entry and
+   * optionally queue it again from its checkpoint
+   */
+  async recoverExecution(executionId, { autoResume, counts, reason }) {
+    // Status first, so nobody else picks up the execution once its entry is gone
+    await this.updateExecutionStatus(executionId, 'interrupted', { error_message: reason })
+    await this.queue.complete(executionId)
+    counts.interrupted++
+
+    if (!autoResume) {
+      return
+    }
+
+    try {
+      await this.resumeExecution(executionId)
+      counts.resumed++
+    } catch (resumeError) {
+      logger.error('Failed to resume interrupted execution', {
+        executionId,
+        error: resumeError.message
+      })
+    }
+  }
+
+  /**
+   * Park an execution at an approval step: record the request and notify approvers via `approvalRequested`
+   */
+  async suspendForApproval(context) {
+    // Status first, so a decision arriving right after the request finds the execution waiting
+    await this.updateExecutionStatus(context.id, 'awaiting_approval')
+
+    const approval = await this.approvalService.requestApproval({
+      executionId: context.id,
+      workflowId: context.workflowId,
+      organizationId: context.organizationId,
+      ...context.suspension
+    })
+
+    logger.info('Workflow execution awaiting approval', {
+      executionId: context.id,
+      stepId: approval.step_id,
+      expiresAt: approval.expires_at
+    })
+
+    this.emit('approvalRequested', { context, approval })
+  }
+
+  /**
+   * Decide a pending approval and resume its execution; null when someone else decided it first
+   */
+  async decideApproval(approval, { decision, comment, formData, userId }) {
+    if (this.activeExecutions.has(approval.execution_id)) {
+      throw new Error(`Execution is still suspending, retry shortly: ${approval.execution_id}`)
+    }
+
+    const decided = await this.approvalService.decide(approval.id, { decision, comment, formData, userId })
+    if (!decided) {
+      return null
+    }
+
+    logger.info('Approval decided', { executionId: decided.execution_id, stepId: decided.step_id, status: decided.status, userId })
+
+    await this.resumeAfterApproval(decided)
+    return decided
+  }
+
+  /**
+   * Queue a suspended execution again, resuming at the approval step with its decision
+   */
+  async resumeAfterApproval(approval) {
+    const { data: execution, error } = await this.supabase
+      .from('workflow_executions')
+      .select('*')
+      .eq('id', approval.execution_id)
+      .single()
+
+    if (error || !execution) {
+      throw new Error(`Execution not found: ${approval.execution_id}`)
+    }
+
+    if (execution.status !== 'awaiting_approval') {
+      logger.warn('Approval decided for an execution that is no longer waiting', {
+        executionId: execution.id,
+        status: execution.status
+      })
+      return null
+    }
+
+    // Kept in the checkpoint so the decision survives a restart or dispatch by another instance
+    const checkpoint = {
+      ...execution.checkpoint,
+      approvalDecision: {
+        stepId: approval.step_id,
+        approved: approval.status === 'approved',
+        comment: approval.comment || null,
+        formData: approval.form_data || {},
+        decidedBy: approval.decided_by || null,
+        timedOut: approval.timed_out === true
+      }
+    }
+
+    await this.updateExecutionStatus(execution.id, 'pending', { checkpoint })
+
+    const executionContext = await this.buildContextFromExecution({ ...execution, checkpoint }, { resume: true })
+    this.emit('executionResumed', executionContext)
+
+    await this.enqueueExecution(executionContext, executionContext.options.priority)
+    return execution
+  }
+
+  /**
+   * Apply the timeout outcome to approvals nobody decided in time
+   */
+  async checkApprovalTimeouts() {
+    if (this.shuttingDown) {
+      return
+    }
+
+    try {
+      const expired = await this.approvalService.expireApprovals()
+
+      for (const approval of expired) {
+        logger.info('Approval timed out', { executionId: approval.execution_id, stepId: approval.step_id, status: approval.status })
+
+        await this.resumeAfterApproval(approval).catch(error => {
+          logger.error('Failed to resume execution after approval timeout', {
+            executionId: approval.execution_id,
+            error: error.message
+          })
+        })
+      }
+    } catch (error) {
+      logger.error('Failed to check approval timeouts', { error: error.message })
+    }
+  }
+
+  /**
+   * Run a nested list of child steps (loop bodies etc.) as their own graph
+   */
+  async runSteps(context, steps) {
+    const graph = new WorkflowGraph(steps || [])
+    const validation = graph.validate()
+
+    if (!validation.isValid) {
+      throw new Error(`Invalid nested steps: ${validation.errors.join('; ')}`)
+    }
+
+    return this.runGraph(context, graph, graph.getStartNodeIds())
+  }
+
+  // ============================================================================
+  // SUB-WORKFLOWS
+  // ============================================================================
+
+  /**
+   * Load the workflow a call_workflow step runs: it must belong to the caller's organization
+   * (or, for personal workflows, its owner) and be active; it runs at its published version.
+   * The call's inputs and output mapping are checked against the callee's declared schema.
+   */
+  async loadCalledWorkflow(context, workflowId, { version, inputs, outputs }) {
+    const reference = version === undefined || version === null || version === '' ? undefined : parseVersionReference(version)
+    if (reference === null) {
+      throw new Error(`Invalid workflow version: ${version}`)
+    }
+
+    const { data: workflow, error } = await this.supabase
+      .from('workflows')
+      .select('*')
+      .eq('id', workflowId)
+      .single()
+
+    if (error || !workflow) {
+      throw new Error(`Workflow not found: ${workflowId}`)
+    }
+
+    const sameOwner = context.organizationId
+      ? workflow.organization_id === context.organizationId
+      : !workflow.organization_id && workflow.user_id === context.userId
+
+    if (!sameOwner) {
+      throw new Error(`Workflow ${workflowId} is not in this organization`)
+    }
+
+    if (workflow.status !== 'active') {
+      throw new Error(`Called workflow is not active: ${workflow.status}`)
+    }
+
+    const resolved = await this.versionService.resolveForExecution(workflow, reference)
+    const { values, errors } = validateInputs(resolved.workflow.input_schema, inputs, { redactionScope: getRedactionScope(context) })
+
+    const declaredOutputs = (resolved.workflow.output_schema || []).map(field => field.name)
+    if (declaredOutputs.length > 0) {
+      for (const source of Object.values(outputs || {})) {
+        const name = String(source).split(/[.[]/)[0]
+        if (!declaredOutputs.includes(name)) {
+          errors.push(`"${name}" is not a declared output of ${workflow.name}`)
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new InputValidationError(errors)
+    }
+
+    return { ...resolved, inputs: values }
+  }
+
+  /**
+   * Run another workflow's steps inside this execution, sharing its browser session;
+   * the callee only sees its own variables plus the declared inputs
+   */
+  async runInlineWorkflow(context, workflowId, { inputs = {}, outputs, version, depth }) {
+    const call = await this.loadCalledWorkflow(context, workflowId, { version, inputs, outputs })
+    const { workflow, version: resolvedVersion } = call
+
+    const callContext = Object.create(context)
+    callContext.workflow = workflow
+    callContext.variables = { ...workflow.variables, ...context.environment?.variables, ...call.inputs }
+    callContext.callDepth = depth
+    callContext.loopDepth = 0
+
+    const outcome = await this.runSteps(callContext, workflow.steps)
+
+    if (outcome.interrupted || outcome.abandoned) {
+      throw new Error(`Called workflow ${workflow.name} was interrupted`)
+    }
+
+    return { workflow, version: resolvedVersion, variables: callContext.variables }
+  }
+
+  /**
+   * Run another workflow as a child execution with its own record, browser session and results,
+   * linked to this one through parent_execution_id, and wait for it to finish
+   */
+  async runChildWorkflow(context, workflowId, { inputs = {}, outputs, version, depth }) {
+    const call = await this.loadCalledWorkflow(context, workflowId, { version, inputs, outputs })
+    const { workflow, version: resolvedVersion } = call
+    const options = { trigger: 'call_workflow', triggeredBy: context.id, variables: call.inputs }
+    const storedOptions = this.sealOptions(options, workflow.input_schema)
+
+    const { data: execution, error } = await this.supabase
+      .from('workflow_executions')
+      .insert([{
+        workflow_id: workflow.id,
+        user_id: context.userId,
+        organization_id: context.organizationId,
+        environment_id: context.environment?.id || null,
+        environment_name: context.environment?.name || null,
+        workflow_version: resolvedVersion,
+        parent_execution_id: context.id,
+        call_depth: depth,
+        status: 'pending',
+        started_at: new Date().toISOString(),
+        execution_data: {
+          workflow_name: workflow.name,
+          total_steps: workflow.steps?.length || 0,
+          options: storedOptions
+        }
+      }])
+      .select()
+      .single()
+
+    if (error) {
+      throw new Error(`Failed to create child execution record: ${error.message}`)
+    }
+
+    // Runs straight away rather than through the queue: the parent already holds a slot and waits on it
+    const childContext = this.createExecutionContext(execution, workflow, options, null, context.environment)
+
+    // Cancelling or timing out the parent stops the child with it
+    const parentSignal = context.abortController?.signal
+    const abortChild = () => this.abortExecution(childContext, parentSignal.reason)
+    parentSignal?.addEventListener('abort', abortChild, { once: true })
+
+    try {
+      await this.executeWorkflow(childContext)
+    } finally {
+      parentSignal?.removeEventListener('abort', abortChild)
+      await this.stepProcessor.closeBrowserSession(childContext, 'child_execution_complete')
+    }
+
+    if (childContext.status !== 'completed') {
+      throw new Error(`Child execution ${execution.id} ${childContext.status}: ${childContext.failureReason || 'no reason given'}`)
+    }
+
+    return { workflow, version: resolvedVersion, variables: childContext.variables, executionId: execution.id }
+  }
+
+  /**
+   * Run a step, retrying failed attempts according to its retry policy
+   */
+  async processStepWithRetry(context, step, nodeId, graph) {
+    const stepIndex = graph.getIndex(nodeId)
+    const policy = normalizeRetryPolicy(step.retry || step.config?.retry)
+    let attempt = 1
+    let stepResult = await this.stepProcessor.processStep(step, context, { graph, nodeId })
+
+    while (stepResult.success === false) {
+      const errorClass = classifyStepError(stepResult)
+
+      if (!shouldRetry(policy, errorClass, attempt)) {
+        break
+      }
+
+      const delay = getRetryDelay(policy, attempt)
+
+      // Every failed attempt is kept in the step results
+      context.stepResults.push({
+        stepIndex,
+        stepId: nodeId,
+        stepType: step.type,
+        success: false,
+        attempt,
+        errorClass,
+        error: redactForExecution(context, stepResult.error),
+        retryInMs: delay,
+        timestamp: new Date().toISOString()
+      })
+
+      logger.warn('Step attempt failed, retrying', {
+        executionId: context.id,
+        stepId: nodeId,
+        attempt,
+        errorClass,
+        delay
+      })
+
+      this.emit('stepRetrying', { context, step, stepIndex, attempt, delay, error: redactForExecution(context, stepResult.error) })
+
+      await this.stepProcessor.delay(delay, context.abortController?.signal)
+      attempt++
+      stepResult = await this.stepProcessor.processStep(step, context, { graph, nodeId })
+    }
+
+    return { stepResult, attempt }
+  }
+
+  /**
+   * Execute a single graph node and work out where execution goes next
+   */
+  async executeStep(context, step, nodeId, graph) {
+    const stepIndex = graph.getIndex(nodeId)
+    context.currentStepIndex = stepIndex
+    context.currentStepId = nodeId
+
+    logger.debug('Executing step', {
+      executionId: context.id,
+      stepIndex,
+      stepType: step.type,
+      stepId: nodeId
+    })
+
+    this.emit('stepStarted', { context, step, stepIndex })
+
+    const { stepResult, attempt } = await this.processStepWithRetry(context, step, nodeId, graph)
+
+    // Approval steps stop the walk here; the step is recorded once it has been decided
+    if (stepResult.success !== false && stepResult.suspend) {
+      context.status = 'awaiting_approval'
+      context.suspension = stepResult.suspend
+      return { next: [], stop: true, suspended: true }
+    }
+
+    if (stepResult.success !== false && stepResult.artifact) {
+      await this.registerArtifact(context, nodeId, stepResult)
+    }
+
+    // Update variables if step returned new values (or removed some)
+    if (stepResult.variables || stepResult.deletedVariables?.length > 0) {
+      const variables = { ...context.variables, ...stepResult.variables }
+      for (const name of stepResult.deletedVariables || []) {
+        delete variables[name]
+      }
+      context.variables = variables
+    }
+
+    if (stepResult.success === false) {
+      const stepError = new Error(redactForExecution(context, stepResult.error) || `Step ${nodeId} failed`)
+
+      logger.error('Step execution failed', {
+        executionId: context.id,
+        stepIndex,
+        stepType: step.type,
+        error: stepError.message
+      })
+
+      context.errors.push({
+        stepIndex,
+        stepId: nodeId,
+        stepType: step.type,
+        error: stepError.message,
+        timestamp: new Date().toISOString()
+      })
+
+      context.stepResults.push({
+        stepIndex,
+        stepId: nodeId,
+        stepType: step.type,
+        success: false,
+        attempt,
+        errorClass: classifyStepError(stepResult),
+        error: stepError.message,
+        timestamp: new Date().toISOString()
+      })
+
+      this.emit('stepFailed', { context, step, stepIndex, error: stepError })
+
+      // Route through the error port when one is drawn, otherwise honor continueOnError
+      const errorTargets = graph.getNextNodeIds(nodeId, 'error')
+      if (errorTargets.length > 0) {
+        return { next: errorTargets }
+      }
+
+      if (step.config?.continueOnError !== true) {
+        throw stepError
+      }
+
+      return { next: graph.getNextNodeIds(nodeId, 'success') }
+    }
+
+    const redactedResult = redactForExecution(context, stepResult)
+
+    context.stepResults.push({
+      stepIndex,
+      stepId: nodeId,
+      stepType: step.type,
+      success: true,
+      attempt,
+      result: redactedResult,
+      outputPort: graph.resolveOutputPort(step, stepResult),
+      timestamp: new Date().toISOString(),
+      executionTime: stepResult.executionTime || 0
+    })
+
+    this.emit('stepCompleted', { context, step, stepIndex, result: redactedResult })
+
+    // break/continue inside a loop body unwind to the innermost loop
+    if (stepResult.loopSignal) {
+      return { next: [], stop: true, loopSignal: stepResult.loopSignal }
+    }
+
+    if (stepResult.breakExecution) {
+      logger.info('Workflow execution stopped by step', { executionId: context.id, stepId: nodeId })
+      return { next: [], stop: true }
+    }
+
+    // Steps that decide their own continuation (branch joins)
+    if (stepResult.nextNodeIds) {
+      return { next: stepResult.nextNodeIds }
+    }
+
+    // Index-based jumps from condition steps
+    if (stepResult.skipToStep !== undefined) {
+      const targetId = graph.getNodeIdAt(stepResult.skipToStep)
+      return { next: targetId ? [targetId] : [] }
+    }
+
+    return { next: graph.getNextNodeIds(nodeId, graph.resolveOutputPort(step, stepResult)) }
+  }
+
+  /**
+   * Decrypted organization secrets for `{{secret.NAME}}`, loaded once per execution on first use
+   */
+  async getSecrets(context) {
+    if (!context.secrets) {
+      const secrets = this.secretsVault.isConfigured
+        ? await this.secretsVault.getSecretValues(context.organizationId, { environmentId: context.environment?.id })
+        : {}
+
+      // Non-enumerable so the values never travel with the context (events, checkpoints, logs)
+      Object.defineProperty(context, 'secrets', { value: secrets, enumerable: false, writable: true })
+    }
+
+    return context.secrets
+  }
+
+  /**
+   * Update execution status in database
+   */
+  async updateExecutionStatus(executionId, status, updates = {}) {
+    try {
+      const { error } = await this.supabase
+        .from('workflow_executions')
+        .update({
+          status,
+          updated_at: new Date().toISOString(),
+          ...updates
+        })
+        .eq('id', executionId)
+
+      if (error) {
+        logger.error('Failed to update execution status', { executionId, error: error.message })
+      }
+    } catch (error) {
+      logger.error('Error updating execution status', { executionId, error: error.message })
+    }
+  }
+
+  /**
+   * Start queue processor
+   */
+  startQueueProcessor() {
+    this.queueInterval = setInterval(() => {
+      if (!this.processingQueue) {
+        this.processQueue()
+      }
+    }, 1000) // Check every second
+  }
+
+  /**
+   * Renew the queue claims of running executions and recover the ones other instances abandoned
+   */
+  startClaimHeartbeat() {
+    this.heartbeatInterval = setInterval(async () => {
+      try {
+        await this.queue.heartbeat(Array.from(this.activeExecutions.keys()))
+        await this.recoverStaleClaims()
+      } catch (error) {
+        logger.error('Queue heartbeat failed', { instanceId: this.queue.instanceId, error: error.message })
+      }
+    }, this.queue.heartbeatIntervalMs)
+  }
+
+  /**
+   * Start the periodic approval timeout check
+   */
+  startApprovalTimeoutChecker() {
+    this.approvalInterval = setInterval(() => {
+      this.checkApprovalTimeouts()
+    }, APPROVAL_TIMEOUT_CHECK_INTERVAL)
+  }
+
+  /**
+   * Delete artifacts past their retention period
+   */
+  startArtifactCleanup() {
+    this.artifactCleanupInterval = setInterval(() => {
+      this.artifactService.deleteExpired().catch(error => {
+        logger.error('Artifact cleanup failed', { error: error.message })
+      })
+    }, ARTIFACT_CLEANUP_INTERVAL)
+  }
+
+  /**
+   * Process execution queue
+   */
+  async processQueue() {
+    if (this.processingQueue || this.shuttingDown) {
+      return
+    }
+
+    if (this.activeExecutions.size >= this.maxConcurrentExecutions) {
+      return
+    }
+
+    this.processingQueue = true
+
+    try {
+      while (this.activeExecutions.size < this.maxConcurrentExecutions) {
+        const entry = await this.queue.claimNext()
+
+        if (!entry) {
+          break
+        }
+
+        let context = this.pendingContexts.get(entry.execution_id)
+        this.pendingContexts.delete(entry.execution_id)
+
+        // Entries queued by another instance or before a restart are loaded from the database
+        if (!context) {
+          try {
+            context = await this.loadExecutionContext(entry.execution_id, entry.payload || {})
+          } catch (error) {
+            logger.error('Failed to load queued execution', { executionId: entry.execution_id, error: error.message })
+            await this.queue.complete(entry.execution_id)
+            await this.updateExecutionStatus(entry.execution_id, 'failed', {
+              completed_at: new Date().toISOString(),
+              error_message: error.message
+            })
+            continue
+          }
+        }
+
+        // Reserve the slot before the first await inside executeWorkflow
+        this.activeExecutions.set(context.id, context)
+
+        // Execute without awaiting to allow concurrent execution
+        this.executeWorkflow(context).catch(error => {
+          logger.error('Queue execution failed', { executionId: context.id, error: error.message })
+        })
+      }
+    } catch (error) {
+      logger.error('Failed to process execution queue', { error: error.message })
+    } finally {
+      this.processingQueue = false
+    }
+  }
+
+  /**
+   * Stop a running execution: in-flight steps see the signal abort, and closing the browser
+   * session fails any puppeteer call still waiting on the page
+   */
+  abortExecution(context, error) {
+    if (!context.abortController || context.abortController.signal.aborted) {
+      return
+    }
+
+    logger.info('Aborting execution', { executionId: context.id, reason: error.reason, message: error.message })
+
+    context.abortController.abort(error)
+    this.stepProcessor.closeBrowserSession(context, error.reason)
+  }
+
+  /**
+   * One of the execution's organization's artifacts as a local file (for upload_file steps);
+   * `release()` cleans up once the step is done with it
+   */
+  async getArtifactFile(context, artifactId) {
+    const artifact = await this.artifactService.getOwnedArtifact(artifactId, {
+      organizationId: context.organizationId,
+      userId: context.userId
+    })
+    if (!artifact) {
+      throw new Error(`Artifact not found: ${artifactId}`)
+    }
+
+    return this.artifactService.getLocalFile(artifact)
+  }
+
+  /**
+   * Store the file a step produced as an artifact of the execution and swap the step's file
+   * details for the registered artifact; a storage failure is logged without failing the step
+   */
+  async registerArtifact(context, stepId, stepResult) {
+    const { filepath, move, urlVariable, ...details } = stepResult.artifact
+
+    try {
+      const artifact = await this.artifactService.register({
+        executionId: context.id,
+        workflowId: context.workflowId,
+        organizationId: context.organizationId,
+        userId: context.userId,
+        stepId,
+        filepath,
+        name: details.name,
+        mimeType: details.mimeType,
+        move,
+        retentionDays: context.workflow?.settings?.artifactRetentionDays
+      })
+
+      stepResult.artifact = {
+        ...details,
+        id: artifact.id,
+        size: artifact.size,
+        checksum: artifact.checksum,
+        url: this.artifactService.getDownloadPath(artifact.id)
+      }
+      if (urlVariable) {
+        stepResult.variables = { ...stepResult.variables, [urlVariable]: stepResult.artifact.url }
+      }
+
+      this.emit('artifactCreated', { context, artifact })
+    } catch (error) {
+      logger.error('Failed to register artifact', { executionId: context.id, stepId, error: error.message })
+      stepResult.artifact = { ...details, error: error.message }
+    }
+
+    // The handler's own copy of the result keeps no server paths either
+    stepResult.result = { ...stepResult.result, artifact: stepResult.artifact }
+  }
+
+  /**
+   * Record what a cancelled execution got through before it stopped
+   */
+  async finishCancelledExecution(context, error) {
+    context.status = 'cancelled'
+    context.endTime = Date.now()
+    context.duration = context.endTime - context.startTime
+
+    await this.updateExecutionStatus(context.id, 'cancelled', {
+      completed_at: new Date().toISOString(),
+      error_message: error.message,
+      execution_data: {
+        ...context.execution.execution_data,
+        duration: context.duration,
+        steps_completed: context.stepResults.filter(r => r.success).length,
+        steps_failed: context.stepResults.filter(r => !r.success).length,
+        step_results: context.stepResults,
+        artifacts: collectArtifacts(context.stepResults),
+        variables: redactForExecution(context, context.variables),
+        errors: context.errors
+      }
+    })
+
+    logger.info('Workflow execution stopped after cancellation', {
+      executionId: context.id,
+      stepId: context.currentStepId,
+      duration: context.duration
+    })
+  }
+
+  /**
+   * Cancel execution
+   */
+  async cancelExecution(executionId, reason = 'Cancelled by user') {
+    try {
+      const context = this.activeExecutions.get(executionId)
+      
+      if (context) {
+        context.status = 'cancelled'
+        this.emit('executionCancelled', { context, reason })
+        // The run leaves activeExecutions (and frees its slot) once its current step has stopped
+        this.abortExecution(context, new ExecutionAbortedError(reason, 'cancelled'))
+      }
+
+      // Executions that have not started yet just leave the queue
+      this.pendingContexts.delete(executionId)
+      await this.queue.complete(executionId)
+
+      this.debugger.clear(executionId)
+
+      // A suspended execution must not be revived by a late approval
+      await this.approvalService.cancelPending(executionId).catch(error => {
+        logger.error('Failed to cancel pending approvals', { executionId, error: error.message })
+      })
+
+      await this.updateExecutionStatus(executionId, 'cancelled', {
+        completed_at: new Date().toISOString(),
+        error_message: reason
+      })
+
+      logger.info('Execution cancelled', { executionId, reason })
+      return true
+
+    } catch (error) {
+      logger.error('Failed to cancel execution', { executionId, error: error.message })
+      return false
+    }
+  }
+
+  /**
+   * Get execution status
+   */
+  getExecutionStatus(executionId) {
+    const context = this.activeExecutions.get(executionId)
+    if (!context) {
+      return null
+    }
+
+    return {
+      id: context.id,
+      status: context.status,
+      currentStep: context.currentStepIndex,
+      currentStepId: context.currentStepId,
+      paused: this.debugger.getState(executionId).paused,
+      totalSteps: context.workflow.steps?.length || 0,
+      duration: context.endTime ? context.endTime - context.startTime : Date.now() - context.startTime,
+      stepsCompleted: context.stepResults.filter(r => r.success).length,
+      stepsFailed: context.stepResults.filter(r => !r.success).length
+    }
+  }
+
+  /**
+   * Debug view of an execution: pause state, breakpoints and the variables where it is paused
+   */
+  getDebugState(executionId) {
+    const context = this.activeExecutions.get(executionId) || this.pendingContexts.get(executionId)
+    if (!context) {
+      return null
+    }
+
+    const pausedContext = this.debugger.getPausedContext(executionId) || context
+
+    return {
+      executionId,
+      status: context.status,
+      lastStepId: pausedContext.currentStepId || null,
+      ...this.debugger.getState(executionId),
+      variables: redactForExecution(context, pausedContext.variables)
+    }
+  }
+
+  /**
+   * Screenshot of the page a running execution is on; null when it has no browser session
+   */
+  async captureDebugScreenshot(executionId) {
+    const context = this.debugger.getPausedContext(executionId) || this.activeExecutions.get(executionId)
+    if (!context) {
+      return null
+    }
+
+    const browserService = this.stepProcessor.browserService
+    const sessionId = context.sessionId || context.id
+
+    if (!browserService.getBrowserStatus(sessionId).exists) {
+      return null
+    }
+
+    const result = await browserService.screenshot(sessionId, context.pageId || 'default', { fullPage: false })
+    if (!result.success) {
+      throw new Error(`Screenshot failed: ${result.error}`)
+    }
+
+    return { filename: result.filename, url: result.url, takenAt: new Date().toISOString() }
+  }
+
+  /**
+   * Get all active executions
+   */
+  getActiveExecutions() {
+    return Array.from(this.activeExecutions.values()).map(context => ({
+      id: context.id,
+      workflowId: context.workflowId,
+      workflowName: context.workflow.name,
+      userId: context.userId,
+      organizationId: context.organizationId,
+      environment: context.environment?.name || null,
+      version: context.workflowVersion,
+      status: context.status,
+      currentStep: context.currentStepIndex,
+      currentStepId: context.currentStepId,
+      totalSteps: context.workflow.steps?.length || 0,
+      startTime: context.startTime
+    }))
+  }
+
+  /**
+   * Get queue status
+   */
+  getQueueStatus() {
+    const queueStatus = this.queue.getStatus()
+
+    return {
+      activeExecutions: this.activeExecutions.size,
+      queuedExecutions: queueStatus.queued,
+      maxConcurrent: this.maxConcurrentExecutions,
+      queue: queueStatus
+    }
+  }
+
+  /**
+   * Get queued executions with their position in dispatch order
+   */
+  getQueuedExecutions() {
+    return this.queue.getPositions()
+  }
+
+  /**
+   * Shutdown engine gracefully
    */
   async shutdown() {
     logger.info('Shutting down workflow engine', {
       activeExecutions: this.activeExecutions.size,
-      queuedExecutions: this.executionQueue.length
+      queuedExecutions: this.queue.getStatus().queued
     })
 
-    // Cancel all active executions
-    const cancelPromises = Array.from(this.activeExecutions.keys()).map(executionId => 
-      this.cancelExecution(executionId, 'Server shutdown')
-    )
+    this.shuttingDown = true
+    clearInterval(this.queueInterval)
+    clearInterval(this.heartbeatInterval)
+    clearInterval(this.approvalInterval)
+    clearInterval(this.artifactCleanupInterval)
+
+    // Interrupt active executions; they stop before their next step and keep their checkpoint
+    await Promise.all(Array.from(this.activeExecutions.values()).map(context => {
+      context.status = 'interrupted'
+      this.debugger.clear(context.id)
+      this.emit('executionInterrupted', { context, reason: 'Server shutdown' })
 
-    await Promise.all(cancelPromises)
+      return this.updateExecutionStatus(context.id, 'interrupted', {
+        error_message: 'Server shutdown'
+      })
+    }))
+
+    // A durable queue keeps waiting executions for the next start; the in-memory one cannot
+    if (!this.queue.store.durable) {
+      const waiting = this.queue.entries.filter(entry => entry.status === 'queued')
+
+      await Promise.all(waiting.map(async entry => {
+        await this.queue.complete(entry.execution_id)
+        await this.updateExecutionStatus(entry.execution_id, 'interrupted', {
+          error_message: 'Server shutdown'
+        })
+      }))
+    }
 
-    // Clear queue
-    this.executionQueue.length = 0
+    this.pendingContexts.clear()
 
     this.emit('engineShutdown')
   }
@@ -0,0 +1,737 @@
+// @vitest-environment node
+import { randomBytes } from 'crypto'
+import { WorkflowEngine } from './workflowEngine.js'
+import { ExecutionQueue, SupabaseQueueStore } from './executionQueue.js'
+import { SecretsVault } from './secretsVault.js'
+import { REDACTED } from '../utils/secretRedaction.js'
+import { createFakeSupabase } from '../tests/fakeSupabase.js'
+
+const engines = []
+
+const createEngine = (supabase, options = {}) => {
+  const engine = new WorkflowEngine(supabase, {
+    queue: new ExecutionQueue(new SupabaseQueueStore(supabase), { instanceId: 'me', claimTtlMs: 60000 }),
+    ...options
+  })
+  engines.push(engine)
+  return engine
+}
+
+afterEach(async () => {
+  await Promise.all(engines.splice(0).map(engine => engine.shutdown()))
+})
+
+/**
+ * Run a workflow to its end in `engine`, returning its context, the error it failed with and its
+ * stored execution record; `workflows` are stored next to it for call_workflow steps
+ */
+const runWorkflow = async (engine, steps, { connections, variables = {}, breakpoints, organizationId = 'org', workflows = [] } = {}) => {
+  const workflow = { id: 'wf', name: 'Test workflow', status: 'active', organization_id: organizationId, steps, connections }
+  const execution = { id: `exec-${randomBytes(4).toString('hex')}`, workflow_id: 'wf', user_id: 'u', organization_id: organizationId, status: 'pending', execution_data: {} }
+  engine.supabase.db.tables.workflows = [workflow, ...workflows]
+  engine.supabase.db.tables.workflow_executions = [...(engine.supabase.db.tables.workflow_executions || []), execution]
+
+  const context = engine.createExecutionContext(execution, workflow, { variables, breakpoints })
+  let failure = null
+  engine.once('executionFailed', ({ error }) => { failure = error })
+  engine.activeExecutions.set(context.id, context)
+  await engine.executeWorkflow(context)
+
+  return { context, failure, record: engine.supabase.db.tables.workflow_executions.find(row => row.id === execution.id) }
+}
+
+/**
+ * The next execution `engine` finishes, with the error it failed with
+ */
+const nextSettled = engine => new Promise(resolve => {
+  engine.once('executionCompleted', context => resolve({ context, failure: null }))
+  engine.once('executionFailed', ({ context, error }) => resolve({ context, failure: error }))
+})
+
+const minutesAgo = minutes => new Date(Date.now() - minutes * 60000).toISOString()
+
+const queueRow = (executionId, fields) => ({
+  execution_id: executionId,
+  workflow_id: 'wf',
+  organization_id: 'org',
+  user_id: 'u',
+  priority: 5,
+  payload: {},
+  enqueued_at: minutesAgo(30),
+  ...fields
+})
+
+describe('WorkflowEngine recovery', () => {
+  const statusOf = (supabase, id) => supabase.db.tables.workflow_executions.find(execution => execution.id === id).status
+
+  test('recovers only executions whose claim is stale or that never reached the queue', async () => {
+    const supabase = createFakeSupabase({
+      workflow_executions: [
+        { id: 'live', status: 'running', started_at: minutesAgo(10) },
+        { id: 'dead', status: 'running', started_at: minutesAgo(10) },
+        { id: 'dead-child', status: 'running', started_at: minutesAgo(9), parent_execution_id: 'dead' },
+        { id: 'orphan', status: 'running', started_at: minutesAgo(10) },
+        { id: 'starting', status: 'pending', started_at: new Date().toISOString() },
+        { id: 'waiting', status: 'pending', started_at: minutesAgo(10) }
+      ],
+      execution_queue: [
+        queueRow('live', { status: 'claimed', claimed_by: 'other', claimed_at: minutesAgo(10), heartbeat_at: new Date().toISOString() }),
+        queueRow('dead', { status: 'claimed', claimed_by: 'crashed', claimed_at: minutesAgo(10), heartbeat_at: minutesAgo(5) }),
+        queueRow('waiting', { status: 'queued' })
+      ]
+    })
+    const engine = createEngine(supabase)
+
+    expect(await engine.recoverInterruptedExecutions({ autoResume: false })).toEqual({ interrupted: 2, resumed: 0 })
+
+    expect(statusOf(supabase, 'live')).toBe('running')
+    expect(statusOf(supabase, 'dead')).toBe('interrupted')
+    expect(statusOf(supabase, 'dead-child')).toBe('interrupted')
+    expect(statusOf(supabase, 'orphan')).toBe('interrupted')
+    expect(statusOf(supabase, 'starting')).toBe('pending')
+    expect(statusOf(supabase, 'waiting')).toBe('pending')
+    expect(supabase.db.tables.execution_queue.map(entry => entry.execution_id)).toEqual(['live', 'waiting'])
+  })
+
+  test('recovers claims that stop being renewed while running', async () => {
+    const supabase = createFakeSupabase({
+      workflow_executions: [
+        { id: 'live', status: 'running', started_at: minutesAgo(10) },
+        { id: 'dead', status: 'running', started_at: minutesAgo(10) }
+      ],
+      execution_queue: [
+        queueRow('live', { status: 'claimed', claimed_by: 'other', claimed_at: minutesAgo(10), heartbeat_at: new Date().toISOString() }),
+        queueRow('dead', { status: 'claimed', claimed_by: 'crashed', claimed_at: minutesAgo(10), heartbeat_at: minutesAgo(2) })
+      ]
+    })
+    const engine = createEngine(supabase)
+    await engine.queue.refresh()
+
+    expect(await engine.recoverStaleClaims({ autoResume: false })).toEqual({ interrupted: 1, resumed: 0 })
+    expect(statusOf(supabase, 'dead')).toBe('interrupted')
+    expect(statusOf(supabase, 'live')).toBe('running')
+  })
+})
+
+describe('WorkflowEngine secrets', () => {
+  test('checkpoints keep secret-derived variables whole and encrypted, masking them only for display', async () => {
+    const supabase = createFakeSupabase()
+    const secretsVault = new SecretsVault(supabase, { key: randomBytes(32).toString('base64') })
+    supabase.db.tables.organization_secrets = [
+      { organization_id: 'org', environment_id: null, name: 'API_KEY', encrypted_value: secretsVault.encrypt('abcd') }
+    ]
+    const engine = createEngine(supabase, { secretsVault })
+
+    const { context, record } = await runWorkflow(engine, [
+      { id: 'token', type: 'set_variable', config: { name: 'token', value: '{{secret.API_KEY}}' } },
+      { id: 'zip', type: 'set_variable', config: { name: 'zip', value: 'abcdef' } }
+    ])
+
+    expect(context.status).toBe('completed')
+    expect(record.checkpoint.variables).toBeUndefined()
+    expect(JSON.stringify(record.checkpoint)).not.toContain('abcd')
+    expect(record.execution_data.variables.token).toBe(REDACTED)
+
+    const resumed = await engine.buildContextFromExecution(record, { resume: true })
+    expect(resumed.variables).toMatchObject({ token: 'abcd', zip: 'abcdef' })
+  })
+
+  test('refuses to resume from a checkpoint sealed under another key', async () => {
+    const supabase = createFakeSupabase()
+    const engine = createEngine(supabase, { secretsVault: new SecretsVault(supabase, { key: randomBytes(32).toString('base64') }) })
+    const otherVault = new SecretsVault(supabase, { key: randomBytes(32).toString('base64') })
+    supabase.db.tables.workflows = [{ id: 'wf', name: 'wf', status: 'active', steps: [] }]
+
+    const execution = { id: 'sealed', workflow_id: 'wf', checkpoint: { pendingNodeIds: [], sealedVariables: otherVault.encrypt('{}') } }
+    await expect(engine.buildContextFromExecution(execution, { resume: true })).rejects.toThrow('Checkpoint variables cannot be decrypted')
+  })
+
+  test('stores secret inputs encrypted and restores them on resume', async () => {
+    const supabase = createFakeSupabase({
+      workflows: [{ id: 'wf', name: 'wf', status: 'active', steps: [], input_schema: [{ name: 'token', type: 'secret' }, { name: 'region', type: 'string' }] }]
+    })
+    const engine = createEngine(supabase, { secretsVault: new SecretsVault(supabase, { key: randomBytes(32).toString('base64') }) })
+
+    const execution = await engine.execute('wf', 'u', 'org', { variables: { token: 'tok-sealed-input', region: 'eu' } })
+    const record = supabase.db.tables.workflow_executions.find(row => row.id === execution.id)
+
+    expect(record.execution_data.options.variables).toEqual({ region: 'eu' })
+    expect(JSON.stringify(record.execution_data)).not.toContain('tok-sealed-input')
+
+    const resumed = await engine.buildContextFromExecution(record, { resume: true })
+    expect(resumed.variables).toMatchObject({ token: 'tok-sealed-input', region: 'eu' })
+  })
+
+  test('refuses secret inputs it cannot store encrypted', async () => {
+    const supabase = createFakeSupabase({
+      workflows: [{ id: 'wf', name: 'wf', status: 'active', steps: [], input_schema: [{ name: 'token', type: 'secret' }] }]
+    })
+    const engine = createEngine(supabase, { secretsVault: new SecretsVault(supabase, { key: '' }) })
+
+    await expect(engine.execute('wf', 'u', 'org', { variables: { token: 'tok-unsealed' } })).rejects.toThrow('need SECRETS_ENCRYPTION_KEY')
+    expect(supabase.db.tables.workflow_executions || []).toEqual([])
+  })
+})
+
+describe('WorkflowEngine environments', () => {
+  test('runs with the environment variables and secret overrides, recording the environment', async () => {
+    const supabase = createFakeSupabase()
+    const secretsVault = new SecretsVault(supabase, { key: randomBytes(32).toString('base64') })
+    supabase.db.tables.workflows = [{
+      id: 'wf',
+      name: 'wf',
+      status: 'active',
+      variables: { baseUrl: 'https://prod.test', region: 'eu', retries: 2 },
+      steps: [{ id: 'key', type: 'set_variable', config: { name: 'key', value: '{{secret.API_KEY}}' } }]
+    }]
+    supabase.db.tables.organization_environments = [
+      { id: 'env-staging', organization_id: 'org', name: 'staging', variables: { baseUrl: 'https://staging.test', region: 'us' } }
+    ]
+    supabase.db.tables.organization_secrets = [
+      { organization_id: 'org', environment_id: null, name: 'API_KEY', encrypted_value: secretsVault.encrypt('prod-key') },
+      { organization_id: 'org', environment_id: 'env-staging', name: 'API_KEY', encrypted_value: secretsVault.encrypt('staging-key') }
+    ]
+    const engine = createEngine(supabase, { secretsVault })
+
+    const settled = nextSettled(engine)
+    const execution = await engine.execute('wf', 'u', 'org', { environment: 'staging', variables: { region: 'ap' } })
+    const { context } = await settled
+
+    expect(execution).toMatchObject({ environment_id: 'env-staging', environment_name: 'staging' })
+    expect(context.variables).toMatchObject({ baseUrl: 'https://staging.test', region: 'ap', retries: 2, key: 'staging-key' })
+    await expect(engine.execute('wf', 'u', 'org', { environment: 'qa' })).rejects.toThrow('Environment not found: qa')
+    await expect(engine.execute('wf', 'u', null, { environment: 'staging' })).rejects.toThrow('Environments are only available to organization workflows')
+  })
+})
+
+describe('WorkflowEngine sub-workflows', () => {
+  const login = {
+    id: 'login',
+    name: 'Login',
+    status: 'active',
+    organization_id: 'org',
+    variables: { greeting: 'hi' },
+    steps: [
+      { id: 'greet', type: 'set_variable', config: { name: 'logged_in_as', value: '{{ greeting }} {{ username }}' } },
+      { id: 'scratch', type: 'set_variable', config: { name: 'scratch', value: true } }
+    ]
+  }
+  const callLogin = config => ({
+    id: 'call',
+    type: 'call_workflow',
+    config: { workflowId: 'login', inputs: { username: '{{ user }}' }, outputs: { session_user: 'logged_in_as' }, ...config }
+  })
+
+  test('runs the callee inline with only its inputs and copies back only its outputs', async () => {
+    const engine = createEngine(createFakeSupabase())
+
+    const { context } = await runWorkflow(engine, [callLogin()], { variables: { user: 'ada', greeting: 'hello' }, workflows: [login] })
+
+    expect(context.status).toBe('completed')
+    expect(context.variables).toEqual({ user: 'ada', greeting: 'hello', session_user: 'hi ada' })
+  })
+
+  test('runs the callee as a child execution linked to its parent', async () => {
+    const engine = createEngine(createFakeSupabase())
+
+    const { context } = await runWorkflow(engine, [callLogin({ mode: 'child' })], { variables: { user: 'ada' }, workflows: [login] })
+    const callResult = context.stepResults.find(result => result.stepId === 'call')
+    const child = engine.supabase.db.tables.workflow_executions.find(row => row.workflow_id === 'login')
+
+    expect(context.variables.session_user).toBe('hi ada')
+    expect(child).toMatchObject({ parent_execution_id: context.id, call_depth: 1, status: 'completed' })
+    expect(callResult.result.childExecutionId).toBe(child.id)
+  })
+
+  test('stops recursion at the depth limit and refuses workflows of other organizations', async () => {
+    const engine = createEngine(createFakeSupabase())
+    const recursive = { ...login, steps: [callLogin({ maxDepth: 3 })] }
+    const foreign = { ...login, organization_id: 'other' }
+
+    const deep = await runWorkflow(engine, [callLogin({ maxDepth: 3 })], { workflows: [recursive] })
+    const denied = await runWorkflow(engine, [callLogin()], { workflows: [foreign] })
+
+    expect(deep.failure.message).toContain('Workflow call depth limit of 3 reached calling login')
+    expect(denied.failure.message).toContain('Workflow login is not in this organization')
+  })
+})
+
+describe('WorkflowEngine expressions', () => {
+  test('fails the step on an invalid condition instead of taking the false path', async () => {
+    const engine = createEngine(createFakeSupabase())
+
+    const { context, failure } = await runWorkflow(engine, [
+      { id: 'check', type: 'condition', config: { condition: '{{count}} >', onFalse: { action: 'skip_to_step', stepIndex: 2 } } },
+      { id: 'then', type: 'set_variable', config: { name: 'path', value: 'true' } },
+      { id: 'else', type: 'set_variable', config: { name: 'path', value: 'false' } }
+    ], { variables: { count: 1 } })
+
+    expect(context.status).toBe('failed')
+    expect(failure.message).toContain('Invalid condition: Unexpected end of expression at position 11')
+    expect(context.variables.path).toBeUndefined()
+  })
+})
+
+/**
+ * Steps wired through `connections.outputs` from `[from, to, port]` edges
+ */
+const connect = (steps, edges) => steps.map(step => ({
+  ...step,
+  connections: {
+    outputs: edges.filter(([from]) => from === step.id).map(([, nodeId, outputPort = 'success']) => ({ nodeId, outputPort }))
+  }
+}))
+
+describe('WorkflowEngine graph', () => {
+  test('follows the port a condition leaves through and skips the other path', async () => {
+    const engine = createEngine(createFakeSupabase())
+
+    const { context } = await runWorkflow(engine, connect([
+      { id: 'start', type: 'start', config: {} },
+      { id: 'check', type: 'condition', config: { condition: '{{ total }} > 100' } },
+      { id: 'large', type: 'set_variable', config: { name: 'size', value: 'large' } },
+      { id: 'small', type: 'set_variable', config: { name: 'size', value: 'small' } }
+    ], [
+      ['start', 'check'],
+      ['check', 'large', 'true'],
+      ['check', 'small', 'false']
+    ]), { variables: { total: 20 } })
+
+    expect(context.status).toBe('completed')
+    expect(context.variables.size).toBe('small')
+  })
+
+  test('routes a failed step to its error port instead of failing the run', async () => {
+    const engine = createEngine(createFakeSupabase())
+
+    const { context } = await runWorkflow(engine, connect([
+      { id: 'start', type: 'start', config: {} },
+      { id: 'explode', type: 'no_such_step', config: {} },
+      { id: 'next', type: 'set_variable', config: { name: 'next', value: true } },
+      { id: 'handle', type: 'set_variable', config: { name: 'handled', value: true } }
+    ], [
+      ['start', 'explode'],
+      ['explode', 'next'],
+      ['explode', 'handle', 'error']
+    ]))
+
+    expect(context.status).toBe('completed')
+    expect(context.variables).toMatchObject({ handled: true })
+    expect(context.variables.next).toBeUndefined()
+  })
+})
+
+describe('WorkflowEngine loops', () => {
+  const add = (name, value) => ({ id: `add_${name}`, type: 'add', config: { name, value } })
+
+  // Adds `value` to the variable `name`, counting how often a step ran
+  const createLoopEngine = () => {
+    const engine = createEngine(createFakeSupabase())
+    engine.stepProcessor.stepHandlers.set('add', async (config, context) => ({
+      success: true,
+      variables: { [config.name]: (context.variables[config.name] ?? 0) + Number(config.value) }
+    }))
+    return engine
+  }
+
+  test('runs a body per element, with continue and break from conditions', async () => {
+    const engine = createLoopEngine()
+
+    const { context } = await runWorkflow(engine, [
+      {
+        id: 'each',
+        type: 'loop',
+        config: {
+          type: 'for_each',
+          array: '{{ rows }}',
+          steps: [
+            { id: 'skip', type: 'condition', config: { condition: '{{ item }} == 2', onTrue: { action: 'continue' } } },
+            { id: 'stop', type: 'condition', config: { condition: '{{ item }} == 4', onTrue: { action: 'break' } } },
+            add('total', '{{ item }}'),
+            add('iterations', 1)
+          ]
+        }
+      }
+    ], { variables: { rows: [1, 2, 3, 4, 5] } })
+
+    expect(context.status).toBe('completed')
+    expect(context.variables).toMatchObject({ total: 4, iterations: 2 })
+    expect(context.variables.item).toBeUndefined()
+    expect(context.variables.index).toBeUndefined()
+  })
+
+  test('break steps leave only the innermost loop', async () => {
+    const engine = createLoopEngine()
+
+    const { context } = await runWorkflow(engine, [
+      {
+        id: 'outer',
+        type: 'loop',
+        config: {
+          iterations: 3,
+          indexVariable: 'i',
+          steps: [
+            {
+              id: 'inner',
+              type: 'loop',
+              config: {
+                iterations: 10,
+                indexVariable: 'j',
+                steps: [
+                  add('inner_runs', 1),
+                  { id: 'enough', type: 'condition', config: { condition: '{{ j }} == 1', onFalse: { action: 'continue' } } },
+                  { id: 'leave', type: 'break', config: {} }
+                ]
+              }
+            },
+            add('outer_runs', 1)
+          ]
+        }
+      },
+      add('after', 1)
+    ])
+
+    expect(context.status).toBe('completed')
+    expect(context.variables).toMatchObject({ inner_runs: 6, outer_runs: 3, after: 1 })
+  })
+
+  test('runs a drawn body from the iteration port, then leaves through complete', async () => {
+    const engine = createLoopEngine()
+
+    const { context } = await runWorkflow(engine, connect([
+      { id: 'start', type: 'start', config: {} },
+      { id: 'repeat', type: 'loop', config: { type: 'while', condition: '{{ count }} < 3' } },
+      add('count', 1),
+      { id: 'done', type: 'set_variable', config: { name: 'done', value: true } }
+    ], [
+      ['start', 'repeat'],
+      ['repeat', 'add_count', 'iteration'],
+      ['add_count', 'repeat'],
+      ['repeat', 'done', 'complete']
+    ]), { variables: { count: 0 } })
+
+    expect(context.status).toBe('completed')
+    expect(context.variables).toMatchObject({ count: 3, done: true })
+  })
+
+  test('fails a loop that runs past its maximum iterations', async () => {
+    const engine = createLoopEngine()
+
+    const { context, failure } = await runWorkflow(engine, [
+      { id: 'forever', type: 'loop', config: { type: 'infinite', maxIterations: 5, steps: [add('runs', 1)] } }
+    ])
+
+    expect(context.status).toBe('failed')
+    expect(failure.message).toContain('Loop exceeded the maximum of 5 iterations')
+    expect(context.variables.runs).toBe(5)
+  })
+})
+
+describe('WorkflowEngine approvals', () => {
+  const approvalWorkflow = approvalConfig => [
+    { id: 'before', type: 'set_variable', config: { name: 'before', value: '{{ (before ?? 0) + 1 }}' } },
+    { id: 'review', type: 'approval', config: { approvers: ['boss'], ...approvalConfig } },
+    { id: 'after', type: 'set_variable', config: { name: 'outcome', value: '{{ approval.approved }} {{ amount ?? "-" }}' } }
+  ]
+
+  const suspend = async (approvalConfig = {}) => {
+    const engine = createEngine(createFakeSupabase({ execution_approvals: [] }))
+    const { context, record } = await runWorkflow(engine, approvalWorkflow(approvalConfig))
+    return { engine, context, record, approvals: engine.supabase.db.tables.execution_approvals }
+  }
+
+  test('suspends at the step and resumes there with the decision and form data', async () => {
+    const { engine, context, record, approvals } = await suspend()
+
+    expect(context.status).toBe('awaiting_approval')
+    expect(record.status).toBe('awaiting_approval')
+    expect(engine.activeExecutions.has(context.id)).toBe(false)
+    expect(approvals).toMatchObject([{ execution_id: context.id, step_id: 'review', approvers: ['boss'], status: 'pending' }])
+    expect(context.variables.outcome).toBeUndefined()
+
+    const settled = nextSettled(engine)
+    await engine.decideApproval(approvals[0], { decision: 'approve', formData: { amount: 250 }, userId: 'boss' })
+    const { context: resumed } = await settled
+
+    expect(resumed.status).toBe('completed')
+    expect(resumed.variables).toMatchObject({ before: 1, outcome: 'true 250', approval: { approved: true, decidedBy: 'boss' } })
+    expect(await engine.decideApproval(approvals[0], { decision: 'reject', userId: 'late' })).toBeNull()
+  })
+
+  test('fails a linear run that is rejected', async () => {
+    const { engine, approvals } = await suspend()
+
+    const settled = nextSettled(engine)
+    await engine.decideApproval(approvals[0], { decision: 'reject', comment: 'too expensive', userId: 'boss' })
+    const { context, failure } = await settled
+
+    expect(context.status).toBe('failed')
+    expect(failure.message).toContain('Approval rejected: too expensive')
+  })
+
+  test('resumes with the timeout outcome once the approval expires', async () => {
+    const { engine, approvals } = await suspend({ timeoutMinutes: 5, timeoutOutcome: 'approve' })
+    approvals[0].expires_at = minutesAgo(1)
+
+    const settled = nextSettled(engine)
+    await engine.checkApprovalTimeouts()
+    const { context } = await settled
+
+    expect(context.status).toBe('completed')
+    expect(context.variables.approval).toMatchObject({ approved: true, timedOut: true })
+  })
+
+  test('cancelling a waiting execution closes its approval', async () => {
+    const { engine, context, approvals } = await suspend()
+
+    await engine.cancelExecution(context.id)
+
+    expect(approvals[0].status).toBe('cancelled')
+    expect(await engine.decideApproval(approvals[0], { decision: 'approve', userId: 'boss' })).toBeNull()
+  })
+})
+
+describe('WorkflowEngine cancellation', () => {
+  const slowWorkflow = waitConfig => [
+    { id: 'first', type: 'set_variable', config: { name: 'first', value: true } },
+    { id: 'slow', type: 'wait', config: { duration: 5000, ...waitConfig } },
+    { id: 'last', type: 'set_variable', config: { name: 'last', value: true } }
+  ]
+
+  test('stops the step in flight and keeps the run cancelled', async () => {
+    const engine = createEngine(createFakeSupabase())
+    engine.on('stepStarted', ({ context, step }) => {
+      if (step.id === 'slow') setTimeout(() => engine.cancelExecution(context.id, 'Stop it'), 50)
+    })
+
+    const startedAt = Date.now()
+    const { context, record } = await runWorkflow(engine, slowWorkflow())
+
+    expect(Date.now() - startedAt).toBeLessThan(1000)
+    expect(context.status).toBe('cancelled')
+    expect(record).toMatchObject({ status: 'cancelled', error_message: 'Stop it' })
+    expect(context.variables).toEqual({ first: true })
+    expect(engine.activeExecutions.has(context.id)).toBe(false)
+  })
+
+  test('fails a step past its stepTimeout like any other step error', async () => {
+    const engine = createEngine(createFakeSupabase())
+
+    const { context } = await runWorkflow(engine, slowWorkflow({ stepTimeout: 0.1, continueOnError: true }))
+
+    expect(context.status).toBe('completed')
+    expect(context.stepResults.find(result => result.stepId === 'slow')).toMatchObject({ success: false })
+    expect(context.variables.last).toBe(true)
+  })
+
+  test('fails the run once the execution timeout passes', async () => {
+    const engine = createEngine(createFakeSupabase(), { executionTimeout: 0.1 })
+
+    const { context, failure } = await runWorkflow(engine, slowWorkflow({ continueOnError: true }))
+
+    expect(context.status).toBe('failed')
+    expect(failure.message).toContain('Execution timed out after 0.1s')
+    expect(context.variables.last).toBeUndefined()
+  })
+})
+
+describe('WorkflowEngine debugging', () => {
+  const nextPause = engine => new Promise(resolve => engine.once('executionPaused', resolve))
+  const steps = ['a', 'b', 'c'].map(name => ({ id: name, type: 'set_variable', config: { name, value: true } }))
+
+  test('pauses on a breakpoint, steps over one step and runs on after resuming', async () => {
+    const engine = createEngine(createFakeSupabase())
+    const paused = nextPause(engine)
+    const run = runWorkflow(engine, steps, { breakpoints: ['b'] })
+
+    const { context } = await paused
+    expect(engine.getDebugState(context.id)).toMatchObject({ paused: true, stepId: 'b', reason: 'breakpoint', variables: { a: true } })
+
+    const stepped = nextPause(engine)
+    expect(engine.debugger.stepOver(context.id)).toBe(true)
+    expect((await stepped).stepId).toBe('c')
+    expect(engine.getDebugState(context.id)).toMatchObject({ reason: 'pause', variables: { a: true, b: true } })
+
+    engine.debugger.resume(context.id)
+    await run
+
+    expect(context.status).toBe('completed')
+    expect(engine.debugger.sessions.has(context.id)).toBe(false)
+  })
+
+  test('cancelling a paused execution releases it without running the paused step', async () => {
+    const engine = createEngine(createFakeSupabase())
+    const paused = nextPause(engine)
+    const run = runWorkflow(engine, steps, { breakpoints: ['b'] })
+
+    const { context } = await paused
+    await engine.cancelExecution(context.id, 'Stop it')
+    const { record } = await run
+
+    expect(record.status).toBe('cancelled')
+    expect(context.variables).toEqual({ a: true })
+  })
+})
+
+describe('WorkflowEngine branches', () => {
+  test('runs drawn paths up to their join, merges their variables and runs the join once', async () => {
+    const engine = createEngine(createFakeSupabase())
+    engine.stepProcessor.stepHandlers.set('count', async (config, context) => ({
+      success: true,
+      variables: { [config.name]: (context.variables[config.name] ?? 0) + 1 }
+    }))
+
+    const { context } = await runWorkflow(engine, connect([
+      { id: 'start', type: 'start', config: {} },
+      { id: 'fork', type: 'branch', config: { waitForAll: true, branchCount: 2 } },
+      { id: 'left', type: 'set_variable', config: { name: 'left', value: 'L' } },
+      { id: 'right', type: 'set_variable', config: { name: 'right', value: 'R' } },
+      { id: 'join', type: 'count', config: { name: 'joined' } }
+    ], [
+      ['start', 'fork'],
+      ['fork', 'left', 'path1'],
+      ['fork', 'right', 'path2'],
+      ['left', 'join'],
+      ['right', 'join']
+    ]))
+
+    expect(context.status).toBe('completed')
+    expect(context.variables).toMatchObject({ left: 'L', right: 'R', joined: 1 })
+  })
+
+  test('merges variables branches delete as well as the ones they set', async () => {
+    const engine = createEngine(createFakeSupabase())
+    engine.stepProcessor.stepHandlers.set('unset', async (config, context) => {
+      delete context.variables[config.name]
+      return { success: true }
+    })
+
+    const { context } = await runWorkflow(engine, [
+      {
+        id: 'fork',
+        type: 'branch',
+        config: {
+          waitForAll: true,
+          branches: [
+            [{ id: 'drop', type: 'unset', config: { name: 'draft' } }],
+            [{ id: 'keep', type: 'set_variable', config: { name: 'saved', value: true } }]
+          ]
+        }
+      }
+    ], { variables: { draft: 'x', other: 1 } })
+
+    expect(context.status).toBe('completed')
+    expect(context.variables).toEqual({ other: 1, saved: true })
+  })
+
+  test('a branch timeout aborts the step the branch is running', async () => {
+    const engine = createEngine(createFakeSupabase())
+    const waits = []
+    const wait = engine.stepProcessor.stepHandlers.get('wait')
+    engine.stepProcessor.stepHandlers.set('wait', (...args) => {
+      const promise = wait(...args)
+      waits.push(promise)
+      return promise
+    })
+
+    const { context, failure } = await runWorkflow(engine, [
+      { id: 'fork', type: 'branch', config: { timeout: 1, branches: [[{ id: 'slow', type: 'wait', config: { duration: 5000 } }]] } }
+    ])
+
+    expect(context.status).toBe('failed')
+    expect(failure.message).toContain('Branch 1 timed out after 1s')
+    await expect(waits[0]).rejects.toThrow('Branch 1 timed out after 1s')
+  })
+})
+
+describe('WorkflowEngine try/catch', () => {
+  const tryCatchWorkflow = tryStep => connect([
+    { id: 'start', type: 'start', config: {} },
+    { id: 'guard', type: 'try_catch', config: {} },
+    { id: 'attempt', type: 'set_variable', config: { name: 'tried', value: 1 } },
+    tryStep,
+    { id: 'recover', type: 'set_variable', config: { name: 'caught', value: '{{ error.message }}' } },
+    { id: 'after', type: 'count', config: { name: 'runs' } }
+  ], [
+    ['start', 'guard'],
+    ['guard', 'attempt'],
+    ['guard', 'recover', 'error'],
+    ['attempt', tryStep.id],
+    [tryStep.id, 'after'],
+    ['recover', 'after']
+  ])
+
+  const createTryCatchEngine = () => {
+    const engine = createEngine(createFakeSupabase())
+    engine.stepProcessor.stepHandlers.set('count', async (config, context) => ({
+      success: true,
+      variables: { [config.name]: (context.variables[config.name] ?? 0) + 1 }
+    }))
+    return engine
+  }
+
+  test('catches a failure in the drawn try path and continues from the join', async () => {
+    const engine = createTryCatchEngine()
+
+    const { context } = await runWorkflow(engine, tryCatchWorkflow({ id: 'explode', type: 'no_such_step', config: {} }))
+
+    expect(context.status).toBe('completed')
+    expect(context.variables).toMatchObject({ tried: 1, caught: 'Unknown step type: no_such_step', runs: 1 })
+  })
+
+  test('runs the join once after a try path that succeeds', async () => {
+    const engine = createTryCatchEngine()
+
+    const { context } = await runWorkflow(engine, tryCatchWorkflow({ id: 'fine', type: 'set_variable', config: { name: 'ok', value: true } }))
+
+    expect(context.status).toBe('completed')
+    expect(context.variables).toMatchObject({ tried: 1, ok: true, runs: 1 })
+    expect(context.variables.caught).toBeUndefined()
+  })
+
+  test('does not catch failures after the join', async () => {
+    const engine = createTryCatchEngine()
+    const steps = tryCatchWorkflow({ id: 'fine', type: 'set_variable', config: { name: 'ok', value: true } })
+    steps.push({ id: 'later', type: 'no_such_step', config: {} })
+    steps.find(step => step.id === 'after').connections.outputs.push({ nodeId: 'later', outputPort: 'success' })
+
+    const { context, failure } = await runWorkflow(engine, steps)
+
+    expect(context.status).toBe('failed')
+    expect(failure.message).toContain('Unknown step type: no_such_step')
+    expect(context.variables.caught).toBeUndefined()
+  })
+})
+
+describe('WorkflowEngine checkpoints', () => {
+  test('resumes a failed run at the failed step with the variables it had', async () => {
+    const engine = createEngine(createFakeSupabase())
+    engine.stepProcessor.stepHandlers.set('count', async (config, context) => ({
+      success: true,
+      variables: { [config.name]: (context.variables[config.name] ?? 0) + 1 }
+    }))
+    let attempts = 0
+    engine.stepProcessor.stepHandlers.set('flaky', async () => {
+      attempts++
+      if (attempts === 1) throw new Error('Service unavailable')
+      return { success: true, variables: { fetched: attempts } }
+    })
+
+    const { context, record } = await runWorkflow(engine, [
+      { id: 'first', type: 'count', config: { name: 'runs' } },
+      { id: 'fetch', type: 'flaky', config: {} },
+      { id: 'last', type: 'set_variable', config: { name: 'done', value: true } }
+    ])
+
+    expect(context.status).toBe('failed')
+    expect(record.checkpoint).toMatchObject({ executedNodeIds: ['first'], pendingNodeIds: ['fetch'] })
+
+    const settled = nextSettled(engine)
+    await engine.resumeExecution(record.id, { userId: 'u' })
+    const { context: resumed } = await settled
+
+    expect(resumed.status).toBe('completed')
+    expect(resumed.variables).toMatchObject({ runs: 1, fetched: 2, done: true })
+    await expect(engine.resumeExecution(record.id)).rejects.toThrow('Execution cannot be resumed from status: completed')
+  })
+})
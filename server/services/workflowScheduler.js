@@ -6,15 +6,69 @@
 import { EventEmitter } from 'events'
 import { logger } from '../middleware/errorHandler.js'
 import { CalendarIntegrationService } from './calendarIntegration.js'
+import { SchedulerLease } from './schedulerLease.js'
+import { getEnvironmentNameError } from './environmentService.js'
+import { CronExpression } from '../utils/cronExpression.js'
+import { getDefaultTimeZone, getTimeZoneOffset, getZonedParts, isValidTimeZone, zonedTimeToUtc } from '../utils/timezone.js'
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/
+
+export const CATCH_UP_POLICIES = ['none', 'latest', 'all']
+export const OVERLAP_POLICIES = ['skip', 'queue', 'cancel_previous']
+
+const DEFAULT_MAX_BACKFILL = 10
+const MAX_BACKFILL_LIMIT = 100
+
+// A run picked up later than this (the loop ticks every minute) counts as missed
+const MISSED_RUN_GRACE_MS = 2 * 60 * 1000
+
+// Upper bound on occurrences walked when working out what was missed during downtime
+const MAX_MISSED_SCAN = 10000
+
+export const MAX_PREVIEW_RUNS = 50
+
+const MONTH_LENGTHS = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31]
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+/**
+ * JSON with sorted keys, so configs read back from jsonb compare equal to what was saved
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`
+  }
+
+  return JSON.stringify(value)
+}
 
 export class WorkflowScheduler extends EventEmitter {
-  constructor(supabase, workflowEngine) {
+  constructor(supabase, workflowEngine, options = {}) {
     super()
     this.supabase = supabase
     this.workflowEngine = workflowEngine
     this.scheduledJobs = new Map()
     this.isRunning = false
     this.calendarService = new CalendarIntegrationService(supabase)
+
+    // Every API instance runs a scheduler; only the lease holder fires jobs
+    this.lease = options.lease || SchedulerLease.create(supabase)
+    this.lease.on('acquired', () => {
+      this.handleLeaseAcquired().catch(error => {
+        logger.error('Failed to take over scheduling', { error: error.message })
+      })
+    })
+    this.lease.on('lost', () => this.handleLeaseLost())
+
+    // Start queued runs as soon as the run ahead of them finishes
+    if (workflowEngine) {
+      for (const event of ['executionCompleted', 'executionFailed', 'executionCancelled', 'executionInterrupted']) {
+        workflowEngine.on(event, payload => this.handleExecutionFinished(payload?.context || payload))
+      }
+    }
     
     // Bind methods
     this.start = this.start.bind(this)
@@ -33,8 +87,13 @@ export class WorkflowScheduler extends EventEmitter {
     this.isRunning = true
     logger.info('Starting workflow scheduler')
 
-    // Load existing scheduled workflows from database
-    await this.loadScheduledWorkflows()
+    // Compete for leadership; followers keep retrying so they take over if the leader dies.
+    // The leader loads its jobs when it acquires the lease; followers load them for status only.
+    await this.lease.start()
+
+    if (!this.lease.isLeader) {
+      await this.loadScheduledWorkflows()
+    }
 
     // Start the main scheduler loop
     this.schedulerInterval = setInterval(() => {
@@ -61,6 +120,9 @@ export class WorkflowScheduler extends EventEmitter {
       this.schedulerInterval = null
     }
 
+    // Hand leadership to another instance without waiting for the lease to expire
+    await this.lease.stop()
+
     // Cancel all scheduled jobs
     this.scheduledJobs.clear()
 
@@ -69,6 +131,9 @@ export class WorkflowScheduler extends EventEmitter {
 
   /**
    * Load scheduled workflows from database
+   *
+   * Also used by the leader to pick up schedules changed through other instances: jobs whose
+   * config is unchanged keep their state, removed schedules are dropped.
    */
   async loadScheduledWorkflows() {
     try {
@@ -83,11 +148,30 @@ export class WorkflowScheduler extends EventEmitter {
         return
       }
 
-      logger.info('Loading scheduled workflows', { count: workflows.length })
+      logger.debug('Loading scheduled workflows', { count: workflows.length })
+
+      const scheduledIds = new Set()
 
       for (const workflow of workflows) {
-        if (workflow.schedule_config && workflow.schedule_config.enabled) {
-          this.addScheduledJob(workflow)
+        if (!workflow.schedule_config || workflow.schedule_config.enabled === false) {
+          continue
+        }
+
+        scheduledIds.add(workflow.id)
+
+        const existingJob = this.scheduledJobs.get(workflow.id)
+        if (existingJob && stableStringify(existingJob.schedule) === stableStringify(workflow.schedule_config)) {
+          continue
+        }
+
+        // Resume from the last occurrence handled before the restart so missed runs are noticed
+        const history = await this.loadScheduleHistory(workflow.id)
+        this.addScheduledJob(workflow, history)
+      }
+
+      for (const workflowId of this.scheduledJobs.keys()) {
+        if (!scheduledIds.has(workflowId)) {
+          this.scheduledJobs.delete(workflowId)
         }
       }
 
@@ -104,8 +188,15 @@ export class WorkflowScheduler extends EventEmitter {
       logger.info('Scheduling workflow', { workflowId, scheduleConfig })
 
       // Validate schedule configuration
-      if (!this.validateScheduleConfig(scheduleConfig)) {
-        throw new Error('Invalid schedule configuration')
+      const validationErrors = this.getScheduleConfigErrors(scheduleConfig)
+      if (validationErrors.length > 0) {
+        throw new Error(`Invalid schedule configuration: ${validationErrors.join('; ')}`)
+      }
+
+      // Pin the time zone so the schedule keeps its wall-clock times if the server moves
+      scheduleConfig = {
+        ...scheduleConfig,
+        timezone: scheduleConfig.timezone || getDefaultTimeZone()
       }
 
       // Update workflow with schedule config
@@ -178,10 +269,52 @@ export class WorkflowScheduler extends EventEmitter {
     }
   }
 
+  /**
+   * Last occurrence recorded for a workflow and the execution it last started
+   */
+  async loadScheduleHistory(workflowId) {
+    try {
+      const { data: lastDecision, error } = await this.supabase
+        .from('scheduled_executions')
+        .select('scheduled_for')
+        .eq('workflow_id', workflowId)
+        .not('scheduled_for', 'is', null)
+        .order('scheduled_for', { ascending: false })
+        .limit(1)
+
+      if (error) {
+        throw error
+      }
+
+      const { data: lastRun, error: runError } = await this.supabase
+        .from('scheduled_executions')
+        .select('execution_id')
+        .eq('workflow_id', workflowId)
+        .not('execution_id', 'is', null)
+        .order('scheduled_for', { ascending: false })
+        .limit(1)
+
+      if (runError) {
+        throw runError
+      }
+
+      return {
+        lastScheduledFor: lastDecision?.[0]?.scheduled_for ? new Date(lastDecision[0].scheduled_for) : null,
+        lastExecutionId: lastRun?.[0]?.execution_id || null
+      }
+    } catch (error) {
+      logger.warn('Failed to load schedule history', { workflowId, error: error.message })
+      return {}
+    }
+  }
+
   /**
    * Add a job to the in-memory scheduler
    */
-  addScheduledJob(workflow) {
+  addScheduledJob(workflow, history = {}) {
+    const { lastScheduledFor = null, lastExecutionId = null } = history
+    const existingJob = this.scheduledJobs.get(workflow.id)
+
     const jobData = {
       id: workflow.id,
       name: workflow.name,
@@ -189,8 +322,12 @@ export class WorkflowScheduler extends EventEmitter {
       organizationId: workflow.organization_id,
       schedule: workflow.schedule_config,
       lastRun: null,
-      nextRun: this.calculateNextRun(workflow.schedule_config),
-      enabled: workflow.schedule_config.enabled !== false
+      lastScheduledFor,
+      // Occurrences between the last recorded one and now are picked up as missed on the next tick
+      nextRun: this.calculateNextRun(workflow.schedule_config, lastScheduledFor),
+      enabled: workflow.schedule_config.enabled !== false,
+      activeExecutionId: lastExecutionId || existingJob?.activeExecutionId || null,
+      pendingRuns: []
     }
 
     this.scheduledJobs.set(workflow.id, jobData)
@@ -205,10 +342,12 @@ export class WorkflowScheduler extends EventEmitter {
    * Process all scheduled jobs
    */
   async processScheduledJobs() {
-    if (!this.isRunning) {
+    if (!this.isRunning || !this.lease.isLeader) {
       return
     }
 
+    await this.loadScheduledWorkflows()
+
     const now = new Date()
     const jobsToRun = []
 
@@ -216,6 +355,9 @@ export class WorkflowScheduler extends EventEmitter {
     for (const [workflowId, job] of this.scheduledJobs) {
       if (job.enabled && job.nextRun && now >= job.nextRun) {
         jobsToRun.push(job)
+      } else if (job.pendingRuns.length > 0) {
+        // Queued runs whose predecessor finished without us hearing about it (e.g. on another instance)
+        await this.startNextPendingRun(job)
       }
     }
 
@@ -228,7 +370,7 @@ export class WorkflowScheduler extends EventEmitter {
     // Execute jobs
     for (const job of jobsToRun) {
       try {
-        await this.executeScheduledJob(job)
+        await this.processDueJob(job, now)
       } catch (error) {
         logger.error('Scheduled job execution failed', { 
           workflowId: job.id, 
@@ -238,12 +380,253 @@ export class WorkflowScheduler extends EventEmitter {
     }
   }
 
+  /**
+   * Work out which due occurrences of a job run, applying its catch-up and overlap policies
+   */
+  async processDueJob(job, now) {
+    const due = this.collectDueOccurrences(job, now)
+    const latest = due.occurrences[due.occurrences.length - 1]
+
+    job.lastScheduledFor = latest
+    job.nextRun = this.calculateNextRun(job.schedule, due.truncated ? now : latest)
+
+    const onTime = now - latest <= MISSED_RUN_GRACE_MS
+    const runs = onTime ? [{ scheduledFor: latest, decision: 'on_time' }] : []
+
+    const missed = {
+      occurrences: onTime ? due.occurrences.slice(0, -1) : due.occurrences,
+      count: onTime ? due.count - 1 : due.count,
+      first: due.first
+    }
+
+    if (missed.count > 0) {
+      runs.unshift(...await this.applyCatchUpPolicy(job, missed, onTime))
+    }
+
+    if (runs.length > 0) {
+      await this.dispatchRuns(job, runs)
+    }
+  }
+
+  /**
+   * Every occurrence from the job's next run up to now (only the most recent ones are kept)
+   */
+  collectDueOccurrences(job, now) {
+    const occurrences = []
+    let first = null
+    let count = 0
+    let occurrence = job.nextRun
+
+    while (occurrence && occurrence <= now && count < MAX_MISSED_SCAN) {
+      first = first || occurrence
+      occurrences.push(occurrence)
+      if (occurrences.length > MAX_BACKFILL_LIMIT + 1) {
+        occurrences.shift()
+      }
+
+      count++
+      occurrence = this.calculateNextRun(job.schedule, occurrence)
+    }
+
+    return {
+      occurrences,
+      first,
+      count,
+      truncated: Boolean(occurrence && occurrence <= now)
+    }
+  }
+
+  /**
+   * Decide which missed occurrences to run now; the rest are recorded as missed
+   */
+  async applyCatchUpPolicy(job, missed, onTime) {
+    const policy = this.getSchedulePolicy(job.schedule)
+    let catchUp = []
+    let reason
+
+    switch (policy.catchUp) {
+      case 'latest':
+        // A run starting now already brings the workflow up to date
+        catchUp = onTime ? [] : missed.occurrences.slice(-1)
+        reason = onTime
+          ? 'superseded by the run starting now'
+          : 'only the most recent missed run is caught up'
+        break
+
+      case 'all':
+        catchUp = missed.occurrences.slice(-policy.maxBackfill)
+        reason = `exceeds the backfill limit of ${policy.maxBackfill}`
+        break
+
+      default:
+        reason = 'catch-up is disabled for this schedule'
+    }
+
+    const droppedCount = missed.count - catchUp.length
+
+    if (droppedCount > 0) {
+      const lastDropped = missed.occurrences[missed.occurrences.length - catchUp.length - 1] || missed.first
+
+      await this.recordScheduleDecision(job, {
+        decision: 'missed',
+        status: 'skipped',
+        scheduledFor: lastDropped,
+        reason: `${droppedCount} scheduled run(s) since ${missed.first.toISOString()} were missed while the scheduler was not running; ${reason}`,
+        details: { missedCount: droppedCount, firstMissedAt: missed.first.toISOString() }
+      })
+    }
+
+    if (catchUp.length > 0) {
+      await this.recordScheduleDecision(job, {
+        decision: 'caught_up',
+        status: 'queued',
+        scheduledFor: catchUp[catchUp.length - 1],
+        reason: `Catching up ${catchUp.length} missed run(s) (catch-up policy "${policy.catchUp}")`,
+        details: { caughtUp: catchUp.map(occurrence => occurrence.toISOString()) }
+      })
+    }
+
+    return catchUp.map(scheduledFor => ({ scheduledFor, decision: 'caught_up' }))
+  }
+
+  /**
+   * Start runs, or apply the overlap policy when the previous run is still going
+   */
+  async dispatchRuns(job, runs) {
+    const busy = job.pendingRuns.length > 0 || await this.isExecutionActive(job.activeExecutionId)
+
+    if (!busy) {
+      job.activeExecutionId = null
+    } else {
+      const policy = this.getSchedulePolicy(job.schedule)
+      const previousExecutionId = job.activeExecutionId
+      const scheduledFor = runs[runs.length - 1].scheduledFor
+      const details = {
+        runningExecutionId: previousExecutionId,
+        runs: runs.map(run => run.scheduledFor.toISOString())
+      }
+
+      switch (policy.overlap) {
+        case 'skip':
+          await this.recordScheduleDecision(job, {
+            decision: 'overlap_skipped',
+            status: 'skipped',
+            scheduledFor,
+            reason: `Skipped ${runs.length} run(s) because execution ${previousExecutionId} is still running`,
+            details
+          })
+          return
+
+        case 'cancel_previous':
+          await this.workflowEngine.cancelExecution(previousExecutionId, 'Superseded by a newer scheduled run')
+          job.activeExecutionId = null
+          details.droppedQueuedRuns = job.pendingRuns.length
+          job.pendingRuns = []
+
+          await this.recordScheduleDecision(job, {
+            decision: 'overlap_cancelled_previous',
+            status: 'cancelled_previous',
+            scheduledFor,
+            reason: `Cancelled execution ${previousExecutionId} to start a newer scheduled run`,
+            details
+          })
+          break
+
+        default:
+          job.pendingRuns.push(...runs)
+
+          await this.recordScheduleDecision(job, {
+            decision: 'overlap_queued',
+            status: 'queued',
+            scheduledFor,
+            reason: `Queued ${runs.length} run(s) behind execution ${previousExecutionId}`,
+            details
+          })
+          return
+      }
+    }
+
+    job.pendingRuns.push(...runs)
+    await this.startNextPendingRun(job)
+  }
+
+  /**
+   * Start the job's next queued run once nothing else is running for it
+   */
+  async startNextPendingRun(job) {
+    if (job.startingRun) {
+      return
+    }
+
+    job.startingRun = true
+
+    try {
+      if (job.activeExecutionId && await this.isExecutionActive(job.activeExecutionId)) {
+        return
+      }
+
+      job.activeExecutionId = null
+
+      // A run that fails to start should not hold up the ones behind it
+      while (!job.activeExecutionId && job.pendingRuns.length > 0) {
+        await this.executeScheduledJob(job, job.pendingRuns.shift())
+      }
+    } finally {
+      job.startingRun = false
+    }
+  }
+
+  /**
+   * Engine callback: let the next queued run of that workflow go
+   */
+  handleExecutionFinished(context) {
+    const job = context && this.scheduledJobs.get(context.workflowId)
+    if (!job || job.activeExecutionId !== context.id) {
+      return
+    }
+
+    job.activeExecutionId = null
+    this.startNextPendingRun(job).catch(error => {
+      logger.error('Failed to start queued scheduled run', { workflowId: job.id, error: error.message })
+    })
+  }
+
+  /**
+   * Whether an execution is still queued or running (on this or any other instance)
+   */
+  async isExecutionActive(executionId) {
+    if (!executionId) {
+      return false
+    }
+
+    if (this.workflowEngine.activeExecutions?.has(executionId) || this.workflowEngine.pendingContexts?.has(executionId)) {
+      return true
+    }
+
+    try {
+      const { data, error } = await this.supabase
+        .from('workflow_executions')
+        .select('status')
+        .eq('id', executionId)
+        .single()
+
+      if (error) {
+        throw error
+      }
+
+      return ['pending', 'running'].includes(data?.status)
+    } catch (error) {
+      logger.warn('Failed to check scheduled execution status', { executionId, error: error.message })
+      return false
+    }
+  }
+
   /**
    * Execute a scheduled job
    */
-  async executeScheduledJob(job) {
+  async executeScheduledJob(job, run = { scheduledFor: new Date(), decision: 'on_time' }) {
     try {
-      logger.info('Executing scheduled job', { workflowId: job.id })
+      logger.info('Executing scheduled job', { workflowId: job.id, scheduledFor: run.scheduledFor })
 
       // Execute the workflow
       const execution = await this.workflowEngine.execute(
@@ -252,16 +635,23 @@ export class WorkflowScheduler extends EventEmitter {
         job.organizationId,
         {
           trigger: 'scheduled',
-          scheduledAt: new Date().toISOString()
+          scheduledAt: new Date().toISOString(),
+          scheduledFor: run.scheduledFor.toISOString(),
+          catchUp: run.decision === 'caught_up',
+          environment: job.schedule.environment || undefined,
+          variables: job.schedule.variables || {}
         }
       )
 
       // Update job status
       job.lastRun = new Date()
-      job.nextRun = this.calculateNextRun(job.schedule, job.lastRun)
+      job.activeExecutionId = execution.id
 
       // Log execution record
-      await this.logScheduledExecution(job.id, execution.id, 'success')
+      await this.logScheduledExecution(job.id, execution.id, 'success', null, {
+        scheduledFor: run.scheduledFor,
+        decision: run.decision
+      })
 
       this.emit('jobExecuted', { job, execution })
       
@@ -274,10 +664,12 @@ export class WorkflowScheduler extends EventEmitter {
     } catch (error) {
       // Update job with error
       job.lastRun = new Date()
-      job.nextRun = this.calculateNextRun(job.schedule, job.lastRun)
 
       // Log execution failure
-      await this.logScheduledExecution(job.id, null, 'failed', error.message)
+      await this.logScheduledExecution(job.id, null, 'failed', error.message, {
+        scheduledFor: run.scheduledFor,
+        decision: run.decision
+      })
 
       this.emit('jobFailed', { job, error })
       
@@ -289,31 +681,75 @@ export class WorkflowScheduler extends EventEmitter {
     }
   }
 
+  /**
+   * Catch-up and overlap policy of a schedule, with defaults applied
+   */
+  getSchedulePolicy(scheduleConfig) {
+    return {
+      catchUp: CATCH_UP_POLICIES.includes(scheduleConfig.catchUp) ? scheduleConfig.catchUp : 'none',
+      maxBackfill: Math.min(Math.max(parseInt(scheduleConfig.maxBackfill) || DEFAULT_MAX_BACKFILL, 1), MAX_BACKFILL_LIMIT),
+      overlap: OVERLAP_POLICIES.includes(scheduleConfig.overlap) ? scheduleConfig.overlap : 'queue'
+    }
+  }
+
+  /**
+   * Write a catch-up/overlap decision to scheduled_executions and raise a schedule-missed event
+   */
+  async recordScheduleDecision(job, { decision, status, scheduledFor, reason, details = {} }) {
+    const policy = this.getSchedulePolicy(job.schedule)
+
+    logger.warn('Scheduled run policy applied', { workflowId: job.id, decision, reason })
+
+    await this.logScheduledExecution(job.id, null, status, reason, {
+      scheduledFor,
+      decision,
+      details: { ...details, policy }
+    })
+
+    this.emit('scheduleMissed', {
+      workflowId: job.id,
+      workflowName: job.name,
+      userId: job.userId,
+      organizationId: job.organizationId,
+      decision,
+      reason,
+      scheduledFor: scheduledFor.toISOString(),
+      policy,
+      details
+    })
+  }
+
   /**
    * Calculate next run time based on schedule
    */
   calculateNextRun(scheduleConfig, fromDate = null) {
     const base = fromDate || new Date()
-    
-    switch (scheduleConfig.type) {
-      case 'interval':
-        return this.calculateIntervalNextRun(base, scheduleConfig.interval)
-      
-      case 'cron':
-        return this.calculateCronNextRun(base, scheduleConfig.cron)
-      
-      case 'daily':
-        return this.calculateDailyNextRun(base, scheduleConfig.time)
-      
-      case 'weekly':
-        return this.calculateWeeklyNextRun(base, scheduleConfig.dayOfWeek, scheduleConfig.time)
-      
-      case 'monthly':
-        return this.calculateMonthlyNextRun(base, scheduleConfig.dayOfMonth, scheduleConfig.time)
-      
-      default:
-        logger.error('Unknown schedule type', { type: scheduleConfig.type })
-        return null
+    const timezone = scheduleConfig.timezone || getDefaultTimeZone()
+
+    try {
+      switch (scheduleConfig.type) {
+        case 'interval':
+          return this.calculateIntervalNextRun(base, scheduleConfig.interval)
+
+        case 'cron':
+          return this.calculateCronNextRun(base, scheduleConfig.cron, timezone)
+
+        case 'daily':
+          return this.calculateDailyNextRun(base, scheduleConfig.time, timezone)
+
+        case 'weekly':
+          return this.calculateWeeklyNextRun(base, scheduleConfig.dayOfWeek, scheduleConfig.time, timezone)
+
+        case 'monthly':
+          return this.calculateMonthlyNextRun(base, scheduleConfig.dayOfMonth, scheduleConfig.time, timezone)
+
+        default:
+          logger.error('Unknown schedule type', { type: scheduleConfig.type })
+          return null
+      }
+    } catch (error) {
+      logger.error('Failed to calculate next run', { type: scheduleConfig.type, error: error.message })
+      return null
     }
   }
 
@@ -344,124 +780,306 @@ export class WorkflowScheduler extends EventEmitter {
   /**
    * Calculate next run for daily schedules
    */
-  calculateDailyNextRun(base, time) {
+  calculateDailyNextRun(base, time, timezone) {
     const [hours, minutes] = time.split(':').map(Number)
-    const next = new Date(base)
-    
-    next.setHours(hours, minutes, 0, 0)
-    
-    // If time has passed today, schedule for tomorrow
-    if (next <= base) {
-      next.setDate(next.getDate() + 1)
-    }
-    
-    return next
+    return CronExpression.parse(`${minutes} ${hours} * * *`).next(base, timezone)
   }
 
   /**
-   * Calculate next run for weekly schedules
+   * Calculate next run for weekly schedules (0 = Sunday, 1 = Monday, etc.)
    */
-  calculateWeeklyNextRun(base, dayOfWeek, time) {
+  calculateWeeklyNextRun(base, dayOfWeek, time, timezone) {
     const [hours, minutes] = time.split(':').map(Number)
-    const next = new Date(base)
-    
-    // Set to target day of week (0 = Sunday, 1 = Monday, etc.)
-    const daysUntilTarget = (dayOfWeek - base.getDay() + 7) % 7
-    next.setDate(next.getDate() + daysUntilTarget)
-    next.setHours(hours, minutes, 0, 0)
-    
-    // If it's today but time has passed, schedule for next week
-    if (daysUntilTarget === 0 && next <= base) {
-      next.setDate(next.getDate() + 7)
-    }
-    
-    return next
+    return CronExpression.parse(`${minutes} ${hours} * * ${dayOfWeek}`).next(base, timezone)
   }
 
   /**
    * Calculate next run for monthly schedules
    */
-  calculateMonthlyNextRun(base, dayOfMonth, time) {
+  calculateMonthlyNextRun(base, dayOfMonth, time, timezone) {
     const [hours, minutes] = time.split(':').map(Number)
-    const next = new Date(base)
-    
-    next.setDate(dayOfMonth)
-    next.setHours(hours, minutes, 0, 0)
-    
-    // If day has passed this month, schedule for next month
-    if (next <= base) {
-      next.setMonth(next.getMonth() + 1)
+    const today = getZonedParts(base, timezone)
+
+    // Check this month and the next; short months run on their last day instead
+    for (let offset = 0; offset <= 1; offset++) {
+      const year = today.year + Math.floor((today.month - 1 + offset) / 12)
+      const month = ((today.month - 1 + offset) % 12) + 1
+      const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate()
+
+      const next = zonedTimeToUtc({
+        year,
+        month,
+        day: Math.min(dayOfMonth, lastDay),
+        hour: hours,
+        minute: minutes
+      }, timezone)
+
+      if (next > base) {
+        return next
+      }
     }
-    
-    // Handle case where target day doesn't exist in next month
-    if (next.getDate() !== dayOfMonth) {
-      // Go to last day of month
-      next.setMonth(next.getMonth() + 1, 0)
+
+    return null
+  }
+
+  /**
+   * Calculate next run for cron expressions in the schedule's time zone
+   */
+  calculateCronNextRun(base, cronExpression, timezone) {
+    return CronExpression.parse(cronExpression).next(base, timezone)
+  }
+
+  // ============================================================================
+  // SCHEDULE PREVIEW
+  // ============================================================================
+
+  /**
+   * Next `count` runs of a (validated) schedule config, with warnings about surprising times
+   */
+  previewSchedule(scheduleConfig, { count = 5, from = new Date() } = {}) {
+    const timezone = scheduleConfig.timezone || getDefaultTimeZone()
+    const config = { ...scheduleConfig, timezone }
+    const runs = []
+    let cursor = from
+
+    while (runs.length < count) {
+      const next = this.calculateNextRun(config, cursor)
+      if (!next) break
+      runs.push(next)
+      cursor = next
+    }
+
+    const warnings = runs.flatMap(run => this.getRunWarnings(config, run))
+
+    if (config.type === 'cron') {
+      warnings.unshift(...this.getCronWarnings(config.cron))
+
+      if (runs.length < count) {
+        warnings.push({
+          type: 'few_runs',
+          message: runs.length === 0
+            ? `"${config.cron}" does not match any date in the next 8 years`
+            : `Only ${runs.length} run(s) found; "${config.cron}" matches no later date within 8 years`
+        })
+      }
+    }
+
+    return {
+      timezone,
+      runs: runs.map(run => this.describeRun(run, timezone)),
+      warnings
     }
-    
-    return next
   }
 
   /**
-   * Basic cron expression parser (simplified)
+   * A run as UTC plus wall-clock time in the schedule's time zone
    */
-  calculateCronNextRun(base, cronExpression) {
-    // This is a simplified cron parser
-    // In production, use a proper cron library like 'node-cron'
-    logger.warn('Cron expressions not fully implemented', { cronExpression })
-    
-    // Default to hourly for now
-    const next = new Date(base)
-    next.setHours(next.getHours() + 1)
-    return next
+  describeRun(run, timezone) {
+    const local = getZonedParts(run, timezone)
+
+    return {
+      at: run.toISOString(),
+      localTime: `${this.formatLocalDate(local)} ${this.formatLocalTime(local)}`,
+      weekday: WEEKDAY_NAMES[local.weekday],
+      utcOffset: this.formatUtcOffset(getTimeZoneOffset(run, timezone))
+    }
+  }
+
+  /**
+   * DST gaps/overlaps and clamped month days affecting a single run
+   */
+  getRunWarnings(config, run) {
+    if (config.type === 'interval') {
+      return []
+    }
+
+    const { timezone } = config
+    const local = getZonedParts(run, timezone)
+    const date = this.formatLocalDate(local)
+    const time = this.formatLocalTime(local)
+    const warnings = []
+
+    // The requested wall-clock time was skipped by clocks going forward
+    const shifted = config.type === 'cron'
+      ? !this.matchesCronTime(config.cron, local)
+      : config.time !== time
+
+    if (shifted) {
+      warnings.push({
+        type: 'dst_gap',
+        runAt: run.toISOString(),
+        message: `${config.type === 'cron' ? 'The scheduled time' : config.time} does not exist on ${date} in ${timezone} (clocks go forward); the run happens at ${time} instead`
+      })
+    }
+
+    // The wall-clock time happens twice because clocks go back soon after it
+    const shift = getTimeZoneOffset(run, timezone) - getTimeZoneOffset(new Date(run.getTime() + 3 * 3600 * 1000), timezone)
+    if (shift > 0 && this.formatLocalTime(getZonedParts(new Date(run.getTime() + shift), timezone)) === time) {
+      warnings.push({
+        type: 'dst_overlap',
+        runAt: run.toISOString(),
+        message: `${time} occurs twice on ${date} in ${timezone} (clocks go back); the run happens once, at the first occurrence (UTC${this.formatUtcOffset(getTimeZoneOffset(run, timezone))})`
+      })
+    }
+
+    if (config.type === 'monthly' && config.dayOfMonth > local.day) {
+      warnings.push({
+        type: 'day_clamped',
+        runAt: run.toISOString(),
+        message: `${date.slice(0, 7)} has no day ${config.dayOfMonth}; the run happens on the last day of the month (${date}) instead`
+      })
+    }
+
+    return warnings
+  }
+
+  /**
+   * Warnings about a cron expression as a whole (months its day-of-month never occurs in)
+   */
+  getCronWarnings(expression) {
+    const cron = CronExpression.parse(expression)
+    const { dayOfMonth } = cron
+
+    if (!dayOfMonth.restricted || cron.dayOfWeek.restricted || dayOfMonth.values.size === 0 ||
+        dayOfMonth.lastDayOffsets.length > 0 || dayOfMonth.lastWeekday || dayOfMonth.nearestWeekdays.length > 0) {
+      return []
+    }
+
+    const firstDay = Math.min(...dayOfMonth.values)
+    const skippedMonths = Array.from(cron.months)
+      .filter(month => firstDay > MONTH_LENGTHS[month - 1])
+      .map(month => new Date(Date.UTC(2000, month - 1, 1)).toLocaleString('en-US', { month: 'long', timeZone: 'UTC' }))
+
+    if (skippedMonths.length === 0) {
+      return []
+    }
+
+    return [{
+      type: 'day_skipped',
+      message: `Day ${firstDay} does not exist in ${skippedMonths.join(', ')}${firstDay === 29 ? ' (except in leap years)' : ''}, so no run happens in ${skippedMonths.length === 1 ? 'that month' : 'those months'}; use "L" to run on the last day of every month`
+    }]
+  }
+
+  matchesCronTime(expression, local) {
+    const cron = CronExpression.parse(expression)
+    return cron.hours.has(local.hour) && cron.minutes.has(local.minute)
+  }
+
+  formatLocalDate({ year, month, day }) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+  }
+
+  formatLocalTime({ hour, minute }) {
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`
+  }
+
+  formatUtcOffset(offsetMs) {
+    const minutes = Math.round(offsetMs / 60000)
+    const sign = minutes < 0 ? '-' : '+'
+    const absolute = Math.abs(minutes)
+    return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`
   }
 
   /**
    * Validate schedule configuration
    */
   validateScheduleConfig(config) {
+    return this.getScheduleConfigErrors(config).length === 0
+  }
+
+  /**
+   * Describe everything wrong with a schedule configuration
+   */
+  getScheduleConfigErrors(config) {
     if (!config || typeof config !== 'object') {
-      return false
+      return ['Schedule configuration must be an object']
     }
 
     if (!config.type) {
-      return false
+      return ['Schedule type is required']
+    }
+
+    const errors = []
+
+    if (config.timezone !== undefined && !isValidTimeZone(config.timezone)) {
+      errors.push(`Unknown time zone "${config.timezone}" (use an IANA name such as "Europe/Berlin")`)
+    }
+
+    if (config.catchUp !== undefined && !CATCH_UP_POLICIES.includes(config.catchUp)) {
+      errors.push(`Catch-up policy must be one of ${CATCH_UP_POLICIES.join(', ')}`)
+    }
+
+    if (config.maxBackfill !== undefined &&
+        !(Number.isInteger(config.maxBackfill) && config.maxBackfill >= 1 && config.maxBackfill <= MAX_BACKFILL_LIMIT)) {
+      errors.push(`Max backfill must be a whole number between 1 and ${MAX_BACKFILL_LIMIT}`)
+    }
+
+    if (config.overlap !== undefined && !OVERLAP_POLICIES.includes(config.overlap)) {
+      errors.push(`Overlap policy must be one of ${OVERLAP_POLICIES.join(', ')}`)
+    }
+
+    if (config.variables !== undefined && (!config.variables || typeof config.variables !== 'object' || Array.isArray(config.variables))) {
+      errors.push('Schedule variables must be an object')
+    }
+
+    if (config.environment !== undefined && config.environment !== null && config.environment !== '') {
+      const environmentError = getEnvironmentNameError(config.environment)
+      if (environmentError) errors.push(environmentError)
     }
 
     switch (config.type) {
       case 'interval':
-        return config.interval && 
-               config.interval.unit && 
-               typeof config.interval.value === 'number' &&
-               config.interval.value > 0
+        if (!config.interval || !['minutes', 'hours', 'days'].includes(config.interval.unit)) {
+          errors.push('Interval unit must be one of minutes, hours, days')
+        }
+        if (typeof config.interval?.value !== 'number' || config.interval.value <= 0) {
+          errors.push('Interval value must be a positive number')
+        }
+        break
 
       case 'daily':
-        return config.time && /^\d{2}:\d{2}$/.test(config.time)
+        if (!TIME_PATTERN.test(config.time || '')) {
+          errors.push('Time must be in HH:MM (24-hour) format')
+        }
+        break
 
       case 'weekly':
-        return config.dayOfWeek >= 0 && 
-               config.dayOfWeek <= 6 && 
-               config.time && 
-               /^\d{2}:\d{2}$/.test(config.time)
+        if (!(config.dayOfWeek >= 0 && config.dayOfWeek <= 6)) {
+          errors.push('Day of week must be between 0 (Sunday) and 6 (Saturday)')
+        }
+        if (!TIME_PATTERN.test(config.time || '')) {
+          errors.push('Time must be in HH:MM (24-hour) format')
+        }
+        break
 
       case 'monthly':
-        return config.dayOfMonth >= 1 && 
-               config.dayOfMonth <= 31 && 
-               config.time && 
-               /^\d{2}:\d{2}$/.test(config.time)
+        if (!(config.dayOfMonth >= 1 && config.dayOfMonth <= 31)) {
+          errors.push('Day of month must be between 1 and 31')
+        }
+        if (!TIME_PATTERN.test(config.time || '')) {
+          errors.push('Time must be in HH:MM (24-hour) format')
+        }
+        break
 
-      case 'cron':
-        return config.cron && typeof config.cron === 'string'
+      case 'cron': {
+        const cronError = CronExpression.validate(config.cron)
+        if (cronError) {
+          errors.push(cronError)
+        }
+        break
+      }
 
       default:
-        return false
+        errors.push(`Unknown schedule type "${config.type}"`)
     }
+
+    return errors
   }
 
   /**
    * Log scheduled execution
    */
-  async logScheduledExecution(workflowId, executionId, status, error = null) {
+  async logScheduledExecution(workflowId, executionId, status, error = null, { scheduledFor = null, decision = null, details = null } = {}) {
     try {
       await this.supabase
         .from('scheduled_executions')
@@ -470,7 +1088,10 @@ export class WorkflowScheduler extends EventEmitter {
           execution_id: executionId,
           status,
           error_message: error,
-          scheduled_at: new Date().toISOString()
+          scheduled_at: new Date().toISOString(),
+          scheduled_for: scheduledFor ? scheduledFor.toISOString() : null,
+          decision,
+          details
         }])
     } catch (logError) {
       logger.error('Failed to log scheduled execution', { 
@@ -490,10 +1111,50 @@ export class WorkflowScheduler extends EventEmitter {
       enabled: job.enabled,
       lastRun: job.lastRun,
       nextRun: job.nextRun,
-      scheduleType: job.schedule.type
+      scheduleType: job.schedule.type,
+      timezone: job.schedule.timezone || getDefaultTimeZone(),
+      environment: job.schedule.environment || null,
+      policy: this.getSchedulePolicy(job.schedule),
+      activeExecutionId: job.activeExecutionId,
+      queuedRuns: job.pendingRuns.length
     }))
   }
 
+  // ============================================================================
+  // LEADER ELECTION
+  // ============================================================================
+
+  /**
+   * New leader: reload schedules so runs missed during the failover are caught up by policy
+   */
+  async handleLeaseAcquired() {
+    if (!this.isRunning) {
+      return
+    }
+
+    this.scheduledJobs.clear()
+    await this.loadScheduledWorkflows()
+    this.emit('leadershipAcquired', this.lease.getStatus())
+  }
+
+  /**
+   * Another instance took over; runs held back by the overlap policy are dropped here
+   */
+  handleLeaseLost() {
+    const droppedRuns = Array.from(this.scheduledJobs.values())
+      .reduce((count, job) => count + job.pendingRuns.length, 0)
+
+    for (const job of this.scheduledJobs.values()) {
+      job.pendingRuns = []
+    }
+
+    if (droppedRuns > 0) {
+      logger.warn('Dropped queued scheduled runs after losing leadership', { droppedRuns })
+    }
+
+    this.emit('leadershipLost', this.lease.getStatus())
+  }
+
   /**
    * Get scheduler status
    */
@@ -501,7 +1162,8 @@ export class WorkflowScheduler extends EventEmitter {
     return {
       isRunning: this.isRunning,
       scheduledJobsCount: this.scheduledJobs.size,
-      enabledJobsCount: Array.from(this.scheduledJobs.values()).filter(j => j.enabled).length
+      enabledJobsCount: Array.from(this.scheduledJobs.values()).filter(j => j.enabled).length,
+      lease: this.lease.getStatus()
     }
   }
 }
\ No newline at end of file
@@ -0,0 +1,171 @@
+// @vitest-environment node
+import { EventEmitter } from 'events'
+import { WorkflowScheduler } from './workflowScheduler.js'
+import { MemoryLeaseStore, SchedulerLease } from './schedulerLease.js'
+import { createFakeSupabase } from '../tests/fakeSupabase.js'
+
+/**
+ * Engine stand-in that records the runs the scheduler starts and cancels
+ */
+const createFakeEngine = () => {
+  const engine = new EventEmitter()
+  engine.activeExecutions = new Map()
+  engine.pendingContexts = new Map()
+  engine.started = []
+  engine.cancelled = []
+  engine.execute = async (workflowId, userId, organizationId, options) => {
+    const execution = { id: `exec-${engine.started.length + 1}` }
+    engine.started.push({ ...options, id: execution.id })
+    engine.activeExecutions.set(execution.id, { id: execution.id, workflowId })
+    return execution
+  }
+  engine.cancelExecution = async (executionId) => {
+    engine.cancelled.push(executionId)
+    engine.activeExecutions.delete(executionId)
+  }
+  return engine
+}
+
+const createScheduler = () => {
+  const supabase = createFakeSupabase({ scheduled_executions: [] })
+  const engine = createFakeEngine()
+  const scheduler = new WorkflowScheduler(supabase, engine, {
+    lease: new SchedulerLease(new MemoryLeaseStore(new Map()), { instanceId: 'test' })
+  })
+  return { scheduler, engine, decisions: supabase.db.tables.scheduled_executions }
+}
+
+/**
+ * An hourly job last handled at 05:00 UTC, so 06:00-10:00 are due at 10:00
+ */
+const addHourlyJob = (scheduler, policy = {}) => {
+  scheduler.addScheduledJob(
+    { id: 'wf', name: 'Nightly export', user_id: 'u', organization_id: 'org', schedule_config: { type: 'cron', cron: '0 * * * *', timezone: 'UTC', ...policy } },
+    { lastScheduledFor: new Date('2024-05-01T05:00:00Z') }
+  )
+  return scheduler.scheduledJobs.get('wf')
+}
+
+describe('WorkflowScheduler catch-up policies', () => {
+  test('records missed runs and only starts the on-time run by default', async () => {
+    const { scheduler, engine, decisions } = createScheduler()
+    const events = []
+    scheduler.on('scheduleMissed', event => events.push(event))
+    const job = addHourlyJob(scheduler)
+
+    await scheduler.processDueJob(job, new Date('2024-05-01T10:00:30Z'))
+
+    expect(engine.started.map(run => run.scheduledFor)).toEqual(['2024-05-01T10:00:00.000Z'])
+    expect(decisions.find(row => row.decision === 'missed')).toMatchObject({
+      status: 'skipped',
+      scheduled_for: '2024-05-01T09:00:00.000Z',
+      details: { missedCount: 4, firstMissedAt: '2024-05-01T06:00:00.000Z' }
+    })
+    expect(events).toMatchObject([{ workflowId: 'wf', decision: 'missed', policy: { catchUp: 'none' } }])
+    expect(job.nextRun.toISOString()).toBe('2024-05-01T11:00:00.000Z')
+  })
+
+  test('backfills up to maxBackfill missed runs with catchUp "all"', async () => {
+    const { scheduler, engine, decisions } = createScheduler()
+    const job = addHourlyJob(scheduler, { catchUp: 'all', maxBackfill: 2, overlap: 'queue' })
+
+    await scheduler.processDueJob(job, new Date('2024-05-01T10:00:30Z'))
+    // The backfilled runs start one after another, each once the run before it finishes
+    while (job.activeExecutionId) {
+      const executionId = job.activeExecutionId
+      engine.activeExecutions.delete(executionId)
+      engine.emit('executionCompleted', { id: executionId, workflowId: 'wf' })
+      await vi.waitFor(() => expect(job.startingRun).toBe(false))
+    }
+
+    expect(engine.started.map(run => [run.scheduledFor.slice(11, 16), run.catchUp])).toEqual([
+      ['08:00', true], ['09:00', true], ['10:00', false]
+    ])
+    expect(decisions.find(row => row.decision === 'missed').details.missedCount).toBe(2)
+  })
+
+  test('runs only the most recent missed run with catchUp "latest" when nothing is on time', async () => {
+    const { scheduler, engine } = createScheduler()
+    const job = addHourlyJob(scheduler, { catchUp: 'latest' })
+
+    await scheduler.processDueJob(job, new Date('2024-05-01T10:30:00Z'))
+
+    expect(engine.started).toMatchObject([{ scheduledFor: '2024-05-01T10:00:00.000Z', catchUp: true }])
+  })
+})
+
+describe('WorkflowScheduler overlap policies', () => {
+  const runWhileBusy = async overlap => {
+    const context = createScheduler()
+    const job = addHourlyJob(context.scheduler, { overlap })
+    job.nextRun = new Date('2024-05-01T10:00:00Z')
+    job.activeExecutionId = 'previous'
+    context.engine.activeExecutions.set('previous', { id: 'previous', workflowId: 'wf' })
+
+    await context.scheduler.processDueJob(job, new Date('2024-05-01T10:00:30Z'))
+    return { ...context, job }
+  }
+
+  test('skips the run while the previous one is still going', async () => {
+    const { engine, decisions } = await runWhileBusy('skip')
+
+    expect(engine.started).toEqual([])
+    expect(decisions).toMatchObject([{ decision: 'overlap_skipped', status: 'skipped', details: { runningExecutionId: 'previous' } }])
+  })
+
+  test('queues the run until the previous one finishes', async () => {
+    const { scheduler, engine, decisions, job } = await runWhileBusy('queue')
+
+    expect(engine.started).toEqual([])
+    expect(decisions).toMatchObject([{ decision: 'overlap_queued', status: 'queued' }])
+
+    engine.activeExecutions.delete('previous')
+    engine.emit('executionCompleted', { id: 'previous', workflowId: 'wf' })
+    await vi.waitFor(() => expect(engine.started).toHaveLength(1))
+    expect(job.activeExecutionId).toBe('exec-1')
+  })
+
+  test('cancels the previous run to start the new one', async () => {
+    const { engine, decisions } = await runWhileBusy('cancel_previous')
+
+    expect(engine.cancelled).toEqual(['previous'])
+    expect(engine.started).toHaveLength(1)
+    expect(decisions[0]).toMatchObject({ decision: 'overlap_cancelled_previous', status: 'cancelled_previous' })
+  })
+})
+
+describe('WorkflowScheduler preview', () => {
+  const { scheduler } = createScheduler()
+  const preview = (config, from, count) => scheduler.previewSchedule(config, { count, from: new Date(from) })
+
+  test('lists runs in the time zone and warns about DST gaps and overlaps', () => {
+    const spring = preview({ type: 'daily', time: '02:30', timezone: 'Europe/Berlin' }, '2024-03-30T00:00:00Z', 2)
+    const autumn = preview({ type: 'daily', time: '02:30', timezone: 'Europe/Berlin' }, '2024-10-26T12:00:00Z', 1)
+
+    expect(spring.runs).toEqual([
+      { at: '2024-03-30T01:30:00.000Z', localTime: '2024-03-30 02:30', weekday: 'Sat', utcOffset: '+01:00' },
+      { at: '2024-03-31T01:30:00.000Z', localTime: '2024-03-31 03:30', weekday: 'Sun', utcOffset: '+02:00' }
+    ])
+    expect(spring.warnings).toMatchObject([{ type: 'dst_gap', runAt: '2024-03-31T01:30:00.000Z' }])
+    expect(autumn.warnings).toMatchObject([{ type: 'dst_overlap', runAt: '2024-10-27T00:30:00.000Z' }])
+  })
+
+  test('warns about month days that are clamped or never occur', () => {
+    const monthly = preview({ type: 'monthly', dayOfMonth: 31, time: '09:00', timezone: 'UTC' }, '2024-04-01T00:00:00Z', 2)
+    const never = preview({ type: 'cron', cron: '0 9 30 2 *', timezone: 'UTC' }, '2024-01-01T00:00:00Z', 2)
+
+    expect(monthly.runs.map(run => run.localTime)).toEqual(['2024-04-30 09:00', '2024-05-31 09:00'])
+    expect(monthly.warnings[0].message).toBe('2024-04 has no day 31; the run happens on the last day of the month (2024-04-30) instead')
+    expect(never.runs).toEqual([])
+    expect(never.warnings.map(warning => warning.type)).toEqual(['day_skipped', 'few_runs'])
+  })
+
+  test('reports every problem with a schedule config', () => {
+    expect(scheduler.getScheduleConfigErrors({ type: 'weekly', dayOfWeek: 9, time: '25:00', timezone: 'Nowhere', overlap: 'x' })).toEqual([
+      'Unknown time zone "Nowhere" (use an IANA name such as "Europe/Berlin")',
+      'Overlap policy must be one of skip, queue, cancel_previous',
+      'Day of week must be between 0 (Sunday) and 6 (Saturday)',
+      'Time must be in HH:MM (24-hour) format'
+    ])
+  })
+})
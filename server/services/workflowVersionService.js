@@ -0,0 +1,205 @@
+/**
+ * 🏷️ Workflow Version Service
+ * Immutable published snapshots of a workflow; the `workflows` row itself is the editable draft
+ */
+
+import { logger } from '../middleware/errorHandler.js'
+import { diffWorkflows } from '../utils/workflowDiff.js'
+
+// Workflow fields captured in every version
+const SNAPSHOT_FIELDS = ['name', 'description', 'steps', 'variables', 'input_schema', 'output_schema']
+const LIST_COLUMNS = 'id, workflow_id, version, name, notes, created_by, created_at'
+
+/**
+ * Parse a version reference from a URL or request body: a positive integer or 'draft'
+ */
+export function parseVersionReference(reference) {
+  if (reference === 'draft') {
+    return 'draft'
+  }
+
+  const version = Number(reference)
+  return Number.isInteger(version) && version > 0 ? version : null
+}
+
+/**
+ * The versioned part of a workflow row or version row
+ */
+export function toDefinition(source) {
+  return Object.fromEntries(SNAPSHOT_FIELDS.map(field => [field, source?.[field] ?? null]))
+}
+
+export class WorkflowVersionService {
+  constructor(supabase, options = {}) {
+    this.supabase = supabase
+    this.table = options.table || 'workflow_versions'
+  }
+
+  async listVersions(workflowId) {
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select(LIST_COLUMNS)
+      .eq('workflow_id', workflowId)
+      .order('version', { ascending: false })
+
+    if (error) throw error
+    return data || []
+  }
+
+  /**
+   * Load one version with its full definition; null when it does not exist
+   */
+  async getVersion(workflowId, version) {
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('workflow_id', workflowId)
+      .eq('version', version)
+      .maybeSingle()
+
+    if (error) throw error
+    return data
+  }
+
+  async getLatestVersionNumber(workflowId) {
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('version')
+      .eq('workflow_id', workflowId)
+      .order('version', { ascending: false })
+      .limit(1)
+      .maybeSingle()
+
+    if (error) throw error
+    return data?.version || 0
+  }
+
+  /**
+   * Definition for a version reference: the draft (the workflow row) or a published version
+   */
+  async getDefinition(workflow, reference) {
+    if (reference === 'draft') {
+      return { version: 'draft', ...toDefinition(workflow) }
+    }
+
+    const version = await this.getVersion(workflow.id, reference)
+    return version ? { version: version.version, ...toDefinition(version) } : null
+  }
+
+  /**
+   * Whether the draft differs from the published version (always true before the first publish)
+   */
+  async hasUnpublishedChanges(workflow) {
+    if (!workflow.published_version) {
+      return true
+    }
+
+    const published = await this.getVersion(workflow.id, workflow.published_version)
+    return !published || !diffWorkflows(toDefinition(published), toDefinition(workflow)).identical
+  }
+
+  // ============================================================================
+  // PUBLISHING
+  // ============================================================================
+
+  /**
+   * Snapshot a definition as the next version number and make it the published one
+   *
+   * Two concurrent publishes compete for the same number; the unique (workflow_id, version)
+   * constraint rejects the loser with 23505.
+   */
+  async publishDefinition(workflowId, definition, userId, notes = '') {
+    const version = (await this.getLatestVersionNumber(workflowId)) + 1
+
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .insert([{
+        workflow_id: workflowId,
+        version,
+        ...toDefinition(definition),
+        notes,
+        created_by: userId
+      }])
+      .select()
+      .single()
+
+    if (error) throw error
+
+    const { error: workflowError } = await this.supabase
+      .from('workflows')
+      .update({ published_version: version, published_at: new Date().toISOString() })
+      .eq('id', workflowId)
+
+    if (workflowError) throw workflowError
+
+    logger.info('Workflow version published', { workflowId, version, userId })
+    return data
+  }
+
+  /**
+   * Publish the current draft
+   */
+  async publish(workflow, userId, notes = '') {
+    return this.publishDefinition(workflow.id, toDefinition(workflow), userId, notes)
+  }
+
+  /**
+   * Roll back by republishing an old version as a new one and resetting the draft to it,
+   * so history only ever grows
+   */
+  async rollback(workflow, versionNumber, userId) {
+    const target = await this.getVersion(workflow.id, versionNumber)
+    if (!target) {
+      return null
+    }
+
+    const version = await this.publishDefinition(workflow.id, target, userId, `Rollback to version ${versionNumber}`)
+
+    const { data: draft, error } = await this.supabase
+      .from('workflows')
+      .update({ ...toDefinition(target), updated_at: new Date().toISOString() })
+      .eq('id', workflow.id)
+      .select()
+      .single()
+
+    if (error) throw error
+
+    logger.info('Workflow rolled back', { workflowId: workflow.id, to: versionNumber, version: version.version, userId })
+    return { version, workflow: draft }
+  }
+
+  /**
+   * Before the first edit of a never-published workflow, keep what it runs today as version 1
+   * so schedules never pick up a half-edited draft
+   */
+  async ensureBaseline(workflow, userId) {
+    if (workflow.published_version || workflow.status !== 'active' || !workflow.steps?.length) {
+      return null
+    }
+
+    return this.publishDefinition(workflow.id, toDefinition(workflow), userId, 'Initial version')
+  }
+
+  // ============================================================================
+  // EXECUTION ACCESS
+  // ============================================================================
+
+  /**
+   * The workflow as an execution should run it: the requested version, else the published one,
+   * else (never published) the draft. `version` is null when the draft runs.
+   */
+  async resolveForExecution(workflow, requested) {
+    const reference = requested ?? workflow.published_version ?? 'draft'
+
+    if (reference === 'draft') {
+      return { workflow, version: null }
+    }
+
+    const version = await this.getVersion(workflow.id, reference)
+    if (!version) {
+      throw new Error(`Workflow version not found: ${reference}`)
+    }
+
+    return { workflow: { ...workflow, ...toDefinition(version) }, version: version.version }
+  }
+}
@@ -0,0 +1,343 @@
+/**
+ * 🗂️ Workspace Service
+ * Per-organization file workspaces for file steps: paths are confined to the workspace and
+ * every write is checked against the file size limit and the workspace quota
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { logger } from '../middleware/errorHandler.js'
+import { parseCsv, stringifyCsv } from '../utils/csv.js'
+import { getMimeType, isTextMimeType } from '../utils/mimeTypes.js'
+
+export const FILE_ENCODINGS = ['text', 'json', 'csv', 'binary']
+
+const MB = 1024 * 1024
+
+/**
+ * Raised for paths outside the workspace, missing files, and writes over the size limits;
+ * `code` is 'invalid_path', 'not_found', 'file_too_large' or 'quota_exceeded'
+ */
+export class WorkspaceError extends Error {
+  constructor(message, code) {
+    super(message)
+    this.name = 'WorkspaceError'
+    this.code = code
+  }
+}
+
+/**
+ * Encoding a file is read or written with when the step does not say
+ */
+export function inferEncoding(filename) {
+  const extension = path.extname(filename).toLowerCase()
+  if (extension === '.json') return 'json'
+  if (extension === '.csv') return 'csv'
+  return !extension || isTextMimeType(getMimeType(filename)) ? 'text' : 'binary'
+}
+
+/**
+ * Turn step content into file bytes for an encoding
+ */
+export function encodeContent(content, encoding, options = {}) {
+  switch (encoding) {
+    case 'json':
+      if (typeof content === 'string') {
+        JSON.parse(content)
+        return Buffer.from(content, 'utf8')
+      }
+      return Buffer.from(JSON.stringify(content ?? null, null, 2), 'utf8')
+    case 'csv':
+      return Buffer.from(typeof content === 'string' ? content : stringifyCsv(content, options), 'utf8')
+    case 'binary':
+      return Buffer.isBuffer(content) ? content : Buffer.from(String(content ?? ''), 'base64')
+    default:
+      return Buffer.from(typeof content === 'object' && content !== null ? JSON.stringify(content) : String(content ?? ''), 'utf8')
+  }
+}
+
+/**
+ * Turn file bytes into a variable value: a string, parsed JSON, CSV row objects or base64
+ */
+export function decodeContent(buffer, encoding, options = {}) {
+  switch (encoding) {
+    case 'json':
+      return JSON.parse(buffer.toString('utf8'))
+    case 'csv':
+      return parseCsv(buffer.toString('utf8'), options)
+    case 'binary':
+      return buffer.toString('base64')
+    default:
+      return buffer.toString('utf8')
+  }
+}
+
+export class WorkspaceService {
+  constructor(options = {}) {
+    this.root = path.resolve(options.root || process.env.WORKSPACE_ROOT || path.join(process.cwd(), 'server', 'workspaces'))
+    this.quotaBytes = options.quotaBytes ?? (parseInt(process.env.WORKSPACE_QUOTA_MB) || 500) * MB
+    this.maxFileBytes = options.maxFileBytes ?? (parseInt(process.env.WORKSPACE_MAX_FILE_MB) || 50) * MB
+  }
+
+  /**
+   * Workspace an execution's files live in: its organization's, or its user's without one
+   */
+  getScope(context) {
+    const owner = context.organizationId ? `org_${context.organizationId}` : `user_${context.userId}`
+    return owner.replace(/[^\w-]/g, '_')
+  }
+
+  getDirectory(scope) {
+    return path.join(this.root, scope)
+  }
+
+  /**
+   * Absolute path of a workspace-relative path; anything that would leave the workspace,
+   * directly or through a symlink, is rejected
+   */
+  async resolvePath(scope, filePath) {
+    if (typeof filePath !== 'string' || filePath.trim() === '') {
+      throw new WorkspaceError('A file path is required', 'invalid_path')
+    }
+    if (filePath.includes('\0') || path.isAbsolute(filePath) || /^[a-zA-Z]:/.test(filePath)) {
+      throw new WorkspaceError(`Invalid path "${filePath}": paths are relative to the workspace`, 'invalid_path')
+    }
+
+    const base = this.getDirectory(scope)
+    const target = path.resolve(base, filePath)
+    if (!isInside(base, target) || target === base) {
+      throw new WorkspaceError(`Invalid path "${filePath}": it leaves the workspace`, 'invalid_path')
+    }
+
+    await fs.mkdir(base, { recursive: true })
+    const realBase = await fs.realpath(base)
+    const realTarget = await realpathOfNearest(target)
+    if (!isInside(realBase, realTarget)) {
+      throw new WorkspaceError(`Invalid path "${filePath}": it leaves the workspace`, 'invalid_path')
+    }
+
+    return target
+  }
+
+  /**
+   * Description of a workspace file as steps and artifacts expose it (`filepath` is the
+   * absolute path, for registering the file as an artifact)
+   */
+  describe(scope, target, size) {
+    return {
+      filepath: target,
+      name: path.basename(target),
+      path: path.relative(this.getDirectory(scope), target).split(path.sep).join('/'),
+      size,
+      mimeType: getMimeType(target)
+    }
+  }
+
+  /**
+   * Bytes of a workspace file, for steps that decode it themselves
+   */
+  async readBuffer(scope, filePath) {
+    const target = await this.resolvePath(scope, filePath)
+    const stats = await statFile(target)
+
+    if (!stats?.isFile()) {
+      throw new WorkspaceError(`File not found: ${filePath}`, 'not_found')
+    }
+    if (stats.size > this.maxFileBytes) {
+      throw new WorkspaceError(`File ${filePath} is larger than the ${formatBytes(this.maxFileBytes)} limit`, 'file_too_large')
+    }
+
+    return { ...this.describe(scope, target, stats.size), data: await fs.readFile(target) }
+  }
+
+  async readFile(scope, filePath, { encoding, ...options } = {}) {
+    const { data, ...file } = await this.readBuffer(scope, filePath)
+    const resolvedEncoding = encoding || inferEncoding(file.filepath)
+
+    return { ...file, encoding: resolvedEncoding, content: decodeContent(data, resolvedEncoding, options) }
+  }
+
+  /**
+   * Absolute path of an existing workspace file, for handing it to the browser (uploads)
+   */
+  async getFilePath(scope, filePath) {
+    const target = await this.resolvePath(scope, filePath)
+    const stats = await statFile(target)
+
+    if (!stats?.isFile()) {
+      throw new WorkspaceError(`File not found: ${filePath}`, 'not_found')
+    }
+    return target
+  }
+
+  /**
+   * Size of a workspace file, or null when it does not exist
+   */
+  async getFileSize(scope, filePath) {
+    const stats = await statFile(await this.resolvePath(scope, filePath))
+    return stats?.isFile() ? stats.size : null
+  }
+
+  /**
+   * Write step content to a workspace file, replacing it or (`append`) adding to it
+   */
+  async writeFile(scope, filePath, content, { encoding, append = false, overwrite = true, ...options } = {}) {
+    const target = await this.resolvePath(scope, filePath)
+    const resolvedEncoding = encoding || inferEncoding(target)
+
+    const existing = await statFile(target)
+    if (existing && !existing.isFile()) {
+      throw new WorkspaceError(`${filePath} is a directory`, 'invalid_path')
+    }
+    if (existing && !overwrite && !append) {
+      throw new WorkspaceError(`File already exists: ${filePath}`, 'invalid_path')
+    }
+
+    // Rows appended to a CSV file that already has content go under its header
+    const appending = append && existing?.size > 0
+    const data = encodeContent(content, resolvedEncoding, appending ? { ...options, header: false } : options)
+
+    const size = appending ? existing.size + data.length : data.length
+    await this.checkLimits(scope, size, existing?.size || 0)
+
+    await fs.mkdir(path.dirname(target), { recursive: true })
+    if (append) {
+      await fs.appendFile(target, data)
+    } else {
+      await fs.writeFile(target, data)
+    }
+
+    logger.debug('Workspace file written', { scope, path: filePath, size })
+    return { ...this.describe(scope, target, size), encoding: resolvedEncoding }
+  }
+
+  /**
+   * Move a file produced elsewhere on disk (such as a browser download) into the workspace
+   */
+  async importFile(scope, sourcePath, filePath, { overwrite = true } = {}) {
+    const target = await this.resolvePath(scope, filePath)
+    const { size } = await fs.stat(sourcePath)
+    const existing = await statFile(target)
+
+    if (existing && !overwrite) {
+      throw new WorkspaceError(`File already exists: ${filePath}`, 'invalid_path')
+    }
+    await this.checkLimits(scope, size, existing?.size || 0)
+
+    await fs.mkdir(path.dirname(target), { recursive: true })
+    try {
+      await fs.rename(sourcePath, target)
+    } catch (error) {
+      // Different filesystems cannot rename across each other
+      if (error.code !== 'EXDEV') throw error
+      await fs.copyFile(sourcePath, target)
+      await fs.unlink(sourcePath)
+    }
+
+    return this.describe(scope, target, size)
+  }
+
+  /**
+   * Save a fetch response body to a workspace file, stopping as soon as it passes the size limit
+   */
+  async saveResponse(scope, filePath, response, { overwrite = true } = {}) {
+    const declaredSize = parseInt(response.headers.get('content-length'))
+    if (declaredSize > this.maxFileBytes) {
+      throw new WorkspaceError(`File is larger than the ${formatBytes(this.maxFileBytes)} limit`, 'file_too_large')
+    }
+
+    const chunks = []
+    let size = 0
+    for await (const chunk of response.body || []) {
+      size += chunk.length
+      if (size > this.maxFileBytes) {
+        throw new WorkspaceError(`File is larger than the ${formatBytes(this.maxFileBytes)} limit`, 'file_too_large')
+      }
+      chunks.push(chunk)
+    }
+
+    const { encoding, ...file } = await this.writeFile(scope, filePath, Buffer.concat(chunks), { encoding: 'binary', overwrite })
+    return file
+  }
+
+  /**
+   * Bytes used by a workspace
+   */
+  async getUsage(scope) {
+    return directorySize(this.getDirectory(scope))
+  }
+
+  /**
+   * A file of `size` bytes replacing one of `replacedSize` bytes must fit both limits
+   */
+  async checkLimits(scope, size, replacedSize = 0) {
+    if (size > this.maxFileBytes) {
+      throw new WorkspaceError(`File is larger than the ${formatBytes(this.maxFileBytes)} limit`, 'file_too_large')
+    }
+
+    const usage = await this.getUsage(scope)
+    if (usage - replacedSize + size > this.quotaBytes) {
+      throw new WorkspaceError(`Workspace quota of ${formatBytes(this.quotaBytes)} exceeded`, 'quota_exceeded')
+    }
+  }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function isInside(base, target) {
+  return target === base || target.startsWith(base + path.sep)
+}
+
+/**
+ * Real path of `target`, or of its closest existing parent when it does not exist yet
+ */
+async function realpathOfNearest(target) {
+  let current = target
+  const missing = []
+
+  while (true) {
+    try {
+      return path.join(await fs.realpath(current), ...missing)
+    } catch (error) {
+      if (error.code !== 'ENOENT' || path.dirname(current) === current) throw error
+      missing.unshift(path.basename(current))
+      current = path.dirname(current)
+    }
+  }
+}
+
+async function statFile(target) {
+  try {
+    return await fs.stat(target)
+  } catch (error) {
+    if (error.code === 'ENOENT') return null
+    throw error
+  }
+}
+
+async function directorySize(directory) {
+  let entries
+  try {
+    entries = await fs.readdir(directory, { withFileTypes: true })
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0
+    throw error
+  }
+
+  let total = 0
+  for (const entry of entries) {
+    const entryPath = path.join(directory, entry.name)
+    if (entry.isDirectory()) {
+      total += await directorySize(entryPath)
+    } else if (entry.isFile()) {
+      total += (await fs.stat(entryPath)).size
+    }
+  }
+  return total
+}
+
+function formatBytes(bytes) {
+  return bytes >= MB ? `${Math.round(bytes / MB)} MB` : `${bytes} bytes`
+}
@@ -0,0 +1,63 @@
+// @vitest-environment node
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import { WorkspaceError, WorkspaceService } from './workspaceService.js'
+
+describe('WorkspaceService', () => {
+  let root
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'workspace-test-'))
+  })
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true })
+  })
+
+  test('keeps every path inside the workspace, symlinks included', async () => {
+    const workspace = new WorkspaceService({ root })
+    await fs.mkdir(path.join(root, 'org_a'), { recursive: true })
+    await fs.symlink(os.tmpdir(), path.join(root, 'org_a', 'escape'))
+
+    for (const filePath of ['../org_b/file.txt', '/etc/passwd', 'C:\\temp', '', 'escape/file.txt']) {
+      await expect(workspace.resolvePath('org_a', filePath)).rejects.toMatchObject({ code: 'invalid_path' })
+    }
+    expect(await workspace.resolvePath('org_a', 'reports/../out.txt')).toBe(path.join(root, 'org_a', 'out.txt'))
+    expect(workspace.getScope({ organizationId: 'a/../b' })).toBe('org_a____b')
+  })
+
+  test('writes and reads content by the encoding its extension implies', async () => {
+    const workspace = new WorkspaceService({ root })
+
+    await workspace.writeFile('org_a', 'data/order.json', { id: 1 })
+    await workspace.writeFile('org_a', 'rows.csv', [{ id: 1, name: 'Ada' }])
+    await workspace.writeFile('org_a', 'rows.csv', [{ id: 2, name: 'Bob' }], { append: true })
+
+    expect((await workspace.readFile('org_a', 'data/order.json')).content).toEqual({ id: 1 })
+    expect((await workspace.readFile('org_a', 'rows.csv')).content).toEqual([{ id: '1', name: 'Ada' }, { id: '2', name: 'Bob' }])
+    await expect(workspace.writeFile('org_a', 'rows.csv', [], { overwrite: false })).rejects.toThrow('File already exists: rows.csv')
+    await expect(workspace.readFile('org_a', 'missing.txt')).rejects.toMatchObject({ code: 'not_found' })
+  })
+
+  test('gives uploads the path of existing files only', async () => {
+    const workspace = new WorkspaceService({ root })
+    await workspace.writeFile('org_a', 'docs/invoice.txt', 'paid')
+
+    expect(await workspace.getFilePath('org_a', 'docs/invoice.txt')).toBe(path.join(root, 'org_a', 'docs', 'invoice.txt'))
+    await expect(workspace.getFilePath('org_a', 'docs')).rejects.toThrow('File not found: docs')
+    await expect(workspace.getFilePath('org_a', 'missing.txt')).rejects.toMatchObject({ code: 'not_found' })
+  })
+
+  test('enforces the file size limit and the workspace quota', async () => {
+    const workspace = new WorkspaceService({ root, maxFileBytes: 10, quotaBytes: 15 })
+
+    await expect(workspace.writeFile('org_a', 'big.txt', 'x'.repeat(11))).rejects.toMatchObject({ code: 'file_too_large' })
+    await workspace.writeFile('org_a', 'a.txt', 'x'.repeat(10))
+    await expect(workspace.writeFile('org_a', 'b.txt', 'x'.repeat(6))).rejects.toBeInstanceOf(WorkspaceError)
+    // Replacing a file only counts the difference
+    await workspace.writeFile('org_a', 'a.txt', 'x'.repeat(9))
+    await workspace.writeFile('org_a', 'b.txt', 'x'.repeat(6))
+    expect(await workspace.getUsage('org_a')).toBe(15)
+  })
+})
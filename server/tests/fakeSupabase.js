@@ -0,0 +1,209 @@
+/**
+ * 🧪 Fake Supabase
+ * In-memory stand-in for the query builder the server services use, for unit tests
+ */
+
+import { randomUUID } from 'crypto'
+
+const compare = (a, b) => (a === b ? 0 : a === null || a === undefined ? -1 : b === null || b === undefined ? 1 : a < b ? -1 : 1)
+
+// PostgREST filters as used in `.or()`: `column.op.value`, values optionally double quoted
+function parseCondition(condition) {
+  const [, column, operator, value] = condition.match(/^([^.]+)\.([a-z]+)\.(.*)$/)
+  return { column, operator, value: value.replace(/^"(.*)"$/, '$1') }
+}
+
+function matches(row, { column, operator, value }) {
+  const actual = row[column]
+  switch (operator) {
+    case 'eq': return actual === value || String(actual) === String(value)
+    case 'neq': return actual !== value
+    case 'lt': return actual !== null && actual !== undefined && actual < value
+    case 'lte': return actual !== null && actual !== undefined && actual <= value
+    case 'gt': return actual !== null && actual !== undefined && actual > value
+    case 'gte': return actual !== null && actual !== undefined && actual >= value
+    case 'is': return value === null || value === 'null' ? actual === null || actual === undefined : actual === value
+    case 'in': return value.includes(actual)
+    default: throw new Error(`Unsupported filter operator: ${operator}`)
+  }
+}
+
+class Query {
+  constructor(db, table) {
+    this.db = db
+    this.table = table
+    this.operation = 'select'
+    this.filters = []
+    this.orders = []
+    this.max = null
+    this.returning = false
+  }
+
+  get rows() {
+    if (!this.db.tables[this.table]) {
+      this.db.tables[this.table] = []
+    }
+    return this.db.tables[this.table]
+  }
+
+  select(columns = '*') {
+    this.returning = true
+    // Embedded resources and '*' keep whole rows
+    this.columns = /[*(]/.test(columns) ? null : columns.split(',').map(column => column.trim())
+    return this
+  }
+
+  project(row) {
+    return this.columns ? Object.fromEntries(this.columns.map(column => [column, row[column]])) : { ...row }
+  }
+
+  insert(rows) {
+    this.operation = 'insert'
+    this.payload = [].concat(rows)
+    return this
+  }
+
+  upsert(rows, { onConflict = 'id' } = {}) {
+    this.operation = 'upsert'
+    this.payload = [].concat(rows)
+    this.conflictKeys = onConflict.split(',')
+    return this
+  }
+
+  update(values) {
+    this.operation = 'update'
+    this.payload = values
+    return this
+  }
+
+  delete() {
+    this.operation = 'delete'
+    return this
+  }
+
+  eq(column, value) { return this.where(row => matches(row, { column, operator: 'eq', value })) }
+  neq(column, value) { return this.where(row => matches(row, { column, operator: 'neq', value })) }
+  lt(column, value) { return this.where(row => matches(row, { column, operator: 'lt', value })) }
+  lte(column, value) { return this.where(row => matches(row, { column, operator: 'lte', value })) }
+  gt(column, value) { return this.where(row => matches(row, { column, operator: 'gt', value })) }
+  gte(column, value) { return this.where(row => matches(row, { column, operator: 'gte', value })) }
+  is(column, value) { return this.where(row => matches(row, { column, operator: 'is', value })) }
+  in(column, values) { return this.where(row => matches(row, { column, operator: 'in', value: values })) }
+  not(column, operator, value) { return this.where(row => !matches(row, { column, operator, value })) }
+  match(values) { return this.where(row => Object.entries(values).every(([column, value]) => row[column] === value)) }
+
+  or(expression) {
+    const conditions = expression.split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/).map(parseCondition)
+    return this.where(row => conditions.some(condition => matches(row, condition)))
+  }
+
+  where(predicate) {
+    this.filters.push(predicate)
+    return this
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending })
+    return this
+  }
+
+  limit(count) {
+    this.max = count
+    return this
+  }
+
+  range(from, to) {
+    this.offset = from
+    this.max = to - from + 1
+    return this
+  }
+
+  single() {
+    return this.run().then(({ data, error }) => {
+      if (error) return { data: null, error }
+      return data.length === 1 ? { data: data[0], error: null } : { data: null, error: { message: `Expected 1 row, got ${data.length}` } }
+    })
+  }
+
+  maybeSingle() {
+    return this.run().then(({ data, error }) => ({ data: data?.[0] || null, error }))
+  }
+
+  then(resolve, reject) {
+    return this.run().then(result => ({
+      ...result,
+      data: this.returning || this.operation === 'select' ? result.data : null
+    })).then(resolve, reject)
+  }
+
+  async run() {
+    const failure = this.db.failures[this.table]?.[this.operation]
+    if (failure) {
+      return { data: null, error: { message: failure } }
+    }
+
+    this.db.log.push({ table: this.table, operation: this.operation, payload: this.payload })
+    const selected = () => this.rows.filter(row => this.filters.every(filter => filter(row)))
+
+    switch (this.operation) {
+      case 'insert': {
+        const inserted = this.payload.map(row => ({ id: randomUUID(), ...row }))
+        const key = this.db.primaryKeys[this.table]
+        if (key && inserted.some(row => this.rows.some(existing => existing[key] === row[key]))) {
+          return { data: null, error: { message: 'duplicate key value violates unique constraint', code: '23505' } }
+        }
+        this.rows.push(...inserted)
+        return { data: inserted.map(row => this.project(row)), error: null }
+      }
+      case 'upsert': {
+        const written = this.payload.map(row => {
+          const existing = this.rows.find(candidate => this.conflictKeys.every(key => candidate[key] === row[key]))
+          if (existing) return Object.assign(existing, row)
+          const inserted = { id: randomUUID(), ...row }
+          this.rows.push(inserted)
+          return inserted
+        })
+        return { data: written.map(row => this.project(row)), error: null }
+      }
+      case 'update': {
+        const updated = selected()
+        updated.forEach(row => Object.assign(row, this.payload))
+        return { data: updated.map(row => this.project(row)), error: null }
+      }
+      case 'delete': {
+        const deleted = selected()
+        this.db.tables[this.table] = this.rows.filter(row => !deleted.includes(row))
+        return { data: deleted.map(row => this.project(row)), error: null }
+      }
+      default: {
+        let rows = selected()
+        for (const { column, ascending } of [...this.orders].reverse()) {
+          rows = [...rows].sort((a, b) => compare(a[column], b[column]) * (ascending ? 1 : -1))
+        }
+        rows = rows.slice(this.offset || 0, this.max === null ? undefined : (this.offset || 0) + this.max)
+        return { data: rows.map(row => this.project(row)), error: null }
+      }
+    }
+  }
+}
+
+/**
+ * Supabase client over `tables` (table name → array of rows). `db.log` records every query,
+ * `db.failures[table][operation] = message` makes that operation fail and `db.rpcs[name]`
+ * implements a database function
+ */
+export function createFakeSupabase(tables = {}, { primaryKeys = {} } = {}) {
+  const db = {
+    tables,
+    log: [],
+    failures: {},
+    rpcs: {},
+    primaryKeys: { execution_queue: 'execution_id', ...primaryKeys }
+  }
+
+  return {
+    db,
+    from: table => new Query(db, table),
+    rpc: async (name, args) => (db.rpcs[name] ? db.rpcs[name](args) : { data: null, error: { message: `Unknown function: ${name}` } })
+  }
+}
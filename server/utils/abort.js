@@ -0,0 +1,85 @@
+/**
+ * ⛔ Abort Helpers
+ * Cooperative cancellation and timeouts for executions and steps, built on AbortSignal
+ */
+
+/**
+ * Why an execution or step was stopped; `reason` is 'cancelled' or 'timeout'
+ */
+export class ExecutionAbortedError extends Error {
+  constructor(message, reason = 'cancelled') {
+    super(message)
+    this.name = 'ExecutionAbortedError'
+    this.reason = reason
+  }
+}
+
+export function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw signal.reason
+  }
+}
+
+/**
+ * Settle with `promise`, or reject with the signal's reason as soon as it aborts
+ */
+export function abortable(promise, signal) {
+  if (!signal) {
+    return promise
+  }
+
+  if (signal.aborted) {
+    promise.catch(() => {})
+    return Promise.reject(signal.reason)
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason)
+    signal.addEventListener('abort', onAbort, { once: true })
+
+    promise.then(
+      value => {
+        signal.removeEventListener('abort', onAbort)
+        resolve(value)
+      },
+      error => {
+        signal.removeEventListener('abort', onAbort)
+        reject(error)
+      }
+    )
+  })
+}
+
+/**
+ * Wait `ms` milliseconds, stopping early (with the abort reason) when the signal aborts
+ */
+export function sleep(ms, signal) {
+  return abortable(new Promise(resolve => {
+    const timer = setTimeout(resolve, ms)
+    signal?.addEventListener('abort', () => clearTimeout(timer), { once: true })
+  }), signal)
+}
+
+/**
+ * A signal that aborts with the parent or after `ms`, whichever comes first; call `clear` when done
+ */
+export function timeoutSignal(parent, ms, message) {
+  const controller = new AbortController()
+  const onParentAbort = () => controller.abort(parent.reason)
+
+  if (parent?.aborted) {
+    controller.abort(parent.reason)
+  } else {
+    parent?.addEventListener('abort', onParentAbort, { once: true })
+  }
+
+  const timer = setTimeout(() => controller.abort(new ExecutionAbortedError(message, 'timeout')), ms)
+
+  return {
+    signal: controller.signal,
+    clear: () => {
+      clearTimeout(timer)
+      parent?.removeEventListener('abort', onParentAbort)
+    }
+  }
+}
@@ -0,0 +1,38 @@
+// @vitest-environment node
+import { ExecutionAbortedError, abortable, sleep, timeoutSignal } from './abort.js'
+
+describe('abort helpers', () => {
+  test('abortable rejects with the reason as soon as the signal aborts', async () => {
+    const controller = new AbortController()
+    const pending = abortable(new Promise(() => {}), controller.signal)
+
+    controller.abort(new ExecutionAbortedError('Cancelled by user'))
+
+    await expect(pending).rejects.toMatchObject({ name: 'ExecutionAbortedError', reason: 'cancelled' })
+    await expect(abortable(Promise.resolve(1), controller.signal)).rejects.toThrow('Cancelled by user')
+  })
+
+  test('sleep stops early when aborted', async () => {
+    const controller = new AbortController()
+    const startedAt = Date.now()
+    setTimeout(() => controller.abort(new Error('stop')), 20)
+
+    await expect(sleep(5000, controller.signal)).rejects.toThrow('stop')
+    expect(Date.now() - startedAt).toBeLessThan(1000)
+  })
+
+  test('timeoutSignal aborts with its parent or after its time, whichever comes first', async () => {
+    const parent = new AbortController()
+    const timed = timeoutSignal(parent.signal, 10, 'Step x timed out after 0.01s')
+    const cancelled = timeoutSignal(parent.signal, 5000, 'never')
+
+    await sleep(30)
+    expect(timed.signal.reason).toMatchObject({ message: 'Step x timed out after 0.01s', reason: 'timeout' })
+    expect(cancelled.signal.aborted).toBe(false)
+
+    parent.abort(new ExecutionAbortedError('Cancelled by user'))
+    expect(cancelled.signal.reason.message).toBe('Cancelled by user')
+    timed.clear()
+    cancelled.clear()
+  })
+})
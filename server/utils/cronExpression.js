@@ -0,0 +1,417 @@
+/**
+ * ⏰ Cron Expression
+ * Parses 5-field (minute precision) and 6-field (with seconds) cron expressions and
+ * finds their next run in an IANA time zone.
+ *
+ * Supports `*`, `?`, lists, ranges, steps, month/day names, `L` (last day / last weekday),
+ * `W` (nearest weekday), `LW` and `#` (nth weekday), plus @yearly/@monthly/@weekly/@daily/@hourly.
+ */
+
+import { getZonedParts, zonedTimeToUtc } from './timezone.js'
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC']
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT']
+
+const ALIASES = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+}
+
+const FIELDS = {
+  second: { label: 'second', min: 0, max: 59 },
+  minute: { label: 'minute', min: 0, max: 59 },
+  hour: { label: 'hour', min: 0, max: 23 },
+  dayOfMonth: { label: 'day-of-month', min: 1, max: 31 },
+  month: { label: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+  dayOfWeek: { label: 'day-of-week', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 }
+}
+
+// Give up looking for a match after this many years (e.g. "0 0 30 2 *" never fires)
+const MAX_SEARCH_YEARS = 8
+
+const DAY_MS = 24 * 3600 * 1000
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate()
+}
+
+function weekdayOf(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay()
+}
+
+export class CronExpression {
+  constructor(expression, fields) {
+    this.expression = expression
+    Object.assign(this, fields)
+  }
+
+  /**
+   * Parse an expression, throwing an Error that explains what is wrong with it
+   */
+  static parse(expression) {
+    if (typeof expression !== 'string' || expression.trim() === '') {
+      throw new Error('Cron expression must be a non-empty string')
+    }
+
+    const source = expression.trim()
+    const normalized = ALIASES[source.toLowerCase()] || source
+    const parts = normalized.split(/\s+/)
+
+    if (parts.length !== 5 && parts.length !== 6) {
+      throw new Error(`Cron expression "${source}" must have 5 or 6 fields, got ${parts.length}`)
+    }
+
+    const hasSeconds = parts.length === 6
+    const [second, minute, hour, dayOfMonth, month, dayOfWeek] = hasSeconds ? parts : ['0', ...parts]
+
+    const parser = new FieldParser(source)
+
+    // Parsed left to right so errors point at the first bad field
+    return new CronExpression(source, {
+      hasSeconds,
+      seconds: parser.parseField(second, 'second'),
+      minutes: parser.parseField(minute, 'minute'),
+      hours: parser.parseField(hour, 'hour'),
+      dayOfMonth: parser.parseDayOfMonth(dayOfMonth),
+      months: parser.parseField(month, 'month'),
+      dayOfWeek: parser.parseDayOfWeek(dayOfWeek)
+    })
+  }
+
+  /**
+   * Returns an error message for an invalid expression, or null if it is valid
+   */
+  static validate(expression) {
+    try {
+      CronExpression.parse(expression)
+      return null
+    } catch (error) {
+      return error.message
+    }
+  }
+
+  /**
+   * Whether a calendar day matches the day-of-month and day-of-week fields
+   */
+  matchesDay(year, month, day) {
+    const domMatch = this.matchesDayOfMonth(year, month, day)
+    const dowMatch = this.matchesDayOfWeek(year, month, day)
+
+    // Classic cron: when both fields are restricted, either one matching is enough
+    if (this.dayOfMonth.restricted && this.dayOfWeek.restricted) {
+      return domMatch || dowMatch
+    }
+
+    if (this.dayOfMonth.restricted) return domMatch
+    if (this.dayOfWeek.restricted) return dowMatch
+    return true
+  }
+
+  matchesDayOfMonth(year, month, day) {
+    const field = this.dayOfMonth
+    const lastDay = daysInMonth(year, month)
+
+    if (field.values.has(day)) return true
+    if (field.lastDayOffsets.some(offset => day === lastDay - offset)) return true
+
+    if (field.lastWeekday && day === this.nearestWeekday(year, month, lastDay)) return true
+
+    return field.nearestWeekdays.some(target =>
+      target <= lastDay && day === this.nearestWeekday(year, month, target)
+    )
+  }
+
+  matchesDayOfWeek(year, month, day) {
+    const field = this.dayOfWeek
+    const weekday = weekdayOf(year, month, day)
+
+    if (field.values.has(weekday)) return true
+
+    // "5#3" = third Friday
+    if (field.nth.some(({ weekday: target, nth }) => target === weekday && Math.ceil(day / 7) === nth)) {
+      return true
+    }
+
+    // "5L" = last Friday
+    return field.last.some(target => target === weekday && day + 7 > daysInMonth(year, month))
+  }
+
+  /**
+   * Weekday closest to a day without leaving the month ("15W")
+   */
+  nearestWeekday(year, month, day) {
+    const weekday = weekdayOf(year, month, day)
+    const lastDay = daysInMonth(year, month)
+
+    if (weekday === 6) return day === 1 ? 3 : day - 1
+    if (weekday === 0) return day === lastDay ? day - 2 : day + 1
+    return day
+  }
+
+  /**
+   * Next run strictly after `fromDate`, as wall-clock time in `timeZone`; null if none exists
+   */
+  next(fromDate = new Date(), timeZone = 'UTC') {
+    const from = new Date(fromDate)
+    const start = getZonedParts(from, timeZone)
+
+    // Search wall-clock time as a naive UTC calendar, then map matches back to real instants
+    let cursor = Date.UTC(start.year, start.month - 1, start.day, start.hour, start.minute, this.hasSeconds ? start.second : 0)
+    cursor += this.hasSeconds ? 1000 : 60 * 1000
+
+    const limit = cursor + MAX_SEARCH_YEARS * 366 * DAY_MS
+
+    while (cursor < limit) {
+      const date = new Date(cursor)
+      const year = date.getUTCFullYear()
+      const month = date.getUTCMonth() + 1
+      const day = date.getUTCDate()
+
+      if (!this.months.has(month)) {
+        cursor = Date.UTC(year, month, 1)
+        continue
+      }
+
+      if (!this.matchesDay(year, month, day)) {
+        cursor = Date.UTC(year, month - 1, day + 1)
+        continue
+      }
+
+      if (!this.hours.has(date.getUTCHours())) {
+        cursor = Date.UTC(year, month - 1, day, date.getUTCHours() + 1)
+        continue
+      }
+
+      if (!this.minutes.has(date.getUTCMinutes())) {
+        cursor = Date.UTC(year, month - 1, day, date.getUTCHours(), date.getUTCMinutes() + 1)
+        continue
+      }
+
+      if (!this.seconds.has(date.getUTCSeconds())) {
+        cursor += 1000
+        continue
+      }
+
+      const candidate = zonedTimeToUtc({
+        year,
+        month,
+        day,
+        hour: date.getUTCHours(),
+        minute: date.getUTCMinutes(),
+        second: date.getUTCSeconds()
+      }, timeZone)
+
+      // Wall-clock times repeated when clocks go back only fire once
+      if (candidate > from) {
+        return candidate
+      }
+
+      cursor += this.hasSeconds ? 1000 : 60 * 1000
+    }
+
+    return null
+  }
+
+  /**
+   * The next `count` runs after `fromDate`
+   */
+  nextRuns(count, fromDate = new Date(), timeZone = 'UTC') {
+    const runs = []
+    let cursor = new Date(fromDate)
+
+    while (runs.length < count) {
+      const next = this.next(cursor, timeZone)
+      if (!next) break
+      runs.push(next)
+      cursor = next
+    }
+
+    return runs
+  }
+}
+
+/**
+ * Parses individual fields, reporting errors against the whole expression
+ */
+class FieldParser {
+  constructor(expression) {
+    this.expression = expression
+  }
+
+  fail(fieldName, message) {
+    throw new Error(`Invalid cron expression "${this.expression}": ${FIELDS[fieldName].label} ${message}`)
+  }
+
+  toNumber(token, fieldName) {
+    const field = FIELDS[fieldName]
+    const upper = token.toUpperCase()
+
+    if (field.names) {
+      const nameIndex = field.names.indexOf(upper)
+      if (nameIndex !== -1) {
+        return nameIndex + field.nameOffset
+      }
+    }
+
+    if (!/^\d+$/.test(token)) {
+      this.fail(fieldName, `has an invalid value "${token}"`)
+    }
+
+    const value = parseInt(token, 10)
+    if (value < field.min || value > field.max) {
+      this.fail(fieldName, `value ${value} is out of range ${field.min}-${field.max}`)
+    }
+
+    return value
+  }
+
+  /**
+   * Parse lists, ranges and steps into a set of allowed values
+   */
+  parseField(source, fieldName) {
+    const field = FIELDS[fieldName]
+    const values = new Set()
+
+    for (const item of source.split(',')) {
+      if (item === '') {
+        this.fail(fieldName, 'has an empty list item')
+      }
+
+      const [rangePart, stepPart, extra] = item.split('/')
+      if (extra !== undefined) {
+        this.fail(fieldName, `has more than one step in "${item}"`)
+      }
+
+      let step = 1
+      if (stepPart !== undefined) {
+        if (!/^\d+$/.test(stepPart) || parseInt(stepPart, 10) === 0) {
+          this.fail(fieldName, `has an invalid step "${stepPart}"`)
+        }
+        step = parseInt(stepPart, 10)
+      }
+
+      let start
+      let end
+
+      if (rangePart === '*' || rangePart === '?') {
+        start = field.min
+        end = field.max
+      } else if (rangePart.includes('-')) {
+        const [from, to] = rangePart.split('-')
+        start = this.toNumber(from, fieldName)
+        end = this.toNumber(to, fieldName)
+
+        // "FRI-SUN" runs to the end of the week: Sunday ending a range counts as 7
+        if (fieldName === 'dayOfWeek' && to.toUpperCase() === 'SUN' && start > 0) {
+          end = 7
+        }
+
+        if (start > end) {
+          this.fail(fieldName, `range "${rangePart}" starts after it ends`)
+        }
+      } else {
+        start = this.toNumber(rangePart, fieldName)
+        // "5/15" means every 15 starting at 5
+        end = stepPart !== undefined ? field.max : start
+      }
+
+      for (let value = start; value <= end; value += step) {
+        values.add(value)
+      }
+    }
+
+    return values
+  }
+
+  parseDayOfMonth(source) {
+    const result = {
+      restricted: source !== '*' && source !== '?',
+      values: new Set(),
+      lastDayOffsets: [],
+      nearestWeekdays: [],
+      lastWeekday: false
+    }
+
+    if (!result.restricted) {
+      return result
+    }
+
+    const plain = []
+
+    for (const item of source.split(',')) {
+      const upper = item.toUpperCase()
+
+      if (upper === 'L') {
+        result.lastDayOffsets.push(0)
+      } else if (/^L-\d+$/.test(upper)) {
+        const offset = parseInt(upper.slice(2), 10)
+        if (offset > 30) this.fail('dayOfMonth', `offset "${item}" is out of range`)
+        result.lastDayOffsets.push(offset)
+      } else if (upper === 'LW') {
+        result.lastWeekday = true
+      } else if (/^\d+W$/.test(upper)) {
+        result.nearestWeekdays.push(this.toNumber(upper.slice(0, -1), 'dayOfMonth'))
+      } else if (/[LW#]/.test(upper)) {
+        this.fail('dayOfMonth', `has an invalid value "${item}"`)
+      } else {
+        plain.push(item)
+      }
+    }
+
+    if (plain.length > 0) {
+      result.values = this.parseField(plain.join(','), 'dayOfMonth')
+    }
+
+    return result
+  }
+
+  parseDayOfWeek(source) {
+    const result = {
+      restricted: source !== '*' && source !== '?',
+      values: new Set(),
+      nth: [],
+      last: []
+    }
+
+    if (!result.restricted) {
+      return result
+    }
+
+    const plain = []
+
+    for (const item of source.split(',')) {
+      const upper = item.toUpperCase()
+
+      if (upper.includes('#')) {
+        const [day, nth] = upper.split('#')
+        if (!/^[1-5]$/.test(nth)) {
+          this.fail('dayOfWeek', `occurrence in "${item}" must be 1-5`)
+        }
+        result.nth.push({ weekday: this.toNumber(day, 'dayOfWeek') % 7, nth: parseInt(nth, 10) })
+      } else if (/^.+L$/.test(upper)) {
+        result.last.push(this.toNumber(upper.slice(0, -1), 'dayOfWeek') % 7)
+      } else if (upper === 'L') {
+        // "L" alone in day-of-week means Saturday
+        result.values.add(6)
+      } else if (/[LW#]/.test(upper) && !DAY_NAMES.some(name => upper.includes(name))) {
+        this.fail('dayOfWeek', `has an invalid value "${item}"`)
+      } else {
+        plain.push(item)
+      }
+    }
+
+    if (plain.length > 0) {
+      // 7 is an alias for Sunday
+      for (const value of this.parseField(plain.join(','), 'dayOfWeek')) {
+        result.values.add(value % 7)
+      }
+    }
+
+    return result
+  }
+}
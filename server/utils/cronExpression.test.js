@@ -0,0 +1,56 @@
+// @vitest-environment node
+import { CronExpression } from './cronExpression.js'
+
+const runs = (expression, from, count, timeZone = 'UTC') =>
+  CronExpression.parse(expression).nextRuns(count, new Date(from), timeZone).map(date => date.toISOString())
+
+describe('CronExpression.next', () => {
+  test('steps through ranges, lists and weekday names', () => {
+    expect(runs('*/15 9-17 * * MON-FRI', '2024-05-03T17:40:00Z', 3)).toEqual([
+      '2024-05-03T17:45:00.000Z',
+      '2024-05-06T09:00:00.000Z',
+      '2024-05-06T09:15:00.000Z'
+    ])
+    expect(runs('*/20 * * * * *', '2024-01-01T00:00:05Z', 2)).toEqual(['2024-01-01T00:00:20.000Z', '2024-01-01T00:00:40.000Z'])
+    expect(runs('@weekly', '2024-01-01T00:00:00Z', 1)).toEqual(['2024-01-07T00:00:00.000Z'])
+  })
+
+  test('runs weekday name ranges that end on Sunday through the weekend', () => {
+    expect(runs('0 9 * * FRI-SUN', '2024-05-01T00:00:00Z', 4)).toEqual([
+      '2024-05-03T09:00:00.000Z',
+      '2024-05-04T09:00:00.000Z',
+      '2024-05-05T09:00:00.000Z',
+      '2024-05-10T09:00:00.000Z'
+    ])
+    expect(runs('0 9 * * SAT-SUN', '2024-05-01T00:00:00Z', 3)).toEqual(['2024-05-04T09:00:00.000Z', '2024-05-05T09:00:00.000Z', '2024-05-11T09:00:00.000Z'])
+    expect(runs('0 9 * * SUN-SUN', '2024-05-01T00:00:00Z', 2)).toEqual(['2024-05-05T09:00:00.000Z', '2024-05-12T09:00:00.000Z'])
+  })
+
+  test('handles last, nearest weekday and nth weekday days', () => {
+    expect(runs('0 9 L * *', '2024-01-15T00:00:00Z', 2)).toEqual(['2024-01-31T09:00:00.000Z', '2024-02-29T09:00:00.000Z'])
+    expect(runs('0 9 * * FRI#2', '2024-01-01T00:00:00Z', 2)).toEqual(['2024-01-12T09:00:00.000Z', '2024-02-09T09:00:00.000Z'])
+    expect(runs('0 9 LW * *', '2024-08-01T00:00:00Z', 1)).toEqual(['2024-08-30T09:00:00.000Z'])
+    expect(runs('0 9 15W * *', '2024-06-01T00:00:00Z', 1)).toEqual(['2024-06-14T09:00:00.000Z'])
+  })
+
+  test('fires in the time zone across DST changes, once per wall-clock time', () => {
+    // 02:30 does not exist on 31 March in Berlin and happens twice on 27 October
+    expect(runs('30 2 * * *', '2024-03-30T12:00:00Z', 1, 'Europe/Berlin')).toEqual(['2024-03-31T01:30:00.000Z'])
+    expect(runs('30 2 * * *', '2024-10-26T12:00:00Z', 2, 'Europe/Berlin')).toEqual(['2024-10-27T00:30:00.000Z', '2024-10-28T01:30:00.000Z'])
+  })
+
+  test('returns null for dates that never occur', () => {
+    expect(CronExpression.parse('0 0 30 2 *').next(new Date('2024-01-01T00:00:00Z'))).toBeNull()
+  })
+})
+
+describe('CronExpression.validate', () => {
+  test('explains what is wrong with an expression', () => {
+    expect(CronExpression.validate('0 9 * * 1-5')).toBeNull()
+    expect(CronExpression.validate('* * *')).toBe('Cron expression "* * *" must have 5 or 6 fields, got 3')
+    expect(CronExpression.validate('60 * * * *')).toBe('Invalid cron expression "60 * * * *": minute value 60 is out of range 0-59')
+    expect(CronExpression.validate('5-1 * * * *')).toContain('minute range "5-1" starts after it ends')
+    expect(CronExpression.validate('* * * * 1#6')).toContain('day-of-week occurrence in "1#6" must be 1-5')
+    expect(CronExpression.validate('*/0 * * * *')).toContain('minute has an invalid step "0"')
+  })
+})
@@ -0,0 +1,149 @@
+/**
+ * 📑 CSV
+ * RFC 4180 parsing and writing: quoted fields, escaped quotes and line breaks inside quotes
+ */
+
+/**
+ * Split CSV text into rows of string fields
+ */
+export function parseCsvRows(text, { delimiter = ',' } = {}) {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+  let i = 0
+
+  // A byte order mark would end up in the first header
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text
+
+  while (i < input.length) {
+    const char = input[i]
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"'
+        i += 2
+        continue
+      }
+      if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+      i++
+      continue
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true
+    } else if (input.startsWith(delimiter, i)) {
+      row.push(field)
+      field = ''
+      i += delimiter.length
+      continue
+    } else if (char === '\n' || char === '\r') {
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+      if (char === '\r' && input[i + 1] === '\n') i++
+    } else {
+      field += char
+    }
+    i++
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  return rows
+}
+
+/**
+ * Parse CSV text into row objects keyed by the header row, or into arrays with `header: false`
+ */
+export function parseCsv(text, { delimiter = ',', header = true } = {}) {
+  const rows = parseCsvRows(text, { delimiter })
+    .filter(row => row.length > 1 || row[0] !== '')
+
+  if (!header) {
+    return rows
+  }
+
+  const [columns = [], ...records] = rows
+  return records.map(record => Object.fromEntries(columns.map((column, index) => [column, record[index] ?? ''])))
+}
+
+function formatField(value, delimiter) {
+  if (value === null || value === undefined) {
+    return ''
+  }
+
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value)
+  return text.includes('"') || text.includes(delimiter) || /[\r\n]/.test(text) || /^\s|\s$/.test(text)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text
+}
+
+/**
+ * Write rows (objects or arrays) as CSV; object rows get a header row from `columns` or their keys
+ */
+export function stringifyCsv(rows, { delimiter = ',', columns, header = true } = {}) {
+  if (!Array.isArray(rows)) {
+    throw new Error('CSV content must be an array of rows')
+  }
+
+  const objectRows = rows.some(row => row && typeof row === 'object' && !Array.isArray(row))
+  const keys = columns || (objectRows
+    ? Array.from(new Set(rows.flatMap(row => (row && !Array.isArray(row) ? Object.keys(row) : []))))
+    : null)
+
+  const lines = []
+  if (keys && header) {
+    lines.push(keys.map(key => formatField(key, delimiter)).join(delimiter))
+  }
+
+  for (const row of rows) {
+    const values = Array.isArray(row) ? row : keys.map(key => row?.[key])
+    lines.push(values.map(value => formatField(value, delimiter)).join(delimiter))
+  }
+
+  return lines.join('\r\n') + (lines.length > 0 ? '\r\n' : '')
+}
+
+// Delimiters `detectDelimiter` chooses between
+const CANDIDATE_DELIMITERS = [',', ';', '\t', '|']
+
+/**
+ * Delimiter from a step option: a character, 'tab', or 'auto' to detect it from the text
+ */
+export function resolveDelimiter(delimiter, text = '') {
+  if (delimiter === undefined || delimiter === null || delimiter === '') return ','
+  if (delimiter === 'tab' || delimiter === '\\t') return '\t'
+  if (delimiter === 'auto') return detectDelimiter(text)
+  return delimiter
+}
+
+/**
+ * The candidate delimiter that splits the first lines into the most, equally wide, columns
+ */
+export function detectDelimiter(text) {
+  const sample = text.slice(0, 10000)
+  let best = ','
+  let bestScore = 0
+
+  for (const delimiter of CANDIDATE_DELIMITERS) {
+    const widths = parseCsvRows(sample, { delimiter }).slice(0, 10).map(row => row.length)
+    if (widths.length === 0 || widths[0] < 2) continue
+
+    const score = widths.filter(width => width === widths[0]).length * widths[0]
+    if (score > bestScore) {
+      best = delimiter
+      bestScore = score
+    }
+  }
+
+  return best
+}
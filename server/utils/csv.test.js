@@ -0,0 +1,43 @@
+// @vitest-environment node
+import { detectDelimiter, parseCsv, parseCsvRows, resolveDelimiter, stringifyCsv } from './csv.js'
+
+describe('parseCsv', () => {
+  test('reads quoted fields with delimiters, escaped quotes and line breaks', () => {
+    const text = '\ufeffname,note\r\n"Smith, Ada","said ""hi""\nthen left"\r\nBob,\n'
+
+    expect(parseCsvRows(text)).toEqual([['name', 'note'], ['Smith, Ada', 'said "hi"\nthen left'], ['Bob', '']])
+    expect(parseCsv(text)).toEqual([{ name: 'Smith, Ada', note: 'said "hi"\nthen left' }, { name: 'Bob', note: '' }])
+  })
+
+  test('skips blank lines and fills short rows', () => {
+    expect(parseCsv('a;b\n\n1\n', { delimiter: ';' })).toEqual([{ a: '1', b: '' }])
+    expect(parseCsv('1,2\n3,4', { header: false })).toEqual([['1', '2'], ['3', '4']])
+  })
+})
+
+describe('stringifyCsv', () => {
+  test('quotes only fields that need it and round-trips through parseCsv', () => {
+    const rows = [{ id: 1, text: 'a, "b"' }, { id: 2, text: ' padded', extra: { x: 1 } }]
+    const csv = stringifyCsv(rows)
+
+    expect(csv).toBe('id,text,extra\r\n1,"a, ""b""",\r\n2," padded","{""x"":1}"\r\n')
+    expect(parseCsv(csv)).toEqual([
+      { id: '1', text: 'a, "b"', extra: '' },
+      { id: '2', text: ' padded', extra: '{"x":1}' }
+    ])
+  })
+
+  test('writes array rows without a header', () => {
+    expect(stringifyCsv([['a', null], ['b', 2]], { delimiter: '\t' })).toBe('a\t\r\nb\t2\r\n')
+    expect(stringifyCsv([])).toBe('')
+  })
+})
+
+describe('delimiters', () => {
+  test('resolves names and detects the delimiter that splits rows evenly', () => {
+    expect(resolveDelimiter('tab')).toBe('\t')
+    expect(resolveDelimiter(undefined)).toBe(',')
+    expect(detectDelimiter('a;b;c\n1;2,5;3\n4;5;6')).toBe(';')
+    expect(resolveDelimiter('auto', 'a|b\n1|2')).toBe('|')
+  })
+})
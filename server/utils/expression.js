@@ -0,0 +1,767 @@
+/**
+ * 🧮 Expression Language
+ * Safe parser/evaluator for conditions and `{{ }}` templates: literals, variables with null-safe
+ * paths, boolean/comparison/arithmetic operators, ternaries, calls to whitelisted functions
+ * and `value | filter(args)` chains.
+ * Never uses eval or Function; parse errors carry the position they occur at.
+ */
+
+const KEYWORDS = {
+  true: true,
+  false: false,
+  null: null,
+  undefined
+}
+
+const WORD_OPERATORS = ['and', 'or', 'not', 'in']
+
+// Longest first so "===" wins over "==" and "=="
+const PUNCTUATORS = [
+  '===', '!==', '?.[', '?.(',
+  '==', '!=', '<=', '>=', '&&', '||', '??', '?.',
+  '|', '<', '>', '+', '-', '*', '/', '%', '!', '?', ':', ',', '.', '(', ')', '[', ']', '{', '}'
+]
+
+const BINARY_PRECEDENCE = {
+  '??': 1,
+  '||': 2,
+  or: 2,
+  '&&': 3,
+  and: 3,
+  '==': 4,
+  '!=': 4,
+  '===': 4,
+  '!==': 4,
+  '<': 5,
+  '<=': 5,
+  '>': 5,
+  '>=': 5,
+  in: 5,
+  '+': 6,
+  '-': 6,
+  '*': 7,
+  '/': 7,
+  '%': 7
+}
+
+// Never readable through member access, so expressions cannot reach prototypes
+const BLOCKED_PROPERTIES = new Set(['__proto__', 'prototype', 'constructor'])
+
+const MAX_DEPTH = 64
+const MAX_CACHE_SIZE = 500
+
+const astCache = new Map()
+
+export class ExpressionError extends Error {
+  constructor(message, position = null, expression = null) {
+    super(position === null ? message : `${message} at position ${position}`)
+    this.name = 'ExpressionError'
+    this.reason = message
+    this.position = position
+    this.expression = expression
+  }
+}
+
+// ============================================================================
+// TOKENIZER
+// ============================================================================
+
+function tokenize(source) {
+  const tokens = []
+  let index = 0
+
+  while (index < source.length) {
+    const char = source[index]
+
+    if (/\s/.test(char)) {
+      index++
+      continue
+    }
+
+    // Numbers: 42, 3.14, .5, 1e3
+    if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[index + 1] || ''))) {
+      const match = source.slice(index).match(/^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/)
+      tokens.push({ type: 'number', value: parseFloat(match[0]), position: index })
+      index += match[0].length
+      continue
+    }
+
+    if (char === '"' || char === "'") {
+      const { value, end } = readString(source, index)
+      tokens.push({ type: 'string', value, position: index })
+      index = end
+      continue
+    }
+
+    if (/[A-Za-z_$]/.test(char)) {
+      const word = source.slice(index).match(/^[A-Za-z_$][\w$]*/)[0]
+
+      if (Object.prototype.hasOwnProperty.call(KEYWORDS, word)) {
+        tokens.push({ type: 'literal', value: KEYWORDS[word], position: index })
+      } else if (WORD_OPERATORS.includes(word)) {
+        tokens.push({ type: 'operator', value: word, position: index })
+      } else {
+        tokens.push({ type: 'identifier', value: word, position: index })
+      }
+
+      index += word.length
+      continue
+    }
+
+    const punctuator = PUNCTUATORS.find(candidate => source.startsWith(candidate, index))
+
+    // "a?.5:1" is a ternary, not optional chaining
+    if (punctuator && !(punctuator === '?.' && /[0-9]/.test(source[index + 2] || ''))) {
+      tokens.push({ type: 'operator', value: punctuator, position: index })
+      index += punctuator.length
+      continue
+    }
+
+    if (char === '?') {
+      tokens.push({ type: 'operator', value: '?', position: index })
+      index++
+      continue
+    }
+
+    throw new ExpressionError(`Unexpected character "${char}"`, index, source)
+  }
+
+  tokens.push({ type: 'eof', value: null, position: source.length })
+  return tokens
+}
+
+function readString(source, start) {
+  const quote = source[start]
+  const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' }
+  let value = ''
+  let index = start + 1
+
+  while (index < source.length) {
+    const char = source[index]
+
+    if (char === quote) {
+      return { value, end: index + 1 }
+    }
+
+    if (char === '\\') {
+      const next = source[index + 1]
+
+      if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(source.slice(index + 2, index + 6))) {
+        value += String.fromCharCode(parseInt(source.slice(index + 2, index + 6), 16))
+        index += 6
+        continue
+      }
+
+      value += escapes[next] ?? next ?? ''
+      index += 2
+      continue
+    }
+
+    value += char
+    index++
+  }
+
+  throw new ExpressionError('Unterminated string', start, source)
+}
+
+// ============================================================================
+// PARSER
+// ============================================================================
+
+class Parser {
+  constructor(source) {
+    this.source = source
+    this.tokens = tokenize(source)
+    this.index = 0
+    this.depth = 0
+  }
+
+  get current() {
+    return this.tokens[this.index]
+  }
+
+  next() {
+    return this.tokens[this.index++]
+  }
+
+  is(value) {
+    return this.current.type === 'operator' && this.current.value === value
+  }
+
+  accept(value) {
+    if (this.is(value)) {
+      return this.next()
+    }
+    return null
+  }
+
+  expect(value) {
+    if (!this.is(value)) {
+      this.fail(`Expected "${value}" but found ${this.describe(this.current)}`)
+    }
+    return this.next()
+  }
+
+  describe(token) {
+    if (token.type === 'eof') return 'end of expression'
+    if (token.type === 'string') return `string "${token.value}"`
+    return `"${token.type === 'literal' ? String(token.value) : token.value}"`
+  }
+
+  fail(message, token = this.current) {
+    throw new ExpressionError(message, token.position, this.source)
+  }
+
+  parse() {
+    if (this.current.type === 'eof') {
+      this.fail('Expression is empty')
+    }
+
+    const node = this.parseExpression()
+
+    if (this.current.type !== 'eof') {
+      this.fail(`Unexpected ${this.describe(this.current)}`)
+    }
+
+    return node
+  }
+
+  parseExpression(allowFilters = true) {
+    if (++this.depth > MAX_DEPTH) {
+      this.fail(`Expression is nested more than ${MAX_DEPTH} levels deep`)
+    }
+
+    const node = allowFilters ? this.parseFilters() : this.parseConditional()
+    this.depth--
+    return node
+  }
+
+  /**
+   * `value | name(args)` binds loosest and calls `name(value, ...args)`
+   */
+  parseFilters() {
+    let node = this.parseConditional()
+
+    while (this.accept('|')) {
+      const name = this.next()
+      if (name.type !== 'identifier') {
+        this.fail('Expected a filter name after "|"', name)
+      }
+
+      const args = this.accept('(') ? this.parseList(')') : []
+      node = { type: 'Call', name: name.value, args: [node, ...args], piped: true, position: name.position }
+    }
+
+    return node
+  }
+
+  parseConditional() {
+    const test = this.parseBinary(1)
+
+    const question = this.accept('?')
+    if (!question) {
+      return test
+    }
+
+    // Filters after a ternary apply to the whole ternary, not just its last branch
+    const consequent = this.parseExpression(false)
+    this.expect(':')
+    const alternate = this.parseExpression(false)
+
+    return { type: 'Conditional', test, consequent, alternate, position: question.position }
+  }
+
+  parseBinary(minPrecedence) {
+    let left = this.parseUnary()
+
+    while (this.current.type === 'operator') {
+      const operator = this.current.value
+      const precedence = BINARY_PRECEDENCE[operator]
+
+      if (precedence === undefined || precedence < minPrecedence) {
+        break
+      }
+
+      const { position } = this.next()
+      const right = this.parseBinary(precedence + 1)
+      left = { type: 'Binary', operator, left, right, position }
+    }
+
+    return left
+  }
+
+  parseUnary() {
+    if (this.is('!') || this.is('not') || this.is('-') || this.is('+')) {
+      const { value: operator, position } = this.next()
+
+      if (++this.depth > MAX_DEPTH) {
+        this.fail(`Expression is nested more than ${MAX_DEPTH} levels deep`)
+      }
+
+      const argument = this.parseUnary()
+      this.depth--
+
+      return { type: 'Unary', operator: operator === 'not' ? '!' : operator, argument, position }
+    }
+
+    return this.parsePostfix(this.parsePrimary())
+  }
+
+  parsePostfix(node) {
+    while (true) {
+      const token = this.current
+
+      if (this.accept('.') || this.accept('?.')) {
+        const name = this.next()
+        if (name.type !== 'identifier' && name.type !== 'literal' && !(name.type === 'operator' && WORD_OPERATORS.includes(name.value))) {
+          this.fail(`Expected a property name after "${token.value}"`, name)
+        }
+
+        node = { type: 'Member', object: node, property: { type: 'Literal', value: String(name.value) }, position: name.position }
+        continue
+      }
+
+      if (this.accept('[') || this.accept('?.[')) {
+        const property = this.parseExpression()
+        this.expect(']')
+        node = { type: 'Member', object: node, property, position: token.position }
+        continue
+      }
+
+      if (this.is('(') || this.is('?.(')) {
+        if (node.type !== 'Identifier') {
+          this.fail('Only built-in functions can be called')
+        }
+
+        this.next()
+        node = { type: 'Call', name: node.name, args: this.parseList(')'), position: node.position }
+        continue
+      }
+
+      return node
+    }
+  }
+
+  parseList(closing) {
+    const items = []
+
+    while (!this.is(closing)) {
+      items.push(this.parseExpression())
+      if (!this.accept(',')) break
+    }
+
+    this.expect(closing)
+    return items
+  }
+
+  parsePrimary() {
+    const token = this.current
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+      case 'literal':
+        this.next()
+        return { type: 'Literal', value: token.value, position: token.position }
+
+      case 'identifier':
+        this.next()
+        return { type: 'Identifier', name: token.value, position: token.position }
+
+      case 'eof':
+        this.fail('Unexpected end of expression')
+    }
+
+    if (this.accept('(')) {
+      const node = this.parseExpression()
+      this.expect(')')
+      return node
+    }
+
+    if (this.accept('[')) {
+      return { type: 'Array', elements: this.parseList(']'), position: token.position }
+    }
+
+    if (this.accept('{')) {
+      return this.parseObject(token)
+    }
+
+    this.fail(`Unexpected ${this.describe(token)}`)
+  }
+
+  parseObject(openToken) {
+    const properties = []
+
+    while (!this.is('}')) {
+      const keyToken = this.next()
+
+      if (!['identifier', 'string', 'number', 'literal'].includes(keyToken.type)) {
+        this.fail('Expected an object key', keyToken)
+      }
+
+      this.expect(':')
+      properties.push({ key: String(keyToken.value), value: this.parseExpression() })
+
+      if (!this.accept(',')) break
+    }
+
+    this.expect('}')
+    return { type: 'Object', properties, position: openToken.position }
+  }
+}
+
+/**
+ * Parse an expression into an AST (cached), throwing ExpressionError on bad syntax
+ */
+export function parseExpression(source) {
+  if (typeof source !== 'string') {
+    throw new ExpressionError('Expression must be a string')
+  }
+
+  if (astCache.has(source)) {
+    return astCache.get(source)
+  }
+
+  const ast = new Parser(source).parse()
+
+  if (astCache.size >= MAX_CACHE_SIZE) {
+    astCache.delete(astCache.keys().next().value)
+  }
+  astCache.set(source, ast)
+
+  return ast
+}
+
+// ============================================================================
+// EVALUATOR
+// ============================================================================
+
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key)
+}
+
+function isNumeric(value) {
+  if (typeof value === 'number') return !Number.isNaN(value)
+  return typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))
+}
+
+/**
+ * `==`: numbers and numeric strings compare by value, booleans match "true"/"false",
+ * arrays/objects compare structurally, null matches undefined
+ */
+export function looseEquals(left, right) {
+  if (left === right) return true
+  if (left == null || right == null) return left == null && right == null
+
+  if (isNumeric(left) && isNumeric(right)) {
+    return Number(left) === Number(right)
+  }
+
+  if (typeof left === 'boolean' || typeof right === 'boolean') {
+    return String(left) === String(right)
+  }
+
+  if (typeof left === 'object' && typeof right === 'object') {
+    return JSON.stringify(left) === JSON.stringify(right)
+  }
+
+  return false
+}
+
+function compare(operator, left, right) {
+  let a = left
+  let b = right
+
+  if (isNumeric(left) && isNumeric(right)) {
+    a = Number(left)
+    b = Number(right)
+  } else if (typeof left !== 'string' || typeof right !== 'string') {
+    a = Number(left)
+    b = Number(right)
+    if (Number.isNaN(a) || Number.isNaN(b)) return false
+  }
+
+  switch (operator) {
+    case '<': return a < b
+    case '<=': return a <= b
+    case '>': return a > b
+    case '>=': return a >= b
+  }
+}
+
+function contains(collection, item) {
+  if (Array.isArray(collection)) return collection.some(entry => looseEquals(entry, item))
+  if (typeof collection === 'string') return collection.includes(String(item))
+  if (collection && typeof collection === 'object') return hasOwn(collection, String(item))
+  return false
+}
+
+function arithmetic(operator, left, right) {
+  if (operator === '+') {
+    if (Array.isArray(left) && Array.isArray(right)) return [...left, ...right]
+    if (typeof left === 'string' || typeof right === 'string') {
+      return `${left ?? ''}${right ?? ''}`
+    }
+  }
+
+  const a = Number(left ?? 0)
+  const b = Number(right ?? 0)
+
+  switch (operator) {
+    case '+': return a + b
+    case '-': return a - b
+    case '*': return a * b
+    case '/': return a / b
+    case '%': return a % b
+  }
+}
+
+/**
+ * Read a property without touching prototypes; missing bases give undefined (null-safe)
+ */
+export function readProperty(object, key) {
+  if (object === null || object === undefined) {
+    return undefined
+  }
+
+  const name = typeof key === 'number' ? key : String(key)
+
+  if (BLOCKED_PROPERTIES.has(name)) {
+    return undefined
+  }
+
+  // Negative indexes count from the end: items[-1]
+  if (Array.isArray(object) && typeof name === 'number' && name < 0) {
+    return object[object.length + name]
+  }
+
+  if (typeof object === 'string') {
+    return name === 'length' ? object.length : object[name]
+  }
+
+  return typeof object === 'object' && hasOwn(object, name) ? object[name] : undefined
+}
+
+class Evaluator {
+  constructor(scope, options) {
+    this.scope = scope || {}
+    this.functions = options.functions || {}
+    this.bareWords = options.bareWords || false
+    this.source = options.source || null
+  }
+
+  fail(message, node) {
+    throw new ExpressionError(message, node.position ?? null, this.source)
+  }
+
+  evaluate(node, inArguments = false) {
+    switch (node.type) {
+      case 'Literal':
+        return node.value
+
+      case 'Identifier':
+        if (hasOwn(this.scope, node.name)) {
+          return this.scope[node.name]
+        }
+        // Unknown bare words read as text in conditions and function arguments: date(iso), status == active
+        return this.bareWords || inArguments ? node.name : undefined
+
+      case 'Member':
+        return readProperty(this.evaluate(node.object), this.evaluate(node.property))
+
+      case 'Array':
+        return node.elements.map(element => this.evaluate(element))
+
+      case 'Object': {
+        const result = {}
+        for (const { key, value } of node.properties) {
+          if (!BLOCKED_PROPERTIES.has(key)) {
+            result[key] = this.evaluate(value)
+          }
+        }
+        return result
+      }
+
+      case 'Unary': {
+        const value = this.evaluate(node.argument)
+        if (node.operator === '!') return !value
+        if (node.operator === '-') return -Number(value)
+        return Number(value)
+      }
+
+      case 'Conditional':
+        return this.evaluate(node.test) ? this.evaluate(node.consequent) : this.evaluate(node.alternate)
+
+      case 'Binary':
+        return this.evaluateBinary(node)
+
+      case 'Call':
+        return this.evaluateCall(node)
+
+      default:
+        this.fail(`Unsupported expression "${node.type}"`, node)
+    }
+  }
+
+  evaluateBinary(node) {
+    const { operator } = node
+
+    // Short-circuit operators only evaluate the right side when needed
+    if (operator === '&&' || operator === 'and') {
+      const left = this.evaluate(node.left)
+      return left ? this.evaluate(node.right) : left
+    }
+
+    if (operator === '||' || operator === 'or') {
+      const left = this.evaluate(node.left)
+      return left ? left : this.evaluate(node.right)
+    }
+
+    if (operator === '??') {
+      const left = this.evaluate(node.left)
+      return left ?? this.evaluate(node.right)
+    }
+
+    const left = this.evaluate(node.left)
+    const right = this.evaluate(node.right)
+
+    switch (operator) {
+      case '==': return looseEquals(left, right)
+      case '!=': return !looseEquals(left, right)
+      case '===': return left === right
+      case '!==': return left !== right
+      case 'in': return contains(right, left)
+      case '<':
+      case '<=':
+      case '>':
+      case '>=':
+        return compare(operator, left, right)
+      default:
+        return arithmetic(operator, left, right)
+    }
+  }
+
+  evaluateCall(node) {
+    const name = node.name.toLowerCase()
+    const fn = hasOwn(this.functions, name) ? this.functions[name] : undefined
+
+    if (typeof fn !== 'function') {
+      this.fail(`Unknown function "${node.name}"`, node)
+    }
+
+    // A piped value is an ordinary expression; only real arguments fall back to bare words
+    const args = node.args.map((arg, index) => this.evaluate(arg, !(node.piped && index === 0)))
+
+    try {
+      return fn.apply({ scope: this.scope, functions: this.functions }, args)
+    } catch (error) {
+      if (error instanceof ExpressionError) throw error
+      this.fail(`${node.name}() failed: ${error.message}`, node)
+    }
+  }
+}
+
+/**
+ * Names of the variables a parsed AST reads (function names are not included)
+ */
+export function getReferencedNames(ast) {
+  const names = new Set()
+
+  const visit = node => {
+    if (Array.isArray(node)) {
+      node.forEach(visit)
+    } else if (node && typeof node === 'object') {
+      if (node.type === 'Identifier') names.add(node.name)
+      Object.values(node).forEach(visit)
+    }
+  }
+
+  visit(ast)
+  return [...names]
+}
+
+/**
+ * Evaluate a parsed AST against a scope of variables
+ *
+ * Options: `functions` (name → implementation, names lower-case; called with
+ * `this = { scope, functions }`), `bareWords` (unknown
+ * identifiers evaluate to their own name instead of undefined), `source` (for error messages).
+ */
+export function evaluateAst(ast, scope = {}, options = {}) {
+  return new Evaluator(scope, options).evaluate(ast)
+}
+
+/**
+ * Parse and evaluate an expression string
+ */
+export function evaluateExpression(source, scope = {}, options = {}) {
+  return evaluateAst(parseExpression(source), scope, { ...options, source })
+}
+
+// ============================================================================
+// TEMPLATES
+// ============================================================================
+
+/**
+ * Split a string into text and `{{ expression }}` segments
+ *
+ * Braces and quotes inside an expression are respected, so `{{ {a: {b: 1}} }}` and
+ * `{{ "}}" }}` are single expressions. An unterminated `{{` is left as text.
+ */
+export function parseTemplate(str) {
+  const segments = []
+  let textStart = 0
+  let index = 0
+
+  while ((index = str.indexOf('{{', index)) !== -1) {
+    const end = findTemplateEnd(str, index + 2)
+    if (end === -1) break
+
+    if (index > textStart) {
+      segments.push({ type: 'text', value: str.slice(textStart, index) })
+    }
+
+    segments.push({
+      type: 'expression',
+      source: str.slice(index + 2, end).trim(),
+      raw: str.slice(index, end + 2),
+      start: index,
+      end: end + 2
+    })
+
+    index = end + 2
+    textStart = index
+  }
+
+  if (textStart < str.length) {
+    segments.push({ type: 'text', value: str.slice(textStart) })
+  }
+
+  return segments
+}
+
+function findTemplateEnd(str, start) {
+  let depth = 0
+  let quote = null
+
+  for (let index = start; index < str.length; index++) {
+    const char = str[index]
+
+    if (quote) {
+      if (char === '\\') index++
+      else if (char === quote) quote = null
+      continue
+    }
+
+    if (char === '"' || char === "'") {
+      quote = char
+    } else if (char === '{') {
+      depth++
+    } else if (char === '}') {
+      if (depth === 0 && str[index + 1] === '}') return index
+      depth = Math.max(depth - 1, 0)
+    }
+  }
+
+  return -1
+}
@@ -0,0 +1,55 @@
+// @vitest-environment node
+import { ExpressionError, evaluateExpression, getReferencedNames, looseEquals, parseExpression, parseTemplate } from './expression.js'
+
+describe('expression parser', () => {
+  test('reports the position of syntax errors', () => {
+    expect(() => parseExpression('round(x')).toThrow('Expected ")" but found end of expression at position 7')
+    expect(() => parseExpression('a + * b')).toThrow(ExpressionError)
+    expect(() => parseExpression('"open')).toThrow('Unterminated string at position 0')
+    expect(() => parseExpression('')).toThrow('Expression is empty')
+  })
+
+  test('lists the variables an expression reads', () => {
+    expect(getReferencedNames(parseExpression('user?.name ?? items[index] | join(sep)'))).toEqual(['user', 'items', 'index', 'sep'])
+  })
+})
+
+describe('expression evaluator', () => {
+  const functions = { upper: value => String(value).toUpperCase(), fail: () => { throw new Error('boom') } }
+
+  test('evaluates operators with the usual precedence', () => {
+    expect(evaluateExpression('1 + 2 * 3 > 6 && !false', {})).toBe(true)
+    expect(evaluateExpression('count >= 10 ? "many" : "few"', { count: 12 })).toBe('many')
+    expect(evaluateExpression('missing ?? "fallback"', {})).toBe('fallback')
+    expect(evaluateExpression('"b" in tags', { tags: ['a', 'b'] })).toBe(true)
+  })
+
+  test('reads paths null-safely and never reaches prototypes', () => {
+    const scope = { user: null, items: [{ price: 1 }, { price: 2 }] }
+
+    expect(evaluateExpression('user?.name', scope)).toBeUndefined()
+    expect(evaluateExpression('user.name', scope)).toBeUndefined()
+    expect(evaluateExpression('items[-1].price', scope)).toBe(2)
+    expect(evaluateExpression('items.constructor', scope)).toBeUndefined()
+  })
+
+  test('compares numeric strings by value', () => {
+    expect(looseEquals('10', 10)).toBe(true)
+    expect(looseEquals(true, 'true')).toBe(true)
+    expect(looseEquals(null, undefined)).toBe(true)
+    expect(evaluateExpression('"9" < "10"', {})).toBe(true)
+  })
+
+  test('calls only whitelisted functions, through calls or filters', () => {
+    expect(evaluateExpression('name | upper', { name: 'ada' }, { functions })).toBe('ADA')
+    expect(() => evaluateExpression('nope(1)', {}, { functions })).toThrow('Unknown function "nope" at position 0')
+    expect(() => evaluateExpression('1 + fail()', {}, { functions })).toThrow('fail() failed: boom at position 4')
+  })
+})
+
+describe('parseTemplate', () => {
+  test('splits text from expressions, respecting nested braces and quotes', () => {
+    expect(parseTemplate('a {{ {x: {y: 1}} }} b {{ "}}" }}').map(segment => segment.type)).toEqual(['text', 'expression', 'text', 'expression'])
+    expect(parseTemplate('left {{ open')).toEqual([{ type: 'text', value: 'left {{ open' }])
+  })
+})
@@ -0,0 +1,605 @@
+/**
+ * 🧰 Expression Functions
+ * Function library for `{{ }}` expressions, callable as `round(price, 2)` or as a filter
+ * (`price | round(2)`, the piped value becomes the first argument)
+ */
+
+import { createHash, createHmac } from 'crypto'
+import { evaluateExpression, looseEquals, readProperty } from './expression.js'
+import { getDefaultTimeZone, getZonedParts, isValidTimeZone, zonedTimeToUtc } from './timezone.js'
+
+const HASH_ALGORITHMS = ['md5', 'sha1', 'sha256', 'sha384', 'sha512']
+const MAX_PATTERN_LENGTH = 1000
+
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+}
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' }
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December']
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+
+const DURATION_UNITS = {
+  millisecond: 1,
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function toArray(value) {
+  if (Array.isArray(value)) return value
+  if (value === null || value === undefined) return []
+  if (typeof value === 'object') return Object.values(value)
+  return [value]
+}
+
+/**
+ * Number from a value, tolerating currency symbols and grouping: "$1,234.50", "1.234,50 €", "12,50".
+ * Without an explicit `decimal` separator, the last of "." and "," is the decimal one when both
+ * appear; a lone "," is a thousands separator only when exactly three digits follow it.
+ */
+function toNumber(value, decimal) {
+  if (typeof value === 'number') return value
+  if (typeof value === 'boolean') return value ? 1 : 0
+  if (value === null || value === undefined || value === '') return NaN
+
+  if (decimal === undefined) {
+    const number = Number(value)
+    if (!Number.isNaN(number)) return number
+  }
+
+  const text = String(value).replace(/[^0-9.,-]/g, '')
+  const separator = decimal === undefined ? detectDecimalSeparator(text) : String(decimal)
+  const grouping = separator === ',' ? /\./g : /,/g
+
+  return parseFloat(text.replace(grouping, '').replace(separator, '.'))
+}
+
+function detectDecimalSeparator(text) {
+  const lastDot = text.lastIndexOf('.')
+  const lastComma = text.lastIndexOf(',')
+
+  if (lastDot !== -1 && lastComma !== -1) {
+    return lastDot > lastComma ? '.' : ','
+  }
+
+  if (lastComma !== -1) {
+    const single = text.indexOf(',') === lastComma
+    return single && !/^,\d{3}(?!\d)/.test(text.slice(lastComma)) ? ',' : '.'
+  }
+
+  return '.'
+}
+
+/**
+ * Read a field by name or dotted path (`customer.city`, `items[0].sku`), like `json_path`
+ */
+function readPath(value, path) {
+  const key = String(path)
+  return /[.[]/.test(key) && readProperty(value, key) === undefined ? jsonPath(value, key) : readProperty(value, key)
+}
+
+function toRegExp(pattern, flags = '') {
+  if (pattern instanceof RegExp) return pattern
+
+  const source = String(pattern)
+  if (source.length > MAX_PATTERN_LENGTH) {
+    throw new Error(`Pattern is longer than ${MAX_PATTERN_LENGTH} characters`)
+  }
+
+  return new RegExp(source, String(flags))
+}
+
+function toDate(value) {
+  const date = value instanceof Date ? new Date(value.getTime()) : new Date(value ?? Date.now())
+
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date "${value}"`)
+  }
+
+  return date
+}
+
+function resolveTimeZone(timeZone) {
+  if (timeZone === undefined || timeZone === null) {
+    return getDefaultTimeZone()
+  }
+
+  if (!isValidTimeZone(timeZone)) {
+    throw new Error(`Unknown time zone "${timeZone}"`)
+  }
+
+  return timeZone
+}
+
+function normalizeUnit(unit) {
+  const name = String(unit || 'day').toLowerCase().replace(/s$/, '')
+  const aliases = { ms: 'millisecond', sec: 'second', min: 'minute', hr: 'hour', h: 'hour', d: 'day', w: 'week', mon: 'month', y: 'year', yr: 'year' }
+  const normalized = aliases[name] || name
+
+  if (!DURATION_UNITS[normalized] && normalized !== 'month' && normalized !== 'year') {
+    throw new Error(`Unknown date unit "${unit}"`)
+  }
+
+  return normalized
+}
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0')
+}
+
+function formatOffset(offsetMinutes, separator) {
+  const sign = offsetMinutes < 0 ? '-' : '+'
+  const absolute = Math.abs(offsetMinutes)
+  return `${sign}${pad(Math.floor(absolute / 60))}${separator}${pad(absolute % 60)}`
+}
+
+/**
+ * Evaluate a per-item expression (`map(items, 'price * qty')`) with the item's fields,
+ * `item`, `index` and the surrounding variables in scope
+ */
+function evaluateForItem(context, expression, item, index) {
+  const scope = { ...context.scope }
+
+  if (item && typeof item === 'object' && !Array.isArray(item)) {
+    Object.assign(scope, item)
+  }
+  scope.item = item
+  scope.index = index
+
+  return evaluateExpression(String(expression), scope, { functions: context.functions })
+}
+
+/**
+ * Minimal JSONPath: `$.orders[0].items[*].sku`, `$['first name']`, `$..id`
+ */
+function jsonPath(value, path) {
+  const tokens = []
+  const pattern = /\.\.([\w$-]+|\*)|\.([\w$-]+|\*)|\[\s*(\*|-?\d+|'[^']*'|"[^"]*")\s*\]|^([\w$-]+)/g
+  const source = String(path).trim().replace(/^\$/, '')
+  let lastIndex = 0
+  let match
+
+  while ((match = pattern.exec(source)) !== null) {
+    if (match.index !== lastIndex) break
+    lastIndex = pattern.lastIndex
+
+    if (match[1]) tokens.push({ key: match[1], deep: true })
+    else if (match[2]) tokens.push({ key: match[2] })
+    else if (match[3]) tokens.push({ key: bracketKey(match[3]) })
+    else tokens.push({ key: match[4] })
+  }
+
+  if (lastIndex !== source.length) {
+    throw new Error(`Invalid JSON path "${path}" at position ${lastIndex + (String(path).trim().startsWith('$') ? 1 : 0)}`)
+  }
+
+  let results = [value]
+  let multiple = false
+
+  for (const { key, deep } of tokens) {
+    const next = []
+
+    for (const current of results) {
+      const candidates = deep ? collectDescendants(current) : [current]
+
+      for (const candidate of candidates) {
+        if (key === '*') {
+          next.push(...toArray(candidate && typeof candidate === 'object' ? candidate : undefined))
+        } else {
+          const found = readProperty(candidate, key)
+          if (found !== undefined) next.push(found)
+        }
+      }
+    }
+
+    multiple = multiple || deep || key === '*'
+    results = next
+  }
+
+  return multiple ? results : results[0]
+}
+
+function bracketKey(key) {
+  if (key === '*') return key
+  return /^['"]/.test(key) ? key.slice(1, -1) : Number(key)
+}
+
+function collectDescendants(value, found = []) {
+  found.push(value)
+
+  if (value && typeof value === 'object') {
+    for (const child of Object.values(value)) {
+      collectDescendants(child, found)
+    }
+  }
+
+  return found
+}
+
+// ============================================================================
+// FUNCTION LIBRARY
+// ============================================================================
+
+/**
+ * Functions receive evaluated arguments; `this` is `{ scope, functions }` of the calling expression
+ */
+export const EXPRESSION_FUNCTIONS = {
+  // Types
+  number(value, decimal) {
+    return toNumber(value, decimal)
+  },
+
+  string(value) {
+    if (value === null || value === undefined) return ''
+    return typeof value === 'object' ? JSON.stringify(value) : String(value)
+  },
+
+  boolean(value) {
+    if (typeof value === 'string') {
+      return !['', 'false', '0', 'no', 'off'].includes(value.trim().toLowerCase())
+    }
+    return Boolean(value)
+  },
+
+  json(value, indent = 0) {
+    return JSON.stringify(value, null, toNumber(indent) || 0)
+  },
+
+  parse_json(value) {
+    return typeof value === 'string' ? JSON.parse(value) : value
+  },
+
+  default(value, fallback) {
+    return value === null || value === undefined || value === '' ? fallback : value
+  },
+
+  // Numbers
+  round(value, decimals = 0) {
+    const number = toNumber(value)
+    const places = toNumber(decimals) || 0
+
+    // Shifting via exponent notation avoids binary errors such as round(1.005, 2) = 1
+    if (String(number).includes('e')) {
+      return Math.round(number * 10 ** places) / 10 ** places
+    }
+    return Number(`${Math.round(Number(`${number}e${places}`))}e-${places}`)
+  },
+
+  floor(value) {
+    return Math.floor(toNumber(value))
+  },
+
+  ceil(value) {
+    return Math.ceil(toNumber(value))
+  },
+
+  abs(value) {
+    return Math.abs(toNumber(value))
+  },
+
+  min(...values) {
+    return Math.min(...values.flatMap(toArray).map(toNumber))
+  },
+
+  max(...values) {
+    return Math.max(...values.flatMap(toArray).map(toNumber))
+  },
+
+  currency(value, code = 'USD', locale = 'en-US') {
+    return new Intl.NumberFormat(String(locale), { style: 'currency', currency: String(code) }).format(toNumber(value))
+  },
+
+  number_format(value, decimals = 2, locale = 'en-US') {
+    const places = toNumber(decimals) || 0
+    return new Intl.NumberFormat(String(locale), {
+      minimumFractionDigits: places,
+      maximumFractionDigits: places
+    }).format(toNumber(value))
+  },
+
+  // Strings
+  split(value, separator = ',', limit) {
+    if (value === null || value === undefined) return []
+    return String(value).split(String(separator), limit === undefined ? undefined : toNumber(limit))
+  },
+
+  join(value, separator = ',') {
+    return toArray(value)
+      .map(item => (item && typeof item === 'object' ? JSON.stringify(item) : item ?? ''))
+      .join(String(separator))
+  },
+
+  truncate(value, length = 50, suffix = '...') {
+    const text = String(value ?? '')
+    const max = toNumber(length)
+    return text.length > max ? text.slice(0, Math.max(max - String(suffix).length, 0)) + suffix : text
+  },
+
+  capitalize(value) {
+    const text = String(value ?? '')
+    return text.charAt(0).toUpperCase() + text.slice(1)
+  },
+
+  // Regular expressions
+  match(value, pattern, flags = '') {
+    return toRegExp(pattern, flags).test(String(value ?? ''))
+  },
+
+  extract(value, pattern, group, flags = '') {
+    const match = String(value ?? '').match(toRegExp(pattern, String(flags).replace('g', '')))
+    if (!match) return null
+
+    // Default to the first capture group when the pattern has one
+    const index = group ?? (match.length > 1 ? 1 : 0)
+    return match.groups && typeof index === 'string' ? match.groups[index] ?? null : match[index] ?? null
+  },
+
+  extract_all(value, pattern, group, flags = 'g') {
+    const regex = toRegExp(pattern, String(flags).includes('g') ? flags : `${flags}g`)
+
+    return [...String(value ?? '').matchAll(regex)].map(match => {
+      const index = group ?? (match.length > 1 ? 1 : 0)
+      return match.groups && typeof index === 'string' ? match.groups[index] ?? null : match[index] ?? null
+    })
+  },
+
+  // Collections
+  json_path(value, path) {
+    const data = typeof value === 'string' ? JSON.parse(value) : value
+    return jsonPath(data, path)
+  },
+
+  map(value, expression) {
+    return toArray(value).map((item, index) => evaluateForItem(this, expression, item, index))
+  },
+
+  filter(value, expression, expected) {
+    const items = toArray(value)
+
+    // filter(rows, 'customer.status', 'active') compares one field; filter(rows, 'price > 10') evaluates
+    if (expected !== undefined) {
+      return items.filter(item => looseEquals(readPath(item, expression), expected))
+    }
+
+    if (expression === undefined) {
+      return items.filter(Boolean)
+    }
+
+    return items.filter((item, index) => evaluateForItem(this, expression, item, index))
+  },
+
+  find(value, expression, expected) {
+    return EXPRESSION_FUNCTIONS.filter.call(this, value, expression, expected)[0]
+  },
+
+  sum(value, expression) {
+    const items = expression === undefined ? toArray(value) : EXPRESSION_FUNCTIONS.map.call(this, value, expression)
+    return items.reduce((total, item) => total + (toNumber(item) || 0), 0)
+  },
+
+  avg(value, expression) {
+    const items = toArray(value)
+    return items.length === 0 ? null : EXPRESSION_FUNCTIONS.sum.call(this, items, expression) / items.length
+  },
+
+  sort(value, expression, direction = 'asc') {
+    const keyed = toArray(value).map((item, index) => ({
+      item,
+      key: expression === undefined ? item : evaluateForItem(this, expression, item, index)
+    }))
+
+    keyed.sort((a, b) => {
+      const numeric = !Number.isNaN(toNumber(a.key)) && !Number.isNaN(toNumber(b.key))
+      return numeric ? toNumber(a.key) - toNumber(b.key) : String(a.key).localeCompare(String(b.key))
+    })
+
+    const sorted = keyed.map(entry => entry.item)
+    return String(direction).toLowerCase() === 'desc' ? sorted.reverse() : sorted
+  },
+
+  unique(value) {
+    const seen = new Set()
+    return toArray(value).filter(item => {
+      const key = item && typeof item === 'object' ? JSON.stringify(item) : `${typeof item}:${item}`
+      if (seen.has(key)) return false
+      seen.add(key)
+      return true
+    })
+  },
+
+  first(value) {
+    return typeof value === 'string' ? value.charAt(0) : toArray(value)[0]
+  },
+
+  last(value) {
+    return typeof value === 'string' ? value.charAt(value.length - 1) : toArray(value).at(-1)
+  },
+
+  reverse(value) {
+    return typeof value === 'string' ? [...value].reverse().join('') : [...toArray(value)].reverse()
+  },
+
+  flatten(value, depth = 1) {
+    return toArray(value).flat(toNumber(depth))
+  },
+
+  keys(value) {
+    return value && typeof value === 'object' ? Object.keys(value) : []
+  },
+
+  values(value) {
+    return value && typeof value === 'object' ? Object.values(value) : []
+  },
+
+  // Encoding
+  base64_encode(value) {
+    return Buffer.from(EXPRESSION_FUNCTIONS.string(value), 'utf8').toString('base64')
+  },
+
+  base64_decode(value) {
+    return Buffer.from(String(value ?? ''), 'base64').toString('utf8')
+  },
+
+  url_encode(value) {
+    return encodeURIComponent(EXPRESSION_FUNCTIONS.string(value))
+  },
+
+  url_decode(value) {
+    return decodeURIComponent(String(value ?? '').replace(/\+/g, ' '))
+  },
+
+  html_encode(value) {
+    return EXPRESSION_FUNCTIONS.string(value).replace(/[&<>"']/g, char => HTML_ENTITIES[char])
+  },
+
+  html_decode(value) {
+    return String(value ?? '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10)
+        return point <= 0x10ffff ? String.fromCodePoint(point) : entity
+      }
+      return NAMED_ENTITIES[code.toLowerCase()] ?? entity
+    })
+  },
+
+  // Hashing
+  hash(value, algorithm = 'sha256', encoding = 'hex') {
+    const name = String(algorithm).toLowerCase()
+    if (!HASH_ALGORITHMS.includes(name)) {
+      throw new Error(`Unsupported hash algorithm "${algorithm}" (use ${HASH_ALGORITHMS.join(', ')})`)
+    }
+    return createHash(name).update(EXPRESSION_FUNCTIONS.string(value)).digest(encoding === 'base64' ? 'base64' : 'hex')
+  },
+
+  hmac(value, key, algorithm = 'sha256', encoding = 'hex') {
+    const name = String(algorithm).toLowerCase()
+    if (!HASH_ALGORITHMS.includes(name)) {
+      throw new Error(`Unsupported hash algorithm "${algorithm}" (use ${HASH_ALGORITHMS.join(', ')})`)
+    }
+    return createHmac(name, String(key ?? '')).update(EXPRESSION_FUNCTIONS.string(value)).digest(encoding === 'base64' ? 'base64' : 'hex')
+  },
+
+  md5(value) {
+    return EXPRESSION_FUNCTIONS.hash(value, 'md5')
+  },
+
+  sha256(value) {
+    return EXPRESSION_FUNCTIONS.hash(value, 'sha256')
+  },
+
+  // Dates
+  now() {
+    return new Date().toISOString()
+  },
+
+  to_date(value) {
+    return toDate(value).toISOString()
+  },
+
+  /**
+   * Add (or with a negative amount, subtract) time; days and longer follow the calendar of `timeZone`
+   */
+  date_add(value, amount, unit = 'day', timeZone) {
+    const date = toDate(value)
+    const count = toNumber(amount)
+    const name = normalizeUnit(unit)
+
+    if (!Number.isFinite(count)) {
+      throw new Error(`Invalid amount "${amount}"`)
+    }
+
+    if (name !== 'day' && name !== 'week' && name !== 'month' && name !== 'year') {
+      return new Date(date.getTime() + count * DURATION_UNITS[name]).toISOString()
+    }
+
+    // Calendar units keep the wall-clock time across DST changes; month ends clamp (Jan 31 + 1 month = Feb 28)
+    const zone = resolveTimeZone(timeZone)
+    const parts = getZonedParts(date, zone)
+    let { year, month, day } = parts
+
+    if (name === 'day' || name === 'week') {
+      const shifted = new Date(Date.UTC(year, month - 1, day + count * (name === 'week' ? 7 : 1)))
+      year = shifted.getUTCFullYear()
+      month = shifted.getUTCMonth() + 1
+      day = shifted.getUTCDate()
+    } else {
+      const totalMonths = year * 12 + (month - 1) + count * (name === 'year' ? 12 : 1)
+      year = Math.floor(totalMonths / 12)
+      month = (totalMonths % 12) + 1
+      day = Math.min(day, new Date(Date.UTC(year, month, 0)).getUTCDate())
+    }
+
+    const result = zonedTimeToUtc({ year, month, day, hour: parts.hour, minute: parts.minute, second: parts.second }, zone)
+    return new Date(result.getTime() + date.getUTCMilliseconds()).toISOString()
+  },
+
+  date_diff(start, end, unit = 'day') {
+    const name = normalizeUnit(unit)
+    const from = toDate(start)
+    const to = toDate(end)
+
+    if (name === 'month' || name === 'year') {
+      const months = (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + (to.getUTCMonth() - from.getUTCMonth())
+      return name === 'year' ? Math.trunc(months / 12) : months
+    }
+
+    return Math.trunc((to.getTime() - from.getTime()) / DURATION_UNITS[name])
+  },
+
+  /**
+   * Format a date in a time zone: `yyyy-MM-dd HH:mm`, `EEE d MMM`, `hh:mm a`, `XXX` (offset);
+   * `YYYY`/`YY`/`DD`/`D` are accepted for year and day. Text in single quotes is copied as is,
+   * and any other letters are rejected rather than printed
+   */
+  date_format(value, pattern = "yyyy-MM-dd'T'HH:mm:ssXXX", timeZone) {
+    const date = toDate(value)
+    const zone = resolveTimeZone(timeZone)
+    const parts = getZonedParts(date, zone)
+    const offset = Math.round((Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(date.getTime() / 1000) * 1000) / 60000)
+    const hour12 = parts.hour % 12 || 12
+
+    const tokens = {
+      yyyy: () => String(parts.year),
+      yy: () => pad(parts.year % 100),
+      MMMM: () => MONTH_NAMES[parts.month - 1],
+      MMM: () => MONTH_NAMES[parts.month - 1].slice(0, 3),
+      MM: () => pad(parts.month),
+      M: () => String(parts.month),
+      dd: () => pad(parts.day),
+      d: () => String(parts.day),
+      EEEE: () => WEEKDAY_NAMES[parts.weekday],
+      EEE: () => WEEKDAY_NAMES[parts.weekday].slice(0, 3),
+      HH: () => pad(parts.hour),
+      H: () => String(parts.hour),
+      hh: () => pad(hour12),
+      h: () => String(hour12),
+      mm: () => pad(parts.minute),
+      ss: () => pad(parts.second),
+      SSS: () => pad(date.getUTCMilliseconds(), 3),
+      a: () => (parts.hour < 12 ? 'AM' : 'PM'),
+      XXX: () => (offset === 0 ? 'Z' : formatOffset(offset, ':')),
+      Z: () => formatOffset(offset, '')
+    }
+    Object.assign(tokens, { YYYY: tokens.yyyy, YY: tokens.yy, DD: tokens.dd, D: tokens.d })
+
+    return String(pattern).replace(/'([^']*)'|yyyy|YYYY|yy|YY|MMMM|MMM|MM|M|dd|DD|d|D|EEEE|EEE|HH|H|hh|h|mm|ss|SSS|a|XXX|Z|[A-Za-z]/g, (token, literal) => {
+      if (literal !== undefined) return literal
+      if (!tokens[token]) {
+        throw new Error(`Unknown date_format token "${token}" (put literal text in single quotes)`)
+      }
+      return tokens[token]()
+    })
+  }
+}
@@ -0,0 +1,83 @@
+// @vitest-environment node
+import { EXPRESSION_FUNCTIONS } from './expressionFunctions.js'
+import { evaluateExpression } from './expression.js'
+
+const {
+  number, round, currency, filter, find, json_path, extract, hash, html_decode, date_add, date_diff, date_format
+} = EXPRESSION_FUNCTIONS
+
+const evaluate = (source, scope = {}) => evaluateExpression(source, scope, { functions: EXPRESSION_FUNCTIONS })
+
+describe('number', () => {
+  test('detects the decimal separator', () => {
+    expect(number('12,50 €')).toBe(12.5)
+    expect(number('$1,234.50')).toBe(1234.5)
+    expect(number('1.234,50 €')).toBe(1234.5)
+    expect(number('1 234 567,89')).toBe(1234567.89)
+    expect(number('1,234')).toBe(1234)
+    expect(number('Price 1,50')).toBe(1.5)
+    expect(number('abc')).toBeNaN()
+  })
+
+  test('takes an explicit decimal separator', () => {
+    expect(number('1,234', ',')).toBe(1.234)
+    expect(number('1.234,5', ',')).toBe(1234.5)
+  })
+})
+
+describe('numbers and text', () => {
+  test('rounds without binary errors', () => {
+    expect(round(1.005, 2)).toBe(1.01)
+    expect(evaluate('price | number | round(1)', { price: '12,46 €' })).toBe(12.5)
+  })
+
+  test('formats currency in a locale', () => {
+    expect(currency(1234.5, 'EUR', 'en-US')).toBe('€1,234.50')
+  })
+
+  test('extracts, hashes and decodes', () => {
+    expect(extract('Order #123', '#(\\d+)')).toBe('123')
+    expect(hash('abc', 'md5')).toBe('900150983cd24fb0d6963f7d28e17f72')
+    expect(html_decode('&lt;b&gt; &amp; &#39;')).toBe("<b> & '")
+  })
+})
+
+describe('collections', () => {
+  const rows = [
+    { id: 1, customer: { city: 'Berlin' }, total: 5 },
+    { id: 2, customer: { city: 'Paris' }, total: 20 },
+    { id: 3, 'first name': 'Ada', total: 30 }
+  ]
+
+  test('filters by a field path, like json_path reads it', () => {
+    expect(filter(rows, 'customer.city', 'Paris').map(row => row.id)).toEqual([2])
+    expect(find(rows, 'first name', 'Ada').id).toBe(3)
+    expect(json_path(rows, '$[*].customer.city')).toEqual(['Berlin', 'Paris'])
+  })
+
+  test('evaluates per-item expressions with the surrounding variables', () => {
+    expect(evaluate("rows | filter('total > minimum') | map('id')", { rows, minimum: 10 })).toEqual([2, 3])
+    expect(evaluate("rows | sum('total')", { rows })).toBe(55)
+    expect(evaluate("rows | sort('total', 'desc') | first", { rows }).id).toBe(3)
+  })
+})
+
+describe('dates', () => {
+  test('adds calendar days across a DST change in the time zone', () => {
+    expect(date_add('2024-03-30T10:00:00Z', 1, 'day', 'Europe/Berlin')).toBe('2024-03-31T09:00:00.000Z')
+    expect(date_add('2024-01-31T00:00:00Z', 1, 'month', 'UTC')).toBe('2024-02-29T00:00:00.000Z')
+    expect(date_diff('2024-01-01T00:00:00Z', '2024-01-08T00:00:00Z', 'week')).toBe(1)
+  })
+
+  test('formats dates with lowercase or uppercase year and day tokens', () => {
+    const date = '2024-05-01T08:05:09Z'
+
+    expect(date_format(date, "yyyy-MM-dd'T'HH:mm:ssXXX", 'Europe/Berlin')).toBe('2024-05-01T10:05:09+02:00')
+    expect(date_format(date, 'YYYY-MM-DD', 'UTC')).toBe('2024-05-01')
+    expect(date_format(date, 'EEE d MMM, hh:mm a', 'UTC')).toBe('Wed 1 May, 08:05 AM')
+  })
+
+  test('rejects unknown letters instead of printing them', () => {
+    expect(() => date_format('2024-05-01T08:05:09Z', 'yyyy-MM-ddTHH', 'UTC')).toThrow('Unknown date_format token "T"')
+  })
+})
@@ -0,0 +1,219 @@
+/**
+ * 📝 Input Schema
+ * Typed inputs and named outputs a workflow declares, checked before every run
+ */
+
+import { registerSecretValues } from './secretRedaction.js'
+
+export const INPUT_TYPES = ['string', 'number', 'boolean', 'date', 'enum', 'secret']
+
+// Input and output names become variables, so they follow identifier rules
+const FIELD_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/
+
+/**
+ * Raised when run inputs do not match the workflow's input schema; `errors` lists every problem
+ */
+export class InputValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid workflow inputs: ${errors.join('; ')}`)
+    this.name = 'InputValidationError'
+    this.errors = errors
+  }
+}
+
+function compilePattern(pattern) {
+  try {
+    return new RegExp(pattern)
+  } catch {
+    return null
+  }
+}
+
+// ============================================================================
+// SCHEMA VALIDATION
+// ============================================================================
+
+/**
+ * Describe everything wrong with a declared input schema (an array of field definitions)
+ */
+export function getInputSchemaErrors(schema) {
+  if (schema === undefined || schema === null) {
+    return []
+  }
+
+  if (!Array.isArray(schema)) {
+    return ['Input schema must be an array of fields']
+  }
+
+  const errors = []
+  const seen = new Set()
+
+  schema.forEach((field, index) => {
+    const label = field?.name ? `Input "${field.name}"` : `Input #${index + 1}`
+
+    if (!field || typeof field !== 'object') {
+      errors.push(`${label} must be an object`)
+      return
+    }
+
+    if (typeof field.name !== 'string' || !FIELD_NAME_PATTERN.test(field.name) || field.name === 'secret') {
+      errors.push(`${label}: name must be an identifier other than "secret"`)
+    } else if (seen.has(field.name)) {
+      errors.push(`${label} is declared twice`)
+    }
+    seen.add(field.name)
+
+    if (!INPUT_TYPES.includes(field.type)) {
+      errors.push(`${label}: type must be one of ${INPUT_TYPES.join(', ')}`)
+    }
+
+    if (field.type === 'enum' && (!Array.isArray(field.options) || field.options.length === 0)) {
+      errors.push(`${label}: enum inputs need a non-empty options list`)
+    }
+
+    if (field.pattern !== undefined && (typeof field.pattern !== 'string' || !compilePattern(field.pattern))) {
+      errors.push(`${label}: pattern is not a valid regular expression`)
+    }
+
+    if (field.default !== undefined && !errors.some(error => error.startsWith(label))) {
+      const defaultError = checkValue(field, field.default).error
+      if (defaultError) errors.push(`${label}: default ${defaultError}`)
+    }
+  })
+
+  return errors
+}
+
+/**
+ * Describe everything wrong with a declared output schema (an array of `{ name, description }`)
+ */
+export function getOutputSchemaErrors(schema) {
+  if (schema === undefined || schema === null) {
+    return []
+  }
+
+  if (!Array.isArray(schema)) {
+    return ['Output schema must be an array of fields']
+  }
+
+  return schema
+    .map((field, index) => typeof field?.name === 'string' && FIELD_NAME_PATTERN.test(field.name)
+      ? null
+      : `Output #${index + 1}: name must be an identifier`)
+    .filter(Boolean)
+}
+
+// ============================================================================
+// INPUT VALIDATION
+// ============================================================================
+
+/**
+ * Check (and coerce) one value against its field; form and template values arrive as strings
+ */
+function checkValue(field, value) {
+  switch (field.type) {
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        return { error: 'must be a number' }
+      }
+      return { value: number }
+    }
+
+    case 'boolean':
+      if (value === true || value === 'true') return { value: true }
+      if (value === false || value === 'false') return { value: false }
+      return { error: 'must be true or false' }
+
+    case 'date':
+      if ((typeof value !== 'string' && !(value instanceof Date)) || Number.isNaN(new Date(value).getTime())) {
+        return { error: 'must be a date (ISO 8601, e.g. 2024-05-01)' }
+      }
+      return { value: value instanceof Date ? value.toISOString() : value }
+
+    case 'enum':
+      if (!field.options?.includes(value)) {
+        return { error: `must be one of ${(field.options || []).join(', ')}` }
+      }
+      return { value }
+
+    default:
+      if (typeof value !== 'string') {
+        return { error: 'must be a string' }
+      }
+      if (field.pattern && !compilePattern(field.pattern)?.test(value)) {
+        return { error: `does not match pattern ${field.pattern}` }
+      }
+      return { value }
+  }
+}
+
+/**
+ * Validate run inputs against a schema: defaults are applied, values coerced to their type,
+ * and `secret` values registered for redaction in `redactionScope`. Workflows without a schema
+ * accept anything.
+ */
+export function validateInputs(schema, inputs = {}, { redactionScope } = {}) {
+  if (!Array.isArray(schema) || schema.length === 0) {
+    return { values: { ...inputs }, errors: [] }
+  }
+
+  if (!inputs || typeof inputs !== 'object' || Array.isArray(inputs)) {
+    return { values: {}, errors: ['Inputs must be an object'] }
+  }
+
+  const values = {}
+  const errors = []
+  const declared = new Set(schema.map(field => field.name))
+
+  for (const name of Object.keys(inputs)) {
+    if (!declared.has(name)) {
+      errors.push(`Unknown input "${name}"`)
+    }
+  }
+
+  for (const field of schema) {
+    const provided = inputs[field.name]
+    const missing = provided === undefined || provided === null || provided === ''
+
+    if (missing) {
+      if (field.default !== undefined) {
+        values[field.name] = field.default
+      } else if (field.required) {
+        errors.push(`Input "${field.name}" is required`)
+      }
+      continue
+    }
+
+    const { value, error } = checkValue(field, provided)
+    if (error) {
+      errors.push(`Input "${field.name}" ${error}`)
+    } else {
+      values[field.name] = value
+    }
+  }
+
+  if (redactionScope) {
+    registerSecretValues(redactionScope, getSecretInputNames(schema).map(name => values[name]))
+  }
+
+  return { values, errors }
+}
+
+/**
+ * Names of the inputs a schema declares as `secret`
+ */
+export function getSecretInputNames(schema) {
+  return Array.isArray(schema) ? schema.filter(field => field.type === 'secret').map(field => field.name) : []
+}
+
+/**
+ * Values of the declared outputs, taken from an execution's final variables
+ */
+export function collectOutputs(schema, variables = {}) {
+  if (!Array.isArray(schema) || schema.length === 0) {
+    return null
+  }
+
+  return Object.fromEntries(schema.map(field => [field.name, variables[field.name] ?? null]))
+}
@@ -0,0 +1,88 @@
+// @vitest-environment node
+import {
+  collectOutputs,
+  getInputSchemaErrors,
+  getOutputSchemaErrors,
+  getSecretInputNames,
+  validateInputs
+} from './inputSchema.js'
+import { REDACTED, getRedactionScope, redactSecrets } from './secretRedaction.js'
+
+const schema = [
+  { name: 'invoice_id', type: 'string', required: true, pattern: '^INV-\\d+$' },
+  { name: 'amount', type: 'number', default: 0 },
+  { name: 'paid', type: 'boolean' },
+  { name: 'due', type: 'date' },
+  { name: 'region', type: 'enum', options: ['eu', 'us'], default: 'eu' },
+  { name: 'token', type: 'secret' }
+]
+
+describe('getInputSchemaErrors', () => {
+  test('accepts a valid schema and no schema at all', () => {
+    expect(getInputSchemaErrors(schema)).toEqual([])
+    expect(getInputSchemaErrors(undefined)).toEqual([])
+  })
+
+  test('reports every problem with a field', () => {
+    expect(getInputSchemaErrors([
+      { name: 'x', type: 'enum' },
+      { name: 'x', type: 'weird' },
+      { name: 'secret', type: 'string' },
+      { name: 'n', type: 'number', default: 'abc' },
+      { name: 'p', type: 'string', pattern: '(' }
+    ])).toEqual([
+      'Input "x": enum inputs need a non-empty options list',
+      'Input "x" is declared twice',
+      'Input "x": type must be one of string, number, boolean, date, enum, secret',
+      'Input "secret": name must be an identifier other than "secret"',
+      'Input "n": default must be a number',
+      'Input "p": pattern is not a valid regular expression'
+    ])
+  })
+
+  test('checks output names', () => {
+    expect(getOutputSchemaErrors([{ name: 'total' }, { name: '1st' }])).toEqual(['Output #2: name must be an identifier'])
+  })
+})
+
+describe('validateInputs', () => {
+  test('applies defaults and coerces form strings', () => {
+    expect(validateInputs(schema, { invoice_id: 'INV-12', amount: '3.5', paid: 'true', due: '2024-05-01' })).toEqual({
+      values: { invoice_id: 'INV-12', amount: 3.5, paid: true, due: '2024-05-01', region: 'eu' },
+      errors: []
+    })
+  })
+
+  test('lists every invalid, missing and undeclared input', () => {
+    const { errors } = validateInputs(schema, { amount: 'abc', paid: 'yes', due: 'nope', region: 'asia', extra: 1 })
+
+    expect(errors).toEqual([
+      'Unknown input "extra"',
+      'Input "invoice_id" is required',
+      'Input "amount" must be a number',
+      'Input "paid" must be true or false',
+      'Input "due" must be a date (ISO 8601, e.g. 2024-05-01)',
+      'Input "region" must be one of eu, us'
+    ])
+  })
+
+  test('accepts anything when the workflow declares no inputs', () => {
+    expect(validateInputs([], { anything: 1 })).toEqual({ values: { anything: 1 }, errors: [] })
+  })
+
+  test('registers secret inputs for redaction in the given scope only', () => {
+    const redactionScope = getRedactionScope({ organizationId: 'org-inputs' })
+    validateInputs(schema, { invoice_id: 'INV-1', token: 'tok-input-secret' }, { redactionScope })
+
+    expect(getSecretInputNames(schema)).toEqual(['token'])
+    expect(redactSecrets('tok-input-secret', redactionScope)).toBe(REDACTED)
+    expect(redactSecrets('tok-input-secret', getRedactionScope({ organizationId: 'org-other' }))).toBe('tok-input-secret')
+  })
+})
+
+describe('collectOutputs', () => {
+  test('picks the declared outputs from the final variables', () => {
+    expect(collectOutputs([{ name: 'total' }, { name: 'missing' }], { total: 3, other: 1 })).toEqual({ total: 3, missing: null })
+    expect(collectOutputs([], { total: 3 })).toBeNull()
+  })
+})
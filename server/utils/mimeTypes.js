@@ -0,0 +1,49 @@
+/**
+ * 🏷️ MIME Types
+ * Content types of the files steps read, write and download
+ */
+
+import path from 'path'
+
+const MIME_TYPES = {
+  '.txt': 'text/plain',
+  '.log': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+  '.tsv': 'text/tab-separated-values',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.css': 'text/css',
+  '.js': 'text/javascript',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.yaml': 'application/yaml',
+  '.yml': 'application/yaml',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.xls': 'application/vnd.ms-excel',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.mp3': 'audio/mpeg',
+  '.mp4': 'video/mp4'
+}
+
+export const DEFAULT_MIME_TYPE = 'application/octet-stream'
+
+export function getMimeType(filename) {
+  return MIME_TYPES[path.extname(filename || '').toLowerCase()] || DEFAULT_MIME_TYPE
+}
+
+/**
+ * Whether a file of this type is readable as text
+ */
+export function isTextMimeType(mimeType) {
+  return mimeType.startsWith('text/') || ['application/json', 'application/xml', 'application/yaml', 'image/svg+xml'].includes(mimeType)
+}
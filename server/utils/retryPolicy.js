@@ -0,0 +1,122 @@
+/**
+ * 🔁 Retry Policy
+ * Normalizes per-step retry settings, classifies step errors and computes backoff delays
+ */
+
+export const ERROR_CLASSES = {
+  TIMEOUT: 'timeout',
+  NETWORK: 'network',
+  ELEMENT_NOT_FOUND: 'element_not_found',
+  RATE_LIMITED: 'rate_limited',
+  SERVER_ERROR: 'server_error',
+  CLIENT_ERROR: 'client_error',
+  UNKNOWN: 'unknown'
+}
+
+// Transient failures worth another attempt unless a policy says otherwise
+const DEFAULT_RETRYABLE = [
+  ERROR_CLASSES.TIMEOUT,
+  ERROR_CLASSES.NETWORK,
+  ERROR_CLASSES.ELEMENT_NOT_FOUND,
+  ERROR_CLASSES.RATE_LIMITED,
+  ERROR_CLASSES.SERVER_ERROR
+]
+
+const MAX_ATTEMPTS = 10
+const MAX_DELAY = 5 * 60 * 1000
+
+const MESSAGE_PATTERNS = [
+  [ERROR_CLASSES.TIMEOUT, /timed? ?out|timeout/i],
+  [ERROR_CLASSES.NETWORK, /ECONNRESET|ECONNREFUSED|ENOTFOUND|EAI_AGAIN|EPIPE|socket hang up|fetch failed|network|net::ERR_/i],
+  [ERROR_CLASSES.ELEMENT_NOT_FOUND, /no node found|failed to find element|waiting for selector|element not found|not visible/i],
+  [ERROR_CLASSES.RATE_LIMITED, /\b429\b|too many requests|rate limit/i],
+  [ERROR_CLASSES.SERVER_ERROR, /\b5\d\d\b/],
+  [ERROR_CLASSES.CLIENT_ERROR, /\b4\d\d\b/]
+]
+
+/**
+ * Classify a failed step result (or an Error) into one of ERROR_CLASSES
+ */
+export function classifyStepError(failure = {}) {
+  const status = failure.status ?? failure.statusCode
+
+  if (typeof status === 'number') {
+    if (status === 429) return ERROR_CLASSES.RATE_LIMITED
+    if (status >= 500) return ERROR_CLASSES.SERVER_ERROR
+    if (status >= 400) return ERROR_CLASSES.CLIENT_ERROR
+  }
+
+  const message = failure.error || failure.message || ''
+
+  for (const [errorClass, pattern] of MESSAGE_PATTERNS) {
+    if (pattern.test(message)) {
+      return errorClass
+    }
+  }
+
+  return ERROR_CLASSES.UNKNOWN
+}
+
+/**
+ * Build a retry policy from step settings
+ *
+ * Accepts `{ maxAttempts | retries, backoff: 'fixed' | 'exponential', delay, maxDelay, jitter, retryOn }`
+ * with delays in milliseconds. Returns null when the step should not be retried.
+ */
+export function normalizeRetryPolicy(settings) {
+  if (!settings || typeof settings !== 'object') {
+    return null
+  }
+
+  const retries = settings.maxAttempts !== undefined
+    ? parseInt(settings.maxAttempts) - 1
+    : parseInt(settings.retries ?? settings.maxRetries)
+
+  if (!Number.isFinite(retries) || retries <= 0) {
+    return null
+  }
+
+  const jitter = settings.jitter === true ? 0.5 : Math.min(Math.max(parseFloat(settings.jitter) || 0, 0), 1)
+
+  return {
+    maxAttempts: Math.min(retries + 1, MAX_ATTEMPTS),
+    backoff: settings.backoff === 'exponential' ? 'exponential' : 'fixed',
+    delay: Math.max(parseInt(settings.delay) || 1000, 0),
+    maxDelay: Math.min(parseInt(settings.maxDelay) || MAX_DELAY, MAX_DELAY),
+    multiplier: parseFloat(settings.multiplier) || 2,
+    jitter,
+    retryOn: Array.isArray(settings.retryOn) && settings.retryOn.length > 0
+      ? settings.retryOn
+      : DEFAULT_RETRYABLE
+  }
+}
+
+/**
+ * Whether a failed attempt should be retried
+ */
+export function shouldRetry(policy, errorClass, attempt) {
+  if (!policy || attempt >= policy.maxAttempts) {
+    return false
+  }
+
+  return policy.retryOn.includes('all') || policy.retryOn.includes(errorClass)
+}
+
+/**
+ * Delay in milliseconds before the attempt following `attempt` (1-based)
+ */
+export function getRetryDelay(policy, attempt) {
+  const base = policy.backoff === 'exponential'
+    ? policy.delay * Math.pow(policy.multiplier, attempt - 1)
+    : policy.delay
+
+  const capped = Math.min(base, policy.maxDelay)
+
+  if (!policy.jitter) {
+    return capped
+  }
+
+  // Spread retries out by up to +/- jitter of the delay
+  const spread = capped * policy.jitter
+  return Math.max(0, Math.round(capped - spread + Math.random() * spread * 2))
+}
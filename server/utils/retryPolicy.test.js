@@ -0,0 +1,61 @@
+// @vitest-environment node
+import { ERROR_CLASSES, classifyStepError, getRetryDelay, normalizeRetryPolicy, shouldRetry } from './retryPolicy.js'
+
+describe('classifyStepError', () => {
+  test('classifies by status code, then by message', () => {
+    expect(classifyStepError({ status: 429 })).toBe(ERROR_CLASSES.RATE_LIMITED)
+    expect(classifyStepError({ statusCode: 503 })).toBe(ERROR_CLASSES.SERVER_ERROR)
+    expect(classifyStepError({ status: 404, error: 'timed out' })).toBe(ERROR_CLASSES.CLIENT_ERROR)
+    expect(classifyStepError(new Error('Navigation timeout of 30000 ms exceeded'))).toBe(ERROR_CLASSES.TIMEOUT)
+    expect(classifyStepError({ error: 'net::ERR_CONNECTION_RESET' })).toBe(ERROR_CLASSES.NETWORK)
+    expect(classifyStepError({ error: 'No node found for selector: #buy' })).toBe(ERROR_CLASSES.ELEMENT_NOT_FOUND)
+    expect(classifyStepError({ error: 'Unknown step type: x' })).toBe(ERROR_CLASSES.UNKNOWN)
+  })
+})
+
+describe('normalizeRetryPolicy', () => {
+  test('returns null when the step should not be retried', () => {
+    expect(normalizeRetryPolicy(undefined)).toBeNull()
+    expect(normalizeRetryPolicy({ retries: 0 })).toBeNull()
+    expect(normalizeRetryPolicy({ maxAttempts: 1 })).toBeNull()
+  })
+
+  test('fills in defaults and caps attempts and delays', () => {
+    expect(normalizeRetryPolicy({ retries: 50, maxDelay: 10 * 60 * 1000, jitter: true })).toEqual({
+      maxAttempts: 10,
+      backoff: 'fixed',
+      delay: 1000,
+      maxDelay: 5 * 60 * 1000,
+      multiplier: 2,
+      jitter: 0.5,
+      retryOn: ['timeout', 'network', 'element_not_found', 'rate_limited', 'server_error']
+    })
+  })
+})
+
+describe('retries', () => {
+  test('retry only listed error classes while attempts remain', () => {
+    const policy = normalizeRetryPolicy({ maxAttempts: 3, retryOn: ['timeout'] })
+
+    expect(shouldRetry(policy, 'timeout', 2)).toBe(true)
+    expect(shouldRetry(policy, 'timeout', 3)).toBe(false)
+    expect(shouldRetry(policy, 'network', 1)).toBe(false)
+    expect(shouldRetry(normalizeRetryPolicy({ retries: 1, retryOn: ['all'] }), 'unknown', 1)).toBe(true)
+  })
+
+  test('back off exponentially up to the maximum delay', () => {
+    const policy = normalizeRetryPolicy({ retries: 5, backoff: 'exponential', delay: 100, maxDelay: 500 })
+
+    expect([1, 2, 3, 4].map(attempt => getRetryDelay(policy, attempt))).toEqual([100, 200, 400, 500])
+  })
+
+  test('spread delays by the jitter fraction', () => {
+    const policy = normalizeRetryPolicy({ retries: 1, delay: 1000, jitter: 0.2 })
+
+    for (let i = 0; i < 20; i++) {
+      const delay = getRetryDelay(policy, 1)
+      expect(delay).toBeGreaterThanOrEqual(800)
+      expect(delay).toBeLessThanOrEqual(1200)
+    }
+  })
+})
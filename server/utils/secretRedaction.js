@@ -0,0 +1,122 @@
+/**
+ * 🙈 Secret Redaction
+ * Masks known secret values in step results, WebSocket messages and log output
+ *
+ * Redaction is for display only: state an execution resumes from is stored unredacted (and
+ * encrypted), since a masked value can never be turned back into the secret.
+ */
+
+export const REDACTED = '[REDACTED]'
+
+// Shorter values would mask ordinary words and numbers all over the output
+const MIN_REDACTED_LENGTH = 4
+
+// Redaction scope → masked values and the pattern matching them
+const scopes = new Map()
+let combinedPattern = null
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+function buildPattern(values) {
+  // Longest first so a secret containing another secret is masked whole
+  const sorted = [...values].sort((a, b) => b.length - a.length)
+  return sorted.length > 0 ? new RegExp(sorted.map(escapeRegExp).join('|'), 'g') : null
+}
+
+/**
+ * Common encodings of a value that end up in URLs, headers and payloads
+ */
+function getVariants(value) {
+  return [
+    value,
+    encodeURIComponent(value),
+    Buffer.from(value, 'utf8').toString('base64'),
+    JSON.stringify(value).slice(1, -1)
+  ].filter(variant => variant.length >= MIN_REDACTED_LENGTH)
+}
+
+/**
+ * Scope an execution's secrets are masked in: its organization, or its user for personal
+ * workflows, so one tenant's secrets never mask another tenant's output
+ */
+export function getRedactionScope({ organizationId, userId } = {}) {
+  return organizationId ? `org:${organizationId}` : `user:${userId}`
+}
+
+/**
+ * Start masking secret values (plain, URL-encoded, base64 and JSON-escaped) in a scope
+ *
+ * Values stay masked for the life of the process, so rotated secrets are still hidden
+ * in output from executions that loaded the old value.
+ */
+export function registerSecretValues(scope, values) {
+  if (!scopes.has(scope)) {
+    scopes.set(scope, { values: new Set(), pattern: null })
+  }
+
+  const entry = scopes.get(scope)
+  let changed = false
+
+  for (const value of values) {
+    if (typeof value !== 'string') continue
+
+    for (const variant of getVariants(value)) {
+      if (!entry.values.has(variant)) {
+        entry.values.add(variant)
+        changed = true
+      }
+    }
+  }
+
+  if (changed) {
+    entry.pattern = buildPattern(entry.values)
+    combinedPattern = buildPattern(new Set([...scopes.values()].flatMap(({ values }) => [...values])))
+  }
+}
+
+/**
+ * Copy of a value (string, array, plain object, Error) with the secrets of `scope` masked.
+ * Without a scope (log output, which belongs to no single tenant) every known secret is masked.
+ */
+export function redactSecrets(value, scope) {
+  const pattern = scope === undefined ? combinedPattern : scopes.get(scope)?.pattern
+  return pattern ? redactWith(value, pattern, new WeakSet()) : value
+}
+
+function redactWith(value, pattern, seen) {
+  if (typeof value === 'string') {
+    return value.replace(pattern, REDACTED)
+  }
+
+  if (!value || typeof value !== 'object' || seen.has(value)) {
+    return value
+  }
+
+  if (value instanceof Error) {
+    const error = new Error(redactWith(value.message, pattern, seen))
+    error.name = value.name
+    return error
+  }
+
+  if (value instanceof Date || Buffer.isBuffer(value)) {
+    return value
+  }
+
+  // Only ancestors are tracked: shared (non-circular) objects are redacted at every occurrence
+  seen.add(value)
+
+  let redacted
+  if (Array.isArray(value)) {
+    redacted = value.map(item => redactWith(item, pattern, seen))
+  } else {
+    redacted = {}
+    for (const [key, item] of Object.entries(value)) {
+      redacted[key] = redactWith(item, pattern, seen)
+    }
+  }
+
+  seen.delete(value)
+  return redacted
+}
@@ -0,0 +1,58 @@
+// @vitest-environment node
+import { REDACTED, getRedactionScope, redactSecrets, registerSecretValues } from './secretRedaction.js'
+
+describe('secretRedaction', () => {
+  test('masks a secret and its common encodings within its scope', () => {
+    const scope = getRedactionScope({ organizationId: 'org-encodings' })
+    registerSecretValues(scope, ['p@ss word+1'])
+
+    expect(redactSecrets('plain p@ss word+1', scope)).toBe(`plain ${REDACTED}`)
+    expect(redactSecrets(`?q=${encodeURIComponent('p@ss word+1')}`, scope)).toBe(`?q=${REDACTED}`)
+    expect(redactSecrets(Buffer.from('p@ss word+1').toString('base64'), scope)).toBe(REDACTED)
+  })
+
+  test('never masks other tenants\' output', () => {
+    registerSecretValues(getRedactionScope({ organizationId: 'org-a' }), ['abcd'])
+
+    expect(redactSecrets({ zip: 'abcdef' }, getRedactionScope({ organizationId: 'org-b' }))).toEqual({ zip: 'abcdef' })
+    expect(redactSecrets('abcdef', getRedactionScope({ userId: 'someone' }))).toBe('abcdef')
+    expect(redactSecrets('abcdef', getRedactionScope({ organizationId: 'org-a' }))).toBe(`${REDACTED}ef`)
+  })
+
+  test('masks every known secret in output without a scope, such as logs', () => {
+    registerSecretValues(getRedactionScope({ organizationId: 'org-logs' }), ['log-secret-1'])
+
+    expect(redactSecrets('failed with log-secret-1')).toBe(`failed with ${REDACTED}`)
+  })
+
+  test('ignores values too short to mask safely', () => {
+    const scope = getRedactionScope({ organizationId: 'org-short' })
+    registerSecretValues(scope, ['abc', 42, null])
+
+    expect(redactSecrets('abc 42', scope)).toBe('abc 42')
+  })
+
+  test('masks the longest secret first', () => {
+    const scope = getRedactionScope({ organizationId: 'org-longest' })
+    registerSecretValues(scope, ['token', 'token-extended'])
+
+    expect(redactSecrets('token-extended', scope)).toBe(REDACTED)
+  })
+
+  test('copies nested values, errors and shared objects without touching the original', () => {
+    const scope = getRedactionScope({ organizationId: 'org-nested' })
+    registerSecretValues(scope, ['hunter2'])
+
+    const shared = { password: 'hunter2' }
+    const value = { a: shared, b: [shared], error: new Error('bad hunter2'), at: new Date(0) }
+    value.self = value
+
+    const redacted = redactSecrets(value, scope)
+    expect(redacted.a).toEqual({ password: REDACTED })
+    expect(redacted.b).toEqual([{ password: REDACTED }])
+    expect(redacted.error.message).toBe(`bad ${REDACTED}`)
+    expect(redacted.at).toBe(value.at)
+    expect(redacted.self).toBe(value)
+    expect(shared.password).toBe('hunter2')
+  })
+})
@@ -0,0 +1,163 @@
+/**
+ * 📊 Spreadsheet
+ * Turning CSV and sheet rows into row objects and back: header mapping, type inference and
+ * text encodings
+ */
+
+// Encodings data steps read and write, by the names Buffer knows them. Buffer has no
+// windows-1252 (and Node's TextDecoder drops its upper half), so that one goes through
+// WINDOWS_1252_CHARACTERS.
+const TEXT_ENCODINGS = {
+  'utf-8': 'utf8',
+  utf8: 'utf8',
+  'utf-16le': 'utf16le',
+  utf16le: 'utf16le',
+  latin1: 'latin1',
+  'iso-8859-1': 'latin1',
+  'windows-1252': 'windows-1252',
+  cp1252: 'windows-1252'
+}
+
+// What windows-1252 puts at bytes 0x80–0x9F (€, curly quotes, dashes…); the five unused
+// bytes and every other byte are the Latin-1 character with the same code
+const WINDOWS_1252_CHARACTERS = [
+  '\u20ac', '\x81', '\u201a', '\u0192', '\u201e', '\u2026', '\u2020', '\u2021',
+  '\u02c6', '\u2030', '\u0160', '\u2039', '\u0152', '\x8d', '\u017d', '\x8f',
+  '\x90', '\u2018', '\u2019', '\u201c', '\u201d', '\u2022', '\u2013', '\u2014',
+  '\u02dc', '\u2122', '\u0161', '\u203a', '\u0153', '\x9d', '\u017e', '\u0178'
+]
+const WINDOWS_1252_BYTES = new Map(WINDOWS_1252_CHARACTERS.map((character, index) => [character, 0x80 + index]))
+
+const BYTE_ORDER_MARKS = {
+  utf8: Buffer.from([0xef, 0xbb, 0xbf]),
+  utf16le: Buffer.from([0xff, 0xfe])
+}
+
+/**
+ * Number or boolean a text cell holds, or the text itself. Numbers with leading zeros
+ * (postcodes, IDs) stay text.
+ */
+export function inferValue(value) {
+  if (typeof value !== 'string') {
+    return value
+  }
+
+  const text = value.trim()
+  if (/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(text) && text.replace(/^-/, '').length <= 15) {
+    return Number(text)
+  }
+  if (/^(true|false)$/i.test(text)) {
+    return text.toLowerCase() === 'true'
+  }
+  return value
+}
+
+/**
+ * Row arrays to row objects. Keys come from the header row, or from `columns` (which also
+ * replaces the header row); `headerMap` renames headers to keys ({ 'Order ID': 'orderId' }).
+ * Rows without any value are skipped.
+ */
+export function toRecords(rows, { header = true, columns, headerMap = {}, inferTypes = false } = {}) {
+  const dataRows = rows.filter(row => Array.isArray(row) && row.some(value => value !== null && value !== undefined && value !== ''))
+  const records = header ? dataRows.slice(1) : dataRows
+  const width = Math.max(0, ...dataRows.map(row => row.length))
+
+  let keys
+  if (columns) {
+    keys = columns.map(String)
+  } else if (header) {
+    keys = uniqueKeys(Array.from({ length: width }, (_, index) => {
+      const name = String(dataRows[0]?.[index] ?? '').trim()
+      return headerMap[name] ?? name
+    }))
+  } else {
+    keys = Array.from({ length: width }, (_, index) => `column_${index + 1}`)
+  }
+
+  const convert = inferTypes ? inferValue : value => value
+  return records.map(record => Object.fromEntries(keys.map((key, index) => [key, convert(record[index] ?? '')])))
+}
+
+/**
+ * Row objects (or arrays) to row arrays, led by a header row unless `header: false`. `columns`
+ * picks and orders the keys; `headerMap` gives their header labels ({ orderId: 'Order ID' }).
+ */
+export function toRows(records, { header = true, columns, headerMap = {} } = {}) {
+  if (!Array.isArray(records)) {
+    throw new Error('Rows must be an array')
+  }
+
+  const objectRows = records.some(record => record && typeof record === 'object' && !Array.isArray(record))
+  const keys = columns || (objectRows
+    ? Array.from(new Set(records.flatMap(record => (record && !Array.isArray(record) ? Object.keys(record) : []))))
+    : null)
+
+  const rows = records.map(record => (Array.isArray(record) ? record : keys.map(key => record?.[key] ?? null)))
+  return keys && header ? [keys.map(key => headerMap[key] ?? key), ...rows] : rows
+}
+
+/**
+ * Buffer encoding for a configured text encoding name
+ */
+export function getTextEncoding(encoding = 'utf-8') {
+  const resolved = TEXT_ENCODINGS[String(encoding).toLowerCase()]
+  if (!resolved) {
+    throw new Error(`Text encoding must be one of ${Object.keys(TEXT_ENCODINGS).join(', ')}`)
+  }
+  return resolved
+}
+
+/**
+ * File bytes to text; a byte order mark overrides the configured encoding
+ */
+export function decodeText(buffer, encoding) {
+  for (const [bomEncoding, bom] of Object.entries(BYTE_ORDER_MARKS)) {
+    if (buffer.subarray(0, bom.length).equals(bom)) {
+      return buffer.subarray(bom.length).toString(bomEncoding)
+    }
+  }
+  const resolved = getTextEncoding(encoding)
+  return resolved === 'windows-1252' ? decodeWindows1252(buffer) : buffer.toString(resolved)
+}
+
+export function encodeText(text, encoding, { bom = false } = {}) {
+  const resolved = getTextEncoding(encoding)
+  const data = resolved === 'windows-1252' ? encodeWindows1252(text) : Buffer.from(text, resolved)
+  return bom && BYTE_ORDER_MARKS[resolved] ? Buffer.concat([BYTE_ORDER_MARKS[resolved], data]) : data
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function decodeWindows1252(buffer) {
+  return Array.from(buffer, byte => (byte >= 0x80 && byte <= 0x9f ? WINDOWS_1252_CHARACTERS[byte - 0x80] : String.fromCharCode(byte))).join('')
+}
+
+/**
+ * Text to windows-1252 bytes; throws on characters the code page has no byte for
+ */
+function encodeWindows1252(text) {
+  const characters = Array.from(text)
+  return Buffer.from(characters.map((character, index) => {
+    const code = character.codePointAt(0)
+    const byte = WINDOWS_1252_BYTES.get(character) ?? (code < 0x80 || (code >= 0xa0 && code <= 0xff) ? code : undefined)
+    if (byte === undefined) {
+      throw new Error(`Character "${character}" at position ${index} cannot be written in windows-1252`)
+    }
+    return byte
+  }))
+}
+
+/**
+ * Blank headers become column_N and repeated ones get a _2, _3… suffix
+ */
+function uniqueKeys(names) {
+  const seen = new Map()
+  return names.map((name, index) => {
+    const key = name === '' ? `column_${index + 1}` : name
+    const count = (seen.get(key) || 0) + 1
+    seen.set(key, count)
+    return count > 1 ? `${key}_${count}` : key
+  })
+}
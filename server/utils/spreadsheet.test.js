@@ -0,0 +1,51 @@
+// @vitest-environment node
+import { decodeText, encodeText, getTextEncoding, inferValue, toRecords, toRows } from './spreadsheet.js'
+
+describe('inferValue', () => {
+  test('reads numbers and booleans but keeps leading zeros and long digit runs as text', () => {
+    expect(['42', '-1.5', '1e3', 'TRUE', 'false'].map(inferValue)).toEqual([42, -1.5, 1000, true, false])
+    expect(['00123', '1234567890123456', '1,5', ''].map(inferValue)).toEqual(['00123', '1234567890123456', '1,5', ''])
+  })
+})
+
+describe('records and rows', () => {
+  test('keys rows by the header, renaming, de-duplicating and filling blanks', () => {
+    const rows = [['Order ID', 'Total', 'Total', ''], ['0012', '9.5', 'x', 'y'], ['', '', '', ''], ['7']]
+
+    expect(toRecords(rows, { headerMap: { 'Order ID': 'orderId' }, inferTypes: true })).toEqual([
+      { orderId: '0012', Total: 9.5, Total_2: 'x', column_4: 'y' },
+      { orderId: 7, Total: '', Total_2: '', column_4: '' }
+    ])
+    expect(toRecords([['a', 'b']], { header: false })).toEqual([{ column_1: 'a', column_2: 'b' }])
+  })
+
+  test('writes a header row from the keys of all records', () => {
+    expect(toRows([{ id: 1 }, { id: 2, name: 'Ada' }], { headerMap: { id: 'ID' } })).toEqual([['ID', 'name'], [1, null], [2, 'Ada']])
+    expect(toRows([{ id: 1, name: 'Ada' }], { columns: ['name'], header: false })).toEqual([['Ada']])
+  })
+})
+
+describe('text encodings', () => {
+  test('reads and writes windows-1252, including the characters Latin-1 lacks', () => {
+    const text = 'Prix: 12 € – “déjà” vu…'
+    const bytes = encodeText(text, 'windows-1252')
+
+    expect(bytes.subarray(6, 10)).toEqual(Buffer.from([0x31, 0x32, 0x20, 0x80]))
+    expect(bytes.length).toBe(text.length)
+    expect(decodeText(bytes, 'cp1252')).toBe(text)
+    expect(decodeText(Buffer.from([0x93, 0x41, 0x94, 0xe9, 0x81]), 'windows-1252')).toBe('“A”é\x81')
+  })
+
+  test('refuses characters windows-1252 cannot hold instead of mangling them', () => {
+    expect(() => encodeText('ok ✓', 'windows-1252')).toThrow('Character "✓" at position 3 cannot be written in windows-1252')
+  })
+
+  test('lets a byte order mark override the configured encoding', () => {
+    expect(decodeText(encodeText('Grüße', 'utf-16le', { bom: true }), 'windows-1252')).toBe('Grüße')
+    expect(decodeText(Buffer.from('Grüße', 'latin1'), 'latin1')).toBe('Grüße')
+  })
+
+  test('rejects unknown encodings', () => {
+    expect(() => getTextEncoding('shift_jis')).toThrow('Text encoding must be one of')
+  })
+})
@@ -0,0 +1,128 @@
+/**
+ * 🧾 Table Extraction
+ * Field definitions for extract_table steps and turning the raw strings read from the page
+ * into typed values
+ */
+
+export const FIELD_TYPES = ['string', 'number', 'integer', 'boolean', 'date', 'url']
+
+// What a field reads from its element when it names no attribute
+const DEFAULT_SOURCE = 'text'
+
+/**
+ * Validate a step's field map into `{ name, selector, attribute, multiple, regex, type }`
+ * definitions. A string value is shorthand for the text of that selector.
+ */
+export function normalizeFields(fields) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0) {
+    throw new Error('Fields must be an object of field name → selector or field definition')
+  }
+
+  return Object.entries(fields).map(([name, definition]) => {
+    const field = typeof definition === 'string' ? { selector: definition } : definition
+    if (!field || typeof field !== 'object') {
+      throw new Error(`Field "${name}" must be a selector or a field definition`)
+    }
+
+    const type = field.type || 'string'
+    if (!FIELD_TYPES.includes(type)) {
+      throw new Error(`Field "${name}" type must be one of ${FIELD_TYPES.join(', ')}`)
+    }
+
+    let regex = null
+    if (field.regex) {
+      try {
+        regex = new RegExp(field.regex, field.regexFlags || '')
+      } catch (error) {
+        throw new Error(`Field "${name}" regex is invalid: ${error.message}`)
+      }
+    }
+
+    return {
+      name,
+      selector: field.selector || '',
+      attribute: field.attribute || DEFAULT_SOURCE,
+      multiple: field.multiple === true,
+      regex,
+      type,
+      default: field.default ?? null
+    }
+  })
+}
+
+/**
+ * Apply a field's regex (its first capture group, or the whole match) and type to a raw
+ * value read from the page; values that do not match or convert become the field's default
+ */
+export function convertFieldValue(raw, field, baseUrl) {
+  if (Array.isArray(raw)) {
+    return raw.map(value => convertFieldValue(value, field, baseUrl)).filter(value => value !== null)
+  }
+  if (raw === null || raw === undefined) {
+    return field.default
+  }
+
+  let text = String(raw)
+  if (field.regex) {
+    const match = text.match(field.regex)
+    if (!match) return field.default
+    text = match[1] ?? match[0]
+  }
+
+  const value = convertType(text.trim(), field.type, baseUrl)
+  return value === null ? field.default : value
+}
+
+/**
+ * Key rows are de-duplicated by: the values of the key fields, or null when they are all empty
+ */
+export function getRowKey(row, keyFields) {
+  const values = keyFields.map(name => row[name])
+  return values.every(value => value === null || value === undefined || value === '')
+    ? null
+    : JSON.stringify(values)
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function convertType(text, type, baseUrl) {
+  switch (type) {
+    case 'number':
+    case 'integer': {
+      const number = parseNumber(text)
+      if (number === null) return null
+      return type === 'integer' ? Math.trunc(number) : number
+    }
+    case 'boolean':
+      if (text === '') return null
+      return !/^(false|no|off|0)$/i.test(text)
+    case 'date': {
+      const time = Date.parse(text)
+      return Number.isNaN(time) ? null : new Date(time).toISOString()
+    }
+    case 'url':
+      if (text === '') return null
+      try {
+        return new URL(text, baseUrl).href
+      } catch {
+        return null
+      }
+    default:
+      return text
+  }
+}
+
+/**
+ * Number shown in page text: currency symbols, spaces and thousands separators are dropped
+ * ("$1,234.50" → 1234.5, "(12)" → -12)
+ */
+function parseNumber(text) {
+  const negative = /^\(.*\)$/.test(text) || /^[^\d]*-/.test(text)
+  const digits = text.replace(/[^\d.]/g, '')
+  if (!/^\d*\.?\d+$|^\d+\.$/.test(digits)) return null
+
+  const number = Number(digits)
+  return negative ? -number : number
+}
@@ -0,0 +1,47 @@
+// @vitest-environment node
+import { convertFieldValue, getRowKey, normalizeFields } from './tableExtraction.js'
+
+describe('normalizeFields', () => {
+  test('expands selector shorthand and fills defaults', () => {
+    expect(normalizeFields({ title: 'h2', link: { selector: 'a', attribute: 'href', type: 'url' } })).toEqual([
+      { name: 'title', selector: 'h2', attribute: 'text', multiple: false, regex: null, type: 'string', default: null },
+      { name: 'link', selector: 'a', attribute: 'href', multiple: false, regex: null, type: 'url', default: null }
+    ])
+  })
+
+  test('rejects empty maps, unknown types and invalid regexes', () => {
+    expect(() => normalizeFields({})).toThrow('Fields must be an object')
+    expect(() => normalizeFields({ price: { type: 'money' } })).toThrow('Field "price" type must be one of')
+    expect(() => normalizeFields({ sku: { regex: '(' } })).toThrow('Field "sku" regex is invalid')
+  })
+})
+
+describe('convertFieldValue', () => {
+  const field = (definition) => normalizeFields({ value: definition })[0]
+
+  test('converts page text to typed values', () => {
+    expect(convertFieldValue(' $1,234.50 ', field({ type: 'number' }))).toBe(1234.5)
+    expect(convertFieldValue('(12)', field({ type: 'number' }))).toBe(-12)
+    expect(convertFieldValue('7.9 items', field({ type: 'integer' }))).toBe(7)
+    expect(convertFieldValue('No', field({ type: 'boolean' }))).toBe(false)
+    expect(convertFieldValue('2024-05-01T10:00:00Z', field({ type: 'date' }))).toBe('2024-05-01T10:00:00.000Z')
+    expect(convertFieldValue('/item/1', field({ type: 'url' }), 'https://shop.test/list')).toBe('https://shop.test/item/1')
+  })
+
+  test('applies the regex capture and falls back to the default', () => {
+    const sku = field({ regex: 'SKU: (\\w+)', default: 'unknown' })
+
+    expect(convertFieldValue('Item SKU: AB12', sku)).toBe('AB12')
+    expect(convertFieldValue('no code', sku)).toBe('unknown')
+    expect(convertFieldValue('n/a', field({ type: 'number', default: 0 }))).toBe(0)
+    expect(convertFieldValue(['1', 'x', '3'], field({ type: 'number' }))).toEqual([1, 3])
+  })
+})
+
+describe('getRowKey', () => {
+  test('keys rows by their key fields, or not at all when those are empty', () => {
+    expect(getRowKey({ id: 1, name: 'a' }, ['id'])).toBe(getRowKey({ id: 1, name: 'b' }, ['id']))
+    expect(getRowKey({ id: 1, region: 'eu' }, ['id', 'region'])).not.toBe(getRowKey({ id: 1, region: 'us' }, ['id', 'region']))
+    expect(getRowKey({ id: '' }, ['id'])).toBeNull()
+  })
+})
@@ -0,0 +1,104 @@
+/**
+ * 🌍 Time Zone Helpers
+ * Converts between UTC instants and wall-clock time in IANA time zones using Intl
+ */
+
+const formatterCache = new Map()
+
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }))
+  }
+
+  return formatterCache.get(timeZone)
+}
+
+/**
+ * Time zone the server runs in; used when a schedule does not name one
+ */
+export function getDefaultTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+}
+
+/**
+ * Check an IANA time zone name (e.g. "Europe/Berlin")
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false
+  }
+
+  try {
+    getFormatter(timeZone)
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Wall-clock parts of an instant in a time zone (month is 1-12, weekday 0 = Sunday)
+ */
+export function getZonedParts(date, timeZone) {
+  const parts = {}
+
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    if (type !== 'literal') {
+      parts[type] = parseInt(value, 10)
+    }
+  }
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()
+  }
+}
+
+/**
+ * Offset of a time zone from UTC at a given instant, in milliseconds
+ */
+export function getTimeZoneOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone)
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000
+}
+
+/**
+ * Instant at which a wall-clock time occurs in a time zone
+ *
+ * Times skipped by a DST jump resolve to the same offset after the jump (02:30 becomes 03:30);
+ * times repeated when clocks go back resolve to their first occurrence.
+ */
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second)
+
+  // Offsets either side of the wall-clock time cover both candidates around a transition
+  const offsetBefore = getTimeZoneOffset(new Date(wallClock - 24 * 3600 * 1000), timeZone)
+  const offsetAfter = getTimeZoneOffset(new Date(wallClock + 24 * 3600 * 1000), timeZone)
+
+  const candidates = [...new Set([offsetBefore, offsetAfter])]
+    .map(offset => wallClock - offset)
+    .filter(instant => getTimeZoneOffset(new Date(instant), timeZone) === wallClock - instant)
+    .sort((a, b) => a - b)
+
+  if (candidates.length > 0) {
+    return new Date(candidates[0])
+  }
+
+  // Skipped by a forward jump: keep the pre-transition offset, which lands after the jump
+  return new Date(wallClock - offsetBefore)
+}
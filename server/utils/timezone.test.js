@@ -0,0 +1,22 @@
+// @vitest-environment node
+import { getZonedParts, isValidTimeZone, zonedTimeToUtc } from './timezone.js'
+
+describe('time zones', () => {
+  test('reads wall-clock parts of an instant', () => {
+    expect(getZonedParts(new Date('2024-07-01T22:30:00Z'), 'America/New_York')).toEqual({
+      year: 2024, month: 7, day: 1, hour: 18, minute: 30, second: 0, weekday: 1
+    })
+  })
+
+  test('maps skipped wall-clock times past the jump and repeated ones to their first occurrence', () => {
+    expect(zonedTimeToUtc({ year: 2024, month: 3, day: 31, hour: 2, minute: 30 }, 'Europe/Berlin').toISOString()).toBe('2024-03-31T01:30:00.000Z')
+    expect(zonedTimeToUtc({ year: 2024, month: 10, day: 27, hour: 2, minute: 30 }, 'Europe/Berlin').toISOString()).toBe('2024-10-27T00:30:00.000Z')
+    expect(zonedTimeToUtc({ year: 2024, month: 1, day: 1, hour: 5, minute: 30 }, 'Asia/Kolkata').toISOString()).toBe('2024-01-01T00:00:00.000Z')
+  })
+
+  test('accepts only IANA names', () => {
+    expect(isValidTimeZone('Asia/Kolkata')).toBe(true)
+    expect(isValidTimeZone('Mars/Base')).toBe(false)
+    expect(isValidTimeZone('')).toBe(false)
+  })
+})
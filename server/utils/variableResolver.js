@@ -3,9 +3,33 @@
  * Resolves variables and expressions in workflow configurations
  */
 
+import crypto from 'crypto'
+import { ExpressionError, evaluateAst, getReferencedNames, parseExpression, parseTemplate, readProperty } from './expression.js'
+import { EXPRESSION_FUNCTIONS } from './expressionFunctions.js'
+
+// Returned for a `{{ }}` reading a variable that does not exist, which is left as written
+const UNRESOLVED = Symbol('unresolved')
+
+// Step config keys holding conditions rather than templates
+const CONDITION_KEYS = ['condition']
+
+const isStep = value => Boolean(value) && typeof value === 'object' && typeof value.type === 'string' && Boolean(value.config) && typeof value.config === 'object'
+
 export class VariableResolver {
   constructor() {
-    this.variablePattern = /\{\{(.+?)\}\}/g
+    this.functions = {
+      ...EXPRESSION_FUNCTIONS,
+      date: (format) => this.dateFunction(format),
+      random: (...args) => this.randomFunction(args),
+      uuid: () => this.uuidFunction(),
+      length: (value) => this.lengthFunction(value),
+      substring: (value, start, end) => this.substringFunction(value, start, end),
+      replace: (value, search, replacement) => this.replaceFunction(value, search, replacement),
+      uppercase: (value) => this.uppercaseFunction(value),
+      lowercase: (value) => this.lowercaseFunction(value),
+      trim: (value) => this.trimFunction(value),
+      format: (template, ...values) => this.formatFunction(template, values)
+    }
   }
 
   /**
@@ -33,150 +57,266 @@ export class VariableResolver {
 
   /**
    * Resolve variables in a string
+   *
+   * Invalid expressions throw ExpressionError positioned within the string. References to
+   * variables that do not exist are left as written; other undefined values render as ''.
    */
   resolveStringVariables(str, variables = {}) {
-    if (typeof str !== 'string') {
+    if (typeof str !== 'string' || !str.includes('{{')) {
       return str
     }
 
-    return str.replace(this.variablePattern, (match, expression) => {
-      try {
-        return this.evaluateExpression(expression.trim(), variables)
-      } catch (error) {
-        // Return original if resolution fails
-        return match
+    const segments = parseTemplate(str)
+
+    // A value that is exactly one expression keeps its type (arrays, objects, numbers, booleans)
+    if (segments.length === 1 && segments[0].type === 'expression') {
+      const value = this.evaluateSegment(segments[0], str, variables)
+      if (value === UNRESOLVED) return str
+      return value === undefined ? '' : value
+    }
+
+    return segments.map(segment => {
+      if (segment.type === 'text') {
+        return segment.value
       }
-    })
+
+      const value = this.evaluateSegment(segment, str, variables)
+      if (value === UNRESOLVED) return segment.raw
+      return value === undefined ? '' : this.stringifyValue(value)
+    }).join('')
   }
 
   /**
-   * Evaluate an expression with variables
+   * Evaluate one `{{ }}` segment of a template
+   *
+   * Returns UNRESOLVED when the expression yields nothing because it reads a variable that
+   * does not exist; a path through an existing null (`{{user?.name}}`) is plain undefined.
    */
-  evaluateExpression(expression, variables = {}) {
-    // Handle simple variable access
-    if (variables.hasOwnProperty(expression)) {
-      return variables[expression]
+  evaluateSegment(segment, template, variables) {
+    try {
+      const ast = parseExpression(segment.source)
+      const value = evaluateAst(ast, variables, { functions: this.functions, source: segment.source })
+
+      if (value === undefined && getReferencedNames(ast).some(name => !Object.prototype.hasOwnProperty.call(variables, name))) {
+        return UNRESOLVED
+      }
+
+      return value
+    } catch (error) {
+      throw this.locateError(error, segment, template)
     }
+  }
 
-    // Handle dot notation (e.g., user.name)
-    if (expression.includes('.')) {
-      return this.getNestedValue(variables, expression)
+  /**
+   * Re-point an error from one `{{ }}` segment at its position in the whole template
+   */
+  locateError(error, segment, template) {
+    if (!(error instanceof ExpressionError)) {
+      return error
     }
 
-    // Handle array access (e.g., items[0])
-    if (expression.includes('[') && expression.includes(']')) {
-      return this.getArrayValue(variables, expression)
+    const offset = segment.start + segment.raw.indexOf(segment.source, 2)
+    return new ExpressionError(
+      `Invalid expression ${segment.raw}: ${error.reason}`,
+      error.position === null ? null : offset + error.position,
+      template
+    )
+  }
+
+  /**
+   * Evaluate an expression with variables
+   *
+   * Throws ExpressionError (with `position`) on invalid syntax or unknown functions.
+   */
+  evaluateExpression(expression, variables = {}, options = {}) {
+    return evaluateAst(parseExpression(expression), variables, {
+      functions: this.functions,
+      source: expression,
+      ...options
+    })
+  }
+
+  /**
+   * Evaluate a condition such as `{{status}} == "active" && {{retries}} < 3`
+   *
+   * `{{ }}` references are substituted as typed values (or as text inside quotes), and
+   * unquoted words that are not variables compare as strings, so `{{status}} == active` works.
+   * Invalid conditions throw ExpressionError positioned within the condition.
+   */
+  evaluateCondition(condition, variables = {}) {
+    if (typeof condition !== 'string') {
+      return Boolean(condition)
     }
 
-    // Handle function calls (e.g., date(), random())
-    if (expression.includes('(') && expression.includes(')')) {
-      return this.callFunction(expression, variables)
+    const scope = { ...variables }
+    const source = this.substituteConditionReferences(condition, variables, scope)
+
+    let result
+    try {
+      result = this.evaluateExpression(source, scope, { bareWords: true })
+    } catch (error) {
+      if (!(error instanceof ExpressionError)) throw error
+      throw new ExpressionError(`Invalid condition: ${error.reason}`, error.position, condition)
     }
 
-    // Handle mathematical expressions (basic)
-    if (this.isMathExpression(expression)) {
-      return this.evaluateMathExpression(expression, variables)
+    return result === 'false' ? false : Boolean(result)
+  }
+
+  /**
+   * Replace each `{{expr}}` in a condition with a placeholder variable holding its value
+   */
+  substituteConditionReferences(condition, variables, scope) {
+    let quote = null
+    let source = ''
+    let placeholders = 0
+
+    for (const segment of parseTemplate(condition)) {
+      if (segment.type === 'text') {
+        quote = this.trackQuote(segment.value, quote)
+        source += segment.value
+        continue
+      }
+
+      const evaluated = this.evaluateSegment(segment, condition, variables)
+      const value = evaluated === UNRESOLVED ? undefined : evaluated
+
+      if (quote) {
+        source += this.stringifyValue(value ?? '').replace(/[\\'"]/g, char => `\\${char}`)
+      } else {
+        // Padded to the reference's length so error positions still point into the original text
+        const name = `$${placeholders++}`
+        scope[name] = value
+        source += name.padEnd(segment.raw.length)
+      }
     }
 
-    // Return as-is if no variable found
-    return expression
+    return source
   }
 
   /**
-   * Get nested object value using dot notation
+   * Return which quote (if any) is still open after scanning text
    */
-  getNestedValue(obj, path) {
-    return path.split('.').reduce((current, key) => {
-      return current && current[key] !== undefined ? current[key] : undefined
-    }, obj)
+  trackQuote(text, quote) {
+    for (let i = 0; i < text.length; i++) {
+      if (quote && text[i] === '\\') {
+        i++
+      } else if (quote ? text[i] === quote : (text[i] === '"' || text[i] === "'")) {
+        quote = quote ? null : text[i]
+      }
+    }
+    return quote
   }
 
   /**
-   * Get array value using bracket notation
+   * Check an expression's syntax without evaluating it
    */
-  getArrayValue(variables, expression) {
-    const match = expression.match(/^(\w+)\[(\d+)\]$/)
-    if (match) {
-      const [, arrayName, index] = match
-      const array = variables[arrayName]
-      return Array.isArray(array) ? array[parseInt(index)] : undefined
+  validateExpression(expression) {
+    try {
+      parseExpression(expression)
+      return { valid: true, error: null }
+    } catch (error) {
+      if (!(error instanceof ExpressionError)) throw error
+      return { valid: false, error: { message: error.message, position: error.position } }
     }
-    return undefined
   }
 
   /**
-   * Call built-in functions
+   * Syntax errors (ExpressionError) in a template's `{{ }}` expressions
    */
-  callFunction(expression, variables) {
-    const match = expression.match(/^(\w+)\((.*?)\)$/)
-    if (!match) {
-      return expression
+  getTemplateErrors(template) {
+    if (typeof template !== 'string') {
+      return []
     }
 
-    const [, functionName, argsStr] = match
-    const args = argsStr ? argsStr.split(',').map(arg => arg.trim()) : []
+    return parseTemplate(template)
+      .filter(segment => segment.type === 'expression')
+      .flatMap(segment => {
+        const error = this.getParseError(segment.source)
+        return error ? [this.locateError(error, segment, template)] : []
+      })
+  }
 
-    switch (functionName.toLowerCase()) {
-      case 'date':
-        return this.dateFunction(args)
-      
-      case 'random':
-        return this.randomFunction(args)
-      
-      case 'uuid':
-        return this.uuidFunction()
-      
-      case 'length':
-        return this.lengthFunction(args[0], variables)
-      
-      case 'substring':
-        return this.substringFunction(args, variables)
-      
-      case 'replace':
-        return this.replaceFunction(args, variables)
-      
-      case 'uppercase':
-        return this.uppercaseFunction(args[0], variables)
-      
-      case 'lowercase':
-        return this.lowercaseFunction(args[0], variables)
-      
-      case 'trim':
-        return this.trimFunction(args[0], variables)
-      
-      case 'format':
-        return this.formatFunction(args, variables)
-      
-      default:
-        return expression
+  /**
+   * Syntax errors (ExpressionError) in a condition: its `{{ }}` references and the expression around them
+   */
+  getConditionErrors(condition) {
+    const errors = this.getTemplateErrors(condition)
+    if (typeof condition !== 'string' || errors.length > 0) {
+      return errors
     }
+
+    // The same padded placeholders evaluation uses, so positions match the condition
+    const source = parseTemplate(condition)
+      .map(segment => segment.type === 'text' ? segment.value : '$'.padEnd(segment.raw.length))
+      .join('')
+
+    const error = this.getParseError(source)
+    return error ? [new ExpressionError(`Invalid condition: ${error.reason}`, error.position, condition)] : []
   }
 
   /**
-   * Check if expression is a mathematical expression
+   * The ExpressionError parsing an expression throws, or null when it parses
    */
-  isMathExpression(expression) {
-    return /^[\d\s+\-*/().]+$/.test(expression) && /[+\-*/]/.test(expression)
+  getParseError(expression) {
+    try {
+      parseExpression(expression)
+      return null
+    } catch (error) {
+      if (!(error instanceof ExpressionError)) throw error
+      return error
+    }
   }
 
   /**
-   * Evaluate basic mathematical expressions
+   * Messages for the invalid templates and conditions in workflow steps, nested steps included
    */
-  evaluateMathExpression(expression, variables) {
-    try {
-      // Replace variables in math expression
-      let resolved = expression
-      for (const [key, value] of Object.entries(variables)) {
-        if (typeof value === 'number') {
-          resolved = resolved.replace(new RegExp(`\\b${key}\\b`, 'g'), value.toString())
+  getStepExpressionErrors(steps = []) {
+    const messages = []
+
+    const visitStep = (step, index) => {
+      const label = `Step "${step.id ?? step.name ?? index + 1}"`
+      for (const [key, value] of Object.entries(step.config || {})) {
+        visit(value, label, key)
+      }
+    }
+
+    const visit = (value, label, key) => {
+      if (typeof value === 'string') {
+        const errors = CONDITION_KEYS.includes(key) ? this.getConditionErrors(value) : this.getTemplateErrors(value)
+        messages.push(...errors.map(error => `${label}: ${error.message}`))
+      } else if (Array.isArray(value)) {
+        value.forEach((item, index) => isStep(item) ? visitStep(item, index) : visit(item, label, key))
+      } else if (isStep(value)) {
+        visitStep(value, 0)
+      } else if (value && typeof value === 'object') {
+        for (const [childKey, child] of Object.entries(value)) {
+          visit(child, label, childKey)
         }
       }
+    }
 
-      // Basic math evaluation (unsafe for production without proper sandboxing)
-      return Function(`"use strict"; return (${resolved})`)()
-    } catch (error) {
-      return expression
+    if (Array.isArray(steps)) {
+      steps.forEach(visitStep)
+    }
+
+    return messages
+  }
+
+  /**
+   * Get nested object value using dot notation
+   */
+  getNestedValue(obj, path) {
+    return path.split('.').reduce((current, key) => readProperty(current, key), obj)
+  }
+
+  /**
+   * Render a value inside a larger string
+   */
+  stringifyValue(value) {
+    if (value && typeof value === 'object') {
+      return JSON.stringify(value)
     }
+    return String(value)
   }
 
   // ============================================================================
@@ -186,11 +326,10 @@ export class VariableResolver {
   /**
    * Date function - returns current date/time or formatted date
    */
-  dateFunction(args) {
-    const format = args[0] || 'iso'
+  dateFunction(format = 'iso') {
     const date = new Date()
 
-    switch (format.toLowerCase()) {
+    switch (String(format).toLowerCase()) {
       case 'iso':
         return date.toISOString()
       case 'date':
@@ -237,22 +376,16 @@ export class VariableResolver {
   }
 
   /**
-   * UUID function - generates a simple UUID
+   * UUID function - generates a random (version 4) UUID
    */
   uuidFunction() {
-    return 'xxxx-xxxx-4xxx-yxxx'.replace(/[xy]/g, (c) => {
-      const r = Math.random() * 16 | 0
-      const v = c === 'x' ? r : (r & 0x3 | 0x8)
-      return v.toString(16)
-    })
+    return crypto.randomUUID()
   }
 
   /**
    * Length function - gets length of string or array
    */
-  lengthFunction(variable, variables) {
-    const value = variables[variable] || variable
-    
+  lengthFunction(value) {
     if (typeof value === 'string' || Array.isArray(value)) {
       return value.length
     }
@@ -267,36 +400,22 @@ export class VariableResolver {
   /**
    * Substring function - extracts substring
    */
-  substringFunction(args, variables) {
-    if (args.length < 2) return ''
-    
-    const variable = args[0]
-    const start = parseInt(args[1])
-    const end = args[2] ? parseInt(args[2]) : undefined
-    
-    const value = variables[variable] || variable
-    
-    if (typeof value === 'string') {
-      return end !== undefined ? value.substring(start, end) : value.substring(start)
-    }
-    
-    return ''
+  substringFunction(value, start, end) {
+    if (typeof value !== 'string' || start === undefined) return ''
+
+    return end !== undefined
+      ? value.substring(parseInt(start), parseInt(end))
+      : value.substring(parseInt(start))
   }
 
   /**
    * Replace function - replaces text in string
    */
-  replaceFunction(args, variables) {
-    if (args.length < 3) return ''
-    
-    const variable = args[0]
-    const search = args[1]
-    const replacement = args[2]
-    
-    const value = variables[variable] || variable
+  replaceFunction(value, search, replacement) {
+    if (search === undefined || replacement === undefined) return ''
     
     if (typeof value === 'string') {
-      return value.replace(new RegExp(search, 'g'), replacement)
+      return value.replace(new RegExp(search, 'g'), String(replacement))
     }
     
     return value
@@ -305,42 +424,35 @@ export class VariableResolver {
   /**
    * Uppercase function
    */
-  uppercaseFunction(variable, variables) {
-    const value = variables[variable] || variable
+  uppercaseFunction(value) {
     return typeof value === 'string' ? value.toUpperCase() : value
   }
 
   /**
    * Lowercase function
    */
-  lowercaseFunction(variable, variables) {
-    const value = variables[variable] || variable
+  lowercaseFunction(value) {
     return typeof value === 'string' ? value.toLowerCase() : value
   }
 
   /**
    * Trim function
    */
-  trimFunction(variable, variables) {
-    const value = variables[variable] || variable
+  trimFunction(value) {
     return typeof value === 'string' ? value.trim() : value
   }
 
   /**
    * Format function - basic string formatting
    */
-  formatFunction(args, variables) {
-    if (args.length === 0) return ''
-    
-    let template = variables[args[0]] || args[0]
+  formatFunction(template, values) {
+    if (template === undefined) return ''
     
     // Replace {0}, {1}, etc. with arguments
-    for (let i = 1; i < args.length; i++) {
-      const value = variables[args[i]] || args[i]
-      template = template.replace(new RegExp(`\\{${i-1}\\}`, 'g'), value)
-    }
-    
-    return template
+    return values.reduce(
+      (result, value, i) => result.replace(new RegExp(`\\{${i}\\}`, 'g'), this.stringifyValue(value)),
+      String(template)
+    )
   }
 
   /**
@@ -351,12 +463,9 @@ export class VariableResolver {
       return []
     }
 
-    const matches = []
-    let match
-
-    while ((match = this.variablePattern.exec(str)) !== null) {
-      matches.push(match[1].trim())
-    }
+    const matches = parseTemplate(str)
+      .filter(segment => segment.type === 'expression')
+      .map(segment => segment.source)
 
     return [...new Set(matches)] // Remove duplicates
   }
@@ -365,7 +474,7 @@ export class VariableResolver {
    * Check if string contains variables
    */
   hasVariables(str) {
-    return typeof str === 'string' && this.variablePattern.test(str)
+    return typeof str === 'string' && parseTemplate(str).some(segment => segment.type === 'expression')
   }
 
   /**
@@ -0,0 +1,76 @@
+// @vitest-environment node
+import { VariableResolver } from './variableResolver.js'
+
+const resolver = new VariableResolver()
+
+describe('VariableResolver templates', () => {
+  test('keeps the type of a value that is one expression', () => {
+    expect(resolver.resolveVariables({ n: '{{ count }}', list: ['{{ items }}'] }, { count: 3, items: [1] })).toEqual({ n: 3, list: [[1]] })
+    expect(resolver.resolveStringVariables('Total: {{ order }}', { order: { id: 1 } })).toBe('Total: {"id":1}')
+  })
+
+  test('renders undefined paths through existing variables as empty text', () => {
+    expect(resolver.resolveStringVariables('Hi {{user?.name}}!', { user: null })).toBe('Hi !')
+    expect(resolver.resolveStringVariables('{{user?.name}}', { user: null })).toBe('')
+    expect(resolver.resolveStringVariables('{{user.missing}}', { user: {} })).toBe('')
+  })
+
+  test('leaves references to variables that do not exist as written', () => {
+    expect(resolver.resolveStringVariables('Hi {{ nobody.name }}', {})).toBe('Hi {{ nobody.name }}')
+    expect(resolver.resolveStringVariables('{{ nobody }}', {})).toBe('{{ nobody }}')
+  })
+
+  test('throws invalid expressions with their position in the field', () => {
+    const template = 'Total: {{ round(x }}'
+
+    expect(() => resolver.resolveStringVariables(template, { x: 1 })).toThrow(
+      'Invalid expression {{ round(x }}: Expected ")" but found end of expression at position 17'
+    )
+    expect(() => resolver.resolveStringVariables('{{ nope() }}', {})).toThrow('Unknown function "nope" at position 3')
+  })
+})
+
+describe('VariableResolver functions', () => {
+  test('generates a new version 4 UUID per call', () => {
+    const uuid = resolver.resolveStringVariables('{{ uuid() }}')
+
+    expect(uuid).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/)
+    expect(resolver.resolveStringVariables('{{ uuid() }}')).not.toBe(uuid)
+  })
+})
+
+describe('VariableResolver conditions', () => {
+  test('compares typed references and bare words', () => {
+    expect(resolver.evaluateCondition('{{count}} >= 10 && {{status}} == active', { count: 12, status: 'active' })).toBe(true)
+    expect(resolver.evaluateCondition('"{{status}}" == "paused"', { status: 'active' })).toBe(false)
+    expect(resolver.evaluateCondition('{{ user?.name }} == null', { user: null })).toBe(true)
+  })
+
+  test('throws instead of treating an invalid condition as false', () => {
+    expect(() => resolver.evaluateCondition('{{count}} >= ', { count: 1 })).toThrow(
+      'Invalid condition: Unexpected end of expression at position 13'
+    )
+    expect(() => resolver.evaluateCondition('{{ count( }} > 1', {})).toThrow('Invalid expression {{ count( }}')
+  })
+})
+
+describe('VariableResolver validation', () => {
+  test('reports syntax errors in step templates and conditions, nested steps included', () => {
+    const steps = [
+      { id: 'fetch', type: 'http_request', config: { url: 'https://api/{{ id }}', headers: { Authorization: 'Bearer {{ token( }}' } } },
+      { id: 'check', type: 'condition', config: { condition: '{{ total }} >' } },
+      {
+        id: 'each',
+        type: 'loop',
+        config: { steps: [{ id: 'inner', type: 'set_variable', config: { value: '{{ 1 + }}' } }] }
+      },
+      { id: 'fine', type: 'condition', config: { condition: '{{status}} == active' } }
+    ]
+
+    expect(resolver.getStepExpressionErrors(steps)).toEqual([
+      'Step "fetch": Invalid expression {{ token( }}: Unexpected end of expression at position 16',
+      'Step "check": Invalid condition: Unexpected end of expression at position 13',
+      'Step "inner": Invalid expression {{ 1 + }}: Unexpected end of expression at position 6'
+    ])
+  })
+})
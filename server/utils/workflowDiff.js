@@ -0,0 +1,152 @@
+/**
+ * 🔍 Workflow Diff
+ * Step-level structural diff between two workflow definitions (versions or the draft)
+ */
+
+// Workflow fields compared outside of the step list
+const METADATA_FIELDS = ['name', 'description']
+const SCHEMA_FIELDS = ['input_schema', 'output_schema']
+
+/**
+ * Steps are matched by id; steps without one fall back to their position, as in the graph
+ */
+function stepKey(step, index) {
+  return step?.id !== undefined && step?.id !== null ? String(step.id) : `step_${index}`
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+function formatPath(parent, key) {
+  if (typeof key === 'number') return `${parent}[${key}]`
+  return parent ? `${parent}.${key}` : key
+}
+
+/**
+ * Leaf-level changes between two JSON values as `{ path, before, after }`
+ */
+export function diffValues(before, after, path = '', changes = []) {
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const length = Math.max(before.length, after.length)
+    for (let index = 0; index < length; index++) {
+      diffValues(before[index], after[index], formatPath(path, index), changes)
+    }
+    return changes
+  }
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)])
+    for (const key of keys) {
+      diffValues(before[key], after[key], formatPath(path, key), changes)
+    }
+    return changes
+  }
+
+  if (JSON.stringify(before) !== JSON.stringify(after)) {
+    changes.push({ path, before, after })
+  }
+
+  return changes
+}
+
+function describeStep(step, index) {
+  return { id: stepKey(step, index), type: step?.type, name: step?.name, index }
+}
+
+/**
+ * Compare the step lists: added, removed, modified (with field changes) and moved steps
+ */
+function diffSteps(beforeSteps = [], afterSteps = []) {
+  const before = new Map(beforeSteps.map((step, index) => [stepKey(step, index), { step, index }]))
+  const after = new Map(afterSteps.map((step, index) => [stepKey(step, index), { step, index }]))
+
+  const added = []
+  const removed = []
+  const modified = []
+  const moved = []
+
+  for (const [id, { step, index }] of after) {
+    const previous = before.get(id)
+
+    if (!previous) {
+      added.push(describeStep(step, index))
+      continue
+    }
+
+    // Canvas coordinates change on every drag and say nothing about behaviour
+    const { position: _beforePosition, ...beforeStep } = previous.step
+    const { position: _afterPosition, ...afterStep } = step
+    const changes = diffValues(beforeStep, afterStep)
+
+    if (changes.length > 0) {
+      modified.push({ ...describeStep(step, index), changes })
+    }
+
+    if (previous.index !== index) {
+      moved.push({ id, type: step.type, name: step.name, from: previous.index, to: index })
+    }
+  }
+
+  for (const [id, { step, index }] of before) {
+    if (!after.has(id)) {
+      removed.push(describeStep(step, index))
+    }
+  }
+
+  return { added, removed, modified, moved }
+}
+
+function diffVariables(before = {}, after = {}) {
+  const added = []
+  const removed = []
+  const modified = []
+
+  for (const name of Object.keys(after || {})) {
+    if (!Object.prototype.hasOwnProperty.call(before || {}, name)) {
+      added.push({ name, value: after[name] })
+    } else if (JSON.stringify(before[name]) !== JSON.stringify(after[name])) {
+      modified.push({ name, before: before[name], after: after[name] })
+    }
+  }
+
+  for (const name of Object.keys(before || {})) {
+    if (!Object.prototype.hasOwnProperty.call(after || {}, name)) {
+      removed.push({ name, value: before[name] })
+    }
+  }
+
+  return { added, removed, modified }
+}
+
+/**
+ * Diff two workflow definitions (`{ name, description, steps, variables, input_schema, output_schema }`)
+ */
+export function diffWorkflows(before = {}, after = {}) {
+  const metadata = METADATA_FIELDS
+    .filter(field => (before[field] ?? '') !== (after[field] ?? ''))
+    .map(field => ({ field, before: before[field] ?? '', after: after[field] ?? '' }))
+
+  const steps = diffSteps(before.steps || [], after.steps || [])
+  const variables = diffVariables(before.variables || {}, after.variables || {})
+  const schemas = SCHEMA_FIELDS.flatMap(field => diffValues(before[field] || [], after[field] || [], field))
+
+  const summary = {
+    stepsAdded: steps.added.length,
+    stepsRemoved: steps.removed.length,
+    stepsModified: steps.modified.length,
+    stepsMoved: steps.moved.length,
+    variablesChanged: variables.added.length + variables.removed.length + variables.modified.length,
+    metadataChanged: metadata.length,
+    schemaChanged: schemas.length
+  }
+
+  return {
+    identical: Object.values(summary).every(count => count === 0),
+    summary,
+    metadata,
+    steps,
+    variables,
+    schemas
+  }
+}
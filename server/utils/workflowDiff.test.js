@@ -0,0 +1,62 @@
+// @vitest-environment node
+import { diffValues, diffWorkflows } from './workflowDiff.js'
+
+describe('diffValues', () => {
+  test('lists leaf changes by path', () => {
+    expect(diffValues({ a: { b: 1, list: [1, 2] } }, { a: { b: 2, list: [1] }, c: true })).toEqual([
+      { path: 'a.b', before: 1, after: 2 },
+      { path: 'a.list[1]', before: 2, after: undefined },
+      { path: 'c', before: undefined, after: true }
+    ])
+  })
+})
+
+describe('diffWorkflows', () => {
+  const before = {
+    name: 'Orders',
+    steps: [
+      { id: 'open', type: 'navigate', config: { url: 'https://shop' }, position: { x: 0, y: 0 } },
+      { id: 'click', type: 'click', config: { selector: '#buy' } },
+      { id: 'old', type: 'wait', config: { duration: 1000 } }
+    ],
+    variables: { region: 'eu', retries: 1 },
+    input_schema: [{ name: 'region', type: 'string' }]
+  }
+
+  test('reports identical definitions, ignoring canvas positions', () => {
+    const moved = { ...before, steps: before.steps.map(step => ({ ...step, position: { x: 100, y: 40 } })) }
+
+    expect(diffWorkflows(before, moved).identical).toBe(true)
+  })
+
+  test('reports added, removed, modified and moved steps with variable, metadata and schema changes', () => {
+    const after = {
+      name: 'Orders v2',
+      steps: [
+        { id: 'click', type: 'click', config: { selector: '#checkout' } },
+        { id: 'open', type: 'navigate', config: { url: 'https://shop' } },
+        { id: 'save', type: 'write_csv', config: { path: 'orders.csv' } }
+      ],
+      variables: { region: 'us', currency: 'USD' },
+      input_schema: [{ name: 'region', type: 'string', required: true }]
+    }
+
+    const diff = diffWorkflows(before, after)
+
+    expect(diff.identical).toBe(false)
+    expect(diff.summary).toEqual({
+      stepsAdded: 1, stepsRemoved: 1, stepsModified: 1, stepsMoved: 2, variablesChanged: 3, metadataChanged: 1, schemaChanged: 1
+    })
+    expect(diff.steps.added).toEqual([{ id: 'save', type: 'write_csv', name: undefined, index: 2 }])
+    expect(diff.steps.removed.map(step => step.id)).toEqual(['old'])
+    expect(diff.steps.modified[0].changes).toEqual([{ path: 'config.selector', before: '#buy', after: '#checkout' }])
+    expect(diff.steps.moved.map(({ id, from, to }) => [id, from, to])).toEqual([['click', 1, 0], ['open', 0, 1]])
+    expect(diff.variables).toEqual({
+      added: [{ name: 'currency', value: 'USD' }],
+      removed: [{ name: 'retries', value: 1 }],
+      modified: [{ name: 'region', before: 'eu', after: 'us' }]
+    })
+    expect(diff.metadata).toEqual([{ field: 'name', before: 'Orders', after: 'Orders v2' }])
+    expect(diff.schemas).toEqual([{ path: 'input_schema[0].required', before: undefined, after: true }])
+  })
+})
@@ -0,0 +1,250 @@
+/**
+ * 🕸️ Workflow Graph
+ * Builds an executable graph from saved workflow steps and their port connections
+ */
+
+// Ports that simply hand control to the next node once a step succeeds
+const SUCCESS_PORTS = ['success', 'start', 'triggered', 'resume', 'received']
+
+// Outgoing ports that legitimately lead back into a loop node
+const LOOP_BODY_PORTS = ['iteration']
+
+export class WorkflowGraph {
+  constructor(steps = []) {
+    this.steps = Array.isArray(steps) ? steps : []
+    this.nodes = new Map()
+    this.indexes = new Map()
+    this.edges = new Map()
+    this.inbound = new Map()
+
+    this.steps.forEach((step, index) => {
+      const id = step.id !== undefined && step.id !== null ? String(step.id) : `step_${index}`
+      this.nodes.set(id, step)
+      this.indexes.set(id, index)
+      this.edges.set(id, [])
+      this.inbound.set(id, [])
+    })
+
+    // Steps without any drawn connections run top to bottom, as before
+    this.isLinear = !this.steps.some(step => step.connections?.outputs?.length > 0)
+
+    if (this.isLinear) {
+      this.buildLinearEdges()
+    } else {
+      this.buildConnectedEdges()
+    }
+  }
+
+  /**
+   * Chain steps in array order through their success port
+   */
+  buildLinearEdges() {
+    const ids = Array.from(this.nodes.keys())
+
+    for (let i = 0; i < ids.length - 1; i++) {
+      this.addEdge(ids[i], ids[i + 1], 'success', 'trigger')
+    }
+  }
+
+  /**
+   * Build edges from the builder's `connections.outputs` entries
+   */
+  buildConnectedEdges() {
+    for (const [id, step] of this.nodes) {
+      for (const connection of step.connections?.outputs || []) {
+        const targetId = String(connection.nodeId)
+
+        if (!this.nodes.has(targetId)) {
+          continue
+        }
+
+        this.addEdge(id, targetId, connection.outputPort || 'success', connection.inputPort || 'trigger')
+      }
+    }
+  }
+
+  addEdge(fromId, toId, outputPort, inputPort) {
+    this.edges.get(fromId).push({ from: fromId, to: toId, outputPort, inputPort })
+    this.inbound.get(toId).push({ from: fromId, to: toId, outputPort, inputPort })
+  }
+
+  getNode(nodeId) {
+    return this.nodes.get(nodeId)
+  }
+
+  getNodeIdAt(index) {
+    return Array.from(this.nodes.keys())[index]
+  }
+
+  getIndex(nodeId) {
+    return this.indexes.get(nodeId)
+  }
+
+  get size() {
+    return this.nodes.size
+  }
+
+  /**
+   * Nodes execution begins from: explicit start nodes plus nodes nothing points to
+   */
+  getStartNodeIds() {
+    if (this.isLinear) {
+      return this.nodes.size > 0 ? [this.getNodeIdAt(0)] : []
+    }
+
+    return Array.from(this.nodes.keys()).filter(id => {
+      const step = this.nodes.get(id)
+      return step.type === 'start' || this.inbound.get(id).length === 0
+    })
+  }
+
+  /**
+   * Determine which output port a finished step leaves through
+   */
+  resolveOutputPort(step, stepResult = {}) {
+    if (stepResult.success === false) {
+      return 'error'
+    }
+
+    // Linear workflows only ever chain through the success port
+    if (this.isLinear) {
+      return 'success'
+    }
+
+    if (stepResult.outputPort) {
+      return stepResult.outputPort
+    }
+
+    if (step.type === 'condition') {
+      return stepResult.result === true ? 'true' : 'false'
+    }
+
+    return 'success'
+  }
+
+  /**
+   * Get the nodes connected to a given output port
+   */
+  getNextNodeIds(nodeId, port) {
+    const edges = this.edges.get(nodeId) || []
+    const ports = port === 'success' ? SUCCESS_PORTS : [port]
+
+    return edges
+      .filter(edge => ports.includes(edge.outputPort))
+      .map(edge => edge.to)
+  }
+
+  hasPort(nodeId, port) {
+    return this.getNextNodeIds(nodeId, port).length > 0
+  }
+
+  /**
+   * Nodes reachable from the given entry nodes, with their distance
+   */
+  getReachable(entryNodeIds) {
+    const distances = new Map()
+    const queue = entryNodeIds.map(id => [id, 0])
+
+    while (queue.length > 0) {
+      const [id, distance] = queue.shift()
+
+      if (distances.has(id)) {
+        continue
+      }
+
+      distances.set(id, distance)
+
+      for (const edge of this.edges.get(id) || []) {
+        queue.push([edge.to, distance + 1])
+      }
+    }
+
+    return distances
+  }
+
+  /**
+   * Closest node every group of entry nodes eventually reaches (where parallel paths join)
+   */
+  findJoinNodeId(entryGroups) {
+    if (entryGroups.length < 2) {
+      return null
+    }
+
+    const [first, ...rest] = entryGroups.map(group => this.getReachable(group))
+    let joinNodeId = null
+    let bestDistance = Infinity
+
+    for (const [id, distance] of first) {
+      const reachedByAll = rest.every(reachable => reachable.has(id))
+      const total = distance + rest.reduce((sum, reachable) => sum + (reachable.get(id) || 0), 0)
+
+      if (reachedByAll && total < bestDistance) {
+        joinNodeId = id
+        bestDistance = total
+      }
+    }
+
+    return joinNodeId
+  }
+
+  /**
+   * Find cycles that are not closed through a loop node's body port
+   */
+  findCycles() {
+    const WHITE = 0
+    const GREY = 1
+    const BLACK = 2
+    const state = new Map(Array.from(this.nodes.keys()).map(id => [id, WHITE]))
+    const stack = []
+    const cycles = []
+
+    const visit = (id) => {
+      state.set(id, GREY)
+      stack.push(id)
+
+      for (const edge of this.edges.get(id)) {
+        // Loop bodies may flow back into their loop node
+        if (this.nodes.get(id).type === 'loop' && LOOP_BODY_PORTS.includes(edge.outputPort)) {
+          continue
+        }
+
+        if (state.get(edge.to) === GREY) {
+          cycles.push([...stack.slice(stack.indexOf(edge.to)), edge.to])
+        } else if (state.get(edge.to) === WHITE) {
+          visit(edge.to)
+        }
+      }
+
+      stack.pop()
+      state.set(id, BLACK)
+    }
+
+    for (const id of this.nodes.keys()) {
+      if (state.get(id) === WHITE) {
+        visit(id)
+      }
+    }
+
+    return cycles
+  }
+
+  /**
+   * Validate the graph is executable
+   */
+  validate() {
+    const errors = []
+
+    if (this.nodes.size > 0 && this.getStartNodeIds().length === 0) {
+      errors.push('Workflow has no start node')
+    }
+
+    for (const cycle of this.findCycles()) {
+      errors.push(`Cycle detected outside of a loop: ${cycle.join(' -> ')}`)
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    }
+  }
+}
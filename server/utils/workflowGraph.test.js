@@ -0,0 +1,82 @@
+// @vitest-environment node
+import { WorkflowGraph } from './workflowGraph.js'
+
+/**
+ * Steps wired through `connections.outputs` from `[from, to, port]` edges
+ */
+const connect = (steps, edges) => steps.map(step => ({
+  ...step,
+  connections: {
+    outputs: edges.filter(([from]) => from === step.id).map(([, nodeId, outputPort = 'success']) => ({ nodeId, outputPort }))
+  }
+}))
+
+describe('WorkflowGraph', () => {
+  test('chains steps without connections top to bottom', () => {
+    const graph = new WorkflowGraph([{ id: 'a', type: 'navigate' }, { type: 'click' }, { id: 'c', type: 'condition' }])
+
+    expect(graph.isLinear).toBe(true)
+    expect(graph.getStartNodeIds()).toEqual(['a'])
+    expect(graph.getNextNodeIds('a', 'success')).toEqual(['step_1'])
+    expect(graph.resolveOutputPort(graph.getNode('c'), { result: false })).toBe('success')
+  })
+
+  test('follows drawn ports, starting from start nodes and nodes nothing points to', () => {
+    const graph = new WorkflowGraph(connect([
+      { id: 'start', type: 'start' },
+      { id: 'check', type: 'condition' },
+      { id: 'yes', type: 'click' },
+      { id: 'no', type: 'click' },
+      { id: 'orphan', type: 'wait' }
+    ], [
+      ['start', 'check'],
+      ['check', 'yes', 'true'],
+      ['check', 'no', 'false'],
+      ['yes', 'no', 'error']
+    ]))
+
+    expect(graph.getStartNodeIds()).toEqual(['start', 'orphan'])
+    expect(graph.getNextNodeIds('check', graph.resolveOutputPort(graph.getNode('check'), { result: true }))).toEqual(['yes'])
+    expect(graph.getNextNodeIds('check', graph.resolveOutputPort(graph.getNode('check'), { result: 'yes' }))).toEqual(['no'])
+    expect(graph.resolveOutputPort(graph.getNode('yes'), { success: false })).toBe('error')
+    expect(graph.hasPort('yes', 'success')).toBe(false)
+  })
+
+  test('finds the closest node parallel paths join at', () => {
+    const graph = new WorkflowGraph(connect([
+      { id: 'fork', type: 'branch' },
+      { id: 'left', type: 'click' },
+      { id: 'right', type: 'click' },
+      { id: 'slow', type: 'wait' },
+      { id: 'join', type: 'set_variable' },
+      { id: 'end', type: 'end' }
+    ], [
+      ['fork', 'left', 'path1'],
+      ['fork', 'right', 'path2'],
+      ['left', 'join'],
+      ['right', 'slow'],
+      ['slow', 'join'],
+      ['join', 'end']
+    ]))
+
+    expect(graph.findJoinNodeId([['left'], ['right']])).toBe('join')
+    expect(graph.findJoinNodeId([['left']])).toBeNull()
+    expect(graph.getReachable(['right']).get('end')).toBe(3)
+  })
+
+  test('rejects cycles unless a loop body closes them', () => {
+    const looped = new WorkflowGraph(connect([
+      { id: 'start', type: 'start' },
+      { id: 'each', type: 'loop' },
+      { id: 'body', type: 'click' }
+    ], [['start', 'each'], ['each', 'body', 'iteration'], ['body', 'each']]))
+    const cyclic = new WorkflowGraph(connect([
+      { id: 'start', type: 'start' },
+      { id: 'a', type: 'click' },
+      { id: 'b', type: 'click' }
+    ], [['start', 'a'], ['a', 'b'], ['b', 'a']]))
+
+    expect(looped.validate()).toEqual({ isValid: true, errors: [] })
+    expect(cyclic.validate().errors).toEqual(['Cycle detected outside of a loop: a -> b -> a'])
+  })
+})
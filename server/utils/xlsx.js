@@ -0,0 +1,362 @@
+/**
+ * 📗 XLSX
+ * Reading and writing Excel workbooks (Office Open XML): cell values, shared strings, date
+ * formats and sheet selection. Formulas are read as their cached values; styling is not kept.
+ */
+
+import { readZip, writeZip } from './zip.js'
+
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main'
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships'
+const PACKAGE_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships'
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+
+// Built-in number formats that display dates and times
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 45, 46, 47, 50, 51, 52, 53, 54, 55, 56, 57, 58])
+
+// Days between the spreadsheet epochs and 1970-01-01
+const EPOCH_1900 = 25569
+const EPOCH_1904 = 24107
+const DAY = 24 * 60 * 60 * 1000
+
+const MAX_SHEET_NAME_LENGTH = 31
+const INVALID_SHEET_NAME = /[[\]:*?/\\]/
+
+/**
+ * Read one sheet of a workbook as rows of cell values (strings, numbers, booleans and dates
+ * as ISO strings). `sheet` is a sheet name or 1-based position; the first sheet by default.
+ */
+export function readXlsx(buffer, { sheet } = {}) {
+  let entries
+  try {
+    entries = readZip(buffer)
+  } catch (error) {
+    throw new Error(`Not an XLSX workbook: ${error.message}`)
+  }
+
+  const workbookXml = readEntry(entries, 'xl/workbook.xml')
+  if (!workbookXml) {
+    throw new Error('Not an XLSX workbook: xl/workbook.xml is missing')
+  }
+
+  const targets = new Map(
+    matchAll(readEntry(entries, 'xl/_rels/workbook.xml.rels') || '', /<Relationship\b([^>]*?)\/?>/g)
+      .map(([, attributes]) => parseAttributes(attributes))
+      .map(rel => [rel.Id, resolveTarget(rel.Target)])
+  )
+  const sheets = matchAll(workbookXml, /<sheet\b([^>]*?)\/?>/g)
+    .map(([, attributes]) => parseAttributes(attributes))
+    .map(attributes => ({ name: decodeXml(attributes.name), target: targets.get(attributes['r:id']) }))
+
+  const sheetNames = sheets.map(({ name }) => name)
+  const selected = selectSheet(sheets, sheet)
+  if (!selected) {
+    throw new Error(`Sheet "${sheet}" not found; the workbook has ${sheetNames.map(name => `"${name}"`).join(', ')}`)
+  }
+
+  const sheetXml = readEntry(entries, selected.target)
+  if (sheetXml === null) {
+    throw new Error(`Sheet "${selected.name}" has no worksheet data`)
+  }
+
+  const workbookProperties = parseAttributes(workbookXml.match(/<workbookPr\b([^>]*?)\/?>/)?.[1] || '')
+  const date1904 = ['1', 'true'].includes(workbookProperties.date1904)
+
+  return {
+    sheetNames,
+    sheetName: selected.name,
+    rows: readCells(sheetXml, {
+      sharedStrings: readSharedStrings(readEntry(entries, 'xl/sharedStrings.xml') || ''),
+      dateStyles: readDateStyles(readEntry(entries, 'xl/styles.xml') || ''),
+      date1904
+    })
+  }
+}
+
+/**
+ * Build a workbook from `[{ name, rows }]`, rows being arrays of cell values; `header: true`
+ * puts the first row in bold
+ */
+export function writeXlsx(sheets) {
+  if (!Array.isArray(sheets) || sheets.length === 0) {
+    throw new Error('A workbook needs at least one sheet')
+  }
+
+  const names = new Set()
+  for (const { name } of sheets) {
+    checkSheetName(name)
+    if (names.has(name.toLowerCase())) {
+      throw new Error(`Duplicate sheet name "${name}"`)
+    }
+    names.add(name.toLowerCase())
+  }
+
+  const files = [
+    ['[Content_Types].xml', XML_DECLARATION +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      sheets.map((_, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+      '</Types>'],
+    ['_rels/.rels', XML_DECLARATION +
+      `<Relationships xmlns="${PACKAGE_REL_NS}">` +
+      `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+      '</Relationships>'],
+    ['xl/workbook.xml', XML_DECLARATION +
+      `<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}"><sheets>` +
+      sheets.map(({ name }, index) => `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('') +
+      '</sheets></workbook>'],
+    ['xl/_rels/workbook.xml.rels', XML_DECLARATION +
+      `<Relationships xmlns="${PACKAGE_REL_NS}">` +
+      sheets.map((_, index) => `<Relationship Id="rId${index + 1}" Type="${REL_NS}/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('') +
+      `<Relationship Id="rId${sheets.length + 1}" Type="${REL_NS}/styles" Target="styles.xml"/>` +
+      '</Relationships>'],
+    ['xl/styles.xml', XML_DECLARATION +
+      `<styleSheet xmlns="${MAIN_NS}">` +
+      '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+      '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+      '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+      '</styleSheet>'],
+    ...sheets.map(({ rows, header }, index) => [`xl/worksheets/sheet${index + 1}.xml`, writeSheet(rows, header)])
+  ]
+
+  return writeZip(files)
+}
+
+/**
+ * Sheet names Excel accepts: 1-31 characters, none of []:*?/\
+ */
+export function checkSheetName(name) {
+  if (typeof name !== 'string' || name.trim() === '' || name.length > MAX_SHEET_NAME_LENGTH) {
+    throw new Error(`Sheet names must be 1-${MAX_SHEET_NAME_LENGTH} characters`)
+  }
+  if (INVALID_SHEET_NAME.test(name)) {
+    throw new Error(`Sheet name "${name}" cannot contain any of [ ] : * ? / \\`)
+  }
+}
+
+// ============================================================================
+// READING
+// ============================================================================
+
+function readEntry(entries, name) {
+  const data = entries.get(name)
+  return data ? data.toString('utf8') : null
+}
+
+/**
+ * Relationship targets are relative to xl/ unless they start at the package root
+ */
+function resolveTarget(target = '') {
+  return target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`
+}
+
+function selectSheet(sheets, sheet) {
+  if (sheet === undefined || sheet === null || sheet === '') {
+    return sheets[0]
+  }
+  if (typeof sheet === 'number' || /^\d+$/.test(String(sheet))) {
+    const byName = sheets.find(({ name }) => name === String(sheet))
+    return byName || sheets[Number(sheet) - 1]
+  }
+  return sheets.find(({ name }) => name === sheet) ||
+    sheets.find(({ name }) => name.toLowerCase() === String(sheet).toLowerCase())
+}
+
+function readSharedStrings(xml) {
+  // Phonetic runs (<rPh>) hold readings of the text, not the text itself
+  return matchAll(xml, /<si>([\s\S]*?)<\/si>/g)
+    .map(([, item]) => readText(item.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '')))
+}
+
+function readText(xml) {
+  return matchAll(xml, /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g).map(([, text]) => decodeXml(text)).join('')
+}
+
+/**
+ * Indexes of cell styles that format numbers as dates
+ */
+function readDateStyles(xml) {
+  const customFormats = new Map(
+    matchAll(xml, /<numFmt\b([^>]*?)\/?>/g)
+      .map(([, attributes]) => parseAttributes(attributes))
+      .map(format => [Number(format.numFmtId), decodeXml(format.formatCode || '')])
+  )
+
+  const cellFormats = xml.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/)?.[1] || ''
+  const dateStyles = new Set()
+  matchAll(cellFormats, /<xf\b([^>]*?)\/?>/g).forEach(([, attributes], index) => {
+    const formatId = Number(parseAttributes(attributes).numFmtId || 0)
+    if (DATE_FORMAT_IDS.has(formatId) || isDateFormat(customFormats.get(formatId))) {
+      dateStyles.add(index)
+    }
+  })
+  return dateStyles
+}
+
+function isDateFormat(code) {
+  if (!code) return false
+  // Ignore quoted text, escaped characters and [colour]/[condition] sections
+  const stripped = code.replace(/"[^"]*"|\\.|\[(?!h\]|m\]|s\])[^\]]*\]/gi, '')
+  return /[dmyhs]/i.test(stripped)
+}
+
+function readCells(xml, { sharedStrings, dateStyles, date1904 }) {
+  const rows = []
+  let nextRow = 0
+
+  for (const [, rowAttributes, rowXml = ''] of matchAll(xml, /<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const rowNumber = Number(parseAttributes(rowAttributes).r) || nextRow + 1
+    nextRow = rowNumber
+    const row = []
+    let nextColumn = 0
+
+    for (const [, cellAttributes, cellXml = ''] of matchAll(rowXml, /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const { r, t, s } = parseAttributes(cellAttributes)
+      const column = r ? columnIndex(r) : nextColumn
+      nextColumn = column + 1
+
+      const value = readCellValue(cellXml, t, dateStyles.has(Number(s)), { sharedStrings, date1904 })
+      if (value !== null) {
+        row[column] = value
+      }
+    }
+
+    if (row.length > 0) {
+      rows[rowNumber - 1] = Array.from(row, value => value ?? null)
+    }
+  }
+
+  return Array.from(rows, row => row || [])
+}
+
+function readCellValue(xml, type, isDate, { sharedStrings, date1904 }) {
+  if (type === 'inlineStr') {
+    return readText(xml.match(/<is>([\s\S]*?)<\/is>/)?.[1] || '')
+  }
+
+  const raw = xml.match(/<v>([\s\S]*?)<\/v>/)?.[1]
+  if (raw === undefined) {
+    return null
+  }
+
+  switch (type) {
+    case 's':
+      return sharedStrings[Number(raw)] ?? ''
+    case 'b':
+      return raw === '1'
+    case 'str':
+    case 'e':
+      return decodeXml(raw)
+    default: {
+      const number = Number(raw)
+      if (Number.isNaN(number)) return decodeXml(raw)
+      return isDate ? serialToDate(number, date1904) : number
+    }
+  }
+}
+
+/**
+ * Spreadsheet serial date to ISO: a date for whole days, a time below one day, else both.
+ * Times have no timezone in a workbook, so none is added.
+ */
+function serialToDate(serial, date1904) {
+  const date = new Date(Math.round((serial - (date1904 ? EPOCH_1904 : EPOCH_1900)) * DAY))
+  if (Number.isNaN(date.getTime())) return serial
+
+  const iso = date.toISOString()
+  if (Number.isInteger(serial)) return iso.slice(0, 10)
+  if (serial < 1) return iso.slice(11, 19)
+  return iso.slice(0, 19)
+}
+
+/**
+ * Zero-based column of a cell reference such as "AB12"
+ */
+function columnIndex(reference) {
+  let index = 0
+  for (const char of reference.replace(/\d+$/, '').toUpperCase()) {
+    index = index * 26 + char.charCodeAt(0) - 64
+  }
+  return index - 1
+}
+
+function parseAttributes(text) {
+  return Object.fromEntries(matchAll(text, /([\w:]+)\s*=\s*"([^"]*)"/g).map(([, name, value]) => [name, value]))
+}
+
+function matchAll(text, pattern) {
+  return Array.from(text.matchAll(pattern))
+}
+
+function decodeXml(text) {
+  return text.replace(/&(lt|gt|amp|quot|apos|#\d+|#x[\da-f]+);/gi, (entity, name) => {
+    switch (name.toLowerCase()) {
+      case 'lt': return '<'
+      case 'gt': return '>'
+      case 'amp': return '&'
+      case 'quot': return '"'
+      case 'apos': return "'"
+      default: {
+        const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10)
+        return code <= 0x10ffff ? String.fromCodePoint(code) : entity
+      }
+    }
+  })
+}
+
+// ============================================================================
+// WRITING
+// ============================================================================
+
+function writeSheet(rows = [], header = false) {
+  const rowsXml = rows.map((row, rowIndex) => {
+    const style = header && rowIndex === 0 ? ' s="1"' : ''
+    const cells = (row || []).map((value, columnIndex) => writeCell(`${columnName(columnIndex)}${rowIndex + 1}`, value, style))
+    return `<row r="${rowIndex + 1}">${cells.join('')}</row>`
+  })
+
+  return XML_DECLARATION + `<worksheet xmlns="${MAIN_NS}"><sheetData>${rowsXml.join('')}</sheetData></worksheet>`
+}
+
+function writeCell(reference, value, style) {
+  if (value === null || value === undefined || value === '') {
+    return ''
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${reference}"${style}><v>${value}</v></c>`
+  }
+  if (typeof value === 'boolean') {
+    return `<c r="${reference}" t="b"${style}><v>${value ? 1 : 0}</v></c>`
+  }
+
+  const text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value)
+  return `<c r="${reference}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`
+}
+
+/**
+ * Column letters of a zero-based index: 0 → A, 26 → AA
+ */
+function columnName(index) {
+  let name = ''
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name
+  }
+  return name
+}
+
+function escapeXml(text) {
+  return text
+    // Control characters other than tab and line breaks are not allowed in XML
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
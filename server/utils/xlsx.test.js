@@ -0,0 +1,58 @@
+// @vitest-environment node
+import { checkSheetName, readXlsx, writeXlsx } from './xlsx.js'
+import { readZip, writeZip } from './zip.js'
+
+describe('zip', () => {
+  test('round-trips entries', () => {
+    const entries = readZip(writeZip([['a.txt', 'hello'], ['dir/b.bin', Buffer.from([0, 1, 2])]]))
+
+    expect(Array.from(entries.keys())).toEqual(['a.txt', 'dir/b.bin'])
+    expect(entries.get('a.txt').toString()).toBe('hello')
+    expect(entries.get('dir/b.bin')).toEqual(Buffer.from([0, 1, 2]))
+    expect(() => readZip(Buffer.from('hello'))).toThrow('Not a ZIP archive')
+  })
+})
+
+describe('xlsx', () => {
+  test('round-trips typed cells across sheets', () => {
+    const workbook = writeXlsx([
+      {
+        name: 'Orders',
+        header: true,
+        rows: [['id', 'name', 'paid', 'note'], [1, 'Ada & <Co>', true, { a: 1 }], [2.5, '  x', false, null, '=SUM(A1)']]
+      },
+      { name: 'Other', rows: [['z']] }
+    ])
+
+    expect(readXlsx(workbook)).toEqual({
+      sheetNames: ['Orders', 'Other'],
+      sheetName: 'Orders',
+      rows: [['id', 'name', 'paid', 'note'], [1, 'Ada & <Co>', true, '{"a":1}'], [2.5, '  x', false, null, '=SUM(A1)']]
+    })
+    expect(readXlsx(workbook, { sheet: 2 }).rows).toEqual([['z']])
+    expect(readXlsx(workbook, { sheet: 'other' }).sheetName).toBe('Other')
+    expect(() => readXlsx(workbook, { sheet: 'Nope' })).toThrow('Sheet "Nope" not found; the workbook has "Orders", "Other"')
+  })
+
+  test('reads shared strings, date styles and sparse cells the way Excel writes them', () => {
+    const workbook = writeZip([
+      ['xl/workbook.xml', '<workbook><sheets><sheet name="Data" sheetId="1" r:id="rId1"/></sheets></workbook>'],
+      ['xl/_rels/workbook.xml.rels', '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>'],
+      ['xl/sharedStrings.xml', '<sst><si><t>Date</t></si><si><r><t>Tot</t></r><r><t>al</t></r><rPh><t>x</t></rPh></si></sst>'],
+      ['xl/styles.xml', '<styleSheet><cellXfs count="2"><xf numFmtId="0"/><xf numFmtId="14"/></cellXfs></styleSheet>'],
+      ['xl/worksheets/sheet1.xml', '<worksheet><sheetData>' +
+        '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="s"><v>1</v></c></row>' +
+        '<row r="3"><c r="A3" s="1"><v>45413</v></c><c r="C3"><v>9.5</v></c></row>' +
+        '</sheetData></worksheet>']
+    ])
+
+    expect(readXlsx(workbook).rows).toEqual([['Date', null, 'Total'], [], ['2024-05-01', null, 9.5]])
+    expect(() => readXlsx(writeZip([['a.txt', 'x']]))).toThrow('Not an XLSX workbook: xl/workbook.xml is missing')
+  })
+
+  test('rejects sheet names Excel would refuse', () => {
+    expect(() => checkSheetName('Q1/Q2')).toThrow('cannot contain any of')
+    expect(() => checkSheetName('x'.repeat(32))).toThrow('Sheet names must be 1-31 characters')
+    expect(() => writeXlsx([{ name: 'Data', rows: [] }, { name: 'data', rows: [] }])).toThrow('Duplicate sheet name "data"')
+  })
+})
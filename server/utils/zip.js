@@ -0,0 +1,140 @@
+/**
+ * 🗜️ Zip
+ * Just enough of the ZIP format for office documents: reading stored/deflated entries and
+ * writing deflated archives (no ZIP64, encryption or multi-disk archives)
+ */
+
+import zlib from 'zlib'
+
+const LOCAL_HEADER = 0x04034b50
+const CENTRAL_HEADER = 0x02014b50
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50
+
+// 1980-01-01, the earliest date the format can hold
+const DOS_DATE = (1 << 5) | 1
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  }
+  return c >>> 0
+})
+
+function crc32(data) {
+  let crc = 0xffffffff
+  for (const byte of data) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+/**
+ * Entries of a ZIP archive as a Map of path → Buffer
+ */
+export function readZip(buffer) {
+  // The end record sits in the last 22 bytes plus an optional comment of up to 64 KB
+  let end = -1
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      end = i
+      break
+    }
+  }
+  if (end === -1) {
+    throw new Error('Not a ZIP archive')
+  }
+
+  const entryCount = buffer.readUInt16LE(end + 10)
+  let offset = buffer.readUInt32LE(end + 16)
+  if (offset === 0xffffffff || entryCount === 0xffff) {
+    throw new Error('ZIP64 archives are not supported')
+  }
+
+  const entries = new Map()
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_HEADER) {
+      throw new Error('Corrupt ZIP central directory')
+    }
+
+    const method = buffer.readUInt16LE(offset + 10)
+    const compressedSize = buffer.readUInt32LE(offset + 20)
+    const nameLength = buffer.readUInt16LE(offset + 28)
+    const extraLength = buffer.readUInt16LE(offset + 30)
+    const commentLength = buffer.readUInt16LE(offset + 32)
+    const localOffset = buffer.readUInt32LE(offset + 42)
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength)
+
+    if (buffer.readUInt32LE(localOffset) !== LOCAL_HEADER) {
+      throw new Error(`Corrupt ZIP entry: ${name}`)
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28)
+    const data = buffer.subarray(dataStart, dataStart + compressedSize)
+
+    if (method === 0) {
+      entries.set(name, data)
+    } else if (method === 8) {
+      entries.set(name, zlib.inflateRawSync(data))
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${method} for ${name}`)
+    }
+
+    offset += 46 + nameLength + extraLength + commentLength
+  }
+
+  return entries
+}
+
+/**
+ * Build a ZIP archive from `[path, Buffer | string]` pairs
+ */
+export function writeZip(files) {
+  const localParts = []
+  const centralParts = []
+  let offset = 0
+
+  for (const [name, content] of files) {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8')
+    const compressed = zlib.deflateRawSync(data)
+    const nameBuffer = Buffer.from(name, 'utf8')
+    const crc = crc32(data)
+
+    const local = Buffer.alloc(30)
+    local.writeUInt32LE(LOCAL_HEADER, 0)
+    local.writeUInt16LE(20, 4) // version needed
+    local.writeUInt16LE(0x0800, 6) // UTF-8 names
+    local.writeUInt16LE(8, 8) // deflate
+    local.writeUInt16LE(DOS_DATE, 12)
+    local.writeUInt32LE(crc, 14)
+    local.writeUInt32LE(compressed.length, 18)
+    local.writeUInt32LE(data.length, 22)
+    local.writeUInt16LE(nameBuffer.length, 26)
+
+    const central = Buffer.alloc(46)
+    central.writeUInt32LE(CENTRAL_HEADER, 0)
+    central.writeUInt16LE(20, 4) // version made by
+    central.writeUInt16LE(20, 6)
+    central.writeUInt16LE(0x0800, 8)
+    central.writeUInt16LE(8, 10)
+    central.writeUInt16LE(DOS_DATE, 14)
+    central.writeUInt32LE(crc, 16)
+    central.writeUInt32LE(compressed.length, 20)
+    central.writeUInt32LE(data.length, 24)
+    central.writeUInt16LE(nameBuffer.length, 28)
+    central.writeUInt32LE(offset, 42)
+
+    localParts.push(local, nameBuffer, compressed)
+    centralParts.push(central, nameBuffer)
+    offset += local.length + nameBuffer.length + compressed.length
+  }
+
+  const centralDirectory = Buffer.concat(centralParts)
+  const end = Buffer.alloc(22)
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0)
+  end.writeUInt16LE(files.length, 8)
+  end.writeUInt16LE(files.length, 10)
+  end.writeUInt32LE(centralDirectory.length, 12)
+  end.writeUInt32LE(offset, 16)
+
+  return Buffer.concat([...localParts, centralDirectory, end])
+}
@@ -3,10 +3,11 @@ import { useParams, useNavigate } from 'react-router-dom'
 import { useDrop, useDrag } from 'react-dnd'
 import { useUser } from '@clerk/clerk-react'
 import { WorkflowModel } from '../../models/workflowModel'
-import { WORKFLOW_NODE_DEFINITIONS, NODE_CATEGORIES } from '../../constants/workflowTypes'
+import { WORKFLOW_NODE_DEFINITIONS, NODE_CATEGORIES, NODE_TYPES } from '../../constants/workflowTypes'
 import { workflowService } from '../../lib/supabase'
 import { Button } from '@/components/ui'
 import WorkflowConnection from './WorkflowConnection'
+import SchedulePreview from './SchedulePreview'
 import './EnhancedWorkflowBuilder.css'
 
 const EnhancedWorkflowBuilder = () => {
@@ -334,6 +335,10 @@ const EnhancedWorkflowBuilder = () => {
           ))}
         </div>
 
+        {node.type === NODE_TYPES.SCHEDULE && (
+          <SchedulePreview config={node.config} configSchema={nodeDefinition.configSchema} />
+        )}
+
         <div className="config-actions">
           <Button
             variant="destructive"
@@ -0,0 +1,131 @@
+import { useEffect, useState } from 'react'
+import apiClient from '../../utils/apiClient'
+import { API_ENDPOINTS } from '../../constants/apiEndpoints'
+import './RunWorkflowForm.css'
+
+// Form control for each declared input type
+const INPUT_CONTROLS = {
+  string: 'text',
+  number: 'number',
+  date: 'date',
+  secret: 'password'
+}
+
+const initialValues = (schema) => Object.fromEntries(
+  schema.map(field => [field.name, field.default ?? (field.type === 'boolean' ? false : '')])
+)
+
+const RunWorkflowForm = ({ workflowId, onStarted }) => {
+  const [schema, setSchema] = useState(null)
+  const [values, setValues] = useState({})
+  const [problems, setProblems] = useState([])
+  const [running, setRunning] = useState(false)
+  const [started, setStarted] = useState(null)
+
+  const workflowUrl = `${API_ENDPOINTS.WORKFLOWS}/${workflowId}`
+
+  // Runs use the published version, so the form follows that version's schema
+  useEffect(() => {
+    let cancelled = false
+
+    const loadSchema = async () => {
+      try {
+        const history = await apiClient.get(`${workflowUrl}/versions`, { retries: 1 })
+        const reference = history.data.published_version || 'draft'
+        const response = await apiClient.get(`${workflowUrl}/versions/${reference}`, { retries: 1 })
+        const inputSchema = response.data.version.input_schema || []
+
+        if (!cancelled) {
+          setSchema(inputSchema)
+          setValues(initialValues(inputSchema))
+        }
+      } catch (err) {
+        if (!cancelled) setProblems([err.message || 'Failed to load workflow inputs'])
+      }
+    }
+
+    loadSchema()
+    return () => {
+      cancelled = true
+    }
+  }, [workflowId])
+
+  const run = async (e) => {
+    e.preventDefault()
+
+    try {
+      setRunning(true)
+      setProblems([])
+      const response = await apiClient.post(`${workflowUrl}/execute`, { variables: values }, { retries: 1 })
+      setStarted(response.data.execution)
+      onStarted?.(response.data.execution)
+    } catch (err) {
+      setProblems(err.data?.details || [err.message || 'Failed to start workflow'])
+    } finally {
+      setRunning(false)
+    }
+  }
+
+  if (!schema) {
+    return problems.length > 0 ? <div className="run-form"><p className="run-form-error">{problems[0]}</p></div> : null
+  }
+
+  return (
+    <form className="run-form" onSubmit={run}>
+      <h4>Run with inputs</h4>
+
+      {schema.length === 0 && <p className="run-form-hint">This workflow declares no inputs</p>}
+
+      {schema.map(field => (
+        <div key={field.name} className="form-group">
+          <label>
+            {field.label || field.name}{field.required && ' *'}
+            {field.type === 'boolean' && (
+              <input
+                type="checkbox"
+                checked={values[field.name] === true}
+                onChange={(e) => setValues(prev => ({ ...prev, [field.name]: e.target.checked }))}
+              />
+            )}
+          </label>
+
+          {field.type === 'enum' && (
+            <select
+              value={values[field.name]}
+              onChange={(e) => setValues(prev => ({ ...prev, [field.name]: e.target.value }))}
+              className="property-select"
+            >
+              <option value="">Select…</option>
+              {field.options.map(option => <option key={option} value={option}>{option}</option>)}
+            </select>
+          )}
+
+          {INPUT_CONTROLS[field.type] && (
+            <input
+              type={INPUT_CONTROLS[field.type]}
+              value={values[field.name]}
+              pattern={field.pattern}
+              placeholder={field.description}
+              onChange={(e) => setValues(prev => ({ ...prev, [field.name]: e.target.value }))}
+              className="property-input"
+            />
+          )}
+        </div>
+      ))}
+
+      {problems.length > 0 && (
+        <ul className="run-form-errors">
+          {problems.map(problem => <li key={problem}>{problem}</li>)}
+        </ul>
+      )}
+
+      {started && <p className="run-form-hint">Execution {started.id} started</p>}
+
+      <button type="submit" className="version-bar-btn" disabled={running}>
+        {running ? 'Starting…' : '▶ Run'}
+      </button>
+    </form>
+  )
+}
+
+export default RunWorkflowForm
@@ -0,0 +1,141 @@
+import { useEffect, useState } from 'react'
+import apiClient from '../../utils/apiClient'
+import { API_ENDPOINTS } from '../../constants/apiEndpoints'
+import { formatDate, formatTime } from '../../utils/formatters'
+import './SchedulePreview.css'
+
+const PREVIEW_COUNT = 5
+const PREVIEW_DEBOUNCE_MS = 400
+
+// Map the schedule node's config onto the scheduler's schedule config
+export const toScheduleConfig = (config) => {
+  const policies = {
+    timezone: config.timezone || undefined,
+    catchUp: config.catchUp,
+    maxBackfill: config.maxBackfill,
+    overlap: config.overlap
+  }
+
+  switch (config.scheduleType) {
+    case 'cron':
+      return config.cronExpression ? { type: 'cron', cron: config.cronExpression.trim(), ...policies } : null
+    case 'interval':
+      return { type: 'interval', interval: { unit: 'minutes', value: config.interval }, ...policies }
+    default:
+      return null
+  }
+}
+
+const SchedulePreview = ({ config, configSchema }) => {
+  const [preview, setPreview] = useState(null)
+  const [error, setError] = useState(null)
+  const [loading, setLoading] = useState(false)
+
+  const effectiveConfig = Object.fromEntries(
+    Object.entries(configSchema).map(([key, schema]) => [key, config[key] ?? schema.default])
+  )
+  const scheduleConfig = toScheduleConfig(effectiveConfig)
+  const requestKey = JSON.stringify(scheduleConfig)
+
+  useEffect(() => {
+    if (!scheduleConfig) {
+      setPreview(null)
+      setError(null)
+      return
+    }
+
+    let cancelled = false
+    setLoading(true)
+
+    // Wait for typing to settle before asking the server
+    const timer = setTimeout(async () => {
+      try {
+        const response = await apiClient.post(
+          `${API_ENDPOINTS.WORKFLOWS}/schedules/preview`,
+          { scheduleConfig, count: PREVIEW_COUNT },
+          { retries: 1 }
+        )
+
+        if (!cancelled) {
+          setPreview(response.data)
+          setError(null)
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setPreview(null)
+          setError(err.message || 'Failed to preview schedule')
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false)
+        }
+      }
+    }, PREVIEW_DEBOUNCE_MS)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [requestKey])
+
+  if (effectiveConfig.scheduleType === 'once') {
+    return (
+      <div className="schedule-preview">
+        <h4>Next Runs</h4>
+        <p className="schedule-preview-hint">
+          {effectiveConfig.startTime
+            ? `Runs once on ${formatDate(effectiveConfig.startTime)} at ${formatTime(effectiveConfig.startTime)}`
+            : 'Pick a start time to see when this runs'}
+        </p>
+      </div>
+    )
+  }
+
+  if (!scheduleConfig) {
+    return (
+      <div className="schedule-preview">
+        <h4>Next Runs</h4>
+        <p className="schedule-preview-hint">Enter a cron expression to see upcoming runs</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="schedule-preview">
+      <h4>
+        Next Runs
+        {preview && <span className="schedule-preview-timezone">{preview.timezone}</span>}
+        {loading && <span className="schedule-preview-loading">updating…</span>}
+      </h4>
+
+      {error && <p className="schedule-preview-error">{error}</p>}
+
+      {preview && (
+        <>
+          {preview.runs.length > 0 ? (
+            <ol className="schedule-preview-runs">
+              {preview.runs.map(run => (
+                <li key={run.at} title={run.at}>
+                  <span>{run.weekday} {run.localTime}</span>
+                  <span className="schedule-preview-offset">UTC{run.utcOffset}</span>
+                </li>
+              ))}
+            </ol>
+          ) : (
+            <p className="schedule-preview-hint">This schedule never runs</p>
+          )}
+
+          {preview.warnings.length > 0 && (
+            <ul className="schedule-preview-warnings">
+              {preview.warnings.map((warning, index) => (
+                <li key={`${warning.type}-${index}`}>⚠️ {warning.message}</li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default SchedulePreview
@@ -0,0 +1,130 @@
+import { useEffect, useState } from 'react'
+import apiClient from '../../utils/apiClient'
+import { API_ENDPOINTS } from '../../constants/apiEndpoints'
+import { formatDate, formatTime } from '../../utils/formatters'
+import './WorkflowVersionBar.css'
+
+const DRAFT = 'draft'
+
+// One-line summary of a diff's step and variable changes
+const describeDiff = ({ summary }) => {
+  const parts = [
+    summary.stepsAdded && `+${summary.stepsAdded} added`,
+    summary.stepsRemoved && `−${summary.stepsRemoved} removed`,
+    summary.stepsModified && `~${summary.stepsModified} changed`,
+    summary.stepsMoved && `${summary.stepsMoved} moved`,
+    summary.variablesChanged && `${summary.variablesChanged} variable(s)`
+  ].filter(Boolean)
+
+  return parts.length > 0 ? parts.join(', ') : 'same as the draft'
+}
+
+const WorkflowVersionBar = ({ workflowId, refreshKey, onRestored }) => {
+  const [history, setHistory] = useState(null)
+  const [selected, setSelected] = useState(DRAFT)
+  const [diff, setDiff] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  const versionsUrl = `${API_ENDPOINTS.WORKFLOWS}/${workflowId}/versions`
+
+  const loadHistory = async () => {
+    try {
+      const response = await apiClient.get(versionsUrl, { retries: 1 })
+      setHistory(response.data)
+      setError(null)
+    } catch (err) {
+      setError(err.message || 'Failed to load versions')
+    }
+  }
+
+  useEffect(() => {
+    loadHistory()
+  }, [workflowId, refreshKey])
+
+  // Show what changed between the picked version and the working copy
+  useEffect(() => {
+    if (selected === DRAFT) {
+      setDiff(null)
+      return
+    }
+
+    let cancelled = false
+    apiClient.get(`${versionsUrl}/${selected}/diff/${DRAFT}`, { retries: 1 })
+      .then(response => !cancelled && setDiff(response.data.diff))
+      .catch(() => !cancelled && setDiff(null))
+
+    return () => {
+      cancelled = true
+    }
+  }, [selected, refreshKey])
+
+  const runAction = async (action) => {
+    try {
+      setBusy(true)
+      await action()
+      await loadHistory()
+    } catch (err) {
+      setError(err.message || 'Version action failed')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const publish = () => runAction(async () => {
+    await apiClient.post(`${API_ENDPOINTS.WORKFLOWS}/${workflowId}/publish`, {})
+  })
+
+  const rollback = () => runAction(async () => {
+    const response = await apiClient.post(`${versionsUrl}/${selected}/rollback`)
+    setSelected(DRAFT)
+    onRestored?.(response.data.workflow)
+  })
+
+  if (!history) {
+    return error ? <div className="version-bar"><span className="version-bar-error">{error}</span></div> : null
+  }
+
+  return (
+    <div className="version-bar">
+      <select
+        value={selected}
+        onChange={(e) => setSelected(e.target.value)}
+        className="version-bar-select"
+        disabled={busy}
+      >
+        <option value={DRAFT}>Draft (working copy)</option>
+        {history.versions.map(version => (
+          <option key={version.id} value={version.version}>
+            v{version.version}{version.version === history.published_version ? ' • published' : ''} — {formatDate(version.created_at)} {formatTime(version.created_at)}{version.notes ? ` — ${version.notes}` : ''}
+          </option>
+        ))}
+      </select>
+
+      {history.has_unpublished_changes ? (
+        <span className="version-bar-badge unpublished" title="Runs and schedules use the published version">
+          ● Unpublished changes
+        </span>
+      ) : (
+        <span className="version-bar-badge">Published v{history.published_version}</span>
+      )}
+
+      {selected === DRAFT ? (
+        <button onClick={publish} className="version-bar-btn" disabled={busy || !history.has_unpublished_changes}>
+          Publish
+        </button>
+      ) : (
+        <>
+          {diff && <span className="version-bar-diff">v{selected} vs draft: {describeDiff(diff)}</span>}
+          <button onClick={rollback} className="version-bar-btn" disabled={busy}>
+            Roll back to v{selected}
+          </button>
+        </>
+      )}
+
+      {error && <span className="version-bar-error">{error}</span>}
+    </div>
+  )
+}
+
+export default WorkflowVersionBar
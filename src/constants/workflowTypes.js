@@ -12,6 +12,9 @@ export const NODE_TYPES = {
   CONDITION: 'condition',
   LOOP: 'loop',
   BRANCH: 'branch',
+  TRY_CATCH: 'try_catch',
+  CALL_WORKFLOW: 'call_workflow',
+  APPROVAL: 'approval',
   
   // Data Nodes
   EXTRACT: 'extract',
@@ -21,7 +24,8 @@ export const NODE_TYPES = {
   // Control Nodes
   START: 'start',
   END: 'end',
-  PAUSE: 'pause'
+  PAUSE: 'pause',
+  SCHEDULE: 'schedule'
 }
 
 export const NODE_CATEGORIES = {
@@ -158,11 +162,14 @@ export const WORKFLOW_NODE_DEFINITIONS = [
       loopType: { 
         type: 'select', 
         label: 'Loop Type', 
-        options: ['count', 'condition', 'infinite'],
+        options: ['count', 'condition', 'for_each', 'infinite'],
         default: 'count'
       },
       iterations: { type: 'number', label: 'Number of Iterations', default: 3, min: 1, max: 10000 },
-      condition: { type: 'text', label: 'Loop Condition (if applicable)' }
+      condition: { type: 'text', label: 'Loop Condition (if applicable)' },
+      array: { type: 'text', label: 'Array to Iterate (for_each)', placeholder: '{{rows}}' },
+      itemVariable: { type: 'text', label: 'Item Variable Name', default: 'item' },
+      maxIterations: { type: 'number', label: 'Max Iterations (safety limit)', default: 1000, min: 1, max: 10000 }
     }
   },
 
@@ -199,6 +206,7 @@ export const WORKFLOW_NODE_DEFINITIONS = [
     configSchema: {
       maxRetries: { type: 'number', label: 'Max Retry Attempts', default: 3, min: 0, max: 10 },
       retryDelay: { type: 'number', label: 'Delay Between Retries (seconds)', default: 1, min: 0 },
+      backoff: { type: 'select', label: 'Retry Backoff', options: ['fixed', 'exponential'], default: 'fixed' },
       continueOnError: { type: 'boolean', label: 'Continue Workflow on Error', default: false },
       logErrors: { type: 'boolean', label: 'Log Error Details', default: true },
       errorMessage: { type: 'text', label: 'Custom Error Message' }
@@ -221,6 +229,64 @@ export const WORKFLOW_NODE_DEFINITIONS = [
     }
   },
 
+  {
+    id: NODE_TYPES.CALL_WORKFLOW,
+    name: 'Call Workflow',
+    category: NODE_CATEGORIES.LOGIC,
+    icon: '📞',
+    description: 'Run another workflow (e.g. a shared login sequence) and use its outputs',
+    inputs: ['trigger'],
+    outputs: ['success', 'error'],
+    configSchema: {
+      workflowId: { type: 'text', label: 'Workflow ID', required: true },
+      mode: {
+        type: 'select',
+        label: 'Run Mode',
+        options: ['inline', 'child'],
+        default: 'inline'
+      },
+      inputs: {
+        type: 'object',
+        label: 'Inputs',
+        placeholder: '{"username": "{{username}}"}'
+      },
+      outputs: {
+        type: 'object',
+        label: 'Outputs (variable: called workflow variable)',
+        placeholder: '{"session_token": "token"}'
+      },
+      version: { type: 'text', label: 'Version (optional, defaults to published)', placeholder: '3' },
+      maxDepth: { type: 'number', label: 'Max Call Depth', default: 5, min: 1, max: 10 }
+    }
+  },
+
+  {
+    id: NODE_TYPES.APPROVAL,
+    name: 'Approval',
+    category: NODE_CATEGORIES.LOGIC,
+    icon: '✋',
+    description: 'Pause until a person approves or rejects, e.g. before submitting an invoice',
+    inputs: ['trigger'],
+    outputs: ['approved', 'rejected', 'error'],
+    configSchema: {
+      title: { type: 'text', label: 'Title', placeholder: 'Approve invoice {{invoice_id}}' },
+      message: { type: 'textarea', label: 'Message for Approvers', placeholder: 'Total: {{amount}}' },
+      approvers: {
+        type: 'text',
+        label: 'Approver User IDs (comma separated, defaults to whoever started the run)',
+        placeholder: 'user_123, user_456'
+      },
+      timeoutMinutes: { type: 'number', label: 'Timeout (minutes, empty waits indefinitely)', min: 1 },
+      timeoutOutcome: {
+        type: 'select',
+        label: 'Outcome on Timeout',
+        options: ['reject', 'approve'],
+        default: 'reject'
+      },
+      variableName: { type: 'text', label: 'Decision Variable', default: 'approval' }
+    }
+  },
+
   // API & Integration Nodes  
   {
     id: NODE_TYPES.HTTP_REQUEST,
@@ -288,7 +354,7 @@ export const WORKFLOW_NODE_DEFINITIONS = [
     inputs: ['trigger'],
     outputs: ['success', 'error'],
     configSchema: {
-      connectionString: { type: 'text', label: 'Database Connection String', required: true },
+      connectionString: { type: 'text', label: 'Database Connection String', required: true, placeholder: '{{secret.DATABASE_URL}}' },
       query: { type: 'textarea', label: 'SQL Query', required: true },
       parameters: { 
         type: 'object', 
@@ -313,7 +379,7 @@ export const WORKFLOW_NODE_DEFINITIONS = [
       smtpHost: { type: 'text', label: 'SMTP Host', required: true },
       smtpPort: { type: 'number', label: 'SMTP Port', default: 587, min: 1, max: 65535 },
       username: { type: 'text', label: 'SMTP Username', required: true },
-      password: { type: 'password', label: 'SMTP Password', required: true },
+      password: { type: 'password', label: 'SMTP Password', required: true, placeholder: '{{secret.SMTP_PASSWORD}}' },
       from: { type: 'email', label: 'From Email Address', required: true },
       to: { type: 'text', label: 'To Email Addresses (comma separated)', required: true },
       cc: { type: 'text', label: 'CC Email Addresses (comma separated)' },
@@ -443,6 +509,20 @@ export const WORKFLOW_NODE_DEFINITIONS = [
       interval: { type: 'number', label: 'Interval (minutes)', default: 60, min: 1 },
       startTime: { type: 'datetime-local', label: 'Start Time (for once)' },
       timezone: { type: 'text', label: 'Timezone', default: 'UTC' },
+      catchUp: {
+        type: 'select',
+        label: 'Missed Runs',
+        options: ['none', 'latest', 'all'],
+        default: 'none'
+      },
+      maxBackfill: { type: 'number', label: 'Max Runs to Backfill', default: 10, min: 1, max: 100 },
+      overlap: {
+        type: 'select',
+        label: 'If Previous Run Still Active',
+        options: ['skip', 'queue', 'cancel_previous'],
+        default: 'queue'
+      },
+      environment: { type: 'text', label: 'Environment (optional)', placeholder: 'production' },
       enabled: { type: 'boolean', label: 'Schedule Enabled', default: true }
     }
   }
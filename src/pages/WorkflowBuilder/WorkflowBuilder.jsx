@@ -3,6 +3,8 @@ import { useParams, useNavigate } from 'react-router-dom'
 import { useDrop, useDrag } from 'react-dnd'
 import { useUser } from '@clerk/clerk-react'
 import { workflowService } from '../../lib/supabase'
+import WorkflowVersionBar from '../../components/WorkflowBuilder/WorkflowVersionBar'
+import RunWorkflowForm from '../../components/WorkflowBuilder/RunWorkflowForm'
 import './WorkflowBuilder.css'
 
 const WorkflowBuilder = ({ brandingConfig }) => {
@@ -172,6 +174,9 @@ const WorkflowBuilder = ({ brandingConfig }) => {
             placeholder="Workflow Description"
             rows={2}
           />
+          {workflow.id && (
+            <WorkflowVersionBar workflowId={workflow.id} onRestored={setWorkflow} />
+          )}
         </div>
         <div className="builder-actions">
           <button 
@@ -390,6 +395,9 @@ const WorkflowBuilder = ({ brandingConfig }) => {
             </div>
           ) : (
             <div className="properties-content">
+              {workflow.id && workflow.status === 'active' && (
+                <RunWorkflowForm workflowId={workflow.id} />
+              )}
               <div className="no-selection">
                 <p>👈 Click on a step in your workflow to configure it</p>
                 <div className="help-tips">